@@ -10,26 +10,131 @@
  * 5. Dynamic dropdown population from JSON data
  * 6. Appointment status management and email triggering
  * 7. Income/Finances tracking and management
- * 8. Error handling and user feedback
+ * 8. Settings (branding, mail transport, email templates)
+ * 9. Error handling and user feedback
  */
 
 // Global state for current calendar view
+// currentMonth is the reference date for every view ('month', 'week' or 'day')
 let currentMonth = new Date();
+let calendarView = 'month';
 let currentDayForAppointments = null;
+let draggedAppointment = null;
 const allClients = [];
 const allStaff = [];
 const allServices = [];
+const allPackages = [];
 const allAppointments = [];
 const allIncomes = [];
 let incomeSummary = {};
+let currentSettings = null;
+let loyaltySettings = null;
+let defaultEmailTemplates = {};
+let currentTemplateEvent = 'created';
+
+// Week/day timeline scale: pixels per hour and fallback opening hours
+// (the working hours of staff without a schedule, like DEFAULT_BUSINESS_HOURS
+// in php/appointments.php)
+const TIMELINE_HOUR_HEIGHT = 60;
+const TIMELINE_DEFAULT_START = 9 * 60;
+const TIMELINE_DEFAULT_END = 18 * 60;
+
+// Weekday keys used by staff schedules (index matches Date.getDay())
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Clients tab: one page of the server-side client list
+const CLIENT_PAGE_SIZE = 25;
+const CLIENT_PICKER_LIMIT = 8;
+const clientListState = { sort: 'id', dir: 'asc', page: 1 };
+let clientSearchTimer = null;
+let clientPickerTimer = null;
+
+// Client tags: tags in use ({ tag, count }) and the tags being edited in the client modal
+let allClientTags = [];
+let clientModalTags = [];
+let savedSegments = [];
+
+// Merge tool and archiving: endpoint, wording, data and table reload per record type
+const RECORD_TYPES = {
+  client: { endpoint: 'php/clients.php', title: 'Clients', noun: 'client', label: 'client(s)', appointmentField: 'clientId', records: allClients, reload: loadClients },
+  staff: { endpoint: 'php/staff.php', title: 'Staff', noun: 'staff member', label: 'staff member(s)', appointmentField: 'staffId', records: allStaff, reload: loadStaff },
+  service: { endpoint: 'php/services.php', title: 'Services', noun: 'service', label: 'service(s)', appointmentField: 'serviceId', records: allServices, reload: loadServices }
+};
+const DUPLICATE_MATCH_LABELS = { email: 'same email', phone: 'same phone', name: 'same name' };
+let duplicateGroups = [];
+
+// CSV import wizard: endpoint and importable fields per record type
+// (fields are matched to file columns by key, label or alias)
+const IMPORT_TYPES = {
+  client: { endpoint: 'php/clients.php', title: 'Clients', label: 'client(s)', reload: () => loadClients(), fields: [
+    { key: 'name', label: 'Name', required: true, aliases: ['full name', 'client'] },
+    { key: 'email', label: 'Email', required: true, aliases: ['e-mail', 'mail'] },
+    { key: 'phone', label: 'Phone', aliases: ['mobile', 'telephone', 'tel'] },
+    { key: 'notes', label: 'Notes', aliases: ['note', 'comments'] },
+    { key: 'isVIP', label: 'VIP (yes/no)', aliases: ['vip'] },
+    { key: 'isBadClient', label: 'Bad client (yes/no)', aliases: ['bad client', 'bad'] },
+    { key: 'tags', label: 'Tags (comma separated)', aliases: ['tag', 'labels'] }
+  ] },
+  staff: { endpoint: 'php/staff.php', title: 'Staff', label: 'staff member(s)', reload: () => loadStaff(), fields: [
+    { key: 'name', label: 'Name', required: true, aliases: ['full name', 'staff'] },
+    { key: 'role', label: 'Role', required: true, aliases: ['position', 'job title'] },
+    { key: 'email', label: 'Email', required: true, aliases: ['e-mail', 'mail'] }
+  ] },
+  service: { endpoint: 'php/services.php', title: 'Services', label: 'service(s)', reload: () => loadServices(), fields: [
+    { key: 'name', label: 'Name', required: true, aliases: ['service'] },
+    { key: 'category', label: 'Category', aliases: ['type', 'group'] },
+    { key: 'description', label: 'Description', aliases: ['details', 'about'] },
+    { key: 'displayOrder', label: 'Display order', aliases: ['order', 'position', 'sort'] },
+    { key: 'active', label: 'Active (yes/no)', aliases: ['bookable', 'enabled'] },
+    { key: 'duration', label: 'Duration (min)', required: true, aliases: ['minutes', 'length'] },
+    { key: 'price', label: 'Price', required: true, aliases: ['cost', 'amount'] },
+    { key: 'loyaltyPoints', label: 'Loyalty points per visit', aliases: ['points', 'loyalty'] }
+  ] },
+  appointment: { endpoint: 'php/appointments.php', title: 'Appointments', label: 'appointment(s)', reload: async () => { await loadAppointmentsData(); renderCalendar(); }, fields: [
+    { key: 'date', label: 'Date (YYYY-MM-DD)', required: true, aliases: ['day'] },
+    { key: 'time', label: 'Time (HH:MM)', required: true, aliases: ['start', 'start time'] },
+    { key: 'client', label: 'Client (ID, email or name)', required: true, aliases: ['client id', 'client email', 'client name', 'customer'] },
+    { key: 'staff', label: 'Staff (ID, email or name)', required: true, aliases: ['staff id', 'staff name', 'stylist'] },
+    { key: 'service', label: 'Service (ID or name)', required: true, aliases: ['service id', 'service name'] },
+    { key: 'status', label: 'Status', aliases: ['state'] }
+  ] }
+};
+let importHeaders = [];
+let importRows = [];
+
+// Staff commission modes (see php/includes/commission.php)
+const COMMISSION_MODE_LABELS = {
+  none: 'No commission',
+  category: 'By service category',
+  service: 'Fixed per service',
+  tiered: 'Tiered by monthly revenue'
+};
+
+// Group of services without a category (see php/includes/service-catalog.php)
+const SERVICE_UNCATEGORIZED = 'Uncategorized';
+
+// Most services one appointment can book (see php/includes/appointment-lines.php)
+const MAX_APPOINTMENT_LINES = 6;
+
+// Packages offered in the appointment modal (with the edited appointment's own copy)
+let appointmentPackageOptions = [];
 
 // Bootstrap modals (cached for performance)
 let clientModalInstance = null;
 let staffModalInstance = null;
+let staffCalendarModalInstance = null;
+let clientProfileModalInstance = null;
 let serviceModalInstance = null;
+let packageModalInstance = null;
 let appointmentModalInstance = null;
 let dayViewModalInstance = null;
 let incomeModalInstance = null;
+let mergeModalInstance = null;
+let recordDeleteModalInstance = null;
+let importModalInstance = null;
+let segmentModalInstance = null;
+let staffAnalyticsModalInstance = null;
 
 /**
  * Initialize the application on page load
@@ -49,11 +154,19 @@ document.addEventListener('DOMContentLoaded', function() {
  */
 function initializeModals() {
   clientModalInstance = new bootstrap.Modal(document.getElementById('clientModal'));
+  clientProfileModalInstance = new bootstrap.Modal(document.getElementById('clientProfileModal'));
   staffModalInstance = new bootstrap.Modal(document.getElementById('staffModal'));
+  staffCalendarModalInstance = new bootstrap.Modal(document.getElementById('staffCalendarModal'));
   serviceModalInstance = new bootstrap.Modal(document.getElementById('serviceModal'));
+  packageModalInstance = new bootstrap.Modal(document.getElementById('packageModal'));
   appointmentModalInstance = new bootstrap.Modal(document.getElementById('appointmentModal'));
   dayViewModalInstance = new bootstrap.Modal(document.getElementById('dayViewModal'));
   incomeModalInstance = new bootstrap.Modal(document.getElementById('incomeModal'));
+  mergeModalInstance = new bootstrap.Modal(document.getElementById('mergeModal'));
+  recordDeleteModalInstance = new bootstrap.Modal(document.getElementById('recordDeleteModal'));
+  importModalInstance = new bootstrap.Modal(document.getElementById('importModal'));
+  segmentModalInstance = new bootstrap.Modal(document.getElementById('segmentModal'));
+  staffAnalyticsModalInstance = new bootstrap.Modal(document.getElementById('staffAnalyticsModal'));
 }
 
 /**
@@ -64,6 +177,7 @@ async function loadAllData() {
   await loadClientsData();
   await loadStaffData();
   await loadServicesData();
+  await loadPackagesData();
   await loadAppointmentsData();
 }
 
@@ -84,7 +198,6 @@ async function loadClientsData() {
     if (result.success) {
       allClients.length = 0;
       allClients.push(...result.data);
-      populateClientDropdowns();
       console.log('Clients data loaded successfully:', result.data.length, 'clients');
     } else {
       console.error('Failed to load clients:', result.error);
@@ -148,6 +261,33 @@ async function loadServicesData() {
   }
 }
 
+/**
+ * FETCH: Load service packages from php/packages.php
+ * Uses cache: 'no-store' to bypass browser caching
+ */
+async function loadPackagesData() {
+  try {
+    console.log('Loading packages data...');
+    const response = await fetch('php/packages.php?action=list', { 
+      cache: 'no-store' 
+    });
+    console.log('Packages response status:', response.status);
+    const result = await response.json();
+    console.log('Packages response data:', result);
+    
+    if (result.success) {
+      allPackages.length = 0;
+      allPackages.push(...result.data);
+      populateAppointmentPackages();
+      console.log('Packages data loaded successfully:', result.data.length, 'packages');
+    } else {
+      console.error('Failed to load packages:', result.error);
+    }
+  } catch (error) {
+    console.error('Error loading packages:', error);
+  }
+}
+
 /**
  * FETCH: Load appointments from php/appointments.php
  * Uses cache: 'no-store' to bypass browser caching
@@ -175,53 +315,224 @@ async function loadAppointmentsData() {
 }
 
 /**
- * Populate client dropdown in appointment modal
- * Called after clients are loaded
+ * Decode HTML entities (stored text is escaped by the PHP endpoints)
  */
-function populateClientDropdowns() {
-  const select = document.getElementById('appointmentClient');
-  const currentValue = select.value;
-  select.innerHTML = '<option value="">Select a client</option>';
-  allClients.forEach(client => {
-    const option = document.createElement('option');
-    option.value = client.id;
-    option.textContent = client.name;
-    select.appendChild(option);
-  });
-  if (currentValue) select.value = currentValue;
+function decodeHtml(text) {
+  const decoder = document.createElement('textarea');
+  decoder.innerHTML = text;
+  return decoder.value;
+}
+
+/**
+ * Set the client in the appointment modal's type-ahead picker
+ */
+function setAppointmentClient(clientId) {
+  const client = allClients.find(c => c.id == clientId);
+  document.getElementById('appointmentClient').value = client ? client.id : '';
+  document.getElementById('appointmentClientSearch').value = client ? decodeHtml(client.name) : '';
+  hideAppointmentClientResults();
+}
+
+/**
+ * Search clients on the server as the user types in the picker
+ */
+async function searchAppointmentClients() {
+  const query = document.getElementById('appointmentClientSearch').value.trim();
+  if (!query) {
+    hideAppointmentClientResults();
+    return;
+  }
+  
+  const params = new URLSearchParams({ action: 'list', search: query, archived: 0, sort: 'name', pageSize: CLIENT_PICKER_LIMIT });
+  try {
+    const response = await fetch(`php/clients.php?${params}`, { cache: 'no-store' });
+    const result = await response.json();
+    // Ignore answers to an older query
+    if (query !== document.getElementById('appointmentClientSearch').value.trim()) return;
+    if (!result.success) {
+      showAlert('Error searching clients: ' + result.error, 'danger');
+      return;
+    }
+    renderAppointmentClientResults(result.data, result.pagination.total);
+  } catch (error) {
+    console.error('Error searching clients:', error);
+    showAlert('Error searching clients: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Show picker suggestions (name, flags, email and phone)
+ */
+function renderAppointmentClientResults(clients, total) {
+  const results = document.getElementById('appointmentClientResults');
+  if (clients.length === 0) {
+    results.innerHTML = '<div class="list-group-item text-muted small">No clients found</div>';
+  } else {
+    results.innerHTML = clients.map(client => `
+      <button type="button" class="list-group-item list-group-item-action" data-client-id="${client.id}">
+        <strong>${client.name}</strong>
+        ${client.isVIP ? '<span class="vip-badge">⭐ VIP</span>' : ''}
+        ${formatPolicyBadges(client)}
+        <div class="small text-muted">${[client.email, client.phone].filter(Boolean).join(' · ')}</div>
+      </button>
+    `).join('') + (total > clients.length
+      ? `<div class="list-group-item text-muted small">${total - clients.length} more - keep typing to narrow down</div>`
+      : '');
+    results.querySelectorAll('[data-client-id]').forEach(item => {
+      // mousedown keeps focus in the input so blur does not close the list first
+      item.addEventListener('mousedown', e => e.preventDefault());
+      item.addEventListener('click', () => selectAppointmentClient(clients.find(c => c.id == item.dataset.clientId)));
+    });
+  }
+  results.classList.remove('d-none');
+}
+
+/**
+ * Pick a suggested client
+ */
+function selectAppointmentClient(client) {
+  // The full list may not have this client yet (e.g. added in another tab)
+  if (!allClients.some(c => c.id === client.id)) {
+    allClients.push(client);
+  }
+  setAppointmentClient(client.id);
+  document.getElementById('appointmentClient').dispatchEvent(new Event('change'));
+}
+
+/**
+ * Keyboard navigation in the picker suggestions
+ */
+function handleAppointmentClientKeys(e) {
+  const results = document.getElementById('appointmentClientResults');
+  const items = [...results.querySelectorAll('[data-client-id]')];
+  if (results.classList.contains('d-none') || items.length === 0) return;
+  
+  const activeIndex = items.findIndex(item => item.classList.contains('active'));
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const nextIndex = e.key === 'ArrowDown'
+      ? Math.min(items.length - 1, activeIndex + 1)
+      : Math.max(0, activeIndex - 1);
+    items.forEach((item, index) => item.classList.toggle('active', index === nextIndex));
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    items[Math.max(0, activeIndex)].click();
+  } else if (e.key === 'Escape') {
+    e.stopPropagation();
+    hideAppointmentClientResults();
+  }
+}
+
+/**
+ * Close the picker suggestions
+ */
+function hideAppointmentClientResults() {
+  const results = document.getElementById('appointmentClientResults');
+  results.classList.add('d-none');
+  results.innerHTML = '';
 }
 
 /**
  * Populate staff dropdown in appointment modal
- * Called after staff data is loaded
+ * Called after staff data is loaded and whenever the modal opens, so staff
+ * who are off on the selected date are disabled (except the current selection).
+ * Archived staff and staff who do not perform the chosen service are only
+ * listed when already selected (selectedId when given).
  */
-function populateStaffDropdowns() {
+function populateStaffDropdowns(selectedId = null) {
   const select = document.getElementById('appointmentStaff');
-  const currentValue = select.value;
+  const currentValue = selectedId !== null ? String(selectedId) : select.value;
+  fillAppointmentStaffSelect(select, document.getElementById('appointmentService').value, currentValue);
+  document.querySelectorAll('#appointmentExtraLines .appointment-line-row').forEach(row => {
+    const staffSelect = row.querySelector('.appointment-line-staff');
+    fillAppointmentStaffSelect(staffSelect, row.querySelector('.appointment-line-service').value, staffSelect.value);
+  });
+}
+
+/**
+ * Fill one staff select of the appointment modal for a service (see
+ * populateStaffDropdowns)
+ */
+function fillAppointmentStaffSelect(select, serviceId, currentValue) {
+  const dateStr = document.getElementById('appointmentDate').value;
   select.innerHTML = '<option value="">Select staff member</option>';
   allStaff.forEach(staff => {
+    if (staff.archived && staff.id != currentValue) return;
+    if (serviceId && !staffPerformsService(staff, serviceId) && staff.id != currentValue) return;
     const option = document.createElement('option');
     option.value = staff.id;
-    option.textContent = `${staff.name} (${staff.role})`;
+    option.textContent = `${staff.name} (${staff.role})${staff.archived ? ' - archived' : ''}`;
+    if (dateStr && !isStaffWorkingOnDate(staff, dateStr) && staff.id != currentValue) {
+      option.disabled = true;
+      option.textContent += ' - off';
+    }
     select.appendChild(option);
   });
   if (currentValue) select.value = currentValue;
 }
 
+/**
+ * Whether a service is switched off for booking (active: false)
+ */
+function isServiceInactive(service) {
+  return service.active === false;
+}
+
+/**
+ * Services grouped by category ([{category, services}])
+ * Services arrive in display order, so each category is placed where its
+ * first service is.
+ */
+function groupServicesByCategory(services) {
+  const groups = [];
+  services.forEach(service => {
+    const category = service.category || SERVICE_UNCATEGORIZED;
+    let group = groups.find(item => item.category === category);
+    if (!group) {
+      group = { category, services: [] };
+      groups.push(group);
+    }
+    group.services.push(service);
+  });
+  return groups;
+}
+
+/**
+ * Add service options to a select, in an optgroup per category
+ * (no optgroups while no service has a category)
+ */
+function appendServiceOptions(select, services, formatLabel) {
+  const groups = groupServicesByCategory(services);
+  groups.forEach(group => {
+    let parent = select;
+    if (groups.length > 1 || group.category !== SERVICE_UNCATEGORIZED) {
+      parent = document.createElement('optgroup');
+      parent.label = decodeHtml(group.category);
+      select.appendChild(parent);
+    }
+    group.services.forEach(service => parent.appendChild(new Option(formatLabel(service), service.id)));
+  });
+}
+
 /**
  * Populate service dropdown in appointment modal
- * Called after services data is loaded
+ * Called after services data is loaded. Archived and inactive services are
+ * only listed when already selected (selectedId when given).
  */
-function populateServiceDropdowns() {
+function populateServiceDropdowns(selectedId = null) {
   const select = document.getElementById('appointmentService');
-  const currentValue = select.value;
+  fillAppointmentServiceSelect(select, selectedId !== null ? String(selectedId) : select.value);
+}
+
+/**
+ * Fill one service select of the appointment modal (see populateServiceDropdowns)
+ */
+function fillAppointmentServiceSelect(select, currentValue) {
   select.innerHTML = '<option value="">Select a service</option>';
-  allServices.forEach(service => {
-    const option = document.createElement('option');
-    option.value = service.id;
-    option.textContent = `${service.name} ($${service.price})`;
-    select.appendChild(option);
-  });
+  const services = allServices.filter(service =>
+    (!service.archived && !isServiceInactive(service)) || service.id == currentValue);
+  appendServiceOptions(select, services, service =>
+    `${decodeHtml(service.name)} ($${service.price})${service.archived ? ' - archived' : isServiceInactive(service) ? ' - inactive' : ''}`);
   if (currentValue) select.value = currentValue;
 }
 
@@ -237,10 +548,72 @@ function setupEventListeners() {
   
   // Service form submission
   document.getElementById('serviceForm').addEventListener('submit', submitServiceForm);
+  document.getElementById('packageForm').addEventListener('submit', submitPackageForm);
   
   // Appointment form submission
   document.getElementById('appointmentForm').addEventListener('submit', submitAppointmentForm);
   
+  // Recompute end time and reset conflict override when booking fields change
+  ['appointmentClient', 'appointmentStaff', 'appointmentService', 'appointmentTime'].forEach(id => {
+    document.getElementById(id).addEventListener('change', function() {
+      clearAppointmentConflicts();
+      updateAppointmentEndTime();
+    });
+  });
+  // Only staff who perform the chosen service are offered (the end time
+  // follows the staff member, who may have been cleared)
+  document.getElementById('appointmentService').addEventListener('change', function() {
+    populateStaffDropdowns();
+    updateAppointmentEndTime();
+  });
+  ['appointmentService', 'appointmentStaff'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updateLoyaltyRedeemInfo);
+  });
+  
+  // Type-ahead client picker: typing clears the selection until a client is picked
+  const clientSearch = document.getElementById('appointmentClientSearch');
+  clientSearch.addEventListener('input', function() {
+    if (document.getElementById('appointmentClient').value) {
+      document.getElementById('appointmentClient').value = '';
+      clearAppointmentConflicts();
+    }
+    clearTimeout(clientPickerTimer);
+    clientPickerTimer = setTimeout(searchAppointmentClients, 250);
+  });
+  clientSearch.addEventListener('keydown', handleAppointmentClientKeys);
+  clientSearch.addEventListener('blur', hideAppointmentClientResults);
+  
+  // Client modal tags: Enter or comma adds the typed tag
+  document.getElementById('clientTagInput').addEventListener('keydown', function(e) {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addClientModalTag(this.value);
+    }
+  });
+  document.getElementById('clientTagInput').addEventListener('change', function() {
+    if (allClientTags.some(item => decodeHtml(item.tag) === this.value.trim().toLowerCase())) {
+      addClientModalTag(this.value);
+    }
+  });
+  
+  // Clients tab search, filters and sortable columns
+  document.getElementById('clientFilterSearch').addEventListener('input', function() {
+    clearTimeout(clientSearchTimer);
+    clientSearchTimer = setTimeout(() => goToClientPage(1), 300);
+  });
+  ['clientFilterTag', 'clientFilterVip', 'clientFilterBad', 'clientFilterInactiveSince', 'clientFilterArchived', 'clientFilterUpcoming'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => goToClientPage(1));
+  });
+  document.querySelectorAll('#clients-panel th.sortable').forEach(th => {
+    th.addEventListener('click', () => sortClientsBy(th.dataset.sort));
+  });
+  
+  // Changing the date changes which staff are working
+  document.getElementById('appointmentDate').addEventListener('change', function() {
+    clearAppointmentConflicts();
+    populateStaffDropdowns();
+  });
+  
   // Tab change listeners
   document.getElementById('clients-tab').addEventListener('shown.bs.tab', function() {
     loadClients();
@@ -251,7 +624,7 @@ function setupEventListeners() {
   });
   
   document.getElementById('services-tab').addEventListener('shown.bs.tab', function() {
-    loadServices();
+    loadServices().then(() => loadPackages());
   });
   
   document.getElementById('appointments-tab').addEventListener('shown.bs.tab', function() {
@@ -261,6 +634,7 @@ function setupEventListeners() {
   document.getElementById('income-tab').addEventListener('shown.bs.tab', function() {
     loadIncomes();
     getIncomeSummary();
+    loadPayroll();
   });
   
   // Income filter change listeners
@@ -271,23 +645,60 @@ function setupEventListeners() {
   
   // Income form submission
   document.getElementById('incomeForm').addEventListener('submit', submitIncomeForm);
+  
+  // Settings tab
+  document.getElementById('settings-tab').addEventListener('shown.bs.tab', function() {
+    loadSettings();
+  });
+  document.getElementById('settingsForm').addEventListener('submit', saveSettings);
 }
 
 /**
- * Load and display clients in table
- * FETCH with cache: 'no-store' to ensure fresh data
+ * Reload clients: the full list used for lookups and the table page
  */
 async function loadClients() {
+  await Promise.all([loadClientsData(), loadClientsPage(), loadClientTags()]);
+}
+
+/**
+ * Load and display one page of clients using the search, filters and sort
+ * FETCH with cache: 'no-store' to ensure fresh data
+ */
+async function loadClientsPage() {
+  const params = new URLSearchParams({
+    action: 'list',
+    sort: clientListState.sort,
+    dir: clientListState.dir,
+    page: clientListState.page,
+    pageSize: CLIENT_PAGE_SIZE
+  });
+  const search = document.getElementById('clientFilterSearch').value.trim();
+  const vip = document.getElementById('clientFilterVip').value;
+  const bad = document.getElementById('clientFilterBad').value;
+  const inactiveSince = document.getElementById('clientFilterInactiveSince').value;
+  const archived = document.getElementById('clientFilterArchived').value;
+  const tag = document.getElementById('clientFilterTag').value;
+  if (search) params.append('search', search);
+  if (tag) params.append('tag', tag);
+  if (vip) params.append('vip', vip);
+  if (bad) params.append('bad', bad);
+  if (inactiveSince) params.append('inactiveSince', inactiveSince);
+  if (archived) params.append('archived', archived);
+  if (document.getElementById('clientFilterUpcoming').checked) params.append('upcoming', '1');
+  
   try {
-    const response = await fetch('php/clients.php?action=list', { 
+    const response = await fetch(`php/clients.php?${params}`, { 
       cache: 'no-store' 
     });
     const result = await response.json();
     if (result.success) {
-      allClients.length = 0;
-      allClients.push(...result.data);
-      populateClientDropdowns();
+      // A delete can leave the current page empty: step back
+      if (result.data.length === 0 && clientListState.page > result.pagination.totalPages) {
+        clientListState.page = result.pagination.totalPages;
+        return loadClientsPage();
+      }
       renderClientsTable(result.data);
+      renderClientPagination(result.pagination);
     } else {
       showAlert('Error loading clients: ' + result.error, 'danger');
     }
@@ -297,6 +708,72 @@ async function loadClients() {
   }
 }
 
+/**
+ * Sort the clients table by a column (clicking again flips the direction)
+ */
+function sortClientsBy(field) {
+  if (clientListState.sort === field) {
+    clientListState.dir = clientListState.dir === 'asc' ? 'desc' : 'asc';
+  } else {
+    clientListState.sort = field;
+    clientListState.dir = 'asc';
+  }
+  goToClientPage(1);
+}
+
+/**
+ * Show a page of the clients table
+ */
+function goToClientPage(page) {
+  clientListState.page = page;
+  loadClientsPage();
+}
+
+/**
+ * Reset the clients search and filters
+ */
+function clearClientFilters() {
+  document.getElementById('clientFilterSearch').value = '';
+  document.getElementById('clientFilterTag').value = '';
+  document.getElementById('clientFilterVip').value = '';
+  document.getElementById('clientFilterBad').value = '';
+  document.getElementById('clientFilterInactiveSince').value = '';
+  document.getElementById('clientFilterArchived').value = '0';
+  document.getElementById('clientFilterUpcoming').checked = false;
+  goToClientPage(1);
+}
+
+/**
+ * Render the client count, page links and sort indicators
+ */
+function renderClientPagination(pagination) {
+  const { page, pageSize, total, totalPages } = pagination;
+  const first = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const last = Math.min(total, page * pageSize);
+  document.getElementById('clientRecordCount').textContent = total === 0
+    ? '0 clients'
+    : `Showing ${first}-${last} of ${total} client${total === 1 ? '' : 's'}`;
+  
+  // Previous, up to five pages around the current one, next
+  const fromPage = Math.max(1, Math.min(page - 2, totalPages - 4));
+  const toPage = Math.min(totalPages, fromPage + 4);
+  const pageItem = (label, target, { disabled = false, active = false } = {}) => `
+    <li class="page-item${disabled ? ' disabled' : ''}${active ? ' active' : ''}">
+      <a class="page-link" href="#" onclick="goToClientPage(${target}); return false;">${label}</a>
+    </li>`;
+  let items = pageItem('«', page - 1, { disabled: page <= 1 });
+  for (let p = fromPage; p <= toPage; p++) {
+    items += pageItem(p, p, { active: p === page });
+  }
+  items += pageItem('»', page + 1, { disabled: page >= totalPages });
+  document.getElementById('clientPagination').innerHTML = totalPages > 1 ? items : '';
+  
+  document.querySelectorAll('#clients-panel th.sortable').forEach(th => {
+    th.classList.toggle('sorted-asc', th.dataset.sort === clientListState.sort && clientListState.dir === 'asc');
+    th.classList.toggle('sorted-desc', th.dataset.sort === clientListState.sort && clientListState.dir === 'desc');
+  });
+}
+
 /**
  * Load and display staff in table
  * FETCH with cache: 'no-store' to ensure fresh data
@@ -352,19 +829,29 @@ function renderClientsTable(clients) {
   const tbody = document.getElementById('clientsTable');
   tbody.innerHTML = '';
   
+  if (clients.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="10" class="text-center text-muted">No clients found</td></tr>';
+    return;
+  }
+  
   clients.forEach(client => {
     const row = document.createElement('tr');
+    row.classList.toggle('archived-row', !!client.archived);
     row.innerHTML = `
       <td>${client.id}</td>
-      <td><strong>${client.name}</strong></td>
+      <td><a href="#" class="client-profile-link" onclick="openClientProfile(${client.id}); return false;"><strong>${client.name}</strong></a>${formatArchivedBadge(client)}${formatClientTags(client.tags)}</td>
       <td>${client.email}</td>
       <td>${client.phone}</td>
       <td>${client.isVIP ? '<span class="vip-badge">⭐ VIP</span>' : '-'}</td>
-      <td>${client.isBadClient ? '<span class="bad-client-badge">⚠️ Bad</span>' : '-'}</td>
+      <td>${formatPolicyBadges(client) || '-'}</td>
+      <td>${client.lastVisit || '-'}</td>
+      <td>${client.nextAppointment || '-'}</td>
       <td>${client.notes || '-'}</td>
       <td>
         <button class="btn btn-warning btn-action" onclick="editClient(${client.id})">Edit</button>
-        <button class="btn btn-danger btn-action" onclick="deleteClient(${client.id})">Delete</button>
+        ${client.archived
+          ? `<button class="btn btn-outline-success btn-action" onclick="restoreArchivedRecord('client', ${client.id})">Restore</button>`
+          : `<button class="btn btn-danger btn-action" onclick="deleteClient(${client.id})">Delete</button>`}
       </td>
     `;
     tbody.appendChild(row);
@@ -380,14 +867,20 @@ function renderStaffTable(staff) {
   
   staff.forEach(member => {
     const row = document.createElement('tr');
+    row.classList.toggle('archived-row', !!member.archived);
     row.innerHTML = `
       <td>${member.id}</td>
-      <td><strong>${member.name}</strong></td>
-      <td>${member.role}</td>
+      <td><strong>${member.name}</strong>${formatArchivedBadge(member)}</td>
+      <td>${member.role}${member.commission && member.commission.mode !== 'none' ? `<div class="small text-muted">${COMMISSION_MODE_LABELS[member.commission.mode]}</div>` : ''}</td>
       <td>${member.email}</td>
+      <td>${formatStaffScheduleSummary(member)}</td>
+      <td>${formatStaffServicesSummary(member)}</td>
       <td>
         <button class="btn btn-warning btn-action" onclick="editStaff(${member.id})">Edit</button>
-        <button class="btn btn-danger btn-action" onclick="deleteStaff(${member.id})">Delete</button>
+        <button class="btn btn-outline-primary btn-action" onclick="openStaffCalendarModal(${member.id})" title="Calendar feed">📅 Feed</button>
+        ${member.archived
+          ? `<button class="btn btn-outline-success btn-action" onclick="restoreArchivedRecord('staff', ${member.id})">Restore</button>`
+          : `<button class="btn btn-danger btn-action" onclick="deleteStaff(${member.id})">Delete</button>`}
       </td>
     `;
     tbody.appendChild(row);
@@ -396,27 +889,47 @@ function renderStaffTable(staff) {
 
 /**
  * Render services table HTML
+ * Services are listed in display order under a heading row per category.
  */
 function renderServicesTable(services) {
   const tbody = document.getElementById('servicesTable');
   tbody.innerHTML = '';
   
-  services.forEach(service => {
-    const row = document.createElement('tr');
-    row.innerHTML = `
-      <td>${service.id}</td>
-      <td><strong>${service.name}</strong></td>
-      <td>${service.duration}</td>
-      <td>$${parseFloat(service.price).toFixed(2)}</td>
-      <td>
-        <button class="btn btn-warning btn-action" onclick="editService(${service.id})">Edit</button>
-        <button class="btn btn-danger btn-action" onclick="deleteService(${service.id})">Delete</button>
-      </td>
-    `;
-    tbody.appendChild(row);
+  groupServicesByCategory(services).forEach(group => {
+    const heading = document.createElement('tr');
+    heading.className = 'service-category-row';
+    heading.innerHTML = `<td colspan="7">${group.category} <span class="text-muted">(${group.services.length})</span></td>`;
+    tbody.appendChild(heading);
+    group.services.forEach(service => tbody.appendChild(createServiceRow(service)));
   });
 }
 
+/**
+ * One row of the services table
+ */
+function createServiceRow(service) {
+  const row = document.createElement('tr');
+  row.classList.toggle('archived-row', !!service.archived || isServiceInactive(service));
+  row.innerHTML = `
+    <td>${service.id}</td>
+    <td>
+      <strong>${service.name}</strong>${formatArchivedBadge(service)}${isServiceInactive(service) ? ' <span class="badge badge-secondary">Inactive</span>' : ''}
+      ${service.description ? `<div class="service-description">${service.description}</div>` : ''}
+    </td>
+    <td>${service.category || '<span class="text-muted">-</span>'}</td>
+    <td>${service.displayOrder ?? 0}</td>
+    <td>${service.duration}</td>
+    <td>$${parseFloat(service.price).toFixed(2)}</td>
+    <td>
+      <button class="btn btn-warning btn-action" onclick="editService(${service.id})">Edit</button>
+      ${service.archived
+        ? `<button class="btn btn-outline-success btn-action" onclick="restoreArchivedRecord('service', ${service.id})">Restore</button>`
+        : `<button class="btn btn-danger btn-action" onclick="deleteService(${service.id})">Delete</button>`}
+    </td>
+  `;
+  return row;
+}
+
 /**
  * Open client modal for adding new client
  * Resets form and sets up for POST action
@@ -426,7 +939,11 @@ function openClientModal() {
   document.getElementById('clientId').value = '';
   document.getElementById('clientVIP').checked = false;
   document.getElementById('clientBad').checked = false;
+  document.getElementById('clientDeposit').checked = false;
+  clientModalTags = [];
+  renderClientModalTags();
   document.getElementById('clientModalLabel').textContent = 'Add Client';
+  clearDuplicateWarning('client');
   clientModalInstance.show();
 }
 
@@ -445,10 +962,215 @@ function editClient(clientId) {
   document.getElementById('clientNotes').value = client.notes || '';
   document.getElementById('clientVIP').checked = client.isVIP;
   document.getElementById('clientBad').checked = client.isBadClient;
+  document.getElementById('clientDeposit').checked = !!client.depositRequired;
+  clientModalTags = (client.tags || []).map(decodeHtml);
+  renderClientModalTags();
   document.getElementById('clientModalLabel').textContent = 'Edit Client';
+  clearDuplicateWarning('client');
   clientModalInstance.show();
 }
 
+/**
+ * Open a client's profile: contact details, statistics, favourites and
+ * appointment history (clients, appointments and incomes are reloaded first)
+ */
+async function openClientProfile(clientId) {
+  if (!allClients.some(c => c.id == clientId)) return;
+  
+  let incomes = [];
+  try {
+    const [, , incomeResponse] = await Promise.all([
+      loadClientsData(),
+      loadAppointmentsData(),
+      fetch('php/incomes.php?action=list', { cache: 'no-store' })
+    ]);
+    const incomeResult = await incomeResponse.json();
+    if (incomeResult.success) {
+      incomes = incomeResult.data;
+    } else {
+      showAlert('Error loading client payments: ' + incomeResult.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error loading client history:', error);
+    showAlert('Error loading client history: ' + error.message, 'danger');
+  }
+  
+  const client = allClients.find(c => c.id == clientId);
+  if (!client) return;
+  document.getElementById('clientProfileId').value = client.id;
+  renderClientProfile(client, getClientHistory(client, incomes));
+  clientProfileModalInstance.show();
+}
+
+/**
+ * Summarize a client's appointments and payments
+ * Incomes are matched by appointment, including appointments listed in the
+ * client's own history that no longer exist in appointments.json
+ */
+function getClientHistory(client, incomes) {
+  const now = new Date();
+  const nowKey = `${toDateKey(now)} ${minutesToTime(now.getHours() * 60 + now.getMinutes())}`;
+  const appointments = allAppointments.filter(a => a.clientId == client.id);
+  const byDateTime = (a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`);
+  
+  const upcoming = appointments
+    .filter(a => a.status === 'pending' && `${a.date} ${a.time}` >= nowKey)
+    .sort(byDateTime);
+  const past = appointments
+    .filter(a => !upcoming.includes(a))
+    .sort((a, b) => byDateTime(b, a));
+  
+  const appointmentIds = new Set([
+    ...appointments.map(a => a.id),
+    ...(client.appointments || []).map(entry => entry.appointmentId)
+  ]);
+  const paidByAppointment = {};
+  let lifetimeSpend = 0;
+  incomes.forEach(income => {
+    if (!appointmentIds.has(income.appointmentId)) return;
+    const amount = parseFloat(income.amount) || 0;
+    paidByAppointment[income.appointmentId] = (paidByAppointment[income.appointmentId] || 0) + amount;
+    lifetimeSpend += amount;
+  });
+  
+  // Favourites count every appointment that was not cancelled: each of its
+  // services, and each of its staff members once
+  const kept = appointments.filter(a => a.status !== 'deleted_by_user' && a.status !== 'deleted_by_staff');
+  const keptStaff = kept.flatMap(apt => [...new Set(getAppointmentLines(apt).map(line => line.staffId))]
+    .map(staffId => ({ staffId })));
+  
+  return {
+    upcoming,
+    past,
+    total: appointments.length,
+    completed: appointments.filter(a => a.status === 'complete').length,
+    noShows: appointments.filter(a => a.status === 'no_show').length,
+    lifetimeSpend,
+    paidByAppointment,
+    favouriteServices: countMostFrequent(kept.flatMap(getAppointmentLines), 'serviceId'),
+    favouriteStaff: countMostFrequent(keptStaff, 'staffId')
+  };
+}
+
+/**
+ * Most frequent values of a field: [{ id, count }] sorted by count
+ */
+function countMostFrequent(items, field, limit = 3) {
+  const counts = {};
+  items.forEach(item => {
+    counts[item[field]] = (counts[item[field]] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([id, count]) => ({ id: parseInt(id), count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+/**
+ * Fill the client profile modal
+ */
+function renderClientProfile(client, history) {
+  const serviceName = (id) => (allServices.find(s => s.id == id) || {}).name || 'Unknown service';
+  const staffName = (id) => (allStaff.find(s => s.id == id) || {}).name || 'Unknown staff';
+  const historyNotes = {};
+  (client.appointments || []).forEach(entry => {
+    historyNotes[entry.appointmentId] = entry.note;
+  });
+  
+  document.getElementById('clientProfileModalLabel').innerHTML = `${client.name}
+    ${client.isVIP ? '<span class="vip-badge ms-2">⭐ VIP</span>' : ''}
+    ${formatPolicyBadges(client, 'ms-2')}`;
+  
+  const stats = [
+    ['Appointments', history.total, 'income-today'],
+    ['Completed', history.completed, 'income-month'],
+    ['No-Shows', history.noShows, 'income-week'],
+    ['Lifetime Spend', formatCurrency(history.lifetimeSpend), 'income-alltime']
+  ];
+  document.getElementById('clientProfileStats').innerHTML = stats.map(([label, value, cardClass]) => `
+    <div class="col-md-3 col-sm-6">
+      <div class="card income-summary-card ${cardClass}">
+        <div class="card-body text-center">
+          <h6 class="card-title text-muted">${label}</h6>
+          <h3 class="income-amount">${value}</h3>
+        </div>
+      </div>
+    </div>
+  `).join('');
+  
+  document.getElementById('clientProfileContact').innerHTML = `
+    <div>📧 ${client.email}</div>
+    <div>📞 ${client.phone || '-'}</div>
+    <div class="mt-2 text-muted">${client.notes || 'No notes'}</div>
+    ${formatClientTags(client.tags)}
+    ${formatPolicyReasons(client)}
+  `;
+  
+  document.getElementById('clientProfileLoyalty').innerHTML = formatLoyaltyLedger(client);
+  
+  const renderFavourites = (favourites, getName) => favourites.length === 0
+    ? '<span class="text-muted">-</span>'
+    : `<ol class="mb-0 ps-3">${favourites.map(f => `<li>${getName(f.id)} <span class="text-muted">(${f.count}×)</span></li>`).join('')}</ol>`;
+  document.getElementById('clientProfileServices').innerHTML = renderFavourites(history.favouriteServices, serviceName);
+  document.getElementById('clientProfileStaff').innerHTML = renderFavourites(history.favouriteStaff, staffName);
+  
+  const statusBadge = (apt) => `<span class="badge badge-${getStatusBadgeClass(apt.status)}">${apt.status}</span>`;
+  document.getElementById('clientProfileUpcoming').innerHTML = history.upcoming.length === 0
+    ? '<tr><td colspan="5" class="text-center text-muted">No upcoming appointments</td></tr>'
+    : history.upcoming.map(apt => `
+      <tr>
+        <td>${formatDate(apt.date + 'T00:00:00')}</td>
+        <td>${apt.time}${apt.endTime ? ' - ' + apt.endTime : ''}</td>
+        <td>${getAppointmentServiceNames(apt)}</td>
+        <td>${getAppointmentStaffNames(apt)}</td>
+        <td>${statusBadge(apt)}</td>
+      </tr>
+    `).join('');
+  
+  document.getElementById('clientProfilePast').innerHTML = history.past.length === 0
+    ? '<tr><td colspan="7" class="text-center text-muted">No past appointments</td></tr>'
+    : history.past.map(apt => `
+      <tr>
+        <td>${formatDate(apt.date + 'T00:00:00')}</td>
+        <td>${apt.time}${apt.endTime ? ' - ' + apt.endTime : ''}</td>
+        <td>${getAppointmentServiceNames(apt)}</td>
+        <td>${getAppointmentStaffNames(apt)}</td>
+        <td>${statusBadge(apt)}</td>
+        <td>${history.paidByAppointment[apt.id] !== undefined ? formatCurrency(history.paidByAppointment[apt.id]) : '-'}</td>
+        <td>${historyNotes[apt.id] || '-'}</td>
+      </tr>
+    `).join('');
+}
+
+/**
+ * Switch from the profile to the client edit modal
+ */
+function editClientFromProfile() {
+  clientProfileModalInstance.hide();
+  editClient(document.getElementById('clientProfileId').value);
+}
+
+/**
+ * Open the appointment modal for the profile's client, prefilled with their
+ * most recent service and staff member (date defaults to today)
+ */
+function bookAgainForClient() {
+  const clientId = parseInt(document.getElementById('clientProfileId').value);
+  const lastAppointment = allAppointments
+    .filter(a => a.clientId === clientId && a.status !== 'deleted_by_user' && a.status !== 'deleted_by_staff')
+    .sort((a, b) => `${b.date} ${b.time}`.localeCompare(`${a.date} ${a.time}`))[0];
+  
+  clientProfileModalInstance.hide();
+  currentDayForAppointments = toDateKey(new Date());
+  openAppointmentModalForDay();
+  setAppointmentClient(clientId);
+  if (lastAppointment) {
+    document.getElementById('appointmentService').value = lastAppointment.serviceId;
+    document.getElementById('appointmentStaff').value = lastAppointment.staffId;
+    updateAppointmentEndTime();
+  }
+}
+
 /**
  * Submit client form
  * Determines whether to POST (new) or PUT (edit) based on clientId
@@ -486,6 +1208,9 @@ async function submitClientForm(e) {
     return;
   }
   
+  // A tag still being typed counts too
+  addClientModalTag(document.getElementById('clientTagInput').value);
+  
   const clientData = {
     id: clientId ? parseInt(clientId) : undefined,
     name: clientName,
@@ -494,7 +1219,10 @@ async function submitClientForm(e) {
     notes: document.getElementById('clientNotes').value,
     isVIP: document.getElementById('clientVIP').checked,
     isBadClient: document.getElementById('clientBad').checked,
-    appointments: clientId ? (allClients.find(c => c.id == clientId)?.appointments || []) : []
+    depositRequired: document.getElementById('clientDeposit').checked,
+    tags: clientModalTags,
+    appointments: clientId ? (allClients.find(c => c.id == clientId)?.appointments || []) : [],
+    allowDuplicates: document.getElementById('clientAllowDuplicates').value === '1'
   };
 
   // Log data for debugging (visible in browser console)
@@ -519,6 +1247,8 @@ async function submitClientForm(e) {
       showAlert(`Client ${action === 'add' ? 'added' : 'updated'} successfully!`, 'success');
       clientModalInstance.hide();
       loadClients();
+    } else if (result.duplicates) {
+      renderDuplicateWarning('client', result.duplicates);
     } else {
       showAlert('Error: ' + result.error, 'danger');
     }
@@ -554,6 +1284,8 @@ async function deleteClient(clientId) {
     if (result.success) {
       showAlert('Client deleted successfully!', 'success');
       loadClients();
+    } else if (result.references) {
+      openRecordDeleteModal('client', clientId, result);
     } else {
       showAlert('Error: ' + result.error, 'danger');
     }
@@ -563,13 +1295,49 @@ async function deleteClient(clientId) {
   }
 }
 
+/**
+ * Rebuild every client's appointment history from appointments.json
+ */
+async function repairClientHistories() {
+  if (!confirm('Rebuild all client appointment histories from the appointments? Notes are kept.')) return;
+  
+  try {
+    const response = await fetch('php/clients.php', {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'repairHistory' })
+    });
+    const result = await response.json();
+    if (result.success) {
+      const { clientsUpdated, entries, orphaned } = result.data;
+      let message = `Client histories rebuilt: ${clientsUpdated} client(s) updated, ${entries} appointment(s) listed.`;
+      if (orphaned > 0) {
+        message += ` ${orphaned} appointment(s) belong to clients that no longer exist.`;
+      }
+      showAlert(message, orphaned > 0 ? 'warning' : 'success');
+      loadClients();
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error repairing client histories:', error);
+    showAlert('Error repairing client histories: ' + error.message, 'danger');
+  }
+}
+
 /**
  * Open staff modal for adding new staff member
  */
 function openStaffModal() {
   document.getElementById('staffForm').reset();
   document.getElementById('staffId').value = '';
-  document.getElementById('staffForm').querySelector('.modal-title').textContent = 'Add Staff';
+  document.getElementById('staffModalLabel').textContent = 'Add Staff';
+  clearDuplicateWarning('staff');
+  renderStaffScheduleEditor(null);
+  renderStaffServicesEditor([]);
+  renderStaffCommissionEditor(null);
+  renderStaffTimeOffList([]);
   staffModalInstance.show();
 }
 
@@ -584,26 +1352,350 @@ function editStaff(staffId) {
   document.getElementById('staffName').value = staff.name;
   document.getElementById('staffRole').value = staff.role;
   document.getElementById('staffEmail').value = staff.email;
+  document.getElementById('staffModalLabel').textContent = 'Edit Staff';
+  clearDuplicateWarning('staff');
+  renderStaffScheduleEditor(staff.schedule || null);
+  renderStaffServicesEditor(staff.services || []);
+  renderStaffCommissionEditor(staff.commission || null);
+  renderStaffTimeOffList(staff.timeOff || []);
   staffModalInstance.show();
 }
 
 /**
- * Submit staff form
+ * Render the weekly schedule editor in the staff modal
+ * A null schedule means 09:00-18:00 every day; new schedules default to Mon-Sat 09:00-18:00
  */
-async function submitStaffForm(e) {
-  e.preventDefault();
-  
-  const staffId = document.getElementById('staffId').value;
-  const action = staffId ? 'edit' : 'add';
+function renderStaffScheduleEditor(schedule) {
+  document.getElementById('staffUseSchedule').checked = schedule !== null;
+  toggleStaffScheduleEditor();
   
-  // ===== CLIENT-SIDE VALIDATION =====
-  // Validate required fields
-  const staffName = document.getElementById('staffName').value;
-  const staffRole = document.getElementById('staffRole').value;
-  const staffEmail = document.getElementById('staffEmail').value;
+  const tbody = document.getElementById('staffScheduleTable');
+  tbody.innerHTML = '';
   
-  if (!staffName) {
-    showAlert('Please enter staff name', 'danger');
+  // Monday first
+  [1, 2, 3, 4, 5, 6, 0].forEach(dayIndex => {
+    const key = WEEKDAY_KEYS[dayIndex];
+    const hours = schedule ? schedule[key] : (key === 'sun' ? null : { start: '09:00', end: '18:00', breakStart: '13:00', breakEnd: '14:00' });
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${WEEKDAY_NAMES[dayIndex]}</td>
+      <td><input type="checkbox" class="form-check-input" id="schedule-${key}-works" ${hours ? 'checked' : ''}></td>
+      <td><input type="time" class="form-control form-control-sm" id="schedule-${key}-start" value="${hours?.start || '09:00'}"></td>
+      <td><input type="time" class="form-control form-control-sm" id="schedule-${key}-end" value="${hours?.end || '18:00'}"></td>
+      <td><input type="time" class="form-control form-control-sm" id="schedule-${key}-breakStart" value="${hours?.breakStart || ''}"></td>
+      <td><input type="time" class="form-control form-control-sm" id="schedule-${key}-breakEnd" value="${hours?.breakEnd || ''}"></td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Show/hide the weekly schedule table based on the "fixed working hours" switch
+ */
+function toggleStaffScheduleEditor() {
+  const useSchedule = document.getElementById('staffUseSchedule').checked;
+  document.getElementById('staffScheduleContainer').classList.toggle('d-none', !useSchedule);
+}
+
+/**
+ * Read the weekly schedule from the staff modal
+ * Returns null when fixed working hours are disabled
+ */
+function readStaffScheduleEditor() {
+  if (!document.getElementById('staffUseSchedule').checked) return null;
+  
+  const schedule = {};
+  WEEKDAY_KEYS.forEach(key => {
+    if (!document.getElementById(`schedule-${key}-works`).checked) {
+      schedule[key] = null;
+      return;
+    }
+    schedule[key] = {
+      start: document.getElementById(`schedule-${key}-start`).value,
+      end: document.getElementById(`schedule-${key}-end`).value,
+      breakStart: document.getElementById(`schedule-${key}-breakStart`).value || null,
+      breakEnd: document.getElementById(`schedule-${key}-breakEnd`).value || null
+    };
+  });
+  return schedule;
+}
+
+/**
+ * Render the services performed (with price/duration overrides) in the staff modal
+ * Archived services are only listed when the staff member still has them
+ */
+function renderStaffServicesEditor(staffServices) {
+  const tbody = document.getElementById('staffServicesTable');
+  tbody.innerHTML = '';
+  
+  allServices.forEach(service => {
+    const entry = staffServices.find(item => item.serviceId === service.id);
+    if (service.archived && !entry) return;
+    const row = document.createElement('tr');
+    row.dataset.serviceId = service.id;
+    row.innerHTML = `
+      <td><input type="checkbox" class="form-check-input staff-service-performs" ${entry ? 'checked' : ''}></td>
+      <td>${service.name}</td>
+      <td><input type="number" class="form-control form-control-sm staff-service-price" min="0" step="0.01" placeholder="${parseFloat(service.price).toFixed(2)}" value="${entry?.price ?? ''}"></td>
+      <td><input type="number" class="form-control form-control-sm staff-service-duration" min="1" placeholder="${service.duration}" value="${entry?.duration ?? ''}"></td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Read the ticked services from the staff modal
+ */
+function readStaffServicesEditor() {
+  return Array.from(document.querySelectorAll('#staffServicesTable tr'))
+    .filter(row => row.querySelector('.staff-service-performs').checked)
+    .map(row => ({
+      serviceId: parseInt(row.dataset.serviceId),
+      price: row.querySelector('.staff-service-price').value || null,
+      duration: row.querySelector('.staff-service-duration').value || null
+    }));
+}
+
+/**
+ * Render the commission rules in the staff modal (see php/includes/commission.php)
+ */
+function renderStaffCommissionEditor(commission) {
+  commission = commission || { mode: 'none' };
+  document.getElementById('staffCommissionMode').value = commission.mode;
+  document.getElementById('staffCommissionDefaultRate').value = commission.defaultRate ?? '';
+  
+  document.getElementById('staffCommissionCategoryList').innerHTML = '';
+  (commission.categoryRates || []).forEach(entry => addStaffCommissionCategoryRow(entry));
+  
+  const tbody = document.getElementById('staffCommissionServiceTable');
+  tbody.innerHTML = '';
+  allServices.forEach(service => {
+    const entry = (commission.serviceFixed || []).find(item => item.serviceId === service.id);
+    if (service.archived && !entry) return;
+    const row = document.createElement('tr');
+    row.dataset.serviceId = service.id;
+    row.innerHTML = `
+      <td>${service.name}</td>
+      <td><input type="number" class="form-control form-control-sm commission-service-amount" min="0" step="0.01" placeholder="Default rate" value="${entry?.amount ?? ''}"></td>
+    `;
+    tbody.appendChild(row);
+  });
+  
+  document.getElementById('staffCommissionTierList').innerHTML = '';
+  (commission.tiers || [{ from: 0, rate: '' }]).forEach(tier => addStaffCommissionTierRow(tier));
+  toggleStaffCommissionEditor();
+}
+
+/**
+ * Show the inputs of the chosen commission mode
+ */
+function toggleStaffCommissionEditor() {
+  const mode = document.getElementById('staffCommissionMode').value;
+  document.getElementById('staffCommissionDefault').classList.toggle('d-none', mode !== 'category' && mode !== 'service');
+  document.getElementById('staffCommissionCategory').classList.toggle('d-none', mode !== 'category');
+  document.getElementById('staffCommissionService').classList.toggle('d-none', mode !== 'service');
+  document.getElementById('staffCommissionTiered').classList.toggle('d-none', mode !== 'tiered');
+}
+
+/**
+ * Append a category + rate row to the commission rules
+ */
+function addStaffCommissionCategoryRow(entry = {}) {
+  const row = document.createElement('div');
+  row.className = 'row g-2 mb-2 commission-category-row';
+  row.innerHTML = `
+    <div class="col-6"><input type="text" class="form-control form-control-sm commission-category" list="serviceCategoryOptions" placeholder="Category" value="${entry.category || ''}"></div>
+    <div class="col-5"><input type="number" class="form-control form-control-sm commission-rate" min="0" max="100" step="0.01" placeholder="Rate (%)" value="${entry.rate ?? ''}"></div>
+    <div class="col-1"><button type="button" class="btn btn-outline-danger btn-sm" onclick="this.closest('.commission-category-row').remove()">&times;</button></div>
+  `;
+  document.getElementById('staffCommissionCategoryList').appendChild(row);
+  populateServiceCategoryOptions();
+}
+
+/**
+ * Append a revenue tier row to the commission rules
+ */
+function addStaffCommissionTierRow(tier = {}) {
+  const row = document.createElement('div');
+  row.className = 'row g-2 mb-2 commission-tier-row';
+  row.innerHTML = `
+    <div class="col-6"><input type="number" class="form-control form-control-sm commission-tier-from" min="0" step="0.01" placeholder="Monthly revenue from ($)" value="${tier.from ?? ''}"></div>
+    <div class="col-5"><input type="number" class="form-control form-control-sm commission-rate" min="0" max="100" step="0.01" placeholder="Rate (%)" value="${tier.rate ?? ''}"></div>
+    <div class="col-1"><button type="button" class="btn btn-outline-danger btn-sm" onclick="this.closest('.commission-tier-row').remove()">&times;</button></div>
+  `;
+  document.getElementById('staffCommissionTierList').appendChild(row);
+}
+
+/**
+ * Read the commission rules from the staff modal
+ * Empty rows are ignored
+ */
+function readStaffCommissionEditor() {
+  const mode = document.getElementById('staffCommissionMode').value;
+  const commission = { mode };
+  if (mode === 'category' || mode === 'service') {
+    commission.defaultRate = document.getElementById('staffCommissionDefaultRate').value || 0;
+  }
+  if (mode === 'category') {
+    commission.categoryRates = Array.from(document.querySelectorAll('#staffCommissionCategoryList .commission-category-row'))
+      .map(row => ({
+        category: row.querySelector('.commission-category').value.trim(),
+        rate: row.querySelector('.commission-rate').value
+      }))
+      .filter(entry => entry.category);
+  }
+  if (mode === 'service') {
+    commission.serviceFixed = Array.from(document.querySelectorAll('#staffCommissionServiceTable tr'))
+      .map(row => ({
+        serviceId: parseInt(row.dataset.serviceId),
+        amount: row.querySelector('.commission-service-amount').value
+      }))
+      .filter(entry => entry.amount !== '');
+  }
+  if (mode === 'tiered') {
+    commission.tiers = Array.from(document.querySelectorAll('#staffCommissionTierList .commission-tier-row'))
+      .map(row => ({
+        from: row.querySelector('.commission-tier-from').value,
+        rate: row.querySelector('.commission-rate').value
+      }))
+      .filter(tier => tier.from !== '' || tier.rate !== '');
+  }
+  return commission;
+}
+
+/**
+ * Render time-off rows in the staff modal
+ */
+function renderStaffTimeOffList(timeOff) {
+  document.getElementById('staffTimeOffList').innerHTML = '';
+  timeOff.forEach(entry => addStaffTimeOffRow(entry));
+}
+
+/**
+ * Append a time-off row (date range + reason) to the staff modal
+ */
+function addStaffTimeOffRow(entry = {}) {
+  const row = document.createElement('div');
+  row.className = 'row g-2 mb-2 staff-time-off-row';
+  row.innerHTML = `
+    <div class="col-4"><input type="date" class="form-control form-control-sm time-off-from" value="${entry.dateFrom || ''}"></div>
+    <div class="col-4"><input type="date" class="form-control form-control-sm time-off-to" value="${entry.dateTo || ''}"></div>
+    <div class="col-3"><input type="text" class="form-control form-control-sm time-off-reason" placeholder="Reason" value="${entry.reason || ''}"></div>
+    <div class="col-1"><button type="button" class="btn btn-outline-danger btn-sm" onclick="this.closest('.staff-time-off-row').remove()">&times;</button></div>
+  `;
+  document.getElementById('staffTimeOffList').appendChild(row);
+}
+
+/**
+ * Read time-off entries from the staff modal (rows without a start date are ignored)
+ */
+function readStaffTimeOff() {
+  return Array.from(document.querySelectorAll('#staffTimeOffList .staff-time-off-row'))
+    .map(row => ({
+      dateFrom: row.querySelector('.time-off-from').value,
+      dateTo: row.querySelector('.time-off-to').value || row.querySelector('.time-off-from').value,
+      reason: row.querySelector('.time-off-reason').value
+    }))
+    .filter(entry => entry.dateFrom);
+}
+
+/**
+ * Find the time-off entry covering a date, if any
+ */
+function findStaffTimeOff(staff, dateStr) {
+  return (staff.timeOff || []).find(entry => dateStr >= entry.dateFrom && dateStr <= entry.dateTo) || null;
+}
+
+/**
+ * Check whether a staff member works at all on a date (schedule + time off)
+ * Staff without a schedule work every day
+ */
+function isStaffWorkingOnDate(staff, dateStr) {
+  if (findStaffTimeOff(staff, dateStr)) return false;
+  if (!staff.schedule) return true;
+  const dayKey = WEEKDAY_KEYS[new Date(dateStr + 'T00:00:00').getDay()];
+  return !!staff.schedule[dayKey];
+}
+
+/**
+ * Staff members list the services they perform, optionally at their own
+ * price and duration (see php/includes/staff-services.php). Staff without a
+ * list perform every service at the standard price and duration.
+ */
+function staffPerformsService(staff, serviceId) {
+  return !staff.services || staff.services.length === 0 ||
+    staff.services.some(entry => entry.serviceId == serviceId);
+}
+
+/**
+ * Minutes a service takes with a staff member
+ */
+function getStaffServiceDuration(staff, service) {
+  const entry = (staff?.services || []).find(item => item.serviceId == service.id);
+  return entry?.duration ?? service.duration;
+}
+
+/**
+ * Price of a service with a staff member
+ */
+function getStaffServicePrice(staff, service) {
+  const entry = (staff?.services || []).find(item => item.serviceId == service.id);
+  return parseFloat(entry?.price ?? service.price);
+}
+
+/**
+ * Short list of the services a staff member performs, for the staff table
+ */
+function formatStaffServicesSummary(member) {
+  if (!member.services || member.services.length === 0) {
+    return '<span class="text-muted">All services</span>';
+  }
+  return member.services.map(entry => {
+    const service = allServices.find(s => s.id === entry.serviceId);
+    if (!service) return '';
+    const overrides = [];
+    if (entry.price !== null) overrides.push(formatCurrency(entry.price));
+    if (entry.duration !== null) overrides.push(`${entry.duration} min`);
+    return `<div>${service.name}${overrides.length ? ` <span class="text-muted small">(${overrides.join(', ')})</span>` : ''}</div>`;
+  }).join('');
+}
+
+/**
+ * Short schedule summary for the staff table
+ */
+function formatStaffScheduleSummary(member) {
+  const today = toDateKey(new Date());
+  let summary = 'Every day, 09:00-18:00';
+  if (member.schedule) {
+    const days = [1, 2, 3, 4, 5, 6, 0]
+      .filter(i => member.schedule[WEEKDAY_KEYS[i]])
+      .map(i => WEEKDAY_NAMES[i].substring(0, 3));
+    summary = days.length ? days.join(', ') : 'No working days';
+  }
+  const upcomingOff = (member.timeOff || []).filter(entry => entry.dateTo >= today).length;
+  if (upcomingOff > 0) {
+    summary += ` <span class="badge badge-secondary">${upcomingOff} time off</span>`;
+  }
+  return summary;
+}
+
+/**
+ * Submit staff form
+ */
+async function submitStaffForm(e) {
+  e.preventDefault();
+  
+  const staffId = document.getElementById('staffId').value;
+  const action = staffId ? 'edit' : 'add';
+  
+  // ===== CLIENT-SIDE VALIDATION =====
+  // Validate required fields
+  const staffName = document.getElementById('staffName').value;
+  const staffRole = document.getElementById('staffRole').value;
+  const staffEmail = document.getElementById('staffEmail').value;
+  
+  if (!staffName) {
+    showAlert('Please enter staff name', 'danger');
     return;
   }
   
@@ -623,11 +1715,25 @@ async function submitStaffForm(e) {
     return;
   }
   
+  const schedule = readStaffScheduleEditor();
+  if (schedule) {
+    const invalidDay = Object.keys(schedule).find(key => schedule[key] && schedule[key].start >= schedule[key].end);
+    if (invalidDay) {
+      showAlert(`Working hours for ${WEEKDAY_NAMES[WEEKDAY_KEYS.indexOf(invalidDay)]} must end after they start`, 'danger');
+      return;
+    }
+  }
+  
   const staffData = {
     id: staffId ? parseInt(staffId) : undefined,
     name: staffName,
     role: staffRole,
-    email: staffEmail
+    email: staffEmail,
+    schedule: schedule,
+    services: readStaffServicesEditor(),
+    commission: readStaffCommissionEditor(),
+    timeOff: readStaffTimeOff(),
+    allowDuplicates: document.getElementById('staffAllowDuplicates').value === '1'
   };
   
   // Log data for debugging (visible in browser console)
@@ -652,6 +1758,8 @@ async function submitStaffForm(e) {
       showAlert(`Staff member ${action === 'add' ? 'added' : 'updated'} successfully!`, 'success');
       staffModalInstance.hide();
       loadStaff();
+    } else if (result.duplicates) {
+      renderDuplicateWarning('staff', result.duplicates);
     } else {
       showAlert('Error: ' + result.error, 'danger');
     }
@@ -686,6 +1794,8 @@ async function deleteStaff(staffId) {
     if (result.success) {
       showAlert('Staff member deleted successfully!', 'success');
       loadStaff();
+    } else if (result.references) {
+      openRecordDeleteModal('staff', staffId, result);
     } else {
       showAlert('Error: ' + result.error, 'danger');
     }
@@ -695,6 +1805,77 @@ async function deleteStaff(staffId) {
   }
 }
 
+/**
+ * Subscribable calendar feed URL for a staff member (null without a token)
+ */
+function getStaffCalendarFeedUrl(member) {
+  if (!member.calendarToken) return null;
+  return new URL(`php/calendar.php?staff=${member.id}&token=${member.calendarToken}`, window.location.href).href;
+}
+
+/**
+ * Show the calendar feed link for a staff member
+ */
+function openStaffCalendarModal(staffId) {
+  const member = allStaff.find(s => s.id == staffId);
+  if (!member) return;
+  
+  const feedUrl = getStaffCalendarFeedUrl(member);
+  document.getElementById('staffCalendarStaffId').value = member.id;
+  document.getElementById('staffCalendarStaffName').innerHTML = member.name;
+  document.getElementById('staffCalendarLink').classList.toggle('d-none', !feedUrl);
+  document.getElementById('staffCalendarEmpty').classList.toggle('d-none', !!feedUrl);
+  document.getElementById('staffCalendarUrl').value = feedUrl || '';
+  document.getElementById('staffCalendarSubscribe').href = feedUrl ? feedUrl.replace(/^https?:/, 'webcal:') : '#';
+  document.getElementById('staffCalendarRegenerate').textContent = feedUrl ? 'Regenerate Link' : 'Create Link';
+  staffCalendarModalInstance.show();
+}
+
+/**
+ * Create or replace the feed token; the previous link stops working
+ */
+async function regenerateStaffCalendarToken() {
+  const staffId = parseInt(document.getElementById('staffCalendarStaffId').value);
+  const member = allStaff.find(s => s.id === staffId);
+  if (member && member.calendarToken &&
+      !confirm('Regenerate the link? Calendars subscribed to the current link will stop updating.')) return;
+  
+  try {
+    const response = await fetch('php/staff.php', {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'regenerateCalendarToken', id: staffId })
+    });
+    const result = await response.json();
+    if (result.success) {
+      await loadStaff();
+      openStaffCalendarModal(staffId);
+      showAlert('Calendar link created successfully!', 'success');
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error regenerating calendar link:', error);
+    showAlert('Error regenerating calendar link: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Copy the feed URL to the clipboard
+ */
+async function copyStaffCalendarUrl() {
+  const input = document.getElementById('staffCalendarUrl');
+  try {
+    await navigator.clipboard.writeText(input.value);
+    showAlert('Calendar link copied to clipboard', 'success');
+  } catch (error) {
+    // Clipboard API unavailable (e.g. plain http): let the user copy it
+    input.select();
+    showAlert('Press Ctrl+C to copy the selected link', 'info');
+  }
+}
+
 /**
  * Open service modal for adding new service
  */
@@ -702,6 +1883,8 @@ function openServiceModal() {
   document.getElementById('serviceForm').reset();
   document.getElementById('serviceId').value = '';
   document.getElementById('serviceModalLabel').textContent = 'Add Service';
+  clearDuplicateWarning('service');
+  populateServiceCategoryOptions();
   serviceModalInstance.show();
 }
 
@@ -714,12 +1897,29 @@ function editService(serviceId) {
   
   document.getElementById('serviceId').value = service.id;
   document.getElementById('serviceName').value = service.name;
+  document.getElementById('serviceCategory').value = service.category || '';
+  document.getElementById('serviceDescription').value = decodeHtml(service.description || '');
   document.getElementById('serviceDuration').value = service.duration;
   document.getElementById('servicePrice').value = parseFloat(service.price).toFixed(2);
+  document.getElementById('serviceLoyaltyPoints').value = service.loyaltyPoints ?? '';
+  document.getElementById('serviceDisplayOrder').value = service.displayOrder ?? 0;
+  document.getElementById('serviceActive').checked = !isServiceInactive(service);
   document.getElementById('serviceModalLabel').textContent = 'Edit Service';
+  clearDuplicateWarning('service');
+  populateServiceCategoryOptions();
   serviceModalInstance.show();
 }
 
+/**
+ * Fill the category suggestions with the categories already in use
+ */
+function populateServiceCategoryOptions() {
+  const categories = [...new Set(allServices.map(service => service.category).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b));
+  document.getElementById('serviceCategoryOptions').innerHTML = categories
+    .map(category => `<option value="${category}"></option>`).join('');
+}
+
 /**
  * Submit service form
  */
@@ -763,8 +1963,14 @@ async function submitServiceForm(e) {
   const serviceData = {
     id: serviceId ? parseInt(serviceId) : undefined,
     name: serviceName,
+    category: document.getElementById('serviceCategory').value,
+    description: document.getElementById('serviceDescription').value,
+    displayOrder: document.getElementById('serviceDisplayOrder').value,
+    active: document.getElementById('serviceActive').checked,
     duration: parseInt(serviceDuration),
-    price: parseFloat(servicePrice)
+    price: parseFloat(servicePrice),
+    loyaltyPoints: document.getElementById('serviceLoyaltyPoints').value,
+    allowDuplicates: document.getElementById('serviceAllowDuplicates').value === '1'
   };
   
   // Log data for debugging (visible in browser console)
@@ -789,6 +1995,8 @@ async function submitServiceForm(e) {
       showAlert(`Service ${action === 'add' ? 'added' : 'updated'} successfully!`, 'success');
       serviceModalInstance.hide();
       loadServices();
+    } else if (result.duplicates) {
+      renderDuplicateWarning('service', result.duplicates);
     } else {
       showAlert('Error: ' + result.error, 'danger');
     }
@@ -823,6 +2031,8 @@ async function deleteService(serviceId) {
     if (result.success) {
       showAlert('Service deleted successfully!', 'success');
       loadServices();
+    } else if (result.references) {
+      openRecordDeleteModal('service', serviceId, result);
     } else {
       showAlert('Error: ' + result.error, 'danger');
     }
@@ -833,39 +2043,1546 @@ async function deleteService(serviceId) {
 }
 
 /**
- * ===== CALENDAR LOGIC =====
- * 
- * The calendar is a grid-based monthly view where:
- * 1. Each cell represents a date
- * 2. Days with appointments have a red border (highlight class)
- * 3. Clicking a date opens a modal showing appointments for that day
- * 4. Each day has a "[+]" button to create new appointments
- * 5. Calendar updates after each appointment mutation
+ * ===== SERVICE PACKAGES =====
+ *
+ * A package books two or more services together at a package price. Its
+ * services are booked in the order they are listed; inactive packages stay
+ * on appointments already booked with them but cannot be picked for new ones.
  */
 
 /**
- * Render calendar for the current month
- * Creates a grid layout with proper week layout and appointment indicators
+ * Load and display packages in the Services tab
  */
-function renderCalendar() {
-  const year = currentMonth.getFullYear();
-  const month = currentMonth.getMonth();
+async function loadPackages() {
+  try {
+    const response = await fetch('php/packages.php?action=list', { 
+      cache: 'no-store' 
+    });
+    const result = await response.json();
+    if (result.success) {
+      allPackages.length = 0;
+      allPackages.push(...result.data);
+      populateAppointmentPackages();
+      renderPackagesTable(result.data);
+    } else {
+      showAlert('Error loading packages: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error loading packages:', error);
+    showAlert('Error loading packages: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Whether a package is switched off for booking (active: false)
+ */
+function isPackageInactive(pkg) {
+  return pkg.active === false;
+}
+
+/**
+ * Regular price of a package's services (standard service prices)
+ */
+function getPackageRegularPrice(pkg) {
+  return pkg.serviceIds.reduce((sum, serviceId) => {
+    const service = allServices.find(s => s.id == serviceId);
+    return sum + (parseFloat(service?.price) || 0);
+  }, 0);
+}
+
+/**
+ * Render packages table HTML
+ */
+function renderPackagesTable(packages) {
+  const tbody = document.getElementById('packagesTable');
+  tbody.innerHTML = '';
   
-  // Update header with current month/year
-  const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-    'July', 'August', 'September', 'October', 'November', 'December'];
-  document.getElementById('currentMonth').textContent = `${monthNames[month]} ${year}`;
+  if (packages.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No packages yet</td></tr>';
+    return;
+  }
   
-  const firstDay = new Date(year, month, 1);
-  const lastDay = new Date(year, month + 1, 0);
-  const daysInMonth = lastDay.getDate();
-  const startingDayOfWeek = firstDay.getDay();
+  packages.forEach(pkg => {
+    const services = pkg.serviceIds.map(id => (allServices.find(s => s.id == id) || {}).name || 'Unknown');
+    const row = document.createElement('tr');
+    row.classList.toggle('archived-row', isPackageInactive(pkg));
+    row.innerHTML = `
+      <td>${pkg.id}</td>
+      <td><strong>${pkg.name}</strong>${isPackageInactive(pkg) ? ' <span class="badge badge-secondary">Inactive</span>' : ''}</td>
+      <td>${services.join(' + ')}</td>
+      <td>$${parseFloat(pkg.price).toFixed(2)}<div class="small text-muted">regular $${getPackageRegularPrice(pkg).toFixed(2)}</div></td>
+      <td>
+        <button class="btn btn-warning btn-action" onclick="editPackage(${pkg.id})">Edit</button>
+        <button class="btn btn-danger btn-action" onclick="deletePackage(${pkg.id})">Delete</button>
+      </td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * List the services to tick in the package modal
+ * Archived and inactive services are only listed when already in the package.
+ */
+function renderPackageServicesEditor(serviceIds) {
+  const list = document.getElementById('packageServices');
+  list.innerHTML = '';
+  allServices
+    .filter(service => (!service.archived && !isServiceInactive(service)) || serviceIds.includes(service.id))
+    .forEach(service => {
+      const item = document.createElement('div');
+      item.className = 'form-check';
+      item.innerHTML = `
+        <input class="form-check-input package-service" type="checkbox" id="packageService${service.id}" value="${service.id}" onchange="updatePackageRegularPrice()">
+        <label class="form-check-label" for="packageService${service.id}">${service.name} <span class="text-muted">(${service.duration} min, $${parseFloat(service.price).toFixed(2)})</span></label>
+      `;
+      item.querySelector('input').checked = serviceIds.includes(service.id);
+      list.appendChild(item);
+    });
+  updatePackageRegularPrice();
+}
+
+/**
+ * Show the regular price of the ticked services under the package price
+ */
+function updatePackageRegularPrice() {
+  const serviceIds = readPackageServices();
+  document.getElementById('packageRegularPrice').textContent = serviceIds.length > 0
+    ? `Regular price of the services: ${formatCurrency(getPackageRegularPrice({ serviceIds }))}`
+    : '';
+}
+
+/**
+ * IDs of the services ticked in the package modal, in list order
+ */
+function readPackageServices() {
+  return Array.from(document.querySelectorAll('#packageServices .package-service:checked'))
+    .map(checkbox => parseInt(checkbox.value));
+}
+
+/**
+ * Open package modal for adding new package
+ */
+function openPackageModal() {
+  document.getElementById('packageForm').reset();
+  document.getElementById('packageId').value = '';
+  document.getElementById('packageModalLabel').textContent = 'Add Package';
+  renderPackageServicesEditor([]);
+  packageModalInstance.show();
+}
+
+/**
+ * Edit existing package
+ */
+function editPackage(packageId) {
+  const pkg = allPackages.find(p => p.id == packageId);
+  if (!pkg) return;
   
-  // Create calendar grid container
-  const grid = document.getElementById('calendarGrid');
-  grid.innerHTML = '';
+  document.getElementById('packageId').value = pkg.id;
+  document.getElementById('packageName').value = decodeHtml(pkg.name);
+  document.getElementById('packagePrice').value = parseFloat(pkg.price).toFixed(2);
+  document.getElementById('packageActive').checked = !isPackageInactive(pkg);
+  document.getElementById('packageModalLabel').textContent = 'Edit Package';
+  renderPackageServicesEditor(pkg.serviceIds);
+  packageModalInstance.show();
+}
+
+/**
+ * Submit package form
+ */
+async function submitPackageForm(e) {
+  e.preventDefault();
   
-  // Add day headers (Mon, Tue, Wed, etc)
+  const packageId = document.getElementById('packageId').value;
+  const action = packageId ? 'edit' : 'add';
+  const packageName = document.getElementById('packageName').value;
+  const packagePrice = document.getElementById('packagePrice').value;
+  const serviceIds = readPackageServices();
+  
+  if (!packageName) {
+    showAlert('Please enter package name', 'danger');
+    return;
+  }
+  
+  if (!packagePrice || parseFloat(packagePrice) < 0) {
+    showAlert('Please enter a package price of 0 or more', 'danger');
+    return;
+  }
+  
+  if (serviceIds.length < 2) {
+    showAlert('Please select at least two services', 'danger');
+    return;
+  }
+  
+  const packageData = {
+    id: packageId ? parseInt(packageId) : undefined,
+    name: packageName,
+    price: parseFloat(packagePrice),
+    serviceIds,
+    active: document.getElementById('packageActive').checked
+  };
+  
+  const endpoint = 'php/packages.php';
+  const body = { action, data: packageData };
+  console.log('Sending request to:', endpoint);
+  console.log('Request data:', body);
+  
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    
+    console.log('Response status:', response.status);
+    const result = await response.json();
+    console.log('Response data:', result);
+    
+    if (result.success) {
+      showAlert(`Package ${action === 'add' ? 'added' : 'updated'} successfully!`, 'success');
+      packageModalInstance.hide();
+      loadPackages();
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error submitting package form:', error);
+    showAlert('Error saving package: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Delete package by ID
+ * Appointments booked with it keep their copy of the package
+ */
+async function deletePackage(packageId) {
+  if (!confirm('Are you sure you want to delete this package? Appointments already booked with it keep their package price.')) return;
+  
+  const endpoint = 'php/packages.php';
+  const body = { action: 'delete', id: packageId };
+  console.log('Sending request to:', endpoint);
+  console.log('Request data:', body);
+  
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    
+    console.log('Response status:', response.status);
+    const result = await response.json();
+    console.log('Response data:', result);
+    if (result.success) {
+      showAlert('Package deleted successfully!', 'success');
+      loadPackages();
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error deleting package:', error);
+    showAlert('Error deleting package: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * ===== DUPLICATES AND MERGING =====
+ *
+ * Saving a client, staff member or service that shares an email, phone or
+ * name with an existing record is answered with 409 + duplicates. The modal
+ * lists them with a "Save anyway" button. The merge tool lists groups of
+ * likely duplicates and merges each group into the record picked to keep.
+ * type is 'client', 'staff' or 'service' (also the modal's element prefix).
+ */
+
+/**
+ * Hide the duplicates warning of a modal and reset its "save anyway" override
+ */
+function clearDuplicateWarning(type) {
+  const container = document.getElementById(`${type}Duplicates`);
+  container.innerHTML = '';
+  container.classList.add('d-none');
+  document.getElementById(`${type}AllowDuplicates`).value = '';
+}
+
+/**
+ * Render likely duplicates returned by the server in a modal
+ * Offers a "Save anyway" button that resubmits with allowDuplicates set
+ */
+function renderDuplicateWarning(type, duplicates) {
+  const container = document.getElementById(`${type}Duplicates`);
+  const items = duplicates.map(record => {
+    const reasons = record.matchedOn.map(on => DUPLICATE_MATCH_LABELS[on]).join(', ');
+    return `<li>${record.name} (#${record.id}) <em>${reasons}</em></li>`;
+  }).join('');
+  
+  container.innerHTML = `
+    <strong>This looks like an existing record:</strong>
+    <ul class="mb-2">${items}</ul>
+    <button type="button" class="btn btn-warning btn-sm" onclick="saveDespiteDuplicates('${type}')">Save anyway</button>
+  `;
+  container.classList.remove('d-none');
+}
+
+/**
+ * Resubmit a form overriding duplicate detection
+ */
+function saveDespiteDuplicates(type) {
+  document.getElementById(`${type}AllowDuplicates`).value = '1';
+  document.getElementById(`${type}Form`).requestSubmit();
+}
+
+/**
+ * Open the merge tool for clients, staff or services
+ */
+async function openMergeModal(type) {
+  document.getElementById('mergeType').value = type;
+  document.getElementById('mergeModalLabel').textContent = `Merge Duplicate ${RECORD_TYPES[type].title}`;
+  mergeModalInstance.show();
+  await loadDuplicateGroups();
+}
+
+/**
+ * Load groups of likely duplicates for the merge tool
+ * Appointments are reloaded too for the per-record appointment counts
+ */
+async function loadDuplicateGroups() {
+  const type = document.getElementById('mergeType').value;
+  const container = document.getElementById('mergeGroups');
+  container.innerHTML = '<p class="text-muted mb-0">Looking for duplicates...</p>';
+  
+  try {
+    const [response] = await Promise.all([
+      fetch(`${RECORD_TYPES[type].endpoint}?action=duplicates`, { cache: 'no-store' }),
+      loadAppointmentsData()
+    ]);
+    const result = await response.json();
+    if (result.success) {
+      duplicateGroups = result.data;
+      renderDuplicateGroups(type);
+    } else {
+      container.innerHTML = `<p class="text-danger mb-0">${result.error}</p>`;
+    }
+  } catch (error) {
+    console.error('Error loading duplicates:', error);
+    container.innerHTML = `<p class="text-danger mb-0">Error loading duplicates: ${error.message}</p>`;
+  }
+}
+
+/**
+ * Number of appointments referencing a record
+ */
+function countMergeRecordAppointments(type, record) {
+  const field = RECORD_TYPES[type].appointmentField;
+  return allAppointments.filter(apt => apt[field] == record.id ||
+    (apt.lines || []).some(line => line[field] == record.id)).length;
+}
+
+/**
+ * Short description of a record in the merge tool
+ */
+function describeMergeRecord(type, record) {
+  let details;
+  if (type === 'client') {
+    details = [record.email, record.phone];
+  } else if (type === 'staff') {
+    details = [record.role, record.email];
+  } else {
+    details = [`${record.duration} min`, `$${parseFloat(record.price).toFixed(2)}`];
+  }
+  details.push(`${countMergeRecordAppointments(type, record)} appointment(s)`);
+  return details.filter(Boolean).join(' · ');
+}
+
+/**
+ * Render the duplicate groups, one card per group
+ * The record with the most appointments is preselected as the one to keep
+ */
+function renderDuplicateGroups(type) {
+  const container = document.getElementById('mergeGroups');
+  if (duplicateGroups.length === 0) {
+    container.innerHTML = `<p class="mb-0">No likely duplicate ${RECORD_TYPES[type].title.toLowerCase()} found.</p>`;
+    return;
+  }
+  
+  container.innerHTML = duplicateGroups.map((group, index) => {
+    const counts = group.map(record => countMergeRecordAppointments(type, record));
+    const keep = counts.indexOf(Math.max(...counts));
+    const options = group.map((record, i) => `
+      <div class="form-check">
+        <input class="form-check-input" type="radio" name="mergeSurvivor${index}" id="mergeSurvivor${index}_${record.id}" value="${record.id}" ${i === keep ? 'checked' : ''}>
+        <label class="form-check-label" for="mergeSurvivor${index}_${record.id}">
+          <strong>${record.name}</strong> <span class="text-muted small">#${record.id} · ${describeMergeRecord(type, record)}</span>
+        </label>
+      </div>
+    `).join('');
+    return `
+      <div class="card mb-3">
+        <div class="card-body">
+          ${options}
+          <button type="button" class="btn btn-warning btn-sm mt-2" onclick="mergeDuplicateGroup(${index})">Merge into selected</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Merge one duplicate group into the selected record
+ * Reloads all data afterwards, since appointments may have moved
+ */
+async function mergeDuplicateGroup(index) {
+  const type = document.getElementById('mergeType').value;
+  const group = duplicateGroups[index];
+  const selected = document.querySelector(`input[name="mergeSurvivor${index}"]:checked`);
+  if (!group || !selected) return;
+  
+  const survivor = group.find(record => record.id == selected.value);
+  const duplicateIds = group.filter(record => record.id !== survivor.id).map(record => record.id);
+  if (!confirm(`Merge ${duplicateIds.length} ${RECORD_TYPES[type].label} into "${decodeHtml(survivor.name)}"? The others are deleted. This cannot be undone.`)) return;
+  
+  try {
+    const response = await fetch(RECORD_TYPES[type].endpoint, {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'merge', survivorId: survivor.id, duplicateIds })
+    });
+    const result = await response.json();
+    if (result.success) {
+      const { merged, appointmentsUpdated, seriesUpdated, incomesUpdated } = result.data;
+      showAlert(`Merged ${merged} ${RECORD_TYPES[type].label} into ${result.data.survivor.name}: ` +
+        `${appointmentsUpdated} appointment(s), ${seriesUpdated} recurring series and ${incomesUpdated} income record(s) moved.`, 'success');
+      await loadAllData();
+      RECORD_TYPES[type].reload();
+      loadDuplicateGroups();
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error merging duplicates:', error);
+    showAlert('Error merging duplicates: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * ===== ARCHIVING =====
+ *
+ * Clients, staff and services with appointments cannot be deleted (the
+ * server answers 409 + references). The delete modal offers to archive them
+ * instead, first moving any upcoming appointments to another record.
+ * Archived records still show in past appointments but not in dropdowns.
+ */
+
+/**
+ * "Archived" badge after a record's name
+ */
+function formatArchivedBadge(record) {
+  return record.archived ? ' <span class="badge badge-secondary">Archived</span>' : '';
+}
+
+/**
+ * Explain why a record cannot be deleted and offer to archive it
+ * With upcoming appointments, another active record must take them over first
+ */
+function openRecordDeleteModal(type, id, result) {
+  const upcoming = result.references.upcoming;
+  document.getElementById('recordDeleteType').value = type;
+  document.getElementById('recordDeleteId').value = id;
+  document.getElementById('recordDeleteModalLabel').textContent = `Cannot Delete ${RECORD_TYPES[type].noun.replace(/^./, c => c.toUpperCase())}`;
+  document.getElementById('recordDeleteMessage').textContent = result.error;
+  
+  const select = document.getElementById('recordDeleteReassignTo');
+  select.innerHTML = `<option value="">Select a ${RECORD_TYPES[type].noun}</option>` + RECORD_TYPES[type].records
+    .filter(record => !record.archived && !(type === 'service' && isServiceInactive(record)) && record.id != id)
+    .map(record => `<option value="${record.id}">${record.name}${record.role ? ` (${record.role})` : ''}</option>`)
+    .join('');
+  document.getElementById('recordDeleteReassign').classList.toggle('d-none', upcoming === 0);
+  clearReassignSkipped();
+  document.getElementById('recordDeleteArchiveButton').textContent = upcoming > 0 ? 'Move and Archive' : 'Archive';
+  recordDeleteModalInstance.show();
+}
+
+/**
+ * Hide the list of appointments that could not be moved
+ */
+function clearReassignSkipped() {
+  const container = document.getElementById('recordDeleteSkipped');
+  container.innerHTML = '';
+  container.classList.add('d-none');
+}
+
+/**
+ * List the upcoming appointments the server could not move
+ * Overlaps can be accepted with "Move anyway"; working-hour problems cannot
+ */
+function renderReassignSkipped(skipped) {
+  const container = document.getElementById('recordDeleteSkipped');
+  const items = skipped.map(item => `<li>${formatDate(item.date + 'T00:00:00')} ${item.time}: <em>${item.reason}</em></li>`).join('');
+  const overlapsOnly = skipped.every(item => item.conflicts.length > 0);
+  container.innerHTML = `
+    <strong>${skipped.length} appointment(s) could not be moved:</strong>
+    <ul class="mb-2">${items}</ul>
+    ${overlapsOnly
+      ? '<button type="button" class="btn btn-warning btn-sm" onclick="archiveReferencedRecord(true)">Move anyway</button>'
+      : '<span class="small">Reschedule or cancel them from the calendar, then try again.</span>'}
+  `;
+  container.classList.remove('d-none');
+}
+
+/**
+ * Archive the record shown in the delete modal
+ * Upcoming appointments are moved to the chosen record first; the record is
+ * only archived once none are left
+ */
+async function archiveReferencedRecord(allowConflicts = false) {
+  const type = document.getElementById('recordDeleteType').value;
+  const id = parseInt(document.getElementById('recordDeleteId').value);
+  const config = RECORD_TYPES[type];
+  
+  try {
+    if (!document.getElementById('recordDeleteReassign').classList.contains('d-none')) {
+      const toId = document.getElementById('recordDeleteReassignTo').value;
+      if (!toId) {
+        showAlert(`Please choose the ${config.noun} to move the upcoming appointments to`, 'danger');
+        return;
+      }
+      
+      const response = await fetch('php/appointments.php', {
+        method: 'POST',
+        cache: 'no-store',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'reassign', type, fromId: id, toId: parseInt(toId), allowConflicts })
+      });
+      const result = await response.json();
+      if (!result.success) {
+        showAlert('Error: ' + result.error, 'danger');
+        return;
+      }
+      if (result.data.updated.length > 0) {
+        await loadAppointmentsData();
+        renderCalendar();
+      }
+      if (result.data.skipped.length > 0) {
+        renderReassignSkipped(result.data.skipped);
+        return;
+      }
+    }
+    
+    const response = await fetch(config.endpoint, {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'delete', id, archive: true })
+    });
+    const result = await response.json();
+    if (result.success) {
+      showAlert(`${result.data.name} archived`, 'success');
+      recordDeleteModalInstance.hide();
+      config.reload();
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error archiving record:', error);
+    showAlert('Error archiving record: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Bring an archived client, staff member or service back
+ */
+async function restoreArchivedRecord(type, id) {
+  const config = RECORD_TYPES[type];
+  try {
+    const response = await fetch(config.endpoint, {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'restore', id })
+    });
+    const result = await response.json();
+    if (result.success) {
+      showAlert(`${result.data.name} restored`, 'success');
+      config.reload();
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error restoring record:', error);
+    showAlert('Error restoring record: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * ===== CSV IMPORT =====
+ *
+ * The import wizard reads a CSV file in the browser, lets the user match its
+ * columns to the fields of IMPORT_TYPES and sends the mapped rows to the
+ * endpoint's import action. "Check" is a dry run that reports every row as
+ * ok, duplicate or error; Import is only enabled after a check without
+ * errors, and the server imports all rows or none.
+ * Exports are plain links to each endpoint's export action.
+ */
+
+/**
+ * Open the import wizard for clients, staff, services or appointments
+ */
+function openImportModal(type) {
+  document.getElementById('importType').value = type;
+  document.getElementById('importModalLabel').textContent = `Import ${IMPORT_TYPES[type].title} from CSV`;
+  document.getElementById('importFile').value = '';
+  document.getElementById('importFileInfo').textContent = '';
+  document.getElementById('importMapping').classList.add('d-none');
+  document.getElementById('importOnDuplicate').value = 'skip';
+  document.getElementById('importAllowConflicts').checked = false;
+  document.getElementById('importAllowConflictsGroup').classList.toggle('d-none', type !== 'appointment');
+  document.getElementById('importCheckButton').disabled = true;
+  importHeaders = [];
+  importRows = [];
+  resetImportCheck();
+  importModalInstance.show();
+}
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells (with "" escapes and line breaks), a UTF-8 BOM and
+ * semicolon-separated files as saved by spreadsheets in some locales.
+ * Blank lines are dropped.
+ */
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read the chosen file and show the column mapping
+ */
+async function readImportFile() {
+  const file = document.getElementById('importFile').files[0];
+  const info = document.getElementById('importFileInfo');
+  document.getElementById('importMapping').classList.add('d-none');
+  document.getElementById('importCheckButton').disabled = true;
+  resetImportCheck();
+  if (!file) {
+    info.textContent = '';
+    return;
+  }
+  
+  try {
+    const rows = parseCsv(await file.text());
+    if (rows.length < 2) {
+      info.textContent = 'The file has no rows below its column names.';
+      return;
+    }
+    importHeaders = rows[0].map(header => header.trim());
+    importRows = rows.slice(1);
+    info.textContent = `${importRows.length} row(s) and ${importHeaders.length} column(s) found in ${file.name}.`;
+    renderImportMapping();
+    document.getElementById('importMapping').classList.remove('d-none');
+    document.getElementById('importCheckButton').disabled = false;
+  } catch (error) {
+    console.error('Error reading CSV file:', error);
+    info.textContent = 'Error reading the file: ' + error.message;
+  }
+}
+
+/**
+ * Column name reduced for matching ("Client E-mail" = "clientemail")
+ */
+function normalizeImportHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Index of the file column that best fits a field, or -1
+ * The key wins over the label, the label over the aliases (in order)
+ */
+function findImportColumn(field) {
+  const headers = importHeaders.map(normalizeImportHeader);
+  const names = [field.key, field.label.replace(/\(.*\)/, ''), ...(field.aliases || [])];
+  for (const name of names) {
+    const index = headers.indexOf(normalizeImportHeader(name));
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+/**
+ * One row per field with a column select, preselected by column name
+ */
+function renderImportMapping() {
+  const type = document.getElementById('importType').value;
+  
+  document.getElementById('importMappingTable').innerHTML = IMPORT_TYPES[type].fields.map(field => `
+    <tr>
+      <td>${field.label}${field.required ? ' <span class="text-danger">*</span>' : ''}</td>
+      <td>
+        <select class="form-control form-control-sm" data-import-field="${field.key}" onchange="changeImportMapping(this)">
+          <option value="">(not imported)</option>
+        </select>
+      </td>
+      <td class="small text-muted" data-import-sample="${field.key}"></td>
+    </tr>
+  `).join('');
+  
+  IMPORT_TYPES[type].fields.forEach(field => {
+    const select = document.querySelector(`[data-import-field="${field.key}"]`);
+    importHeaders.forEach((header, index) => select.add(new Option(header || `Column ${index + 1}`, index)));
+    const column = findImportColumn(field);
+    select.value = column === -1 ? '' : String(column);
+    showImportSample(select);
+  });
+}
+
+/**
+ * Show the first row's value of the chosen column next to a field
+ */
+function showImportSample(select) {
+  const sample = select.value === '' ? '' : (importRows[0][parseInt(select.value)] ?? '');
+  document.querySelector(`[data-import-sample="${select.dataset.importField}"]`).textContent = sample;
+}
+
+/**
+ * A changed column choice invalidates the last check
+ */
+function changeImportMapping(select) {
+  showImportSample(select);
+  resetImportCheck();
+}
+
+/**
+ * Clear the check report and disable Import until the next clean check
+ */
+function resetImportCheck() {
+  document.getElementById('importReport').innerHTML = '';
+  document.getElementById('importCommitButton').disabled = true;
+}
+
+/**
+ * Rows of the file as objects keyed by field, or null when a required
+ * field has no column
+ */
+function buildImportRows() {
+  const type = document.getElementById('importType').value;
+  const mapping = {};
+  const missing = [];
+  IMPORT_TYPES[type].fields.forEach(field => {
+    const value = document.querySelector(`[data-import-field="${field.key}"]`).value;
+    if (value !== '') {
+      mapping[field.key] = parseInt(value);
+    } else if (field.required) {
+      missing.push(field.label);
+    }
+  });
+  if (missing.length > 0) {
+    showAlert('Please choose a column for: ' + missing.join(', '), 'danger');
+    return null;
+  }
+  
+  return importRows.map(cells => {
+    const row = {};
+    Object.entries(mapping).forEach(([key, index]) => {
+      row[key] = cells[index] ?? '';
+    });
+    return row;
+  });
+}
+
+/**
+ * Dry run: validate every row without saving
+ */
+function checkImport() {
+  return sendImport(true);
+}
+
+/**
+ * Import the checked rows
+ */
+function commitImport() {
+  return sendImport(false);
+}
+
+/**
+ * Send the mapped rows to the endpoint's import action
+ */
+async function sendImport(dryRun) {
+  const type = document.getElementById('importType').value;
+  const config = IMPORT_TYPES[type];
+  const rows = buildImportRows();
+  if (!rows) return;
+  
+  try {
+    const response = await fetch(config.endpoint, {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        action: 'import',
+        rows,
+        dryRun,
+        onDuplicate: document.getElementById('importOnDuplicate').value,
+        allowConflicts: document.getElementById('importAllowConflicts').checked
+      })
+    });
+    const result = await response.json();
+    if (result.data) {
+      renderImportReport(result.data);
+    }
+    if (!result.success) {
+      document.getElementById('importCommitButton').disabled = true;
+      showAlert('Error: ' + result.error, 'danger');
+      return;
+    }
+    
+    if (dryRun) {
+      document.getElementById('importCommitButton').disabled = result.data.counts.error > 0 || result.data.toImport === 0;
+      return;
+    }
+    showAlert(`${result.data.imported} ${config.label} imported`, 'success');
+    importModalInstance.hide();
+    config.reload();
+  } catch (error) {
+    console.error('Error importing CSV:', error);
+    showAlert('Error importing CSV: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Summary and per-row results of an import check
+ * Line numbers count the header, like a spreadsheet
+ */
+function renderImportReport(report) {
+  const skipDuplicates = document.getElementById('importOnDuplicate').value === 'skip';
+  const { ok, duplicate, error } = report.counts;
+  const summary = error > 0
+    ? `<div class="alert alert-danger mb-2">${error} row(s) have errors. Fix them in the file and choose it again; nothing is imported while errors remain.</div>`
+    : `<div class="alert alert-${report.toImport > 0 ? 'success' : 'warning'} mb-2">${report.toImport} row(s) ready to import` +
+      (duplicate > 0 ? `, ${duplicate} duplicate(s) ${skipDuplicates ? 'skipped' : 'included'}` : '') + '.</div>';
+  
+  const statusBadges = { ok: 'success', duplicate: 'warning', error: 'danger' };
+  const lines = report.rows.map(row => {
+    let details = row.name || '';
+    if (row.status === 'error') {
+      details = row.error + (row.conflicts ? ': ' + formatMoveConflicts(row.conflicts) : '');
+    } else if (row.status === 'duplicate') {
+      details += ` <em>like ${row.duplicates.map(match => `${match.name}${match.id ? ` (#${match.id})` : ''}`).join(', ')}</em>`;
+    }
+    return `
+      <tr>
+        <td>${row.row + 1}</td>
+        <td><span class="badge badge-${statusBadges[row.status]}">${row.status}</span></td>
+        <td>${details}</td>
+      </tr>
+    `;
+  }).join('');
+  
+  document.getElementById('importReport').innerHTML = `
+    ${summary}
+    <p class="small text-muted mb-1">${ok} ok, ${duplicate} duplicate(s), ${error} error(s)</p>
+    <div class="import-report">
+      <table class="table table-sm mb-0">
+        <thead><tr><th>Line</th><th>Status</th><th>Details</th></tr></thead>
+        <tbody>${lines}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * ===== CLIENT TAGS AND SEGMENTS =====
+ * 
+ * Tags are stored lowercase and HTML-escaped by php/clients.php, so they go
+ * into templates as they are and are decoded for form fields.
+ * A segment is a set of criteria (tags, inactivity, spending, service) that
+ * php/clients.php turns into a client list for previews and contact exports.
+ */
+
+/**
+ * FETCH: Load the tags in use for the tag filter and suggestions
+ */
+async function loadClientTags() {
+  try {
+    const response = await fetch('php/clients.php?action=tags', { cache: 'no-store' });
+    const result = await response.json();
+    if (!result.success) {
+      console.error('Failed to load client tags:', result.error);
+      return;
+    }
+    allClientTags = result.data;
+    
+    const filter = document.getElementById('clientFilterTag');
+    const selected = filter.value;
+    filter.innerHTML = '<option value="">All</option>';
+    const suggestions = document.getElementById('clientTagSuggestions');
+    suggestions.innerHTML = '';
+    allClientTags.forEach(item => {
+      const tag = decodeHtml(item.tag);
+      filter.appendChild(new Option(`${tag} (${item.count})`, tag));
+      suggestions.appendChild(new Option(tag));
+    });
+    filter.value = allClientTags.some(item => decodeHtml(item.tag) === selected) ? selected : '';
+  } catch (error) {
+    console.error('Error loading client tags:', error);
+  }
+}
+
+/**
+ * Tags as small badges (tags arrive escaped from the server)
+ */
+function formatClientTags(tags) {
+  if (!tags || tags.length === 0) return '';
+  return `<div class="client-tags">${tags.map(tag => `<span class="client-tag">${tag}</span>`).join('')}</div>`;
+}
+
+/**
+ * Show the tags being edited in the client modal, each with a remove button
+ */
+function renderClientModalTags() {
+  const container = document.getElementById('clientTags');
+  container.innerHTML = '';
+  clientModalTags.forEach((tag, index) => {
+    const chip = document.createElement('span');
+    chip.className = 'client-tag';
+    chip.textContent = tag;
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'client-tag-remove';
+    remove.title = 'Remove tag';
+    remove.textContent = '×';
+    remove.onclick = () => removeClientModalTag(index);
+    chip.appendChild(remove);
+    container.appendChild(chip);
+  });
+}
+
+/**
+ * Add typed tags (comma separated) to the client modal
+ */
+function addClientModalTag(text) {
+  text.split(',').forEach(part => {
+    const tag = part.trim().replace(/\s+/g, ' ').toLowerCase();
+    if (tag && !clientModalTags.includes(tag)) {
+      clientModalTags.push(tag);
+    }
+  });
+  document.getElementById('clientTagInput').value = '';
+  renderClientModalTags();
+}
+
+/**
+ * Remove a tag from the client modal
+ */
+function removeClientModalTag(index) {
+  clientModalTags.splice(index, 1);
+  renderClientModalTags();
+}
+
+/**
+ * Open the segment builder
+ */
+async function openSegmentModal() {
+  await Promise.all([loadClientTags(), loadSavedSegments()]);
+  
+  const tagList = document.getElementById('segmentTags');
+  tagList.innerHTML = allClientTags.length === 0 ? '<span class="text-muted small">No tags yet</span>' : '';
+  allClientTags.forEach((item, index) => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'form-check form-check-inline';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'form-check-input segment-tag';
+    checkbox.id = 'segmentTag' + index;
+    checkbox.value = decodeHtml(item.tag);
+    const label = document.createElement('label');
+    label.className = 'form-check-label';
+    label.htmlFor = checkbox.id;
+    label.textContent = `${decodeHtml(item.tag)} (${item.count})`;
+    wrapper.append(checkbox, label);
+    tagList.appendChild(wrapper);
+  });
+  
+  const serviceSelect = document.getElementById('segmentService');
+  serviceSelect.innerHTML = '<option value="">Any</option>';
+  appendServiceOptions(serviceSelect, allServices, service => decodeHtml(service.name));
+  
+  document.getElementById('segmentSaved').value = '';
+  selectSavedSegment();
+  segmentModalInstance.show();
+}
+
+/**
+ * FETCH: Load saved segments into the segment picker
+ */
+async function loadSavedSegments() {
+  try {
+    const response = await fetch('php/clients.php?action=segments', { cache: 'no-store' });
+    const result = await response.json();
+    if (!result.success) {
+      showAlert('Error loading segments: ' + result.error, 'danger');
+      return;
+    }
+    savedSegments = result.data;
+    
+    const select = document.getElementById('segmentSaved');
+    select.innerHTML = '<option value="">New segment</option>';
+    savedSegments.forEach(segment => {
+      select.appendChild(new Option(decodeHtml(segment.name), segment.id));
+    });
+  } catch (error) {
+    console.error('Error loading segments:', error);
+    showAlert('Error loading segments: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Fill the form from the chosen saved segment (or clear it for a new one)
+ */
+function selectSavedSegment() {
+  const id = parseInt(document.getElementById('segmentSaved').value);
+  const segment = savedSegments.find(s => s.id === id);
+  
+  document.getElementById('segmentId').value = segment ? segment.id : '';
+  document.getElementById('segmentName').value = segment ? decodeHtml(segment.name) : '';
+  document.getElementById('segmentDeleteButton').disabled = !segment;
+  fillSegmentForm(segment ? segment.criteria : {});
+  document.getElementById('segmentResults').innerHTML = '';
+}
+
+/**
+ * Put segment criteria into the form
+ */
+function fillSegmentForm(criteria) {
+  const tags = (criteria.tags || []).map(decodeHtml);
+  document.querySelectorAll('#segmentTags .segment-tag').forEach(checkbox => {
+    checkbox.checked = tags.includes(checkbox.value);
+  });
+  document.getElementById('segmentTagMode').value = criteria.tagMode || 'all';
+  document.getElementById('segmentInactiveDays').value = criteria.inactiveDays ?? '';
+  document.getElementById('segmentMinSpent').value = criteria.minSpent ?? '';
+  document.getElementById('segmentService').value = criteria.serviceId ?? '';
+  document.getElementById('segmentIncludeBad').checked = !!criteria.includeBad;
+}
+
+/**
+ * Segment criteria from the form
+ */
+function readSegmentForm() {
+  return {
+    tags: Array.from(document.querySelectorAll('#segmentTags .segment-tag:checked')).map(checkbox => checkbox.value),
+    tagMode: document.getElementById('segmentTagMode').value,
+    inactiveDays: document.getElementById('segmentInactiveDays').value,
+    minSpent: document.getElementById('segmentMinSpent').value,
+    serviceId: document.getElementById('segmentService').value,
+    includeBad: document.getElementById('segmentIncludeBad').checked
+  };
+}
+
+/**
+ * FETCH: List the clients matching the form's criteria
+ */
+async function previewCurrentSegment() {
+  try {
+    const response = await fetch('php/clients.php', {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'segment', criteria: readSegmentForm() })
+    });
+    const result = await response.json();
+    if (result.success) {
+      renderSegmentResults(result.data);
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error previewing segment:', error);
+    showAlert('Error previewing segment: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Show the clients of a segment
+ */
+function renderSegmentResults(clients) {
+  const container = document.getElementById('segmentResults');
+  if (clients.length === 0) {
+    container.innerHTML = '<p class="text-muted mb-0">No clients match this segment.</p>';
+    return;
+  }
+  
+  const rows = clients.map(client => `
+    <tr>
+      <td>${client.name}${client.isVIP ? ' <span class="vip-badge">⭐ VIP</span>' : ''}</td>
+      <td>${client.email}</td>
+      <td>${client.phone}</td>
+      <td>${formatClientTags(client.tags)}</td>
+      <td>${client.lastVisit ? formatDate(client.lastVisit + 'T00:00:00') : '-'}</td>
+      <td>${client.visits}</td>
+      <td class="text-end">${formatCurrency(client.spent)}</td>
+    </tr>
+  `).join('');
+  
+  container.innerHTML = `
+    <p class="small text-muted mb-1">${clients.length} client(s) in this segment</p>
+    <div class="import-report">
+      <table class="table table-sm mb-0">
+        <thead><tr><th>Name</th><th>Email</th><th>Phone</th><th>Tags</th><th>Last Visit</th><th>Visits</th><th class="text-end">Spent</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * FETCH: Save the form as a named segment (new or the selected one)
+ */
+async function saveCurrentSegment() {
+  const name = document.getElementById('segmentName').value.trim();
+  if (!name) {
+    showAlert('Please enter a segment name', 'danger');
+    return;
+  }
+  const id = parseInt(document.getElementById('segmentId').value);
+  const data = { name: name, criteria: readSegmentForm() };
+  if (id) data.id = id;
+  
+  try {
+    const response = await fetch('php/clients.php', {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'saveSegment', data: data })
+    });
+    const result = await response.json();
+    if (result.success) {
+      showAlert('Segment saved', 'success');
+      await loadSavedSegments();
+      document.getElementById('segmentSaved').value = result.data.id;
+      document.getElementById('segmentId').value = result.data.id;
+      document.getElementById('segmentDeleteButton').disabled = false;
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error saving segment:', error);
+    showAlert('Error saving segment: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * FETCH: Delete the selected saved segment
+ */
+async function deleteSavedSegment() {
+  const id = parseInt(document.getElementById('segmentId').value);
+  if (!id || !confirm('Delete this saved segment? Clients and their tags are not changed.')) return;
+  
+  try {
+    const response = await fetch('php/clients.php', {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'deleteSegment', id: id })
+    });
+    const result = await response.json();
+    if (result.success) {
+      showAlert('Segment deleted', 'success');
+      await loadSavedSegments();
+      selectSavedSegment();
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error deleting segment:', error);
+    showAlert('Error deleting segment: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Download the contacts of the segment in the form as CSV
+ */
+function exportSegmentContacts() {
+  window.location.href = 'php/clients.php?action=exportSegment&criteria=' + encodeURIComponent(JSON.stringify(readSegmentForm()));
+}
+
+/**
+ * ===== LOYALTY POINTS =====
+ * 
+ * Clients earn points when an appointment is completed and can redeem them
+ * as a discount at that moment (see php/includes/loyalty.php). The points
+ * rate and point value come from the loyalty settings.
+ */
+
+/**
+ * FETCH: Load the loyalty program settings
+ */
+async function loadLoyaltySettings() {
+  try {
+    const response = await fetch('php/settings.php?action=get', { cache: 'no-store' });
+    const result = await response.json();
+    if (result.success) {
+      loyaltySettings = result.data.loyalty;
+    } else {
+      console.error('Failed to load loyalty settings:', result.error);
+    }
+  } catch (error) {
+    console.error('Error loading loyalty settings:', error);
+  }
+}
+
+/**
+ * Offer the client's points as a discount when an edit completes the appointment
+ */
+async function updateLoyaltyRedeemField() {
+  const status = document.getElementById('appointmentStatus');
+  const group = document.getElementById('appointmentRedeemGroup');
+  const completing = document.getElementById('appointmentId').value !== '' &&
+    status.value === 'complete' && status.dataset.originalStatus !== 'complete';
+  
+  if (completing) {
+    // Balances change with every completed visit
+    await Promise.all([loadClientsData(), loyaltySettings ? null : loadLoyaltySettings()]);
+  }
+  const client = allClients.find(c => c.id == document.getElementById('appointmentClient').value);
+  const balance = client ? (client.loyaltyPoints || 0) : 0;
+  const show = completing && loyaltySettings && loyaltySettings.enabled && balance > 0;
+  
+  group.classList.toggle('d-none', !show);
+  if (!show) {
+    document.getElementById('appointmentRedeemPoints').value = 0;
+    return;
+  }
+  document.getElementById('appointmentRedeemPoints').max = balance;
+  updateLoyaltyRedeemInfo();
+}
+
+/**
+ * Show the balance and the discount the entered points give
+ */
+function updateLoyaltyRedeemInfo() {
+  if (document.getElementById('appointmentRedeemGroup').classList.contains('d-none')) return;
+  
+  const client = allClients.find(c => c.id == document.getElementById('appointmentClient').value);
+  const balance = client ? (client.loyaltyPoints || 0) : 0;
+  const points = parseInt(document.getElementById('appointmentRedeemPoints').value) || 0;
+  const price = getAppointmentFormPrice();
+  const discount = Math.min(price, points * loyaltySettings.pointValue);
+  
+  let info = `Balance: ${balance} point(s), worth ${formatCurrency(balance * loyaltySettings.pointValue)}.`;
+  if (points > balance) {
+    info += ' That is more than the client has.';
+  } else if (points > 0) {
+    info += ` Discount: ${formatCurrency(discount)}, client pays ${formatCurrency(price - discount)}.`;
+  }
+  document.getElementById('appointmentRedeemInfo').textContent = info;
+}
+
+/**
+ * A client's points balance and ledger for the profile
+ */
+function formatLoyaltyLedger(client) {
+  const ledger = (client.loyaltyLedger || []).slice().reverse();
+  const balance = client.loyaltyPoints || 0;
+  if (ledger.length === 0) {
+    return '<p class="text-muted">No loyalty points yet</p>';
+  }
+  
+  const typeLabels = { earn: 'Earned', redeem: 'Redeemed', reversal: 'Reversed' };
+  const rows = ledger.map(entry => {
+    const apt = allAppointments.find(a => a.id === entry.appointmentId);
+    return `
+      <tr>
+        <td>${formatDate(entry.date.slice(0, 10) + 'T00:00:00')}</td>
+        <td>${typeLabels[entry.type] || entry.type}</td>
+        <td>${apt ? `${formatDate(apt.date + 'T00:00:00')} ${apt.time}` : '#' + entry.appointmentId}</td>
+        <td class="text-end ${entry.points < 0 ? 'text-danger' : 'text-success'}">${entry.points > 0 ? '+' : ''}${entry.points}</td>
+      </tr>
+    `;
+  }).join('');
+  
+  return `
+    <p class="mb-1"><strong>Balance: ${balance} point(s)</strong></p>
+    <div class="import-report">
+      <table class="table table-sm mb-0">
+        <thead class="table-light"><tr><th>Date</th><th>Entry</th><th>Appointment</th><th class="text-end">Points</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * ===== NO-SHOW POLICY =====
+ * 
+ * No-shows and late cancellations can flag the client as bad, make future
+ * bookings need a deposit or record a fee (see php/includes/policies.php).
+ * The server says why a client was flagged (badClientReason, depositReason).
+ */
+
+/**
+ * Bad client and deposit badges, with the reason as a tooltip
+ */
+function formatPolicyBadges(client, extraClass = '') {
+  const badges = [];
+  if (client.isBadClient) {
+    badges.push(`<span class="bad-client-badge ${extraClass}" title="${client.badClientReason || ''}">⚠️ Bad</span>`);
+  }
+  if (client.depositRequired) {
+    badges.push(`<span class="deposit-badge ${extraClass}" title="${client.depositReason || ''}">💰 Deposit</span>`);
+  }
+  return badges.join(' ');
+}
+
+/**
+ * Reasons a client was flagged, for the client profile
+ */
+function formatPolicyReasons(client) {
+  const reasons = [];
+  if (client.isBadClient && client.badClientReason) {
+    reasons.push(`<div class="small text-danger">⚠️ Bad client: ${client.badClientReason}</div>`);
+  }
+  if (client.depositRequired) {
+    reasons.push(`<div class="small deposit-badge">💰 Deposit required${client.depositReason ? ': ' + client.depositReason : ''}</div>`);
+  }
+  return reasons.length > 0 ? `<div class="mt-2">${reasons.join('')}</div>` : '';
+}
+
+/**
+ * Describe what the policy did after a status change (empty when nothing)
+ */
+function formatPolicyResult(policy) {
+  if (!policy) {
+    return '';
+  }
+  const actions = [];
+  if (policy.flaggedBad) {
+    actions.push('client flagged as bad');
+  }
+  if (policy.depositRequired) {
+    actions.push('deposit now required');
+  }
+  if (policy.fee) {
+    actions.push(`${policy.fee.serviceName.toLowerCase()} of ${formatCurrency(policy.fee.amount)} recorded`);
+  }
+  return ` Incident #${policy.incidents} for this client` + (actions.length > 0 ? `: ${actions.join(', ')}.` : '.');
+}
+
+/**
+ * ===== STAFF ANALYTICS =====
+ * 
+ * Utilization (booked vs available hours), visit outcomes, average ticket,
+ * rebooking rate and top services per staff member, compared with the
+ * previous period of the same length (see php/includes/analytics.php).
+ */
+
+/**
+ * Open the analytics modal on the current month
+ */
+function openStaffAnalyticsModal() {
+  document.getElementById('staffAnalyticsPreset').value = 'thisMonth';
+  applyStaffAnalyticsPreset();
+  staffAnalyticsModalInstance.show();
+}
+
+/**
+ * Fill the period inputs from the chosen preset and reload
+ */
+function applyStaffAnalyticsPreset() {
+  const preset = document.getElementById('staffAnalyticsPreset').value;
+  const today = new Date();
+  let from = null;
+  let to = null;
+  if (preset === 'thisMonth') {
+    from = new Date(today.getFullYear(), today.getMonth(), 1);
+    to = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+  } else if (preset === 'lastMonth') {
+    from = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+    to = new Date(today.getFullYear(), today.getMonth(), 0);
+  } else if (preset === 'last30') {
+    from = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 29);
+    to = today;
+  } else if (preset === 'thisYear') {
+    from = new Date(today.getFullYear(), 0, 1);
+    to = new Date(today.getFullYear(), 11, 31);
+  }
+  if (!from) return;
+  
+  document.getElementById('staffAnalyticsDateFrom').value = toDateKey(from);
+  document.getElementById('staffAnalyticsDateTo').value = toDateKey(to);
+  loadStaffAnalytics();
+}
+
+/**
+ * FETCH: Load the analytics for the chosen period
+ */
+async function loadStaffAnalytics() {
+  const dateFrom = document.getElementById('staffAnalyticsDateFrom').value;
+  const dateTo = document.getElementById('staffAnalyticsDateTo').value;
+  if (!dateFrom || !dateTo) {
+    showAlert('Please choose the period', 'danger');
+    return;
+  }
+  
+  try {
+    const params = new URLSearchParams({ action: 'staffAnalytics', dateFrom, dateTo });
+    const response = await fetch(`php/appointments.php?${params.toString()}`, { cache: 'no-store' });
+    const result = await response.json();
+    if (result.success) {
+      renderStaffAnalytics(result.data);
+    } else {
+      showAlert('Error loading staff analytics: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error loading staff analytics:', error);
+    showAlert('Error loading staff analytics: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Arrow and difference against the previous period (empty when either is missing)
+ * lowerIsBetter colours a drop green (no-shows, cancellations)
+ */
+function formatAnalyticsTrend(current, previous, format, lowerIsBetter = false) {
+  if (current === null || previous === null || current === previous) return '';
+  const up = current > previous;
+  const good = up !== lowerIsBetter;
+  return `<div class="small ${good ? 'text-success' : 'text-danger'}" title="Previous period: ${format(previous)}">${up ? '▲' : '▼'} ${format(Math.abs(current - previous))}</div>`;
+}
+
+/**
+ * One analytics table row (a staff member or the salon totals)
+ */
+function formatStaffAnalyticsRow(label, current, previous) {
+  const count = value => String(value);
+  const percent = value => value === null ? '-' : `${value}%`;
+  const money = value => value === null ? '-' : formatCurrency(value);
+  const topServices = current.topServices.map(item => `${item.serviceName} (${item.count})`).join(', ');
+  
+  return `
+    <td>${label}</td>
+    <td>
+      ${percent(current.utilization)}
+      <div class="small text-muted">${current.bookedHours} / ${current.availableHours} h</div>
+      ${formatAnalyticsTrend(current.utilization, previous.utilization, value => `${Math.round(value * 10) / 10}%`)}
+    </td>
+    <td class="text-end">${current.completed}${formatAnalyticsTrend(current.completed, previous.completed, count)}</td>
+    <td class="text-end">${current.noShow}${formatAnalyticsTrend(current.noShow, previous.noShow, count, true)}</td>
+    <td class="text-end">${current.cancelled}${formatAnalyticsTrend(current.cancelled, previous.cancelled, count, true)}</td>
+    <td class="text-end">${money(current.revenue)}${formatAnalyticsTrend(current.revenue, previous.revenue, money)}</td>
+    <td class="text-end">${money(current.averageTicket)}${formatAnalyticsTrend(current.averageTicket, previous.averageTicket, money)}</td>
+    <td class="text-end">${percent(current.rebookingRate)}${formatAnalyticsTrend(current.rebookingRate, previous.rebookingRate, value => `${Math.round(value * 10) / 10}%`)}</td>
+    <td class="small">${topServices || '<span class="text-muted">-</span>'}</td>
+  `;
+}
+
+/**
+ * Render the analytics table with the salon totals underneath
+ */
+function renderStaffAnalytics(data) {
+  document.getElementById('staffAnalyticsCompare').textContent =
+    `${formatDate(data.dateFrom + 'T00:00:00')} - ${formatDate(data.dateTo + 'T00:00:00')}, compared with ${formatDate(data.previousFrom + 'T00:00:00')} - ${formatDate(data.previousTo + 'T00:00:00')}`;
+  
+  const tbody = document.getElementById('staffAnalyticsBody');
+  tbody.innerHTML = '';
+  if (data.staff.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="9" class="text-center text-muted">No staff</td></tr>';
+  }
+  data.staff.forEach(item => {
+    const row = document.createElement('tr');
+    row.innerHTML = formatStaffAnalyticsRow(item.staffName, item.current, item.previous);
+    tbody.appendChild(row);
+  });
+  
+  document.getElementById('staffAnalyticsTotals').innerHTML =
+    `<tr>${formatStaffAnalyticsRow('All staff', data.totals.current, data.totals.previous)}</tr>`;
+}
+
+/**
+ * ===== CALENDAR LOGIC =====
+ * 
+ * The calendar is a grid-based monthly view where:
+ * 1. Each cell represents a date
+ * 2. Days with appointments have a red border (highlight class)
+ * 3. Clicking a date opens a modal showing appointments for that day
+ * 4. Each day has a "[+]" button to create new appointments
+ * 5. Calendar updates after each appointment mutation
+ * 
+ * Week and day views render a time grid instead, with one column per
+ * staff member and appointment blocks sized by duration.
+ */
+
+/**
+ * Render calendar for the current month
+ * Creates a grid layout with proper week layout and appointment indicators
+ */
+function renderCalendar() {
+  const grid = document.getElementById('calendarGrid');
+  const timeline = document.getElementById('calendarTimeline');
+  grid.classList.toggle('d-none', calendarView !== 'month');
+  timeline.classList.toggle('d-none', calendarView === 'month');
+  
+  if (calendarView !== 'month') {
+    renderCalendarTimeline();
+    return;
+  }
+  
+  const year = currentMonth.getFullYear();
+  const month = currentMonth.getMonth();
+  
+  // Update header with current month/year
+  const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+  document.getElementById('currentMonth').textContent = `${monthNames[month]} ${year}`;
+  
+  const firstDay = new Date(year, month, 1);
+  const lastDay = new Date(year, month + 1, 0);
+  const daysInMonth = lastDay.getDate();
+  const startingDayOfWeek = firstDay.getDay();
+  const activeStaff = allStaff.filter(s => !s.archived);
+  
+  // Clear calendar grid container
+  grid.innerHTML = '';
+  
+  // Add day headers (Mon, Tue, Wed, etc)
   const dayHeaders = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
   const headerContainer = document.createElement('div');
   headerContainer.className = 'calendar-header';
@@ -884,74 +3601,510 @@ function renderCalendar() {
     grid.appendChild(emptyDay);
   }
   
-  // Add days of the month
-  for (let day = 1; day <= daysInMonth; day++) {
-    const date = new Date(year, month, day);
-    const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-    
-    const dayElement = document.createElement('div');
-    dayElement.className = 'calendar-day';
-    
-    // Highlight today
-    const today = new Date();
-    if (date.toDateString() === today.toDateString()) {
-      dayElement.classList.add('today');
+  // Add days of the month
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = new Date(year, month, day);
+    const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD format
+    
+    const dayElement = document.createElement('div');
+    dayElement.className = 'calendar-day';
+    
+    // Highlight today
+    const today = new Date();
+    if (date.toDateString() === today.toDateString()) {
+      dayElement.classList.add('today');
+    }
+    
+    // Get appointments for this day
+    const dayAppointments = allAppointments.filter(apt => apt.date === dateStr);
+    
+    // Highlight days with appointments (red border)
+    if (dayAppointments.length > 0) {
+      dayElement.classList.add('has-appointments');
+    }
+    
+    // Grey out days where nobody is working
+    const staffOff = activeStaff.filter(s => !isStaffWorkingOnDate(s, dateStr));
+    if (activeStaff.length > 0 && staffOff.length === activeStaff.length) {
+      dayElement.classList.add('staff-unavailable');
+    }
+    
+    // Day number
+    const dayNumber = document.createElement('div');
+    dayNumber.className = 'calendar-day-number';
+    dayNumber.textContent = day;
+    dayElement.appendChild(dayNumber);
+    
+    // Staff who are off this day
+    if (staffOff.length > 0) {
+      const offEl = document.createElement('div');
+      offEl.className = 'calendar-staff-off';
+      offEl.textContent = staffOff.length === activeStaff.length ? 'Closed' : `Off: ${staffOff.map(s => s.name).join(', ')}`;
+      dayElement.appendChild(offEl);
+    }
+    
+    // Appointment list
+    const appointmentsDiv = document.createElement('div');
+    appointmentsDiv.className = 'calendar-appointments';
+    dayAppointments.forEach(apt => {
+      const apptEl = document.createElement('div');
+      apptEl.className = 'calendar-appointment';
+      apptEl.textContent = `${apt.time} - ${getAppointmentStaffNames(apt)}`;
+      apptEl.title = 'Click to view details';
+      makeAppointmentDraggable(apptEl, apt, 0);
+      appointmentsDiv.appendChild(apptEl);
+    });
+    dayElement.appendChild(appointmentsDiv);
+    
+    // Add button for creating new appointment
+    const addBtn = document.createElement('button');
+    addBtn.className = 'calendar-add-btn';
+    addBtn.textContent = '[+]';
+    addBtn.onclick = (e) => {
+      e.stopPropagation();
+      currentDayForAppointments = dateStr;
+      openAppointmentModalForDay();
+    };
+    dayElement.appendChild(addBtn);
+    
+    // Click to view appointments for this day
+    dayElement.onclick = () => viewDayAppointments(dateStr);
+    
+    // Drop an appointment here to move it to this day (same time and staff)
+    makeCalendarDropTarget(dayElement, (apt) => ({ date: dateStr, time: apt.time, staffId: apt.staffId }));
+    
+    grid.appendChild(dayElement);
+  }
+  
+  // Add empty cells for days after month ends
+  const totalCells = grid.children.length - 1; // -1 for header
+  const remainingCells = 35 - totalCells; // 5 rows * 7 days
+  for (let i = 0; i < remainingCells; i++) {
+    const emptyDay = document.createElement('div');
+    emptyDay.className = 'calendar-day other-month';
+    grid.appendChild(emptyDay);
+  }
+}
+
+/**
+ * Switch the calendar between 'month', 'week' and 'day' views
+ */
+function setCalendarView(view) {
+  calendarView = view;
+  document.querySelectorAll('[data-calendar-view]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.calendarView === view);
+  });
+  renderCalendar();
+}
+
+/**
+ * Format a Date as a local "YYYY-MM-DD" key
+ */
+function toDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes since midnight to "HH:MM"
+ */
+function minutesToTime(total) {
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Get the dates shown by the week (Sunday to Saturday) or day view
+ */
+function getTimelineDates() {
+  const start = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), currentMonth.getDate());
+  if (calendarView === 'day') return [start];
+  
+  start.setDate(start.getDate() - start.getDay());
+  return Array.from({ length: 7 }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+}
+
+/**
+ * Working periods of a staff member on a date, in minutes since midnight
+ * Staff without a fixed schedule work the default opening hours; [] when off
+ */
+function getStaffWorkingPeriods(staff, dateStr) {
+  if (findStaffTimeOff(staff, dateStr)) return [];
+  if (!staff.schedule) return [[TIMELINE_DEFAULT_START, TIMELINE_DEFAULT_END]];
+  
+  const hours = staff.schedule[WEEKDAY_KEYS[new Date(dateStr + 'T00:00:00').getDay()]];
+  if (!hours) return [];
+  
+  const start = timeToMinutes(hours.start);
+  const end = timeToMinutes(hours.end);
+  if (!hours.breakStart || !hours.breakEnd) return [[start, end]];
+  return [[start, timeToMinutes(hours.breakStart)], [timeToMinutes(hours.breakEnd), end]];
+}
+
+/**
+ * Render the week or day time grid
+ * The visible hours cover staff schedules and every appointment in range
+ */
+function renderCalendarTimeline() {
+  const dates = getTimelineDates();
+  const dateKeys = dates.map(toDateKey);
+  const timeline = document.getElementById('calendarTimeline');
+  timeline.innerHTML = '';
+  
+  // Update header with the visible range
+  if (calendarView === 'day') {
+    document.getElementById('currentMonth').textContent = dates[0].toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+  } else {
+    const first = dates[0].toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    const last = dates[6].toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    document.getElementById('currentMonth').textContent = `${first} - ${last}`;
+  }
+  
+  const rangeAppointments = allAppointments.filter(apt => dateKeys.includes(apt.date));
+  // Archived staff only get a column while they still have appointments in range
+  const visibleStaff = allStaff.filter(member => !member.archived ||
+    rangeAppointments.some(apt => getAppointmentLines(apt).some(line => line.staffId == member.id)));
+  
+  // Work out the visible hours
+  let rangeStart = TIMELINE_DEFAULT_START;
+  let rangeEnd = TIMELINE_DEFAULT_END;
+  dateKeys.forEach(dateStr => {
+    visibleStaff.forEach(member => {
+      getStaffWorkingPeriods(member, dateStr).forEach(([start, end]) => {
+        rangeStart = Math.min(rangeStart, start);
+        rangeEnd = Math.max(rangeEnd, end);
+      });
+    });
+  });
+  rangeAppointments.forEach(apt => {
+    rangeStart = Math.min(rangeStart, timeToMinutes(apt.time));
+    rangeEnd = Math.max(rangeEnd, timeToMinutes(getAppointmentEndTime(apt)));
+  });
+  rangeStart = Math.floor(rangeStart / 60) * 60;
+  rangeEnd = Math.min(Math.ceil(rangeEnd / 60) * 60, 24 * 60);
+  const bodyHeight = (rangeEnd - rangeStart) / 60 * TIMELINE_HOUR_HEIGHT;
+  
+  // Hour labels
+  const axis = document.createElement('div');
+  axis.className = 'timeline-axis';
+  let labels = '';
+  for (let minutes = rangeStart; minutes < rangeEnd; minutes += 60) {
+    labels += `<div class="timeline-hour-label" style="top: ${(minutes - rangeStart) / 60 * TIMELINE_HOUR_HEIGHT}px">${minutesToTime(minutes)}</div>`;
+  }
+  axis.innerHTML = `<div class="timeline-axis-spacer"></div><div class="timeline-axis-body" style="height: ${bodyHeight}px">${labels}</div>`;
+  timeline.appendChild(axis);
+  
+  const todayKey = toDateKey(new Date());
+  dates.forEach((date, index) => {
+    const dateStr = dateKeys[index];
+    const dayElement = document.createElement('div');
+    dayElement.className = 'timeline-day' + (dateStr === todayKey ? ' today' : '');
+    
+    // Day header (week view: click to open the day view)
+    const header = document.createElement('div');
+    header.className = 'timeline-day-header';
+    header.textContent = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    if (calendarView === 'week') {
+      header.title = 'Open day view';
+      header.onclick = () => {
+        currentMonth = new Date(date);
+        setCalendarView('day');
+      };
+    }
+    dayElement.appendChild(header);
+    
+    const columns = document.createElement('div');
+    columns.className = 'timeline-columns';
+    if (visibleStaff.length === 0) {
+      columns.innerHTML = '<div class="timeline-empty text-muted">No staff members</div>';
+    }
+    visibleStaff.forEach(member => {
+      const memberAppointments = rangeAppointments.filter(apt => apt.date === dateStr &&
+        getAppointmentLines(apt).some(line => line.staffId == member.id));
+      columns.appendChild(renderTimelineColumn(member, dateStr, memberAppointments, rangeStart, rangeEnd, bodyHeight));
+    });
+    dayElement.appendChild(columns);
+    
+    timeline.appendChild(dayElement);
+  });
+}
+
+/**
+ * Render one staff column of the time grid
+ * Off-hours are shaded; clicking a free spot opens the add modal at that time.
+ * Appointments with several services show a block for each of the staff
+ * member's own lines; they are moved in the month view or the form.
+ */
+function renderTimelineColumn(member, dateStr, appointments, rangeStart, rangeEnd, bodyHeight) {
+  const column = document.createElement('div');
+  column.className = 'timeline-column';
+  
+  const header = document.createElement('div');
+  header.className = 'timeline-column-header';
+  header.textContent = member.name;
+  header.title = member.name;
+  column.appendChild(header);
+  
+  const body = document.createElement('div');
+  body.className = 'timeline-column-body';
+  body.style.height = `${bodyHeight}px`;
+  const toPixels = minutes => (minutes - rangeStart) / 60 * TIMELINE_HOUR_HEIGHT;
+  
+  // Shade the gaps between working periods
+  let cursor = rangeStart;
+  [...getStaffWorkingPeriods(member, dateStr), [rangeEnd, rangeEnd]].forEach(([start, end]) => {
+    if (start > cursor) {
+      const off = document.createElement('div');
+      off.className = 'timeline-off';
+      off.style.top = `${toPixels(cursor)}px`;
+      off.style.height = `${toPixels(start) - toPixels(cursor)}px`;
+      body.appendChild(off);
+    }
+    cursor = Math.max(cursor, end);
+  });
+  
+  // Appointment blocks, placed side by side when they overlap
+  const items = appointments
+    .flatMap(apt => getAppointmentLines(apt)
+      .filter(line => line.staffId == member.id)
+      .map(line => ({ apt, line, start: timeToMinutes(line.time), end: timeToMinutes(line.endTime) })))
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+  assignTimelineLanes(items);
+  items.forEach(({ apt, line, start, end, lane, laneCount }) => {
+    const client = allClients.find(c => c.id == apt.clientId);
+    const service = allServices.find(srv => srv.id == line.serviceId);
+    const block = document.createElement('div');
+    block.className = `timeline-block timeline-block-${getStatusBadgeClass(apt.status)}`;
+    block.style.top = `${toPixels(start)}px`;
+    block.style.height = `${Math.max(toPixels(end) - toPixels(start), 18)}px`;
+    block.style.left = `${lane / laneCount * 100}%`;
+    block.style.width = `${100 / laneCount}%`;
+    block.title = `${apt.time} - ${getAppointmentEndTime(apt)}\n${client?.name || 'Unknown'}\n${getAppointmentServiceNames(apt)} (${apt.status})`;
+    block.innerHTML = `
+      <div class="timeline-block-time">${line.time} - ${line.endTime}${apt.seriesId ? ' 🔁' : ''}${apt.depositRequired ? ' 💰' : ''}</div>
+      <div>${client?.name || 'Unknown'}</div>
+      <div class="timeline-block-service">${service?.name || 'Unknown'}${apt.lines ? ` <span class="text-muted">(${apt.lines.indexOf(line) + 1}/${apt.lines.length})</span>` : ''}</div>
+    `;
+    block.onclick = (e) => {
+      e.stopPropagation();
+      editAppointment(apt.id);
+    };
+    if (!apt.lines) makeAppointmentDraggable(block, apt, TIMELINE_HOUR_HEIGHT / 60);
+    body.appendChild(block);
+  });
+  
+  // Click on an empty spot to book at that time (rounded down to 15 minutes)
+  body.onclick = (e) => {
+    const offsetY = e.clientY - body.getBoundingClientRect().top;
+    const minutes = rangeStart + Math.floor(offsetY / TIMELINE_HOUR_HEIGHT * 60 / 15) * 15;
+    currentDayForAppointments = dateStr;
+    openAppointmentModalForDay();
+    document.getElementById('appointmentStaff').value = member.id;
+    document.getElementById('appointmentTime').value = minutesToTime(Math.min(minutes, rangeEnd - 15));
+    updateAppointmentEndTime();
+  };
+  
+  // Drop an appointment here to move it to this staff member, day and time
+  makeCalendarDropTarget(body, (apt, e) => {
+    const offsetY = e.clientY - body.getBoundingClientRect().top;
+    const minutes = rangeStart + Math.round((offsetY / TIMELINE_HOUR_HEIGHT * 60 - draggedAppointment.grabMinutes) / 15) * 15;
+    return { date: dateStr, time: minutesToTime(Math.max(rangeStart, Math.min(minutes, rangeEnd - 15))), staffId: member.id };
+  });
+  
+  column.appendChild(body);
+  return column;
+}
+
+/**
+ * Assign side-by-side lanes to time-sorted blocks
+ * Each group of overlapping blocks shares the column width equally
+ */
+function assignTimelineLanes(items) {
+  let group = [];
+  let groupEnd = -1;
+  const closeGroup = () => {
+    const laneCount = Math.max(...group.map(item => item.lane), 0) + 1;
+    group.forEach(item => { item.laneCount = laneCount; });
+  };
+  
+  items.forEach(item => {
+    if (group.length > 0 && item.start >= groupEnd) {
+      closeGroup();
+      group = [];
+    }
+    const laneEnds = [];
+    group.forEach(other => {
+      laneEnds[other.lane] = Math.max(laneEnds[other.lane] ?? -1, other.end);
+    });
+    let lane = laneEnds.findIndex(laneEnd => laneEnd <= item.start);
+    if (lane === -1) lane = laneEnds.length;
+    item.lane = lane;
+    group.push(item);
+    groupEnd = Math.max(groupEnd, item.end);
+  });
+  if (group.length > 0) closeGroup();
+}
+
+/**
+ * ===== DRAG AND DROP RESCHEDULING =====
+ * 
+ * Pending appointments can be dragged to another day (month view) or to
+ * another time/staff column (week/day view). The move is validated by the
+ * server first, then saved (and the client emailed) once the user confirms.
+ */
+
+/**
+ * Make a calendar appointment element draggable (pending appointments only)
+ * pixelsPerMinute lets timeline drops keep the point where the block was grabbed
+ */
+function makeAppointmentDraggable(element, apt, pixelsPerMinute) {
+  if (apt.status !== 'pending') return;
+  
+  element.draggable = true;
+  element.classList.add('calendar-draggable');
+  element.ondragstart = (e) => {
+    e.stopPropagation();
+    const grabOffset = pixelsPerMinute ? e.clientY - element.getBoundingClientRect().top : 0;
+    draggedAppointment = { id: apt.id, grabMinutes: pixelsPerMinute ? grabOffset / pixelsPerMinute : 0 };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(apt.id));
+  };
+  element.ondragend = () => {
+    draggedAppointment = null;
+    document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+  };
+}
+
+/**
+ * Accept appointment drops on a calendar element
+ * getTarget(apt, event) returns the new { date, time, staffId }
+ */
+function makeCalendarDropTarget(element, getTarget) {
+  element.ondragover = (e) => {
+    if (!draggedAppointment) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    element.classList.add('drag-over');
+  };
+  element.ondragleave = () => element.classList.remove('drag-over');
+  element.ondrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    element.classList.remove('drag-over');
+    if (!draggedAppointment) return;
+    
+    const apt = allAppointments.find(a => a.id == draggedAppointment.id);
+    if (apt) {
+      const target = getTarget(apt, e);
+      moveAppointmentTo(apt.id, target.date, target.time, target.staffId);
+    }
+    draggedAppointment = null;
+  };
+}
+
+/**
+ * FETCH: Post a move request to php/appointments.php
+ */
+async function postAppointmentMove(moveData) {
+  const response = await fetch('php/appointments.php', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action: 'move', data: moveData }),
+    cache: 'no-store'
+  });
+  return response.json();
+}
+
+/**
+ * Move an appointment after a drop
+ * Validates the new slot, asks for confirmation, saves it and offers undo
+ */
+async function moveAppointmentTo(appointmentId, date, time, staffId) {
+  const apt = allAppointments.find(a => a.id == appointmentId);
+  if (!apt) return;
+  if (apt.date === date && apt.time === time && apt.staffId == staffId) return;
+  
+  const original = { id: apt.id, date: apt.date, time: apt.time, staffId: apt.staffId };
+  const client = allClients.find(c => c.id == apt.clientId);
+  const staff = allStaff.find(s => s.id == staffId);
+  
+  try {
+    // Check the new slot on the server before asking the user
+    const check = await postAppointmentMove({ id: apt.id, date, time, staffId, validateOnly: true });
+    console.log('Move validation response:', check);
+    if (!check.success) {
+      showAlert('Cannot move appointment: ' + check.error + formatMoveConflicts(check.conflicts), 'danger');
+      return;
     }
     
-    // Get appointments for this day
-    const dayAppointments = allAppointments.filter(apt => apt.date === dateStr);
+    const question = `Move ${client?.name || 'Unknown'} (${getAppointmentServiceNames(apt)}) to ` +
+      `${formatDate(date + 'T00:00:00')} at ${time}-${check.data.endTime} with ${apt.lines ? getAppointmentStaffNames(apt) : staff?.name || 'Unknown'}?\n\n` +
+      'The client will be notified by email.';
+    if (!confirm(question)) return;
     
-    // Highlight days with appointments (red border)
-    if (dayAppointments.length > 0) {
-      dayElement.classList.add('has-appointments');
+    const result = await postAppointmentMove({ id: apt.id, date, time, staffId });
+    console.log('Move response:', result);
+    if (!result.success) {
+      showAlert('Error: ' + result.error + formatMoveConflicts(result.conflicts), 'danger');
+      return;
     }
     
-    // Day number
-    const dayNumber = document.createElement('div');
-    dayNumber.className = 'calendar-day-number';
-    dayNumber.textContent = day;
-    dayElement.appendChild(dayNumber);
-    
-    // Appointment list
-    const appointmentsDiv = document.createElement('div');
-    appointmentsDiv.className = 'calendar-appointments';
-    dayAppointments.forEach(apt => {
-      const apptEl = document.createElement('div');
-      apptEl.className = 'calendar-appointment';
-      const staff = allStaff.find(s => s.id == apt.staffId);
-      apptEl.textContent = `${apt.time} - ${staff?.name || 'Unknown'}`;
-      apptEl.title = 'Click to view details';
-      appointmentsDiv.appendChild(apptEl);
-    });
-    dayElement.appendChild(appointmentsDiv);
+    await loadAppointmentsData();
+    renderCalendar();
     
-    // Add button for creating new appointment
-    const addBtn = document.createElement('button');
-    addBtn.className = 'calendar-add-btn';
-    addBtn.textContent = '[+]';
-    addBtn.onclick = (e) => {
-      e.stopPropagation();
-      currentDayForAppointments = dateStr;
-      openAppointmentModalForDay();
+    const alertDiv = showAlert('Appointment moved! Notification sent to client.', 'success');
+    const undoBtn = document.createElement('button');
+    undoBtn.type = 'button';
+    undoBtn.className = 'btn btn-sm btn-outline-success ms-2';
+    undoBtn.textContent = 'Undo';
+    undoBtn.onclick = () => {
+      alertDiv.remove();
+      undoAppointmentMove(original);
     };
-    dayElement.appendChild(addBtn);
-    
-    // Click to view appointments for this day
-    dayElement.onclick = () => viewDayAppointments(dateStr);
-    
-    grid.appendChild(dayElement);
+    alertDiv.insertBefore(undoBtn, alertDiv.querySelector('.btn-close'));
+  } catch (error) {
+    console.error('Error moving appointment:', error);
+    showAlert('Error moving appointment: ' + error.message, 'danger');
   }
-  
-  // Add empty cells for days after month ends
-  const totalCells = grid.children.length - 1; // -1 for header
-  const remainingCells = 35 - totalCells; // 5 rows * 7 days
-  for (let i = 0; i < remainingCells; i++) {
-    const emptyDay = document.createElement('div');
-    emptyDay.className = 'calendar-day other-month';
-    grid.appendChild(emptyDay);
+}
+
+/**
+ * Put a moved appointment back in its original slot
+ */
+async function undoAppointmentMove(original) {
+  try {
+    const result = await postAppointmentMove(original);
+    if (result.success) {
+      showAlert('Move undone. Notification sent to client.', 'success');
+    } else {
+      showAlert('Could not undo move: ' + result.error + formatMoveConflicts(result.conflicts), 'danger');
+    }
+    await loadAppointmentsData();
+    renderCalendar();
+  } catch (error) {
+    console.error('Error undoing move:', error);
+    showAlert('Error undoing move: ' + error.message, 'danger');
   }
 }
 
+/**
+ * Format conflicting bookings returned by a rejected move as an HTML list
+ */
+function formatMoveConflicts(conflicts) {
+  if (!conflicts || conflicts.length === 0) return '';
+  const items = conflicts.map(conflict => {
+    const client = allClients.find(c => c.id == conflict.clientId);
+    return `<li>${conflict.time}-${conflict.endTime}: ${client?.name || 'Unknown'} with ${getAppointmentStaffNames(conflict)}</li>`;
+  }).join('');
+  return `<ul class="mb-0">${items}</ul>`;
+}
+
 /**
  * View appointments for a specific day
  * Opens a modal showing all appointments and allowing status changes
@@ -968,78 +4121,587 @@ function viewDayAppointments(dateStr) {
   tbody.innerHTML = '';
   
   if (dayAppointments.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No appointments scheduled</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted">No appointments scheduled</td></tr>';
   } else {
     dayAppointments.forEach(apt => {
       const client = allClients.find(c => c.id == apt.clientId);
-      const staff = allStaff.find(s => s.id == apt.staffId);
-      const service = allServices.find(srv => srv.id == apt.serviceId);
       
       const row = document.createElement('tr');
       row.innerHTML = `
-        <td>${apt.time}</td>
+        <td>${apt.time} - ${getAppointmentEndTime(apt)}${apt.seriesId ? ' <span title="Recurring appointment">🔁</span>' : ''}${apt.depositRequired ? ` <span title="Deposit of ${formatCurrency(apt.depositRequired)} required">💰</span>` : ''}</td>
         <td>${client?.name || 'Unknown'}</td>
-        <td>${staff?.name || 'Unknown'}</td>
-        <td>${service?.name || 'Unknown'}</td>
-        <td><span class="badge badge-${getStatusBadgeClass(apt.status)}">${apt.status}</span></td>
+        <td>${getAppointmentStaffNames(apt)}</td>
+        <td>${getAppointmentServiceNames(apt)}${apt.package ? ` <span class="badge badge-secondary">${apt.package.name}</span>` : ''}</td>
+        <td><span class="badge badge-${getStatusBadgeClass(apt.status)}">${apt.status}</span>${apt.lateCancellation ? ' <span class="small text-danger">late</span>' : ''}</td>
+        <td>${formatReminderStatus(apt)}</td>
+        <td class="appointment-note">
+          ${getAppointmentNote(apt.id) || '<span class="text-muted">-</span>'}
+          <button class="btn btn-sm btn-link p-0 ms-1" title="Edit client note" onclick="editAppointmentNote(${apt.id})">✏️</button>
+        </td>
         <td>
           <button class="btn btn-sm btn-primary" onclick="editAppointment(${apt.id})">Edit</button>
-          <button class="btn btn-sm btn-danger" onclick="deleteAppointment(${apt.id})">Delete</button>
+          ${apt.seriesId ? `
+          <div class="btn-group">
+            <button class="btn btn-sm btn-danger dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">Delete</button>
+            <ul class="dropdown-menu">
+              <li><a class="dropdown-item" href="#" onclick="deleteAppointment(${apt.id}, 'this'); return false;">This appointment</a></li>
+              <li><a class="dropdown-item" href="#" onclick="deleteAppointment(${apt.id}, 'following'); return false;">This and following</a></li>
+              <li><a class="dropdown-item" href="#" onclick="deleteAppointment(${apt.id}, 'all'); return false;">All in series</a></li>
+            </ul>
+          </div>` : `<button class="btn btn-sm btn-danger" onclick="deleteAppointment(${apt.id})">Delete</button>`}
         </td>
       `;
       tbody.appendChild(row);
     });
   }
-  
-  dayViewModalInstance.show();
+  
+  dayViewModalInstance.show();
+}
+
+/**
+ * Client note for an appointment, from the clients' appointment histories
+ */
+function getAppointmentNote(appointmentId) {
+  for (const client of allClients) {
+    const entry = (client.appointments || []).find(e => e.appointmentId === appointmentId);
+    if (entry) return entry.note || '';
+  }
+  return '';
+}
+
+/**
+ * Edit the client note of an appointment from the day view
+ */
+async function editAppointmentNote(appointmentId) {
+  const note = prompt('Client note for this appointment:', decodeHtml(getAppointmentNote(appointmentId)));
+  if (note === null) return;
+  
+  try {
+    const response = await fetch('php/appointments.php', {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'updateNote', id: appointmentId, note })
+    });
+    const result = await response.json();
+    if (result.success) {
+      await loadClientsData();
+      viewDayAppointments(currentDayForAppointments);
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error saving note:', error);
+    showAlert('Error saving note: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Get Bootstrap badge class based on appointment status
+ */
+function getStatusBadgeClass(status) {
+  switch(status) {
+    case 'complete':
+      return 'success';
+    case 'pending':
+      return 'warning';
+    case 'deleted_by_user':
+    case 'deleted_by_staff':
+    case 'no_show':
+      return 'danger';
+    default:
+      return 'secondary';
+  }
+}
+
+/**
+ * Reminder badges for the day view (one per 24h/2h reminder)
+ * Sent = green, skipped = grey, failed = red, still scheduled = blue
+ */
+function formatReminderStatus(apt) {
+  const reminders = Object.entries(apt.reminders || {});
+  if (reminders.length === 0) {
+    return '<span class="text-muted">-</span>';
+  }
+  
+  return reminders.map(([type, reminder]) => {
+    if (reminder.sentAt) {
+      return `<span class="badge badge-success" title="Sent ${reminder.sentAt}">${type} sent</span>`;
+    }
+    if (reminder.skippedAt || apt.status !== 'pending') {
+      return `<span class="badge badge-secondary" title="Not sent">${type} skipped</span>`;
+    }
+    if (reminder.lastError) {
+      return `<span class="badge badge-danger" title="Last attempt failed ${reminder.lastError}">${type} failed</span>`;
+    }
+    return `<span class="badge badge-info" title="Due ${reminder.dueAt}">${type} scheduled</span>`;
+  }).join(' ');
+}
+
+/**
+ * Open appointment modal for a specific day
+ */
+function openAppointmentModalForDay() {
+  document.getElementById('appointmentForm').reset();
+  document.getElementById('appointmentId').value = '';
+  document.getElementById('appointmentDate').value = currentDayForAppointments;
+  document.getElementById('appointmentStatus').value = 'pending';
+  document.getElementById('appointmentStatus').dataset.originalStatus = '';
+  updateLoyaltyRedeemField();
+  document.getElementById('appointmentModalLabel').textContent = 'Add Appointment';
+  renderAppointmentLineRows([]);
+  populateAppointmentPackages();
+  populateStaffDropdowns();
+  clearAppointmentConflicts();
+  updateAppointmentEndTime();
+  resetAvailabilityPanel();
+  document.getElementById('appointmentRecurrenceGroup').classList.remove('d-none');
+  document.getElementById('appointmentScopeGroup').classList.add('d-none');
+  toggleRecurrenceFields();
+  appointmentModalInstance.show();
+}
+
+/**
+ * Edit existing appointment
+ */
+function editAppointment(appointmentId) {
+  const apt = allAppointments.find(a => a.id == appointmentId);
+  if (!apt) return;
+  
+  document.getElementById('appointmentId').value = apt.id;
+  document.getElementById('appointmentDate').value = apt.date;
+  setAppointmentClient(apt.clientId);
+  populateServiceDropdowns(apt.serviceId);
+  document.getElementById('appointmentTime').value = apt.time;
+  document.getElementById('appointmentStatus').value = apt.status;
+  document.getElementById('appointmentStatus').dataset.originalStatus = apt.status;
+  document.getElementById('appointmentRedeemPoints').value = 0;
+  updateLoyaltyRedeemField();
+  document.getElementById('appointmentModalLabel').textContent = 'Edit Appointment';
+  renderAppointmentLineRows(getAppointmentLines(apt).slice(1));
+  populateAppointmentPackages(apt.package || null);
+  populateStaffDropdowns(apt.staffId);
+  clearAppointmentConflicts();
+  updateAppointmentEndTime();
+  resetAvailabilityPanel();
+  document.getElementById('appointmentRepeat').value = '';
+  document.getElementById('appointmentRecurrenceGroup').classList.add('d-none');
+  document.getElementById('appointmentScopeGroup').classList.toggle('d-none', !apt.seriesId);
+  document.getElementById('appointmentScope').value = 'this';
+  appointmentModalInstance.show();
+}
+
+/**
+ * Show the recurrence inputs matching the selected repeat option
+ */
+function toggleRecurrenceFields() {
+  const repeat = document.getElementById('appointmentRepeat').value;
+  const endType = document.getElementById('appointmentRepeatEnd').value;
+  document.querySelectorAll('.recurrence-field').forEach(el => el.classList.toggle('d-none', !repeat));
+  document.querySelectorAll('.recurrence-weekly-field').forEach(el => el.classList.toggle('d-none', repeat !== 'weekly'));
+  document.getElementById('appointmentRepeatCount').classList.toggle('d-none', endType !== 'count');
+  document.getElementById('appointmentRepeatUntil').classList.toggle('d-none', endType !== 'until');
+}
+
+/**
+ * Read the recurrence rule from the appointment modal
+ * Returns null for one-off appointments
+ */
+function readRecurrenceRule() {
+  const frequency = document.getElementById('appointmentRepeat').value;
+  if (!frequency) return null;
+  
+  const rule = { frequency };
+  if (frequency === 'weekly') {
+    rule.interval = parseInt(document.getElementById('appointmentRepeatInterval').value) || 1;
+  }
+  if (document.getElementById('appointmentRepeatEnd').value === 'until') {
+    rule.until = document.getElementById('appointmentRepeatUntil').value;
+  } else {
+    rule.count = parseInt(document.getElementById('appointmentRepeatCount').value) || 1;
+  }
+  return rule;
+}
+
+/**
+ * Format skipped series occurrences (date + reason) as an HTML list
+ */
+function formatSkippedOccurrences(skipped) {
+  const items = skipped.map(item => `<li>${formatDate(item.date + 'T00:00:00')}: ${item.reason}</li>`).join('');
+  return `<ul class="mb-0">${items}</ul>`;
+}
+
+/**
+ * Reset the "find next available slot" panel
+ * Search starts from the modal's date (or today) by default
+ */
+function resetAvailabilityPanel() {
+  const today = toDateKey(new Date());
+  const date = document.getElementById('appointmentDate').value;
+  document.getElementById('availabilityDateFrom').value = date && date > today ? date : today;
+  document.getElementById('availabilityDateTo').value = '';
+  document.getElementById('availabilityTimeFrom').value = '';
+  document.getElementById('availabilityTimeTo').value = '';
+  document.getElementById('availabilityResults').innerHTML = '';
+}
+
+/**
+ * FETCH: Search next free slots for the selected service
+ * Optional filters: selected staff member, date range, time-of-day window
+ */
+async function searchAvailableSlots() {
+  const serviceId = document.getElementById('appointmentService').value;
+  if (!serviceId) {
+    showAlert('Please select a service first', 'danger');
+    return;
+  }
+  
+  const params = new URLSearchParams();
+  params.append('action', 'availability');
+  params.append('serviceId', serviceId);
+  const staffId = document.getElementById('appointmentStaff').value;
+  const clientId = document.getElementById('appointmentClient').value;
+  const dateFrom = document.getElementById('availabilityDateFrom').value;
+  const dateTo = document.getElementById('availabilityDateTo').value;
+  const timeFrom = document.getElementById('availabilityTimeFrom').value;
+  const timeTo = document.getElementById('availabilityTimeTo').value;
+  if (staffId) params.append('staffId', staffId);
+  if (clientId) params.append('clientId', clientId);
+  if (dateFrom) params.append('dateFrom', dateFrom);
+  if (dateTo) params.append('dateTo', dateTo);
+  if (timeFrom) params.append('timeFrom', timeFrom);
+  if (timeTo) params.append('timeTo', timeTo);
+  params.append('limit', document.getElementById('availabilityLimit').value || 10);
+  
+  const container = document.getElementById('availabilityResults');
+  container.innerHTML = '<span class="spinner"></span>';
+  
+  try {
+    const response = await fetch(`php/appointments.php?${params.toString()}`, {
+      cache: 'no-store'
+    });
+    const result = await response.json();
+    if (result.success) {
+      renderAvailableSlots(result.data);
+    } else {
+      container.innerHTML = '';
+      showAlert('Error searching availability: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error searching availability:', error);
+    container.innerHTML = '';
+    showAlert('Error searching availability: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Render free slots as one-click booking buttons
+ */
+function renderAvailableSlots(slots) {
+  const container = document.getElementById('availabilityResults');
+  if (slots.length === 0) {
+    container.innerHTML = '<p class="text-muted small mb-0">No free slots found in this range</p>';
+    return;
+  }
+  
+  container.innerHTML = slots.map(slot => `
+    <button type="button" class="btn btn-outline-success btn-sm availability-slot"
+      onclick="bookAvailableSlot('${slot.date}', '${slot.time}', ${slot.staffId})">
+      ${formatDate(slot.date + 'T00:00:00')} ${slot.time}-${slot.endTime} &middot; ${slot.staffName}
+    </button>
+  `).join('');
+}
+
+/**
+ * Fill the appointment form with a free slot and save it
+ */
+function bookAvailableSlot(date, time, staffId) {
+  document.getElementById('appointmentDate').value = date;
+  populateStaffDropdowns();
+  document.getElementById('appointmentStaff').value = staffId;
+  document.getElementById('appointmentTime').value = time;
+  clearAppointmentConflicts();
+  updateAppointmentEndTime();
+  
+  if (!document.getElementById('appointmentClient').value) {
+    showAlert('Slot selected - please choose a client and save', 'info');
+    return;
+  }
+  document.getElementById('appointmentForm').requestSubmit();
+}
+
+/**
+ * Calculate end time ("HH:MM") from a start time and duration in minutes
+ */
+function calculateEndTime(time, duration) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const total = hours * 60 + minutes + (parseInt(duration) || 0);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Get appointment end time
+ * Falls back to the service duration for appointments without a stored endTime
+ */
+function getAppointmentEndTime(apt) {
+  if (apt.endTime) return apt.endTime;
+  const service = allServices.find(srv => srv.id == apt.serviceId);
+  return calculateEndTime(apt.time, service?.duration || 0);
+}
+
+/**
+ * Service lines of an appointment (one line for single-service appointments)
+ * See php/includes/appointment-lines.php.
+ */
+function getAppointmentLines(apt) {
+  if (apt.lines && apt.lines.length > 0) return apt.lines;
+  return [{ serviceId: apt.serviceId, staffId: apt.staffId, time: apt.time, endTime: getAppointmentEndTime(apt) }];
+}
+
+/**
+ * Names of an appointment's services, joined with " + "
+ */
+function getAppointmentServiceNames(apt) {
+  return getAppointmentLines(apt)
+    .map(line => (allServices.find(srv => srv.id == line.serviceId) || {}).name || 'Unknown')
+    .join(' + ');
+}
+
+/**
+ * Names of an appointment's staff members, each once, joined with ", "
+ */
+function getAppointmentStaffNames(apt) {
+  const names = getAppointmentLines(apt)
+    .map(line => (allStaff.find(s => s.id == line.staffId) || {}).name || 'Unknown');
+  return [...new Set(names)].join(', ');
+}
+
+/**
+ * Service and staff picked on each line of the appointment modal
+ * ([{ serviceId, staffId }] as strings): the main service first, then the
+ * added ones
+ */
+function readAppointmentFormLines() {
+  const lines = [{
+    serviceId: document.getElementById('appointmentService').value,
+    staffId: document.getElementById('appointmentStaff').value
+  }];
+  document.querySelectorAll('#appointmentExtraLines .appointment-line-row').forEach(row => {
+    lines.push({
+      serviceId: row.querySelector('.appointment-line-service').value,
+      staffId: row.querySelector('.appointment-line-staff').value
+    });
+  });
+  return lines;
+}
+
+/**
+ * Replace the added service lines of the appointment modal
+ */
+function renderAppointmentLineRows(lines) {
+  document.getElementById('appointmentExtraLines').innerHTML = '';
+  lines.forEach(line => addAppointmentLineRow(line));
+  updateAppointmentAddLineButton();
+}
+
+/**
+ * Add a service line (service, staff member, remove button) to the
+ * appointment modal
+ */
+function addAppointmentLineRow(line = {}) {
+  const container = document.getElementById('appointmentExtraLines');
+  const row = document.createElement('div');
+  row.className = 'appointment-line-row row g-2 mb-2';
+  row.innerHTML = `
+    <div class="col-5"><select class="form-control appointment-line-service" aria-label="Service"></select></div>
+    <div class="col-5"><select class="form-control appointment-line-staff" aria-label="Staff member"></select></div>
+    <div class="col-2"><button type="button" class="btn btn-outline-danger w-100" title="Remove this service">✕</button></div>
+    <div class="col-12 form-text appointment-line-time mt-0"></div>
+  `;
+  const serviceSelect = row.querySelector('.appointment-line-service');
+  const staffSelect = row.querySelector('.appointment-line-staff');
+  fillAppointmentServiceSelect(serviceSelect, line.serviceId ? String(line.serviceId) : '');
+  fillAppointmentStaffSelect(staffSelect, serviceSelect.value, line.staffId ? String(line.staffId) : '');
+  
+  serviceSelect.addEventListener('change', () => {
+    fillAppointmentStaffSelect(staffSelect, serviceSelect.value, staffSelect.value);
+    handleAppointmentLinesChange();
+  });
+  staffSelect.addEventListener('change', handleAppointmentLinesChange);
+  row.querySelector('button').addEventListener('click', () => {
+    row.remove();
+    updateAppointmentAddLineButton();
+    handleAppointmentLinesChange();
+  });
+  container.appendChild(row);
+  updateAppointmentAddLineButton();
+  if (!line.serviceId) handleAppointmentLinesChange();
+}
+
+/**
+ * Hide "Add another service" once the appointment has the most services allowed
+ */
+function updateAppointmentAddLineButton() {
+  const count = document.querySelectorAll('#appointmentExtraLines .appointment-line-row').length + 1;
+  document.getElementById('appointmentAddLineButton').classList.toggle('d-none', count >= MAX_APPOINTMENT_LINES);
+}
+
+/**
+ * Refresh the modal after the services or staff of a line changed
+ */
+function handleAppointmentLinesChange() {
+  clearAppointmentConflicts();
+  updateAppointmentEndTime();
+  updateLoyaltyRedeemInfo();
+}
+
+/**
+ * Fill the package select of the appointment modal
+ * Inactive packages are left out. booked is the copy an edited appointment
+ * carries; it stands in for its package, which may since have changed or
+ * been deleted.
+ */
+function populateAppointmentPackages(booked = null) {
+  const select = document.getElementById('appointmentPackage');
+  const currentValue = booked ? String(booked.id) : select.value;
+  appointmentPackageOptions = allPackages.filter(pkg => !isPackageInactive(pkg) && pkg.id != booked?.id);
+  if (booked) appointmentPackageOptions.push(booked);
+  select.innerHTML = '<option value="">No package</option>';
+  appointmentPackageOptions.forEach(pkg => {
+    select.appendChild(new Option(`${decodeHtml(pkg.name)} ($${pkg.price})`, pkg.id));
+  });
+  select.value = currentValue;
+}
+
+/**
+ * Package picked in the appointment modal, or null
+ */
+function getAppointmentFormPackage() {
+  const packageId = document.getElementById('appointmentPackage').value;
+  return appointmentPackageOptions.find(pkg => pkg.id == packageId) || null;
+}
+
+/**
+ * Whether service lines book exactly the services of a package (in any order)
+ */
+function linesMatchPackage(lines, pkg) {
+  const booked = lines.map(line => parseInt(line.serviceId)).sort((a, b) => a - b);
+  const included = pkg.serviceIds.slice().sort((a, b) => a - b);
+  return booked.length === included.length && booked.every((id, i) => id === included[i]);
+}
+
+/**
+ * Fill in the services of the package picked in the appointment modal
+ * Each line keeps its staff member when they perform the line's new service;
+ * added lines otherwise start with the main staff member if they can.
+ */
+function applyAppointmentPackage() {
+  const pkg = getAppointmentFormPackage();
+  if (pkg) {
+    const current = readAppointmentFormLines();
+    const pickStaff = (staffId, serviceId) => {
+      const staff = allStaff.find(s => s.id == staffId);
+      return staff && staffPerformsService(staff, serviceId) ? staffId : '';
+    };
+    const lines = pkg.serviceIds.map((serviceId, i) => ({
+      serviceId,
+      staffId: pickStaff(current[i]?.staffId, serviceId) || pickStaff(current[0].staffId, serviceId)
+    }));
+    populateServiceDropdowns(lines[0].serviceId);
+    document.getElementById('appointmentStaff').value = lines[0].staffId;
+    renderAppointmentLineRows(lines.slice(1));
+    populateStaffDropdowns();
+  }
+  handleAppointmentLinesChange();
 }
 
 /**
- * Get Bootstrap badge class based on appointment status
+ * Price of the services picked in the appointment modal: the package price
+ * when they match the picked package, otherwise the staff prices added up
  */
-function getStatusBadgeClass(status) {
-  switch(status) {
-    case 'complete':
-      return 'success';
-    case 'pending':
-      return 'warning';
-    case 'deleted_by_user':
-    case 'deleted_by_staff':
-    case 'no_show':
-      return 'danger';
-    default:
-      return 'secondary';
+function getAppointmentFormPrice() {
+  const lines = readAppointmentFormLines();
+  const pkg = getAppointmentFormPackage();
+  if (pkg && linesMatchPackage(lines, pkg)) return parseFloat(pkg.price);
+  return lines.reduce((sum, line) => {
+    const service = allServices.find(srv => srv.id == line.serviceId);
+    const staff = allStaff.find(s => s.id == line.staffId);
+    return sum + (service ? getStaffServicePrice(staff, service) : 0);
+  }, 0);
+}
+
+/**
+ * Show the computed end time under the time field in the appointment modal
+ * With several services each added line shows its own times, as they follow
+ * each other back-to-back.
+ */
+function updateAppointmentEndTime() {
+  const display = document.getElementById('appointmentEndTimeDisplay');
+  const time = document.getElementById('appointmentTime').value;
+  const lines = readAppointmentFormLines();
+  const rows = document.querySelectorAll('#appointmentExtraLines .appointment-line-row');
+  rows.forEach(row => { row.querySelector('.appointment-line-time').textContent = ''; });
+  
+  if (!time || !lines[0].serviceId) {
+    display.textContent = '';
+    return;
   }
+  let end = time;
+  let duration = 0;
+  lines.forEach((line, i) => {
+    const service = allServices.find(srv => srv.id == line.serviceId);
+    if (!service) return;
+    const lineDuration = getStaffServiceDuration(allStaff.find(s => s.id == line.staffId), service);
+    const start = end;
+    end = calculateEndTime(start, lineDuration);
+    duration += lineDuration;
+    if (i > 0) rows[i - 1].querySelector('.appointment-line-time').textContent = `${start} - ${end}`;
+  });
+  
+  const pkg = getAppointmentFormPackage();
+  let priceNote = formatCurrency(getAppointmentFormPrice());
+  if (pkg) {
+    priceNote += linesMatchPackage(lines, pkg) ? ' package price' : `; the services do not match ${decodeHtml(pkg.name)}`;
+  }
+  display.textContent = `Ends at ${end} (${duration} min, ${priceNote})`;
 }
 
 /**
- * Open appointment modal for a specific day
+ * Hide the conflicts panel and reset the "save anyway" override
  */
-function openAppointmentModalForDay() {
-  document.getElementById('appointmentForm').reset();
-  document.getElementById('appointmentId').value = '';
-  document.getElementById('appointmentDate').value = currentDayForAppointments;
-  document.getElementById('appointmentStatus').value = 'pending';
-  document.getElementById('appointmentModalLabel').textContent = 'Add Appointment';
-  appointmentModalInstance.show();
+function clearAppointmentConflicts() {
+  const container = document.getElementById('appointmentConflicts');
+  container.innerHTML = '';
+  container.classList.add('d-none');
+  document.getElementById('appointmentAllowConflicts').value = '';
 }
 
 /**
- * Edit existing appointment
+ * Render overlapping appointments returned by the server in the appointment modal
+ * Offers a "Save anyway" button that resubmits with allowConflicts set
  */
-function editAppointment(appointmentId) {
-  const apt = allAppointments.find(a => a.id == appointmentId);
-  if (!apt) return;
+function renderAppointmentConflicts(conflicts) {
+  const container = document.getElementById('appointmentConflicts');
+  const items = conflicts.map(apt => {
+    const client = allClients.find(c => c.id == apt.clientId);
+    const reasons = apt.conflictsOn.map(on => on === 'staff' ? 'staff busy' : 'client busy').join(', ');
+    return `<li>${apt.time} - ${apt.endTime}: ${client?.name || 'Unknown'} with ${getAppointmentStaffNames(apt)} (${getAppointmentServiceNames(apt)}) <em>${reasons}</em></li>`;
+  }).join('');
   
-  document.getElementById('appointmentId').value = apt.id;
-  document.getElementById('appointmentDate').value = apt.date;
-  document.getElementById('appointmentClient').value = apt.clientId;
-  document.getElementById('appointmentStaff').value = apt.staffId;
-  document.getElementById('appointmentService').value = apt.serviceId;
-  document.getElementById('appointmentTime').value = apt.time;
-  document.getElementById('appointmentStatus').value = apt.status;
-  document.getElementById('appointmentModalLabel').textContent = 'Edit Appointment';
-  appointmentModalInstance.show();
+  container.innerHTML = `
+    <strong>This booking overlaps with:</strong>
+    <ul class="mb-2">${items}</ul>
+    <button type="button" class="btn btn-warning btn-sm" onclick="saveAppointmentAnyway()">Save anyway</button>
+  `;
+  container.classList.remove('d-none');
+}
+
+/**
+ * Resubmit the appointment form overriding overlap detection
+ */
+function saveAppointmentAnyway() {
+  document.getElementById('appointmentAllowConflicts').value = '1';
+  document.getElementById('appointmentForm').requestSubmit();
 }
 
 /**
@@ -1062,7 +4724,7 @@ async function submitAppointmentForm(e) {
   
   // Validate each required field with specific error messages
   if (!clientIdField) {
-    showAlert('Please select a client', 'danger');
+    showAlert('Please select a client from the list', 'danger');
     return;
   }
   
@@ -1086,6 +4748,12 @@ async function submitAppointmentForm(e) {
     return;
   }
   
+  const lines = readAppointmentFormLines();
+  if (lines.some(line => !line.serviceId || !line.staffId)) {
+    showAlert('Please select a service and staff member for every added service', 'danger');
+    return;
+  }
+  
   // Validate date format (YYYY-MM-DD)
   if (!/^\d{4}-\d{2}-\d{2}$/.test(dateField)) {
     showAlert('Invalid date format. Please use YYYY-MM-DD', 'danger');
@@ -1106,9 +4774,33 @@ async function submitAppointmentForm(e) {
     serviceId: parseInt(serviceIdField),
     date: dateField,
     time: timeField,
-    status: document.getElementById('appointmentStatus').value
+    packageId: parseInt(document.getElementById('appointmentPackage').value) || null,
+    status: document.getElementById('appointmentStatus').value,
+    allowConflicts: document.getElementById('appointmentAllowConflicts').value === '1'
   };
   
+  // Further services follow the first one back-to-back
+  if (lines.length > 1) {
+    appointmentData.lines = lines.map(line => ({ serviceId: parseInt(line.serviceId), staffId: parseInt(line.staffId) }));
+  }
+  
+  // Recurrence applies to new bookings; scope applies to edits of series appointments
+  if (action === 'add') {
+    const recurrence = readRecurrenceRule();
+    if (recurrence) {
+      if (recurrence.until !== undefined && !recurrence.until) {
+        showAlert('Please select the date the series ends', 'danger');
+        return;
+      }
+      appointmentData.recurrence = recurrence;
+    }
+  } else {
+    appointmentData.scope = document.getElementById('appointmentScope').value;
+    if (!document.getElementById('appointmentRedeemGroup').classList.contains('d-none')) {
+      appointmentData.redeemPoints = parseInt(document.getElementById('appointmentRedeemPoints').value) || 0;
+    }
+  }
+  
   // Log data for debugging (visible in browser console)
   // ===== SEND TO SERVER =====
   const endpoint = 'php/appointments.php';
@@ -1138,16 +4830,36 @@ async function submitAppointmentForm(e) {
       if (result.incomeDeleted) {
         message += ' Income record removed.';
       }
+      message += formatPolicyResult(result.policy);
+      if (result.created) {
+        message = `${result.created.length} appointments booked in the series. Emails sent to client.`;
+      }
+      if (result.seriesUpdated) {
+        message += ` ${result.seriesUpdated.length} other appointments in the series updated.`;
+      }
       showAlert(message, 'success');
+      const skipped = result.skipped || result.seriesSkipped || [];
+      if (skipped.length > 0) {
+        showAlert('Some occurrences were not changed:' + formatSkippedOccurrences(skipped), 'warning');
+      }
       appointmentModalInstance.hide();
       dayViewModalInstance.hide();
       loadAppointmentsData().then(() => renderCalendar());
+      // Completing or reopening changes the client's loyalty points; the
+      // no-show policy may flag the client
+      if (result.incomeCreated || result.incomeDeleted || result.policy) {
+        loadClientsData();
+      }
       // If income tab is visible, reload incomes
       const incomeTab = document.getElementById('income-panel');
       if (incomeTab && incomeTab.classList.contains('active')) {
         loadIncomes();
         getIncomeSummary();
       }
+    } else if (result.conflicts) {
+      renderAppointmentConflicts(result.conflicts);
+    } else if (result.skipped) {
+      showAlert('Error: ' + result.error + formatSkippedOccurrences(result.skipped), 'danger');
     } else {
       showAlert('Error: ' + result.error, 'danger');
     }
@@ -1160,12 +4872,18 @@ async function submitAppointmentForm(e) {
 /**
  * Delete appointment by ID
  * Triggers email notification to client
+ * Scope ('this', 'following', 'all') applies to series appointments
  */
-async function deleteAppointment(appointmentId) {
-  if (!confirm('Are you sure you want to delete this appointment?')) return;
+async function deleteAppointment(appointmentId, scope = 'this') {
+  const confirmMessages = {
+    this: 'Are you sure you want to delete this appointment?',
+    following: 'Delete this appointment and all following pending appointments in the series?',
+    all: 'Delete all pending appointments in this series?'
+  };
+  if (!confirm(confirmMessages[scope] || confirmMessages.this)) return;
   
   const endpoint = 'php/appointments.php';
-  const body = { action: 'delete', id: appointmentId };
+  const body = { action: 'delete', id: appointmentId, scope };
   console.log('Sending request to:', endpoint);
   console.log('Request data:', body);
   
@@ -1181,7 +4899,10 @@ async function deleteAppointment(appointmentId) {
     const result = await response.json();
     console.log('Response data:', result);
     if (result.success) {
-      showAlert('Appointment deleted! Notification sent to client.', 'success');
+      const deletedCount = result.deletedCount || 1;
+      showAlert(deletedCount > 1
+        ? `${deletedCount} appointments deleted! Notifications sent to client.`
+        : 'Appointment deleted! Notification sent to client.', 'success');
       loadAppointmentsData().then(() => renderCalendar());
       dayViewModalInstance.hide();
       // Reload incomes if on income tab
@@ -1200,18 +4921,38 @@ async function deleteAppointment(appointmentId) {
 }
 
 /**
- * Navigate to previous month in calendar
+ * Navigate to previous month, week or day in calendar
+ */
+function goToPreviousPeriod() {
+  shiftCalendarPeriod(-1);
+}
+
+/**
+ * Navigate to next month, week or day in calendar
+ */
+function goToNextPeriod() {
+  shiftCalendarPeriod(1);
+}
+
+/**
+ * Navigate back to today in the current view
  */
-function goToPreviousMonth() {
-  currentMonth.setMonth(currentMonth.getMonth() - 1);
+function goToToday() {
+  currentMonth = new Date();
   renderCalendar();
 }
 
 /**
- * Navigate to next month in calendar
+ * Move the calendar reference date by one period of the current view
  */
-function goToNextMonth() {
-  currentMonth.setMonth(currentMonth.getMonth() + 1);
+function shiftCalendarPeriod(direction) {
+  if (calendarView === 'month') {
+    // Anchor on the 1st so short months are not skipped
+    currentMonth.setDate(1);
+    currentMonth.setMonth(currentMonth.getMonth() + direction);
+  } else {
+    currentMonth.setDate(currentMonth.getDate() + direction * (calendarView === 'week' ? 7 : 1));
+  }
   renderCalendar();
 }
 
@@ -1234,6 +4975,8 @@ function showAlert(message, type = 'info') {
   setTimeout(() => {
     alertDiv.remove();
   }, 5000);
+  
+  return alertDiv;
 }
 
 // ===== INCOME/FINANCES FUNCTIONS =====
@@ -1278,6 +5021,7 @@ async function getIncomeSummary() {
       renderIncomeDashboard();
       renderIncomeByStaff();
       renderIncomeByService();
+      renderIncomeByCategory();
     } else {
       showAlert('Error loading income summary: ' + result.error, 'danger');
     }
@@ -1316,8 +5060,8 @@ function renderIncomeTable(incomes) {
       <td>${income.time}</td>
       <td><strong>${income.clientName}</strong></td>
       <td>${income.staffName}</td>
-      <td>${income.serviceName}</td>
-      <td class="income-amount-cell">${formatCurrency(income.amount)}</td>
+      <td>${income.serviceName}${income.type === 'fee' ? ' <span class="badge bg-secondary">Fee</span>' : ''}${income.packageName ? ` <span class="badge badge-secondary">${income.packageName}</span>` : ''}</td>
+      <td class="income-amount-cell">${formatCurrency(income.amount)}${income.discount > 0 ? `<div class="small text-muted">-${formatCurrency(income.discount)}${income.pointsRedeemed > 0 ? ` (${income.pointsRedeemed} pts)` : ''}</div>` : ''}${income.tip > 0 ? `<div class="small text-muted">+${formatCurrency(income.tip)} tip</div>` : ''}</td>
       <td><span class="payment-method-badge ${getPaymentMethodBadgeClass(income.paymentMethod)}">${income.paymentMethod}</span></td>
       <td><span class="badge badge-success">${income.status}</span></td>
       <td>
@@ -1439,6 +5183,109 @@ function renderIncomeByService() {
   });
 }
 
+/**
+ * Render income by service category summary table (fees on their own line)
+ */
+function renderIncomeByCategory() {
+  const tbody = document.getElementById('incomeByCategoryBody');
+  tbody.innerHTML = '';
+  
+  if (!incomeSummary.byCategory || incomeSummary.byCategory.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="3" class="text-center text-muted">No data</td></tr>';
+    return;
+  }
+  
+  incomeSummary.byCategory.forEach(item => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${item.category}</td>
+      <td class="text-end">${item.count}</td>
+      <td class="text-end">${formatCurrency(item.total)}</td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Pay period chosen in the payroll report (defaults to the current month)
+ */
+function getPayrollPeriod() {
+  const fromInput = document.getElementById('payrollDateFrom');
+  const toInput = document.getElementById('payrollDateTo');
+  if (!fromInput.value && !toInput.value) {
+    const today = new Date();
+    fromInput.value = toDateKey(new Date(today.getFullYear(), today.getMonth(), 1));
+    toInput.value = toDateKey(new Date(today.getFullYear(), today.getMonth() + 1, 0));
+  }
+  return { dateFrom: fromInput.value, dateTo: toInput.value };
+}
+
+/**
+ * FETCH: Load the payroll report for the chosen pay period
+ */
+async function loadPayroll() {
+  const period = getPayrollPeriod();
+  if (!period.dateFrom || !period.dateTo) {
+    showAlert('Please choose the pay period', 'danger');
+    return;
+  }
+  
+  try {
+    const params = new URLSearchParams({ action: 'payroll', ...period });
+    const response = await fetch(`php/incomes.php?${params.toString()}`, { cache: 'no-store' });
+    const result = await response.json();
+    if (result.success) {
+      renderPayrollTable(result.data.staff);
+    } else {
+      showAlert('Error loading payroll: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error loading payroll:', error);
+    showAlert('Error loading payroll: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Render the payroll report: one row per staff member with their services
+ */
+function renderPayrollTable(payroll) {
+  const tbody = document.getElementById('payrollBody');
+  tbody.innerHTML = '';
+  
+  if (payroll.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No staff</td></tr>';
+    return;
+  }
+  
+  payroll.forEach(item => {
+    const services = item.services.map(line =>
+      `<div class="small">${line.count} &times; ${line.serviceName}: ${formatCurrency(line.revenue)} <span class="text-muted">(${formatCurrency(line.commission)})</span></div>`
+    ).join('');
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${item.staffName}<div class="small text-muted">${COMMISSION_MODE_LABELS[item.commissionMode] || ''}</div></td>
+      <td>${services || '<span class="text-muted small">No services</span>'}</td>
+      <td class="text-end">${formatCurrency(item.revenue)}</td>
+      <td class="text-end">${formatCurrency(item.commission)}</td>
+      <td class="text-end">${formatCurrency(item.tips)}</td>
+      <td class="text-end fw-bold">${formatCurrency(item.total)}</td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Download the payroll report for the chosen pay period as CSV
+ */
+function exportPayroll() {
+  const period = getPayrollPeriod();
+  if (!period.dateFrom || !period.dateTo) {
+    showAlert('Please choose the pay period', 'danger');
+    return;
+  }
+  window.location.href = 'php/incomes.php?' + new URLSearchParams({ action: 'exportPayroll', ...period }).toString();
+}
+
 /**
  * Open edit modal for income record
  */
@@ -1451,6 +5298,7 @@ function editIncome(incomeId) {
   document.getElementById('incomeServiceDisplay').textContent = income.serviceName;
   document.getElementById('incomeAmountDisplay').textContent = formatCurrency(income.amount);
   document.getElementById('incomePaymentMethod').value = income.paymentMethod || 'cash';
+  document.getElementById('incomeTip').value = income.tip > 0 ? parseFloat(income.tip).toFixed(2) : '';
   document.getElementById('incomeNotes').value = income.notes || '';
   
   incomeModalInstance.show();
@@ -1464,8 +5312,14 @@ async function submitIncomeForm(e) {
   
   const incomeId = parseInt(document.getElementById('incomeId').value);
   const paymentMethod = document.getElementById('incomePaymentMethod').value;
+  const tip = document.getElementById('incomeTip').value;
   const notes = document.getElementById('incomeNotes').value;
   
+  if (tip && parseFloat(tip) < 0) {
+    showAlert('Tip cannot be negative', 'danger');
+    return;
+  }
+  
   try {
     const response = await fetch('php/incomes.php', {
       method: 'POST',
@@ -1476,6 +5330,7 @@ async function submitIncomeForm(e) {
         data: { 
           id: incomeId, 
           paymentMethod, 
+          tip: tip || 0,
           notes 
         } 
       })
@@ -1486,6 +5341,7 @@ async function submitIncomeForm(e) {
       incomeModalInstance.hide();
       loadIncomes();
       getIncomeSummary();
+      loadPayroll();
     } else {
       showAlert('Error: ' + result.error, 'danger');
     }
@@ -1502,7 +5358,13 @@ async function deleteIncome(incomeId) {
   const income = allIncomes.find(i => i.id == incomeId);
   if (!income) return;
   
-  if (!confirm(`Delete this income record for ${income.clientName} (${formatCurrency(income.amount)})? This will revert the appointment status to "pending".`) {
+  // Policy fees are removed on their own; the appointment stays a no-show
+  if (income.type === 'fee') {
+    deletePolicyFee(income);
+    return;
+  }
+  
+  if (!confirm(`Delete this income record for ${income.clientName} (${formatCurrency(income.amount)})? This will revert the appointment status to "pending".`)) {
     return;
   }
   
@@ -1543,6 +5405,262 @@ async function deleteIncome(incomeId) {
   }
 }
 
+/**
+ * Delete a no-show or late cancellation fee
+ */
+async function deletePolicyFee(income) {
+  if (!confirm(`Delete the ${income.serviceName.toLowerCase()} for ${income.clientName} (${formatCurrency(income.amount)})?`)) {
+    return;
+  }
+  
+  try {
+    const response = await fetch('php/incomes.php', {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'delete', id: income.id })
+    });
+    const result = await response.json();
+    if (result.success) {
+      showAlert('Fee deleted', 'success');
+      loadIncomes();
+      getIncomeSummary();
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error deleting fee:', error);
+    showAlert('Error deleting fee: ' + error.message, 'danger');
+  }
+}
+
+// ===== SETTINGS FUNCTIONS =====
+
+/**
+ * FETCH: Load settings from php/settings.php
+ */
+async function loadSettings() {
+  try {
+    const response = await fetch('php/settings.php?action=get', { cache: 'no-store' });
+    const result = await response.json();
+    if (result.success) {
+      currentSettings = result.data;
+      loyaltySettings = result.data.loyalty;
+      defaultEmailTemplates = result.defaultTemplates || {};
+      renderSettingsForm();
+    } else {
+      showAlert('Error loading settings: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    showAlert('Error loading settings: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Fill the settings form from currentSettings
+ * Text values are HTML-encoded by the server, so they are decoded for inputs
+ */
+function renderSettingsForm() {
+  const decode = (value) => {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = value || '';
+    return textarea.value;
+  };
+  const { branding, mail, selfService, loyalty, policy } = currentSettings;
+  
+  document.getElementById('settingsSalonName').value = decode(branding.salonName);
+  document.getElementById('settingsSalonEmail').value = decode(branding.email);
+  document.getElementById('settingsSalonPhone').value = decode(branding.phone);
+  document.getElementById('settingsSalonAddress').value = decode(branding.address);
+  document.getElementById('settingsSalonWebsite').value = decode(branding.website);
+  document.getElementById('settingsSalonColor').value = branding.color;
+  
+  document.getElementById('settingsMailTransport').value = mail.transport;
+  document.getElementById('settingsMailFromName').value = mail.fromName;
+  document.getElementById('settingsMailFromEmail').value = mail.fromEmail;
+  document.getElementById('settingsMailReplyTo').value = mail.replyTo;
+  document.getElementById('settingsSmtpHost').value = mail.smtp.host;
+  document.getElementById('settingsSmtpPort').value = mail.smtp.port;
+  document.getElementById('settingsSmtpEncryption').value = mail.smtp.encryption;
+  document.getElementById('settingsSmtpUsername').value = mail.smtp.username;
+  document.getElementById('settingsSmtpPassword').value = '';
+  document.getElementById('settingsSmtpPassword').placeholder = mail.smtp.passwordSet ? '(unchanged)' : '';
+  toggleSmtpSettings();
+  
+  document.getElementById('settingsPublicUrl').value = selfService.publicUrl;
+  document.getElementById('settingsCutoffHours').value = selfService.cutoffHours;
+  
+  document.getElementById('settingsLoyaltyEnabled').checked = loyalty.enabled;
+  document.getElementById('settingsLoyaltyPointsPerCurrency').value = loyalty.pointsPerCurrency;
+  document.getElementById('settingsLoyaltyPointValue').value = loyalty.pointValue;
+  
+  document.getElementById('settingsPolicyEnabled').checked = policy.enabled;
+  document.getElementById('settingsPolicyLateCancelHours').value = policy.lateCancelHours;
+  document.getElementById('settingsPolicyWindowMonths').value = policy.windowMonths;
+  document.getElementById('settingsPolicyFlagBadAfter').value = policy.flagBadAfter;
+  document.getElementById('settingsPolicyDepositAfter').value = policy.depositAfter;
+  document.getElementById('settingsPolicyDepositAmount').value = policy.depositAmount;
+  document.getElementById('settingsPolicyFeeAfter').value = policy.feeAfter;
+  document.getElementById('settingsPolicyNoShowFee').value = policy.noShowFee;
+  document.getElementById('settingsPolicyLateCancelFee').value = policy.lateCancelFee;
+  
+  currentTemplateEvent = document.getElementById('settingsTemplateEvent').value;
+  showEmailTemplate(currentTemplateEvent);
+}
+
+/**
+ * Show the SMTP fields only for the SMTP transport
+ */
+function toggleSmtpSettings() {
+  const transport = document.getElementById('settingsMailTransport').value;
+  document.getElementById('smtpSettings').classList.toggle('d-none', transport !== 'smtp');
+}
+
+/**
+ * Show a template in the editor
+ */
+function showEmailTemplate(event) {
+  const template = currentSettings.templates[event] || { subject: '', body: '' };
+  document.getElementById('settingsTemplateSubject').value = template.subject;
+  document.getElementById('settingsTemplateBody').value = template.body;
+}
+
+/**
+ * Keep the edits of the template currently shown in the editor
+ */
+function storeEmailTemplateEdits() {
+  currentSettings.templates[currentTemplateEvent] = {
+    subject: document.getElementById('settingsTemplateSubject').value,
+    body: document.getElementById('settingsTemplateBody').value
+  };
+}
+
+/**
+ * Switch the template editor to the selected event
+ */
+function selectEmailTemplate() {
+  storeEmailTemplateEdits();
+  currentTemplateEvent = document.getElementById('settingsTemplateEvent').value;
+  showEmailTemplate(currentTemplateEvent);
+}
+
+/**
+ * Restore the default template for the selected event (saved with the form)
+ */
+function resetEmailTemplate() {
+  const template = defaultEmailTemplates[currentTemplateEvent];
+  if (!template || !confirm('Replace this template with the default?')) return;
+  
+  document.getElementById('settingsTemplateSubject').value = template.subject;
+  document.getElementById('settingsTemplateBody').value = template.body;
+}
+
+/**
+ * Save settings (branding, mail transport, self-service, loyalty and all templates)
+ */
+async function saveSettings(e) {
+  e.preventDefault();
+  if (!currentSettings) return;
+  storeEmailTemplateEdits();
+  
+  const settingsData = {
+    branding: {
+      salonName: document.getElementById('settingsSalonName').value,
+      email: document.getElementById('settingsSalonEmail').value,
+      phone: document.getElementById('settingsSalonPhone').value,
+      address: document.getElementById('settingsSalonAddress').value,
+      website: document.getElementById('settingsSalonWebsite').value,
+      color: document.getElementById('settingsSalonColor').value
+    },
+    mail: {
+      transport: document.getElementById('settingsMailTransport').value,
+      fromName: document.getElementById('settingsMailFromName').value,
+      fromEmail: document.getElementById('settingsMailFromEmail').value,
+      replyTo: document.getElementById('settingsMailReplyTo').value,
+      smtp: {
+        host: document.getElementById('settingsSmtpHost').value,
+        port: parseInt(document.getElementById('settingsSmtpPort').value) || 25,
+        encryption: document.getElementById('settingsSmtpEncryption').value,
+        username: document.getElementById('settingsSmtpUsername').value,
+        password: document.getElementById('settingsSmtpPassword').value
+      }
+    },
+    selfService: {
+      publicUrl: document.getElementById('settingsPublicUrl').value.trim(),
+      cutoffHours: parseInt(document.getElementById('settingsCutoffHours').value) || 0
+    },
+    loyalty: {
+      enabled: document.getElementById('settingsLoyaltyEnabled').checked,
+      pointsPerCurrency: document.getElementById('settingsLoyaltyPointsPerCurrency').value,
+      pointValue: document.getElementById('settingsLoyaltyPointValue').value
+    },
+    policy: {
+      enabled: document.getElementById('settingsPolicyEnabled').checked,
+      lateCancelHours: document.getElementById('settingsPolicyLateCancelHours').value,
+      windowMonths: document.getElementById('settingsPolicyWindowMonths').value,
+      flagBadAfter: document.getElementById('settingsPolicyFlagBadAfter').value,
+      depositAfter: document.getElementById('settingsPolicyDepositAfter').value,
+      depositAmount: document.getElementById('settingsPolicyDepositAmount').value,
+      feeAfter: document.getElementById('settingsPolicyFeeAfter').value,
+      noShowFee: document.getElementById('settingsPolicyNoShowFee').value,
+      lateCancelFee: document.getElementById('settingsPolicyLateCancelFee').value
+    },
+    templates: currentSettings.templates
+  };
+  
+  try {
+    const response = await fetch('php/settings.php', {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'save', data: settingsData })
+    });
+    const result = await response.json();
+    if (result.success) {
+      currentSettings = result.data;
+      loyaltySettings = result.data.loyalty;
+      renderSettingsForm();
+      showAlert('Settings saved successfully!', 'success');
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    showAlert('Error saving settings: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Send a test email with the saved mail settings
+ */
+async function sendTestEmail() {
+  const to = document.getElementById('settingsTestEmailTo').value.trim();
+  if (!to) {
+    showAlert('Please enter an email address for the test', 'danger');
+    return;
+  }
+  
+  try {
+    const response = await fetch('php/settings.php', {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'testEmail', to })
+    });
+    const result = await response.json();
+    if (result.success) {
+      const note = result.data.transport === 'log' ? ' (log transport: check the PHP error log)' : '';
+      showAlert(`Test email sent to ${to}${note}`, 'success');
+    } else {
+      showAlert('Error: ' + result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error sending test email:', error);
+    showAlert('Error sending test email: ' + error.message, 'danger');
+  }
+}
+
 /**
  * Get payment method badge CSS class
  */
@@ -0,0 +1,265 @@
+/**
+ * Beauty Salon Management System
+ * Online Booking Page (book.html)
+ *
+ * Public page where clients book their own appointments:
+ * 1. Pick a service, optionally a staff member, and a date
+ * 2. Pick one of the free slots (php/appointments.php?action=availability)
+ * 3. Enter name/email/phone and book (php/appointments.php action 'book')
+ *
+ * The server matches the client by email or creates a new one; clients
+ * flagged as bad clients are asked to call the salon instead.
+ */
+
+// Data loaded from php/appointments.php?action=bookingOptions
+const bookingServices = [];
+const bookingStaff = [];
+let bookingSalon = {};
+let selectedSlot = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+  const dateInput = document.getElementById('bookingDate');
+  dateInput.min = toDateKey(new Date());
+  dateInput.value = dateInput.min;
+  document.getElementById('bookingForm').addEventListener('submit', submitBooking);
+  loadBookingOptions();
+});
+
+/**
+ * Local date as "YYYY-MM-DD"
+ */
+function toDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Load services, staff and salon details
+ */
+async function loadBookingOptions() {
+  try {
+    const response = await fetch('php/appointments.php?action=bookingOptions', {
+      cache: 'no-store'
+    });
+    const result = await response.json();
+    if (!result.success) {
+      showBookingMessage('Error loading services: ' + result.error, 'danger');
+      return;
+    }
+
+    bookingServices.push(...result.data.services);
+    bookingStaff.push(...result.data.staff);
+    bookingSalon = result.data.salon;
+
+    document.title = `Book an Appointment - ${bookingSalon.name}`;
+    document.getElementById('bookingSalonName').innerHTML = `✨ ${bookingSalon.name}`;
+    document.getElementById('bookingSalonContact').innerHTML =
+      [bookingSalon.phone, bookingSalon.email].filter(Boolean).join(' · ');
+
+    document.getElementById('bookingService').innerHTML = '<option value="">Select a service...</option>' +
+      formatBookingServiceOptions(bookingServices);
+    document.getElementById('bookingStaff').innerHTML = '<option value="">Any staff member</option>' +
+      bookingStaff.map(member => `<option value="${member.id}">${member.name} - ${member.role}</option>`).join('');
+  } catch (error) {
+    console.error('Error loading booking options:', error);
+    showBookingMessage('Error loading services: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Service options, in an optgroup per category when the salon uses categories
+ * (services arrive in display order; a category sits where its first service is)
+ */
+function formatBookingServiceOptions(services) {
+  const formatOption = service =>
+    `<option value="${service.id}">${service.name} (${service.duration} min, $${service.price.toFixed(2)})</option>`;
+  const categories = [...new Set(services.map(service => service.category))];
+  if (categories.length === 1 && !categories[0]) {
+    return services.map(formatOption).join('');
+  }
+  return categories.map(category =>
+    `<optgroup label="${category || 'Other'}">` +
+      services.filter(service => service.category === category).map(formatOption).join('') +
+    '</optgroup>'
+  ).join('');
+}
+
+/**
+ * Load free slots for the chosen service and date, one group per staff member
+ */
+async function loadBookingSlots() {
+  const container = document.getElementById('bookingSlots');
+  const serviceId = document.getElementById('bookingService').value;
+  const staffId = document.getElementById('bookingStaff').value;
+  const date = document.getElementById('bookingDate').value;
+  selectBookingSlot(null);
+  document.getElementById('bookingServiceDescription').innerHTML =
+    (bookingServices.find(service => service.id == serviceId) || {}).description || '';
+
+  if (!serviceId || !date) {
+    container.innerHTML = '<p class="text-muted mb-0">Choose a service and a date to see free times.</p>';
+    return;
+  }
+  container.innerHTML = '<p class="text-muted mb-0">Loading free times...</p>';
+
+  // One request per staff member so busy days are not cut off by the slot limit;
+  // only staff who perform the service are searched
+  const staffToSearch = bookingStaff.filter(member =>
+    (!staffId || member.id == staffId) && (!member.serviceIds || member.serviceIds.includes(parseInt(serviceId))));
+  try {
+    const results = await Promise.all(staffToSearch.map(async member => {
+      const params = new URLSearchParams({
+        action: 'availability',
+        serviceId,
+        staffId: member.id,
+        dateFrom: date,
+        dateTo: date,
+        limit: 50
+      });
+      const response = await fetch(`php/appointments.php?${params}`, { cache: 'no-store' });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.error);
+      return { member, slots: result.data };
+    }));
+    renderBookingSlots(results.filter(group => group.slots.length > 0));
+  } catch (error) {
+    console.error('Error loading free times:', error);
+    container.innerHTML = `<p class="text-danger mb-0">Error loading free times: ${error.message}</p>`;
+  }
+}
+
+/**
+ * Render slot buttons grouped by staff member
+ */
+function renderBookingSlots(groups) {
+  const container = document.getElementById('bookingSlots');
+  if (groups.length === 0) {
+    container.innerHTML = '<p class="text-muted mb-0">No free times on this day. Please try another date.</p>';
+    return;
+  }
+
+  container.innerHTML = groups.map(group => `
+    <div class="booking-slot-group">
+      <h3 class="h6">${group.member.name}</h3>
+      <div class="booking-slots">
+        ${group.slots.map(slot => `
+          <button type="button" class="btn btn-outline-primary btn-sm booking-slot"
+                  data-staff-id="${slot.staffId}" data-date="${slot.date}" data-time="${slot.time}" data-end-time="${slot.endTime}">
+            ${slot.time}
+          </button>
+        `).join('')}
+      </div>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.booking-slot').forEach(button => {
+    button.addEventListener('click', () => selectBookingSlot({
+      staffId: parseInt(button.dataset.staffId),
+      date: button.dataset.date,
+      time: button.dataset.time,
+      endTime: button.dataset.endTime
+    }, button));
+  });
+}
+
+/**
+ * Remember the chosen slot (null clears the selection)
+ */
+function selectBookingSlot(slot, button = null) {
+  selectedSlot = slot;
+  document.querySelectorAll('.booking-slot.active').forEach(b => b.classList.remove('active'));
+  if (button) button.classList.add('active');
+
+  const selection = document.getElementById('bookingSelection');
+  document.getElementById('bookingSubmit').disabled = !slot;
+  if (!slot) {
+    selection.className = 'alert alert-secondary';
+    selection.innerHTML = 'No time selected yet.';
+    return;
+  }
+  selection.className = 'alert alert-info';
+  selection.innerHTML = formatBookingSummary(
+    bookingServices.find(s => s.id == document.getElementById('bookingService').value).name,
+    bookingStaff.find(m => m.id === slot.staffId).name,
+    slot
+  );
+}
+
+/**
+ * "Haircut with Maria Rossi on Monday, December 23, 2024 at 10:00-10:30"
+ */
+function formatBookingSummary(serviceName, staffName, slot) {
+  const dateLabel = new Date(slot.date + 'T00:00:00').toLocaleDateString('en-US', {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+  });
+  return `<strong>${serviceName}</strong> with ${staffName} on ${dateLabel} at ${slot.time}-${slot.endTime}`;
+}
+
+/**
+ * Book the selected slot
+ */
+async function submitBooking(e) {
+  e.preventDefault();
+  if (!selectedSlot) return;
+
+  const submitButton = document.getElementById('bookingSubmit');
+  submitButton.disabled = true;
+  const body = {
+    action: 'book',
+    data: {
+      serviceId: parseInt(document.getElementById('bookingService').value),
+      staffId: selectedSlot.staffId,
+      date: selectedSlot.date,
+      time: selectedSlot.time,
+      name: document.getElementById('bookingName').value.trim(),
+      email: document.getElementById('bookingEmail').value.trim(),
+      phone: document.getElementById('bookingPhone').value.trim()
+    }
+  };
+
+  try {
+    const response = await fetch('php/appointments.php', {
+      method: 'POST',
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+
+    if (result.success) {
+      document.getElementById('bookingMessage').innerHTML = '';
+      document.getElementById('bookingPanel').classList.add('d-none');
+      document.getElementById('bookingConfirmation').classList.remove('d-none');
+      document.getElementById('bookingConfirmationDetails').innerHTML =
+        formatBookingSummary(result.data.serviceName, result.data.staffName, result.data);
+    } else if (result.callUs) {
+      document.getElementById('bookingPanel').classList.add('d-none');
+      showBookingMessage(result.error, 'warning');
+    } else {
+      showBookingMessage(result.error, 'danger');
+      // The slot may have just been taken: refresh the list
+      if (response.status === 409) loadBookingSlots();
+      else submitButton.disabled = false;
+    }
+  } catch (error) {
+    console.error('Error booking appointment:', error);
+    showBookingMessage('Error booking appointment: ' + error.message, 'danger');
+    submitButton.disabled = false;
+  }
+}
+
+/**
+ * Start over after a booking (keeps the client details)
+ */
+function resetBooking() {
+  document.getElementById('bookingConfirmation').classList.add('d-none');
+  document.getElementById('bookingPanel').classList.remove('d-none');
+  loadBookingSlots();
+}
+
+/**
+ * Show a message above the booking form
+ */
+function showBookingMessage(message, type = 'info') {
+  document.getElementById('bookingMessage').innerHTML = `<div class="alert alert-${type}">${message}</div>`;
+  window.scrollTo(0, 0);
+}
@@ -0,0 +1,203 @@
+/**
+ * Beauty Salon Management System
+ * Client Self-Service Page (manage.html)
+ *
+ * Opened from the signed link in appointment emails (manage.html?token=...).
+ * The client can cancel the appointment or move it to another free slot with
+ * the same staff member, until the salon's cancellation cutoff (appointments
+ * with several services can only be cancelled).
+ * Changes go through php/appointments.php (manage, manageCancel,
+ * manageReschedule), which sends the usual emails.
+ */
+
+const manageToken = new URLSearchParams(window.location.search).get('token') || '';
+let managedAppointment = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+  const dateInput = document.getElementById('manageDate');
+  dateInput.min = toDateKey(new Date());
+  loadManagedAppointment();
+});
+
+/**
+ * Local date as "YYYY-MM-DD"
+ */
+function toDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * "Monday, December 23, 2024"
+ */
+function formatLongDate(dateStr) {
+  return new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+  });
+}
+
+/**
+ * Load the appointment behind the link
+ */
+async function loadManagedAppointment() {
+  if (!manageToken) {
+    showManageMessage('This link is incomplete. Please use the link from your email.', 'danger');
+    return;
+  }
+
+  try {
+    const response = await fetch(`php/appointments.php?action=manage&token=${encodeURIComponent(manageToken)}`, {
+      cache: 'no-store'
+    });
+    const result = await response.json();
+    if (!result.success) {
+      document.getElementById('managePanel').classList.add('d-none');
+      showManageMessage(result.error, 'danger');
+      return;
+    }
+    managedAppointment = result.data;
+    renderManagedAppointment();
+  } catch (error) {
+    console.error('Error loading appointment:', error);
+    showManageMessage('Error loading appointment: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Show the appointment and the actions still available
+ */
+function renderManagedAppointment() {
+  const apt = managedAppointment;
+  document.title = `Manage Your Appointment - ${apt.salon.name}`;
+  document.getElementById('manageSalonName').innerHTML = `✨ ${apt.salon.name}`;
+  document.getElementById('managePanel').classList.remove('d-none');
+
+  const statusNote = apt.status === 'pending' ? '' : ` <span class="badge bg-secondary">${apt.status.replace(/_/g, ' ')}</span>`;
+  document.getElementById('manageSummary').innerHTML =
+    `${apt.clientName ? apt.clientName + ', your' : 'Your'} <strong>${apt.serviceName}</strong> with ${apt.staffName} ` +
+    `is on ${formatLongDate(apt.date)} at ${apt.time}-${apt.endTime}.${statusNote}`;
+
+  const deadline = document.getElementById('manageDeadline');
+  const callUs = apt.salon.phone ? ` Please call us at ${apt.salon.phone}.` : ' Please call us.';
+  if (apt.canReschedule) {
+    const [deadlineDate, deadlineTime] = apt.changeDeadline.split(' ');
+    deadline.innerHTML = `You can cancel or reschedule online until ${formatLongDate(deadlineDate)} at ${deadlineTime}.`;
+  } else if (apt.canChange) {
+    const [deadlineDate, deadlineTime] = apt.changeDeadline.split(' ');
+    deadline.innerHTML = `You can cancel online until ${formatLongDate(deadlineDate)} at ${deadlineTime}. ` +
+      `To move an appointment with several services, please call us${apt.salon.phone ? ` at ${apt.salon.phone}` : ''}.`;
+  } else if (apt.status === 'pending') {
+    deadline.innerHTML = `Online changes close ${apt.cutoffHours} hours before the appointment.${callUs}`;
+  } else {
+    deadline.innerHTML = 'This appointment can no longer be changed.';
+  }
+  document.getElementById('manageActions').classList.toggle('d-none', !apt.canChange);
+  document.getElementById('manageRescheduleCard').classList.toggle('d-none', !apt.canReschedule);
+}
+
+/**
+ * Load free slots with the same staff member for the chosen date
+ * The token lets the appointment's own time count as free
+ */
+async function loadRescheduleSlots() {
+  const container = document.getElementById('manageSlots');
+  const date = document.getElementById('manageDate').value;
+  if (!date) {
+    container.innerHTML = '<p class="text-muted mb-0">Choose a date to see free times.</p>';
+    return;
+  }
+  container.innerHTML = '<p class="text-muted mb-0">Loading free times...</p>';
+
+  const params = new URLSearchParams({
+    action: 'availability',
+    token: manageToken,
+    serviceId: managedAppointment.serviceId,
+    staffId: managedAppointment.staffId,
+    dateFrom: date,
+    dateTo: date,
+    limit: 50
+  });
+  try {
+    const response = await fetch(`php/appointments.php?${params}`, { cache: 'no-store' });
+    const result = await response.json();
+    if (!result.success) {
+      container.innerHTML = `<p class="text-danger mb-0">${result.error}</p>`;
+      return;
+    }
+    if (result.data.length === 0) {
+      container.innerHTML = '<p class="text-muted mb-0">No free times on this day. Please try another date.</p>';
+      return;
+    }
+    container.innerHTML = `<div class="booking-slots">${result.data.map(slot => `
+      <button type="button" class="btn btn-outline-primary btn-sm booking-slot" data-date="${slot.date}" data-time="${slot.time}">${slot.time}</button>
+    `).join('')}</div>`;
+    container.querySelectorAll('.booking-slot').forEach(button => {
+      button.addEventListener('click', () => rescheduleManagedAppointment(button.dataset.date, button.dataset.time));
+    });
+  } catch (error) {
+    console.error('Error loading free times:', error);
+    container.innerHTML = `<p class="text-danger mb-0">Error loading free times: ${error.message}</p>`;
+  }
+}
+
+/**
+ * Move the appointment to the chosen slot
+ */
+async function rescheduleManagedAppointment(date, time) {
+  if (!confirm(`Move your appointment to ${formatLongDate(date)} at ${time}?`)) return;
+
+  try {
+    const result = await postManageAction({ action: 'manageReschedule', token: manageToken, date, time });
+    if (result.success) {
+      showManageMessage('Your appointment has been moved. A confirmation email with the new details is on its way.', 'success');
+      document.getElementById('manageSlots').innerHTML = '';
+      loadManagedAppointment();
+    } else {
+      showManageMessage(result.error, 'danger');
+      loadRescheduleSlots();
+    }
+  } catch (error) {
+    console.error('Error rescheduling appointment:', error);
+    showManageMessage('Error rescheduling appointment: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * Cancel the appointment (status deleted_by_user)
+ */
+async function cancelManagedAppointment() {
+  if (!confirm('Are you sure you want to cancel this appointment?')) return;
+
+  try {
+    const result = await postManageAction({ action: 'manageCancel', token: manageToken });
+    if (result.success) {
+      showManageMessage('Your appointment has been cancelled. We hope to see you another time!', 'success');
+      loadManagedAppointment();
+    } else {
+      showManageMessage(result.error, 'danger');
+    }
+  } catch (error) {
+    console.error('Error cancelling appointment:', error);
+    showManageMessage('Error cancelling appointment: ' + error.message, 'danger');
+  }
+}
+
+/**
+ * POST a self-service action to php/appointments.php
+ */
+async function postManageAction(body) {
+  const response = await fetch('php/appointments.php', {
+    method: 'POST',
+    cache: 'no-store',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+}
+
+/**
+ * Show a message above the appointment
+ */
+function showManageMessage(message, type = 'info') {
+  document.getElementById('manageMessage').innerHTML = `<div class="alert alert-${type}">${message}</div>`;
+  window.scrollTo(0, 0);
+}
@@ -8,9 +8,66 @@
  * - edit: PUT existing appointment + EMAIL NOTIFICATION
  * - delete: DELETE appointment + EMAIL NOTIFICATION
  * - updateStatus: PATCH appointment status + EMAIL NOTIFICATION
+ * - move: POST new date/time/staff for a pending appointment (calendar drag and drop)
+ *   + EMAIL NOTIFICATION; validateOnly checks the slot without saving or emailing
+ * - updateNote: POST the client note for an appointment (stored in the client's history)
+ * - reassign: POST move the upcoming appointments of a client, staff member or
+ *   service to another one (before archiving it) + EMAIL NOTIFICATION
+ * - export: GET appointments as a CSV file (optional dateFrom, dateTo)
+ * - import: POST rows mapped by the import wizard (rows, dryRun, onDuplicate,
+ *   allowConflicts; see importAppointments). No emails are sent.
+ * - availability: GET next free slots for a service (optional staff, date range, time window)
+ * - staffAnalytics: GET utilization and performance per staff member for a
+ *   period (dateFrom, dateTo) and the period before it (see includes/analytics.php)
+ * - bookingOptions: GET services, staff names and salon contact for the public booking page
+ * - book: POST public self-booking (book.html): matches or creates the client by
+ *   email and creates a pending appointment + EMAIL NOTIFICATION; bad clients
+ *   and clients who must pay a deposit are turned away with a "please call
+ *   us" message (403 + callUs)
+ * - manage: GET appointment details for a signed client link (manage.html, token)
+ * - manageCancel / manageReschedule: POST client self-service through a signed
+ *   link (token); run through updateStatus (deleted_by_user) and move, so the
+ *   usual emails go out. Refused within selfService.cutoffHours of the start.
+ *
+ * Recurring bookings: add accepts data.recurrence to create a series (see
+ * addAppointmentSeries); edit and delete accept scope 'this' (default),
+ * 'following' or 'all' for appointments belonging to a series
  * 
  * CRITICAL: Every mutation (add/edit/delete/status change) triggers an email
- * to the client with appointment details using PHP mail() function
+ * to the client with appointment details (see includes/mail.php)
+ *
+ * Every save also updates the appointment history embedded in clients.json
+ * (see includes/client-history.php)
+ *
+ * Status changes to no_show or a late deleted_by_user run the no-show policy:
+ * flag the client as bad, require deposits or record a fee, as configured
+ * (see includes/policies.php). New bookings of clients who must pay a deposit
+ * carry depositRequired (the amount); online booking asks them to call.
+ *
+ * Completing an appointment (edit or updateStatus) records its income and
+ * the client's loyalty points; data.redeemPoints / redeemPoints take points
+ * off the price as a discount. Leaving 'complete' removes the income and
+ * reverses the points (see includes/loyalty.php)
+ *
+ * Saving an appointment (re)schedules its 24h/2h reminders when the date or
+ * time changes; php/cli/send-reminders.php sends them (see includes/reminders.php)
+ *
+ * Add/edit compute the appointment end time from the service duration (or
+ * the staff member's own duration for it) and reject bookings that overlap another active appointment for the same staff
+ * member or client (409 + conflicts list) unless allowConflicts is set.
+ * Bookings outside the staff member's working hours, during their break or
+ * on a time-off day are always rejected, as are archived clients, staff and
+ * services (see includes/records.php), inactive services (see
+ * includes/service-catalog.php) and staff members who do not perform the
+ * service (see includes/staff-services.php).
+ *
+ * Multi-service appointments: add/edit accept data.lines ([{serviceId,
+ * staffId}], in order, up to MAX_APPOINTMENT_LINES) to book several services
+ * back-to-back, each with its own staff member, and data.packageId to book
+ * them as a package at the package price (see includes/appointment-lines.php).
+ * Overlaps are checked per staff member and line. Such appointments cannot
+ * recur; move shifts all services together and keeps their staff. Completing
+ * one records an income per service.
  * 
  * All operations use file locking with flock() to prevent race conditions
  * Returns JSON responses with success/error status
@@ -24,11 +81,42 @@ $clientsFile = __DIR__ . '/../data/clients.json';
 $staffFile = __DIR__ . '/../data/staff.json';
 $servicesFile = __DIR__ . '/../data/services.json';
 $incomesFile = __DIR__ . '/../data/incomes.json';
+$seriesFile = __DIR__ . '/../data/series.json';
+$settingsFile = __DIR__ . '/../data/settings.json';
+$packagesFile = __DIR__ . '/../data/packages.json';
+
+require_once __DIR__ . '/includes/mail.php';
+require_once __DIR__ . '/includes/reminders.php';
+require_once __DIR__ . '/includes/client-history.php';
+require_once __DIR__ . '/includes/records.php';
+require_once __DIR__ . '/includes/duplicates.php';
+require_once __DIR__ . '/includes/csv.php';
+require_once __DIR__ . '/includes/loyalty.php';
+require_once __DIR__ . '/includes/policies.php';
+require_once __DIR__ . '/includes/staff-services.php';
+require_once __DIR__ . '/includes/analytics.php';
+require_once __DIR__ . '/includes/service-catalog.php';
+require_once __DIR__ . '/includes/appointment-lines.php';
 
-// Initialize file if it doesn't exist
+// Every status an appointment can have
+const APPOINTMENT_STATUSES = ['pending', 'complete', 'deleted_by_user', 'deleted_by_staff', 'no_show'];
+
+// Working hours of staff without a schedule, every day
+const DEFAULT_BUSINESS_HOURS = ['09:00', '18:00'];
+
+// Latest end time of an appointment: bookings never run past midnight
+const LATEST_END_TIME = '23:59';
+
+// Initialize files if they don't exist
 if (!file_exists($appointmentsFile)) {
   file_put_contents($appointmentsFile, json_encode([]));
 }
+if (!file_exists($seriesFile)) {
+  file_put_contents($seriesFile, json_encode([]));
+}
+if (!file_exists($incomesFile)) {
+  file_put_contents($incomesFile, json_encode([]));
+}
 
 // Get action from multiple sources (priority: JSON body > GET > POST form data)
 $request = null;
@@ -80,6 +168,42 @@ switch($action) {
   case 'updateStatus':
     updateAppointmentStatus($request);
     break;
+  case 'move':
+    moveAppointment($request);
+    break;
+  case 'updateNote':
+    updateAppointmentNote($request);
+    break;
+  case 'reassign':
+    reassignAppointments($request);
+    break;
+  case 'export':
+    exportAppointments();
+    break;
+  case 'import':
+    importAppointments($request);
+    break;
+  case 'availability':
+    getAvailability();
+    break;
+  case 'staffAnalytics':
+    getStaffAnalytics();
+    break;
+  case 'bookingOptions':
+    getBookingOptions();
+    break;
+  case 'book':
+    bookOnline($request);
+    break;
+  case 'manage':
+    getManagedAppointment();
+    break;
+  case 'manageCancel':
+    cancelManagedAppointment($request);
+    break;
+  case 'manageReschedule':
+    rescheduleManagedAppointment($request);
+    break;
   default:
     http_response_code(400);
     echo json_encode(['success' => false, 'error' => 'Invalid action']);
@@ -178,6 +302,54 @@ function addAppointment($request) {
     return;
   }
   
+  // Chain the services (one unless data.lines lists several) from the start time
+  $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+  $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+  $lines = buildAppointmentLines($request['data'], $time, $services, $staff, $linesError);
+  if ($lines === null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $linesError]);
+    error_log("Appointment add error: {$linesError}");
+    return;
+  }
+  $staffId = $lines[0]['staffId'];
+  $serviceId = $lines[0]['serviceId'];
+  
+  // Archived clients, staff and services cannot be booked
+  $unusableReason = getBookingUnusableReason($clientId, $staffId, $serviceId, null, $lines);
+  if ($unusableReason !== null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $unusableReason]);
+    return;
+  }
+  
+  // Recurring bookings are created as a series
+  if (!empty($request['data']['recurrence'])) {
+    if (count($lines) > 1) {
+      http_response_code(400);
+      echo json_encode(['success' => false, 'error' => 'Appointments with several services cannot recur']);
+      return;
+    }
+    addAppointmentSeries($request['data'], $clientId, $staffId, $serviceId, $date, $time, $status);
+    return;
+  }
+  
+  $package = readAppointmentPackage($request['data'], $lines, null, $packageError);
+  if ($packageError !== null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $packageError]);
+    return;
+  }
+  $allowConflicts = !empty($request['data']['allowConflicts']);
+  
+  // Enforce staff skills, working hours and time off
+  $linesError = getAppointmentLinesError($lines, $staff, $services, $date, true);
+  if ($linesError !== null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $linesError]);
+    return;
+  }
+  
   try {
     // Read existing appointments with exclusive lock
     $handle = fopen($appointmentsFile, 'r+');
@@ -185,6 +357,25 @@ function addAppointment($request) {
     $content = file_get_contents($appointmentsFile);
     $appointments = json_decode($content, true) ?? [];
     
+    // Reject overlapping bookings unless explicitly overridden
+    $candidate = setAppointmentLines([
+      'clientId' => $clientId,
+      'date' => $date,
+      'status' => $status
+    ], $lines);
+    $conflicts = findAppointmentConflicts($appointments, $candidate, $services);
+    if (!empty($conflicts) && !$allowConflicts) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(409);
+      echo json_encode([
+        'success' => false,
+        'error' => 'Appointment overlaps with existing bookings',
+        'conflicts' => $conflicts
+      ]);
+      return;
+    }
+    
     // Generate new ID
     $maxId = 0;
     foreach ($appointments as $apt) {
@@ -195,21 +386,31 @@ function addAppointment($request) {
     $newId = $maxId + 1;
     
     // Create new appointment record
-    $newAppointment = [
+    $newAppointment = setAppointmentLines([
       'id' => $newId,
       'clientId' => $clientId,
       'staffId' => $staffId,
       'serviceId' => $serviceId,
       'date' => $date,
       'time' => $time,
+      'endTime' => null,
       'status' => $status
-    ];
+    ], $lines);
+    if ($package !== null) {
+      $newAppointment['package'] = $package;
+    }
+    $deposit = getClientDepositAmount($clientId);
+    if ($deposit !== null) {
+      $newAppointment['depositRequired'] = $deposit;
+    }
+    $newAppointment['reminders'] = scheduleAppointmentReminders($newAppointment);
     
     // Add to array and write back
     $appointments[] = $newAppointment;
     ftruncate($handle, 0);
     rewind($handle);
     fwrite($handle, json_encode($appointments, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+    syncClientHistory([$newAppointment]);
     flock($handle, LOCK_UN);
     fclose($handle);
 
@@ -306,6 +507,27 @@ function editAppointment($request) {
     return;
   }
   
+  // Chain the services (one unless data.lines lists several) from the start time
+  $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+  $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+  $lines = buildAppointmentLines($request['data'], $time, $services, $staff, $linesError);
+  if ($lines === null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $linesError]);
+    error_log("Appointment edit error: {$linesError}");
+    return;
+  }
+  $staffId = $lines[0]['staffId'];
+  $serviceId = $lines[0]['serviceId'];
+  $endTime = $lines[count($lines) - 1]['endTime'];
+  $allowConflicts = !empty($request['data']['allowConflicts']);
+  $scope = $request['data']['scope'] ?? 'this';
+  if (count($lines) > 1 && in_array($scope, ['following', 'all'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Several services can only be booked for this appointment, not the rest of the series']);
+    return;
+  }
+  
   try {
     // Read appointments with exclusive lock
     $handle = fopen($appointmentsFile, 'r+');
@@ -313,6 +535,69 @@ function editAppointment($request) {
     $content = file_get_contents($appointmentsFile);
     $appointments = json_decode($content, true) ?? [];
     
+    // Enforce staff working hours when the staff member or time slot changes
+    $existing = null;
+    foreach ($appointments as $apt) {
+      if ($apt['id'] === $appointmentId) {
+        $existing = $apt;
+        break;
+      }
+    }
+    // Archived records may stay on an appointment but cannot be newly chosen
+    $unusableReason = getBookingUnusableReason($clientId, $staffId, $serviceId, $existing, $lines);
+    if ($unusableReason === null) {
+      $package = readAppointmentPackage($request['data'], $lines, $existing, $unusableReason);
+    }
+    if ($unusableReason !== null) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(400);
+      echo json_encode(['success' => false, 'error' => $unusableReason]);
+      return;
+    }
+    // Points can only be redeemed by the save that completes the appointment
+    $completing = $existing && $existing['status'] !== 'complete' && $status === 'complete';
+    $redeemPoints = checkLoyaltyRedemption($request['data']['redeemPoints'] ?? 0, $clientId, $completing, $redeemError);
+    if ($redeemPoints === null) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(400);
+      echo json_encode(['success' => false, 'error' => $redeemError]);
+      return;
+    }
+    // New staff/service pairs must be ones the staff member performs, and
+    // changed slots must fit their working hours
+    if ($existing) {
+      $linesError = getAppointmentLinesError($lines, $staff, $services, $date, in_array($status, ['pending', 'complete']), $existing);
+      if ($linesError !== null) {
+        flock($handle, LOCK_UN);
+        fclose($handle);
+        http_response_code(400);
+        echo json_encode(['success' => false, 'error' => $linesError]);
+        return;
+      }
+    }
+    
+    // Reject overlapping bookings unless explicitly overridden
+    $candidate = setAppointmentLines([
+      'id' => $appointmentId,
+      'clientId' => $clientId,
+      'date' => $date,
+      'status' => $status
+    ], $lines);
+    $conflicts = findAppointmentConflicts($appointments, $candidate, $services);
+    if (!empty($conflicts) && !$allowConflicts) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(409);
+      echo json_encode([
+        'success' => false,
+        'error' => 'Appointment overlaps with existing bookings',
+        'conflicts' => $conflicts
+      ]);
+      return;
+    }
+    
     // Find and update appointment
     $found = false;
     $oldStatus = null;
@@ -320,11 +605,17 @@ function editAppointment($request) {
       if ($apt['id'] === $appointmentId) {
         $oldStatus = $apt['status'];
         $apt['clientId'] = $clientId;
-        $apt['staffId'] = $staffId;
-        $apt['serviceId'] = $serviceId;
         $apt['date'] = $date;
-        $apt['time'] = $time;
+        $apt = setAppointmentLines($apt, $lines);
+        if ($package !== null) {
+          $apt['package'] = $package;
+        } else {
+          unset($apt['package']);
+        }
         $apt['status'] = $status;
+        markLateCancellation($apt, $oldStatus);
+        $apt['reminders'] = scheduleAppointmentReminders($apt, $existing);
+        $apt['icsSequence'] = ($apt['icsSequence'] ?? 0) + 1;
         $found = true;
         break;
       }
@@ -339,12 +630,22 @@ function editAppointment($request) {
       return;
     }
     
+    // Apply the same change to other occurrences of the series in the same write
+    $seriesResult = null;
+    if (in_array($scope, ['following', 'all']) && !empty($existing['seriesId'])) {
+      $seriesResult = propagateSeriesEdit($appointments, $services, $staff, $existing['seriesId'], $appointmentId, $existing['date'], $scope, [
+        'clientId' => $clientId,
+        'staffId' => $staffId,
+        'serviceId' => $serviceId,
+        'time' => $time,
+        'endTime' => $endTime
+      ], $allowConflicts);
+    }
+    
     // Write back
     ftruncate($handle, 0);
     rewind($handle);
     fwrite($handle, json_encode($appointments, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
-    flock($handle, LOCK_UN);
-    fclose($handle);
     
     // Return updated appointment
     $updatedAppointment = null;
@@ -354,6 +655,11 @@ function editAppointment($request) {
         break;
       }
     }
+    if ($updatedAppointment) {
+      syncClientHistory(array_merge([$updatedAppointment], $seriesResult['updated'] ?? []));
+    }
+    flock($handle, LOCK_UN);
+    fclose($handle);
 
     // Validate appointment was properly loaded
     if (!$updatedAppointment) {
@@ -371,13 +677,14 @@ function editAppointment($request) {
     $incomeDeleted = false;
     
     if ($status === 'complete' && $oldStatus !== 'complete') {
-      createIncomeFromAppointment($updatedAppointment);
+      createIncomeFromAppointment($updatedAppointment, $redeemPoints);
       $incomeCreated = true;
     }
     else if ($oldStatus === 'complete' && $status !== 'complete') {
       deleteIncomeByAppointmentId($appointmentId);
       $incomeDeleted = true;
     }
+    $policyResult = applyAttendancePolicy($updatedAppointment, $existing, $appointments);
 
     // Validate required appointment fields before sending email
     if (!isset($updatedAppointment['date']) || !isset($updatedAppointment['time']) ||
@@ -389,13 +696,24 @@ function editAppointment($request) {
       sendAppointmentEmail($clientId, $updatedAppointment, 'updated');
     }
     
-    echo json_encode([
+    $response = [
       'success' => true,
       'data' => $updatedAppointment,
       'incomeCreated' => $incomeCreated,
       'incomeDeleted' => $incomeDeleted,
+      'policy' => $policyResult,
       'error' => null
-    ]);
+    ];
+    
+    if ($seriesResult !== null) {
+      foreach ($seriesResult['updated'] as $occurrence) {
+        sendAppointmentEmail($occurrence['clientId'], $occurrence, 'updated');
+      }
+      $response['seriesUpdated'] = $seriesResult['updated'];
+      $response['seriesSkipped'] = $seriesResult['skipped'];
+    }
+    
+    echo json_encode($response);
   } catch (Exception $e) {
     http_response_code(500);
     echo json_encode([
@@ -406,12 +724,167 @@ function editAppointment($request) {
   }
 }
 
+/**
+ * Move a pending appointment to another date, time and/or staff member
+ * Used by calendar drag and drop: the client first calls with validateOnly
+ * to check the slot, then again to save once the user confirms the drop.
+ * Overlaps and staff hours are always enforced (no allowConflicts override).
+ * Multi-service appointments move as a whole and keep the staff of each
+ * service; their staff is changed in the appointment form.
+ * $public hides other bookings from the response (client self-service).
+ */
+function moveAppointment($request, $public = false) {
+  global $appointmentsFile, $staffFile, $servicesFile;
+  
+  $data = $request['data'] ?? null;
+  if (!isset($data['id'], $data['date'], $data['time'], $data['staffId'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required fields: id, date, time, staffId']);
+    return;
+  }
+  
+  $appointmentId = (int)$data['id'];
+  $staffId = (int)$data['staffId'];
+  $date = sanitizeInput($data['date']);
+  $time = sanitizeInput($data['time']);
+  $validateOnly = !empty($data['validateOnly']);
+  
+  if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $date) || !preg_match('/^\d{2}:\d{2}$/', $time)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid date or time format']);
+    return;
+  }
+  
+  $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+  $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+  $staffMember = findStaffById($staff, $staffId);
+  if (!$staffMember) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Staff member not found']);
+    return;
+  }
+  
+  try {
+    // Read appointments with exclusive lock
+    $handle = fopen($appointmentsFile, 'r+');
+    flock($handle, LOCK_EX);
+    $content = file_get_contents($appointmentsFile);
+    $appointments = json_decode($content, true) ?? [];
+    
+    $index = null;
+    foreach ($appointments as $i => $apt) {
+      if ($apt['id'] === $appointmentId) {
+        $index = $i;
+        break;
+      }
+    }
+    
+    $error = null;
+    $errorCode = 400;
+    $conflicts = [];
+    if ($index === null) {
+      $error = 'Appointment not found';
+      $errorCode = 404;
+    } else if ($appointments[$index]['status'] !== 'pending') {
+      $error = 'Only pending appointments can be moved';
+    } else if (!empty($appointments[$index]['lines']) && $appointments[$index]['staffId'] !== $staffId) {
+      $error = 'Change the staff of a multi-service appointment in the appointment form';
+    } else if (!empty($staffMember['archived']) && $appointments[$index]['staffId'] !== $staffId) {
+      $error = "Staff member {$staffMember['name']} is archived";
+    } else if ($appointments[$index]['staffId'] !== $staffId &&
+        !staffPerformsService($staffMember, $appointments[$index]['serviceId'])) {
+      $error = "{$staffMember['name']} does not perform this service";
+    } else {
+      $moved = $appointments[$index];
+      if (empty($moved['lines'])) {
+        $service = findServiceById($services, $moved['serviceId']);
+        $duration = $service
+          ? getStaffServiceDuration($staffMember, $service)
+          : timeToMinutes(getAppointmentEndTime($moved, $services)) - timeToMinutes($moved['time']);
+        $moved['staffId'] = $staffId;
+        $moved['date'] = $date;
+        $moved['time'] = $time;
+        $moved['endTime'] = calculateEndTime($time, $duration);
+        $error = getLateEndError($moved['endTime']) ??
+          getStaffUnavailableReason($staffMember, $date, $time, $moved['endTime']);
+      } else {
+        // Every service moves by the same amount
+        $shift = timeToMinutes($time) - timeToMinutes($moved['time']);
+        $lines = [];
+        foreach ($moved['lines'] as $line) {
+          $line['time'] = minutesToTime(timeToMinutes($line['time']) + $shift);
+          $line['endTime'] = minutesToTime(timeToMinutes($line['endTime']) + $shift);
+          $lines[] = $line;
+        }
+        $moved['date'] = $date;
+        $moved = setAppointmentLines($moved, $lines);
+        $error = getLateEndError($moved['endTime']) ??
+          getAppointmentLinesError($lines, $staff, $services, $date, true, $appointments[$index]);
+      }
+      $moved['reminders'] = scheduleAppointmentReminders($moved, $appointments[$index]);
+      $moved['icsSequence'] = ($moved['icsSequence'] ?? 0) + 1;
+      
+      if ($error === null) {
+        $conflicts = findAppointmentConflicts($appointments, $moved, $services);
+        if (!empty($conflicts)) {
+          $error = 'Appointment overlaps with existing bookings';
+          $errorCode = 409;
+        }
+      }
+    }
+    
+    if ($error !== null || $validateOnly) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      if ($error !== null) {
+        http_response_code($errorCode);
+        $response = ['success' => false, 'error' => $error];
+        if (!empty($conflicts) && !$public) {
+          $response['conflicts'] = $conflicts;
+        }
+        echo json_encode($response);
+        return;
+      }
+      echo json_encode(['success' => true, 'data' => $moved, 'error' => null]);
+      return;
+    }
+    
+    // Write back
+    $appointments[$index] = $moved;
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($appointments, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+    syncClientHistory([$moved]);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
+    // Notify the client only once the move has been saved
+    sendAppointmentEmail($moved['clientId'], $moved, 'updated');
+    
+    echo json_encode([
+      'success' => true,
+      'data' => $moved,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to move appointment: ' . $e->getMessage()
+    ]);
+  }
+}
+
 /**
  * Delete appointment by ID
  * Sends email notification to client after deletion
+ *
+ * For series appointments, scope 'following' or 'all' also deletes the
+ * other pending occurrences (completed ones are kept as history)
  */
 function deleteAppointment($request) {
-  global $appointmentsFile, $clientsFile;
+  global $appointmentsFile, $clientsFile, $seriesFile;
   
   // Validate required field
   if (!isset($request['id'])) {
@@ -421,6 +894,7 @@ function deleteAppointment($request) {
   }
   
   $appointmentId = (int)$request['id'];
+  $scope = $request['scope'] ?? 'this';
   
   try {
     // Read appointments with exclusive lock
@@ -446,10 +920,26 @@ function deleteAppointment($request) {
       return;
     }
     
-    // Remove appointment by filtering out the matching ID
+    // Collect the appointment plus any series occurrences in scope
+    $seriesId = $appointmentToDelete['seriesId'] ?? null;
+    $appointmentsToDelete = [$appointmentToDelete];
+    if ($seriesId && in_array($scope, ['following', 'all'])) {
+      foreach ($appointments as $apt) {
+        if (($apt['seriesId'] ?? null) !== $seriesId || $apt['id'] === $appointmentId || $apt['status'] !== 'pending') {
+          continue;
+        }
+        if ($scope === 'following' && $apt['date'] < $appointmentToDelete['date']) {
+          continue;
+        }
+        $appointmentsToDelete[] = $apt;
+      }
+    }
+    $deleteIds = array_column($appointmentsToDelete, 'id');
+    
+    // Remove appointments by filtering out the matching IDs
     $originalCount = count($appointments);
-    $appointments = array_filter($appointments, function($apt) use ($appointmentId) {
-      return $apt['id'] !== $appointmentId;
+    $appointments = array_filter($appointments, function($apt) use ($deleteIds) {
+      return !in_array($apt['id'], $deleteIds, true);
     });
     
     // Reindex array and write back
@@ -457,22 +947,40 @@ function deleteAppointment($request) {
     ftruncate($handle, 0);
     rewind($handle);
     fwrite($handle, json_encode($appointments, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+    syncClientHistory([], $deleteIds);
+    
+    // Drop the series record once no occurrence is left
+    if ($seriesId) {
+      $remaining = array_filter($appointments, function($apt) use ($seriesId) {
+        return ($apt['seriesId'] ?? null) === $seriesId;
+      });
+      if (empty($remaining)) {
+        $seriesList = json_decode(file_get_contents($seriesFile), true) ?? [];
+        $seriesList = array_values(array_filter($seriesList, function($series) use ($seriesId) {
+          return $series['id'] !== $seriesId;
+        }));
+        file_put_contents($seriesFile, json_encode($seriesList, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES), LOCK_EX);
+      }
+    }
     flock($handle, LOCK_UN);
     fclose($handle);
 
-    // Validate required appointment fields before sending email
-    if (!isset($appointmentToDelete['date']) || !isset($appointmentToDelete['time']) ||
-        !isset($appointmentToDelete['clientId'])) {
-      error_log("Incomplete appointment data for email: " . json_encode($appointmentToDelete));
-      // Continue anyway but skip email
-    } else {
-      // Send email notification to client
-      sendAppointmentEmail($appointmentToDelete['clientId'], $appointmentToDelete, 'cancelled');
+    foreach ($appointmentsToDelete as $deleted) {
+      // Validate required appointment fields before sending email
+      if (!isset($deleted['date']) || !isset($deleted['time']) || !isset($deleted['clientId'])) {
+        error_log("Incomplete appointment data for email: " . json_encode($deleted));
+        // Continue anyway but skip email
+        continue;
+      }
+      // Send email notification to client (the cancellation supersedes the last invite)
+      $deleted['icsSequence'] = ($deleted['icsSequence'] ?? 0) + 1;
+      sendAppointmentEmail($deleted['clientId'], $deleted, 'cancelled');
     }
     
     echo json_encode([
       'success' => true,
       'data' => null,
+      'deletedCount' => count($appointmentsToDelete),
       'error' => null
     ]);
   } catch (Exception $e) {
@@ -486,68 +994,430 @@ function deleteAppointment($request) {
 }
 
 /**
- * Update appointment status
- * Sends email notification to client after status change
- * 
- * When status changes TO 'complete': Creates income record automatically
- * When status changes FROM 'complete': Deletes corresponding income record
+ * Create a recurring appointment series
+ * Each occurrence is stored as a regular appointment carrying seriesId; the
+ * rule lives in series.json. Occurrences that fall on a staff day off or
+ * overlap an existing booking are skipped and reported individually
+ * (overlaps are booked anyway when allowConflicts is set)
  */
-function updateAppointmentStatus($request) {
-  global $appointmentsFile, $clientsFile, $staffFile, $servicesFile, $incomesFile;
+function addAppointmentSeries($data, $clientId, $staffId, $serviceId, $date, $time, $status) {
+  global $appointmentsFile, $staffFile, $servicesFile, $seriesFile;
   
-  // Validate required fields
-  if (!isset($request['id']) || !isset($request['status'])) {
+  $ruleError = null;
+  $rule = normalizeRecurrenceRule($data['recurrence'], $ruleError);
+  if ($rule === null) {
     http_response_code(400);
-    echo json_encode(['success' => false, 'error' => 'Missing required fields: id, status']);
+    echo json_encode(['success' => false, 'error' => $ruleError]);
     return;
   }
   
-  $appointmentId = (int)$request['id'];
-  $newStatus = sanitizeInput($request['status']);
+  $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+  $service = findServiceById($services, $serviceId);
+  if (!$service) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Service not found']);
+    return;
+  }
+  $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+  $staffMember = findStaffById($staff, $staffId);
+  if (!$staffMember) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Staff member not found']);
+    return;
+  }
+  $skillError = getStaffServiceError($staffMember, $service);
+  if ($skillError !== null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $skillError]);
+    return;
+  }
   
-  // Validate status
-  $validStatuses = ['pending', 'complete', 'deleted_by_user', 'deleted_by_staff', 'no_show'];
-  if (!in_array($newStatus, $validStatuses)) {
+  $endTime = calculateEndTime($time, getStaffServiceDuration($staffMember, $service));
+  $lateEndError = getLateEndError($endTime);
+  if ($lateEndError !== null) {
     http_response_code(400);
-    echo json_encode(['success' => false, 'error' => 'Invalid status']);
+    echo json_encode(['success' => false, 'error' => $lateEndError]);
     return;
   }
+  $allowConflicts = !empty($data['allowConflicts']);
+  $dates = generateRecurrenceDates($date, $rule);
   
   try {
-    // Read appointments with exclusive lock
+    // Read existing appointments with exclusive lock
     $handle = fopen($appointmentsFile, 'r+');
     flock($handle, LOCK_EX);
     $content = file_get_contents($appointmentsFile);
     $appointments = json_decode($content, true) ?? [];
     
-    // Find appointment and get old status
-    $found = false;
-    $oldStatus = null;
-    foreach ($appointments as &$apt) {
-      if ($apt['id'] === $appointmentId) {
-        $oldStatus = $apt['status'];
-        $apt['status'] = $newStatus;
-        $found = true;
-        break;
+    $seriesList = json_decode(file_get_contents($seriesFile), true) ?? [];
+    $seriesId = 1;
+    foreach ($seriesList as $existingSeries) {
+      if ($existingSeries['id'] >= $seriesId) {
+        $seriesId = $existingSeries['id'] + 1;
       }
     }
-    unset($apt);
     
-    if (!$found) {
+    $maxId = 0;
+    foreach ($appointments as $apt) {
+      if ($apt['id'] > $maxId) {
+        $maxId = $apt['id'];
+      }
+    }
+    
+    $created = [];
+    $skipped = [];
+    $deposit = getClientDepositAmount($clientId);
+    foreach ($dates as $occurrenceDate) {
+      $unavailableReason = getStaffUnavailableReason($staffMember, $occurrenceDate, $time, $endTime);
+      if ($unavailableReason !== null) {
+        $skipped[] = ['date' => $occurrenceDate, 'reason' => $unavailableReason, 'conflicts' => []];
+        continue;
+      }
+      
+      $occurrence = [
+        'id' => $maxId + 1,
+        'clientId' => $clientId,
+        'staffId' => $staffId,
+        'serviceId' => $serviceId,
+        'date' => $occurrenceDate,
+        'time' => $time,
+        'endTime' => $endTime,
+        'status' => $status,
+        'seriesId' => $seriesId
+      ];
+      $conflicts = findAppointmentConflicts($appointments, $occurrence, $services);
+      if (!empty($conflicts) && !$allowConflicts) {
+        $skipped[] = ['date' => $occurrenceDate, 'reason' => 'Overlaps with existing bookings', 'conflicts' => $conflicts];
+        continue;
+      }
+      
+      $maxId++;
+      if ($deposit !== null) {
+        $occurrence['depositRequired'] = $deposit;
+      }
+      $occurrence['reminders'] = scheduleAppointmentReminders($occurrence);
+      $appointments[] = $occurrence;
+      $created[] = $occurrence;
+    }
+    
+    if (empty($created)) {
       flock($handle, LOCK_UN);
       fclose($handle);
-      http_response_code(404);
-      echo json_encode(['success' => false, 'error' => 'Appointment not found']);
+      http_response_code(409);
+      echo json_encode([
+        'success' => false,
+        'error' => 'No occurrence of the series could be booked',
+        'skipped' => $skipped
+      ]);
       return;
     }
     
-    // Write back
+    $series = [
+      'id' => $seriesId,
+      'clientId' => $clientId,
+      'staffId' => $staffId,
+      'serviceId' => $serviceId,
+      'time' => $time,
+      'startDate' => $date,
+      'recurrence' => $rule,
+      'createdAt' => date('Y-m-d\TH:i:s')
+    ];
+    $seriesList[] = $series;
+    file_put_contents($seriesFile, json_encode($seriesList, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES), LOCK_EX);
+    
     ftruncate($handle, 0);
     rewind($handle);
     fwrite($handle, json_encode($appointments, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+    syncClientHistory($created);
     flock($handle, LOCK_UN);
     fclose($handle);
     
+    // Send email notification for each booked occurrence
+    foreach ($created as $occurrence) {
+      sendAppointmentEmail($clientId, $occurrence, 'created');
+    }
+    
+    echo json_encode([
+      'success' => true,
+      'data' => $created[0],
+      'series' => $series,
+      'created' => $created,
+      'skipped' => $skipped,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to add appointment series: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Apply an edit to the other pending occurrences of a series
+ * Called by editAppointment on the $appointments it holds locked, after the
+ * edited occurrence itself was changed; the caller saves them, syncs the
+ * client histories and sends the emails. Client, staff, service and time
+ * changes propagate; each occurrence keeps its own date and status.
+ * Occurrences that would become unavailable or overlapping, or that were
+ * given several services, are left untouched and reported.
+ *
+ * Scope 'following' covers occurrences on or after $fromDate, 'all' the whole series
+ */
+function propagateSeriesEdit(&$appointments, $services, $staff, $seriesId, $excludeId, $fromDate, $scope, $changes, $allowConflicts) {
+  global $seriesFile;
+  
+  $staffMember = findStaffById($staff, $changes['staffId']);
+  $updated = [];
+  $skipped = [];
+  foreach ($appointments as &$apt) {
+    if (($apt['seriesId'] ?? null) !== $seriesId || $apt['id'] === $excludeId || $apt['status'] !== 'pending') {
+      continue;
+    }
+    if ($scope === 'following' && $apt['date'] < $fromDate) {
+      continue;
+    }
+    if (!empty($apt['lines'])) {
+      $skipped[] = ['id' => $apt['id'], 'date' => $apt['date'], 'reason' => 'Books several services', 'conflicts' => []];
+      continue;
+    }
+    
+    $candidate = array_merge($apt, $changes);
+    $unavailableReason = $staffMember
+      ? getStaffUnavailableReason($staffMember, $candidate['date'], $candidate['time'], $candidate['endTime'])
+      : 'Staff member not found';
+    if ($unavailableReason !== null) {
+      $skipped[] = ['id' => $apt['id'], 'date' => $apt['date'], 'reason' => $unavailableReason, 'conflicts' => []];
+      continue;
+    }
+    
+    $conflicts = findAppointmentConflicts($appointments, $candidate, $services);
+    if (!empty($conflicts) && !$allowConflicts) {
+      $skipped[] = ['id' => $apt['id'], 'date' => $apt['date'], 'reason' => 'Overlaps with existing bookings', 'conflicts' => $conflicts];
+      continue;
+    }
+    
+    $candidate['reminders'] = scheduleAppointmentReminders($candidate, $apt);
+    $candidate['icsSequence'] = ($candidate['icsSequence'] ?? 0) + 1;
+    $apt = $candidate;
+    $updated[] = $apt;
+  }
+  unset($apt);
+  
+  // Keep the series template in line with the latest edit
+  $seriesList = json_decode(file_get_contents($seriesFile), true) ?? [];
+  foreach ($seriesList as &$series) {
+    if ($series['id'] === $seriesId) {
+      $series['clientId'] = $changes['clientId'];
+      $series['staffId'] = $changes['staffId'];
+      $series['serviceId'] = $changes['serviceId'];
+      $series['time'] = $changes['time'];
+    }
+  }
+  unset($series);
+  file_put_contents($seriesFile, json_encode($seriesList, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES), LOCK_EX);
+  
+  return ['updated' => $updated, 'skipped' => $skipped];
+}
+
+/**
+ * Validate and normalize a recurrence rule
+ * Format: { frequency: 'weekly', interval: 4, count: 6 }
+ *      or { frequency: 'monthly', nth: 2 (or -1 for last), until: '2025-06-30' }
+ * Monthly rules repeat on the Nth weekday of the start date; when nth is
+ * omitted it is derived from the start date (the last weekday for the 29th
+ * to 31st). Returns null and sets $error
+ * when invalid
+ */
+function normalizeRecurrenceRule($recurrence, &$error) {
+  $maxOccurrences = 52;
+  $frequency = $recurrence['frequency'] ?? '';
+  
+  if (!in_array($frequency, ['weekly', 'monthly'])) {
+    $error = 'Recurrence frequency must be weekly or monthly';
+    return null;
+  }
+  
+  $rule = ['frequency' => $frequency];
+  if ($frequency === 'weekly') {
+    $rule['interval'] = (int)($recurrence['interval'] ?? 1);
+    if ($rule['interval'] < 1 || $rule['interval'] > 52) {
+      $error = 'Recurrence interval must be between 1 and 52 weeks';
+      return null;
+    }
+  } else {
+    $rule['nth'] = isset($recurrence['nth']) && $recurrence['nth'] !== '' ? (int)$recurrence['nth'] : null;
+    if ($rule['nth'] !== null && !in_array($rule['nth'], [1, 2, 3, 4, -1], true)) {
+      $error = 'Monthly recurrence must be on the 1st-4th or last weekday';
+      return null;
+    }
+  }
+  
+  $until = $recurrence['until'] ?? null;
+  $count = isset($recurrence['count']) && $recurrence['count'] !== '' ? (int)$recurrence['count'] : null;
+  if ($until === null && $count === null) {
+    $error = 'Recurrence needs an end date or a number of occurrences';
+    return null;
+  }
+  if ($until !== null && !preg_match('/^\d{4}-\d{2}-\d{2}$/', $until)) {
+    $error = 'Invalid recurrence end date. Use YYYY-MM-DD';
+    return null;
+  }
+  if ($count !== null && ($count < 1 || $count > $maxOccurrences)) {
+    $error = "Number of occurrences must be between 1 and {$maxOccurrences}";
+    return null;
+  }
+  
+  $rule['until'] = $until;
+  $rule['count'] = $count;
+  return $rule;
+}
+
+/**
+ * Generate occurrence dates for a recurrence rule, starting with $startDate
+ * Stops at rule.until, rule.count or 52 occurrences, whichever comes first
+ */
+function generateRecurrenceDates($startDate, $rule) {
+  $maxOccurrences = 52;
+  $limit = $rule['count'] !== null ? min($rule['count'], $maxOccurrences) : $maxOccurrences;
+  $startTs = strtotime($startDate);
+  $dates = [];
+  
+  if ($rule['frequency'] === 'weekly') {
+    for ($i = 0; count($dates) < $limit; $i++) {
+      $occurrence = date('Y-m-d', strtotime('+' . ($i * $rule['interval'] * 7) . ' days', $startTs));
+      if ($rule['until'] !== null && $occurrence > $rule['until']) {
+        break;
+      }
+      $dates[] = $occurrence;
+    }
+    return $dates;
+  }
+  
+  // Monthly on the Nth weekday of the start date; a start in the last days
+  // of the month (a 5th weekday most months lack) repeats on the last one
+  $weekday = (int)date('w', $startTs);
+  $nth = $rule['nth'] ?? (int)ceil((int)date('j', $startTs) / 7);
+  if ($nth === 5) {
+    $nth = -1;
+  }
+  $monthTs = strtotime(date('Y-m-01', $startTs));
+  
+  // The start date itself only counts when it is on the rule
+  for ($offset = 0; count($dates) < $limit && $offset <= $maxOccurrences * 2; $offset++) {
+    $occurrence = nthWeekdayOfMonth(strtotime("+{$offset} months", $monthTs), $weekday, $nth);
+    if ($occurrence === null || $occurrence < $startDate) {
+      continue;
+    }
+    if ($rule['until'] !== null && $occurrence > $rule['until']) {
+      break;
+    }
+    $dates[] = $occurrence;
+  }
+  return $dates;
+}
+
+/**
+ * Date of the Nth weekday (0 = Sunday) in the month containing $monthTs
+ * $nth = -1 means the last such weekday; returns null when it does not exist
+ */
+function nthWeekdayOfMonth($monthTs, $weekday, $nth) {
+  $year = (int)date('Y', $monthTs);
+  $month = (int)date('n', $monthTs);
+  $daysInMonth = (int)date('t', $monthTs);
+  
+  $matches = [];
+  for ($day = 1; $day <= $daysInMonth; $day++) {
+    if ((int)date('w', mktime(0, 0, 0, $month, $day, $year)) === $weekday) {
+      $matches[] = sprintf('%04d-%02d-%02d', $year, $month, $day);
+    }
+  }
+  
+  if ($nth === -1) {
+    return end($matches);
+  }
+  return $matches[$nth - 1] ?? null;
+}
+
+/**
+ * Update appointment status
+ * Sends email notification to client after status change
+ * 
+ * When status changes TO 'complete': Creates income record automatically
+ * When status changes FROM 'complete': Deletes corresponding income record
+ */
+function updateAppointmentStatus($request) {
+  global $appointmentsFile, $clientsFile, $staffFile, $servicesFile, $incomesFile;
+  
+  // Validate required fields
+  if (!isset($request['id']) || !isset($request['status'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required fields: id, status']);
+    return;
+  }
+  
+  $appointmentId = (int)$request['id'];
+  $newStatus = sanitizeInput($request['status']);
+  
+  // Validate status
+  if (!in_array($newStatus, APPOINTMENT_STATUSES)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid status']);
+    return;
+  }
+  
+  try {
+    // Read appointments with exclusive lock
+    $handle = fopen($appointmentsFile, 'r+');
+    flock($handle, LOCK_EX);
+    $content = file_get_contents($appointmentsFile);
+    $appointments = json_decode($content, true) ?? [];
+    
+    // Find appointment and get old status
+    $found = false;
+    $oldStatus = null;
+    $clientId = null;
+    $existing = null;
+    foreach ($appointments as &$apt) {
+      if ($apt['id'] === $appointmentId) {
+        $existing = $apt;
+        $oldStatus = $apt['status'];
+        $clientId = $apt['clientId'];
+        $apt['status'] = $newStatus;
+        markLateCancellation($apt, $oldStatus);
+        $apt['icsSequence'] = ($apt['icsSequence'] ?? 0) + 1;
+        $found = true;
+        break;
+      }
+    }
+    unset($apt);
+    
+    if (!$found) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(404);
+      echo json_encode(['success' => false, 'error' => 'Appointment not found']);
+      return;
+    }
+    
+    // Points can only be redeemed by the change that completes the appointment
+    $completing = $newStatus === 'complete' && $oldStatus !== 'complete';
+    $redeemPoints = checkLoyaltyRedemption($request['redeemPoints'] ?? 0, $clientId, $completing, $redeemError);
+    if ($redeemPoints === null) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(400);
+      echo json_encode(['success' => false, 'error' => $redeemError]);
+      return;
+    }
+    
+    // Write back
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($appointments, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+    
     // Return updated appointment
     $updatedAppointment = null;
     foreach ($appointments as $item) {
@@ -556,6 +1426,11 @@ function updateAppointmentStatus($request) {
         break;
       }
     }
+    if ($updatedAppointment) {
+      syncClientHistory([$updatedAppointment]);
+    }
+    flock($handle, LOCK_UN);
+    fclose($handle);
     
     // Validate appointment was properly loaded
     if (!$updatedAppointment) {
@@ -572,15 +1447,19 @@ function updateAppointmentStatus($request) {
     $incomeRecord = null;
     $incomeDeleted = false;
     
-    // Status changed TO 'complete' - create income record
+    // Status changed TO 'complete' - create income records (one per service)
     if ($newStatus === 'complete' && $oldStatus !== 'complete') {
-      $incomeRecord = createIncomeFromAppointment($updatedAppointment);
+      $incomeRecords = createIncomeFromAppointment($updatedAppointment, $redeemPoints);
+      $incomeRecord = $incomeRecords[0] ?? null;
     }
     // Status changed FROM 'complete' - delete income record
     else if ($oldStatus === 'complete' && $newStatus !== 'complete') {
       $incomeDeleted = deleteIncomeByAppointmentId($appointmentId);
     }
     
+    // No-shows and late cancellations may flag the client or charge a fee
+    $policyResult = applyAttendancePolicy($updatedAppointment, $existing, $appointments);
+    
     // Validate required appointment fields before sending email
     if (!isset($updatedAppointment['date']) || !isset($updatedAppointment['time']) ||
         !isset($updatedAppointment['clientId'])) {
@@ -601,27 +1480,1171 @@ function updateAppointmentStatus($request) {
     if ($incomeRecord) {
       $response['incomeCreated'] = true;
       $response['incomeData'] = $incomeRecord;
+      $response['incomes'] = $incomeRecords;
+    }
+    if ($incomeDeleted) {
+      $response['incomeDeleted'] = true;
+    }
+    if ($policyResult) {
+      $response['policy'] = $policyResult;
+    }
+    
+    echo json_encode($response);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to update appointment status: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Set the client note for an appointment
+ * The note is stored in the client's appointment history (clients.json)
+ */
+function updateAppointmentNote($request) {
+  global $appointmentsFile;
+  
+  // Validate required fields
+  if (!isset($request['id']) || !isset($request['note'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required fields: id, note']);
+    return;
+  }
+  
+  $appointmentId = (int)$request['id'];
+  if (mb_strlen(trim($request['note'])) > MAX_APPOINTMENT_NOTE_LENGTH) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Note must be at most ' . MAX_APPOINTMENT_NOTE_LENGTH . ' characters']);
+    return;
+  }
+  $note = sanitizeInput($request['note']);
+  
+  try {
+    // Hold the appointments lock so the owning client cannot change meanwhile
+    $handle = fopen($appointmentsFile, 'r');
+    flock($handle, LOCK_SH);
+    $content = file_get_contents($appointmentsFile);
+    $appointments = json_decode($content, true) ?? [];
+    
+    $appointment = null;
+    foreach ($appointments as $apt) {
+      if ($apt['id'] === $appointmentId) {
+        $appointment = $apt;
+        break;
+      }
+    }
+    
+    if (!$appointment) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(404);
+      echo json_encode(['success' => false, 'error' => 'Appointment not found']);
+      return;
+    }
+    
+    $saved = setClientHistoryNote($appointment, $note);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
+    if (!$saved) {
+      http_response_code(404);
+      echo json_encode(['success' => false, 'error' => 'Client not found']);
+      return;
+    }
+    
+    echo json_encode([
+      'success' => true,
+      'data' => ['appointmentId' => $appointmentId, 'clientId' => $appointment['clientId'], 'note' => $note],
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to update appointment note: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Move the upcoming appointments of a client, staff member or service to
+ * another one, e.g. a departing stylist's bookings before archiving them
+ * Expects type ('client', 'staff' or 'service'), fromId, toId; allowConflicts
+ * Like series edits, appointments the new staff member cannot take (hours,
+ * time off) or that would overlap another booking are left in place and
+ * reported in skipped. Clients are emailed about every moved appointment.
+ * Every service of a multi-service appointment that uses the staff member or
+ * service moves; the services are chained again since durations may change.
+ */
+function reassignAppointments($request) {
+  global $appointmentsFile, $staffFile, $servicesFile, $seriesFile;
+  
+  $type = $request['type'] ?? '';
+  if (!isset(RECORD_TYPES[$type]) || !isset($request['fromId'], $request['toId'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required fields: type, fromId, toId']);
+    return;
+  }
+  
+  $fromId = (int)$request['fromId'];
+  $toId = (int)$request['toId'];
+  $field = RECORD_TYPES[$type]['appointmentField'];
+  $allowConflicts = !empty($request['allowConflicts']);
+  
+  if ($fromId === $toId) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Choose another ' . strtolower(RECORD_TYPES[$type]['label']) . ' to move the appointments to']);
+    return;
+  }
+  $unusableReason = getRecordUnusableReason($type, $toId);
+  if ($unusableReason !== null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $unusableReason]);
+    return;
+  }
+  
+  try {
+    $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+    $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+    
+    $handle = fopen($appointmentsFile, 'r+');
+    flock($handle, LOCK_EX);
+    $content = file_get_contents($appointmentsFile);
+    $appointments = json_decode($content, true) ?? [];
+    
+    $updated = [];
+    $skipped = [];
+    foreach ($appointments as &$apt) {
+      if (!appointmentUsesRecord($apt, $field, $fromId) || !isUpcomingAppointment($apt)) {
+        continue;
+      }
+      
+      $candidate = replaceAppointmentRecord($apt, $field, [$fromId], $toId);
+      
+      // A new staff member or service must be one they perform and still
+      // fit the working hours (durations can differ per staff member)
+      if ($type !== 'client') {
+        $lines = buildAppointmentLines($candidate, $candidate['time'], $services, $staff, $unavailableReason);
+        if ($lines !== null) {
+          $candidate = setAppointmentLines($candidate, $lines);
+          $unavailableReason = getAppointmentLinesError($lines, $staff, $services, $candidate['date'], true);
+        }
+        if ($unavailableReason !== null) {
+          $skipped[] = ['id' => $apt['id'], 'date' => $apt['date'], 'time' => $apt['time'], 'reason' => $unavailableReason, 'conflicts' => []];
+          continue;
+        }
+      }
+      
+      $conflicts = findAppointmentConflicts($appointments, $candidate, $services);
+      if (!empty($conflicts) && !$allowConflicts) {
+        $skipped[] = ['id' => $apt['id'], 'date' => $apt['date'], 'time' => $apt['time'], 'reason' => 'Overlaps with existing bookings', 'conflicts' => $conflicts];
+        continue;
+      }
+      
+      $candidate['reminders'] = scheduleAppointmentReminders($candidate, $apt);
+      $candidate['icsSequence'] = ($candidate['icsSequence'] ?? 0) + 1;
+      $apt = $candidate;
+      $updated[] = $apt;
+    }
+    unset($apt);
+    
+    if (!empty($updated)) {
+      ftruncate($handle, 0);
+      rewind($handle);
+      fwrite($handle, json_encode($appointments, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+      syncClientHistory($updated);
+    }
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
+    // Future occurrences of the moved series follow their template
+    $seriesIds = array_filter(array_column($updated, 'seriesId'));
+    if (!empty($seriesIds)) {
+      $seriesList = json_decode(file_get_contents($seriesFile), true) ?? [];
+      foreach ($seriesList as &$series) {
+        if (in_array($series['id'], $seriesIds, true) && $series[$field] === $fromId) {
+          $series[$field] = $toId;
+        }
+      }
+      unset($series);
+      file_put_contents($seriesFile, json_encode($seriesList, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES), LOCK_EX);
+    }
+    
+    // A client reassignment is a new booking for the receiving client
+    foreach ($updated as $apt) {
+      sendAppointmentEmail($apt['clientId'], $apt, $type === 'client' ? 'created' : 'updated');
+    }
+    
+    echo json_encode([
+      'success' => true,
+      'data' => ['updated' => $updated, 'skipped' => $skipped],
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to move appointments: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Download appointments as CSV, with client, staff and service names
+ * Multi-service appointments list all their staff and service names (the
+ * IDs are those of the first service).
+ * Query params: dateFrom, dateTo (YYYY-MM-DD, both optional)
+ */
+function exportAppointments() {
+  global $appointmentsFile, $clientsFile, $staffFile, $servicesFile;
+  
+  $dateFrom = $_GET['dateFrom'] ?? '';
+  $dateTo = $_GET['dateTo'] ?? '';
+  foreach ([$dateFrom, $dateTo] as $date) {
+    if ($date !== '' && !preg_match('/^\d{4}-\d{2}-\d{2}$/', $date)) {
+      http_response_code(400);
+      echo json_encode(['success' => false, 'error' => 'Invalid date format. Use YYYY-MM-DD']);
+      return;
+    }
+  }
+  
+  try {
+    $handle = fopen($appointmentsFile, 'r');
+    flock($handle, LOCK_SH);
+    $content = file_get_contents($appointmentsFile);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
+    $appointments = json_decode($content, true) ?? [];
+    $clients = array_column(json_decode(file_get_contents($clientsFile), true) ?? [], null, 'id');
+    $staff = array_column(json_decode(file_get_contents($staffFile), true) ?? [], null, 'id');
+    $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+    $servicesById = array_column($services, null, 'id');
+    
+    usort($appointments, function($a, $b) {
+      return strcmp($a['date'] . ' ' . $a['time'], $b['date'] . ' ' . $b['time']);
+    });
+    
+    $rows = [];
+    foreach ($appointments as $apt) {
+      if (($dateFrom !== '' && $apt['date'] < $dateFrom) || ($dateTo !== '' && $apt['date'] > $dateTo)) {
+        continue;
+      }
+      $client = $clients[$apt['clientId']] ?? null;
+      $rows[] = [
+        $apt['id'],
+        $apt['date'],
+        $apt['time'],
+        getAppointmentEndTime($apt, $services),
+        $apt['status'],
+        $apt['clientId'],
+        $client['name'] ?? '',
+        $client['email'] ?? '',
+        $apt['staffId'],
+        empty($apt['lines']) ? ($staff[$apt['staffId']]['name'] ?? '') : describeAppointmentStaff($apt, $staff),
+        $apt['serviceId'],
+        empty($apt['lines']) ? ($servicesById[$apt['serviceId']]['name'] ?? '') : describeAppointmentServices($apt, $services)
+      ];
+    }
+    
+    $columns = ['id', 'date', 'time', 'endTime', 'status', 'clientId', 'clientName', 'clientEmail',
+      'staffId', 'staffName', 'serviceId', 'serviceName'];
+    sendCsv('appointments.csv', $columns, $rows);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to export appointments: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Import appointments (validated like add)
+ * Each row has date, time, client (ID, email or name), staff (ID, email or
+ * name), service (ID or name) and an optional status (default pending).
+ * Rows for archived records, outside the staff member's working hours or
+ * overlapping other bookings (unless allowConflicts) are errors; a row with
+ * the same client, staff member, date and time as an existing appointment
+ * is a duplicate. Imported appointments get source 'import' and reminders
+ * but no emails, and completed ones no income record.
+ */
+function importAppointments($request) {
+  global $appointmentsFile, $clientsFile, $staffFile, $servicesFile;
+  
+  $options = readImportRequest($request, $error);
+  if ($options === null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  [$rows, $dryRun, $onDuplicate] = $options;
+  $allowConflicts = !empty($request['allowConflicts']);
+  
+  try {
+    $clients = json_decode(file_get_contents($clientsFile), true) ?? [];
+    $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+    $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+    
+    $handle = fopen($appointmentsFile, 'r+');
+    flock($handle, LOCK_EX);
+    $content = file_get_contents($appointmentsFile);
+    $appointments = json_decode($content, true) ?? [];
+    
+    $maxId = 0;
+    foreach ($appointments as $apt) {
+      if ($apt['id'] > $maxId) {
+        $maxId = $apt['id'];
+      }
+    }
+    
+    $added = [];
+    $report = [];
+    $counts = ['ok' => 0, 'duplicate' => 0, 'error' => 0];
+    foreach ($rows as $index => $row) {
+      $candidate = is_array($row) ? buildImportedAppointment(cleanImportRow($row), $clients, $staff, $services, $error) : null;
+      if ($candidate === null) {
+        $report[] = ['row' => $index + 1, 'status' => 'error', 'error' => $error ?? 'Invalid row'];
+        $counts['error']++;
+        continue;
+      }
+      $name = "{$candidate['date']} {$candidate['time']} {$candidate['clientName']}";
+      unset($candidate['clientName']);
+      
+      // Existing appointments and the rows above are checked alike
+      $known = array_merge($appointments, $added);
+      $duplicates = [];
+      foreach ($known as $apt) {
+        if ($apt['clientId'] === $candidate['clientId'] && $apt['staffId'] === $candidate['staffId'] &&
+            $apt['date'] === $candidate['date'] && $apt['time'] === $candidate['time']) {
+          $duplicates[] = ['id' => $apt['id'] ?? null, 'name' => "{$apt['date']} {$apt['time']}", 'matchedOn' => ['client', 'staff', 'time']];
+        }
+      }
+      if (!empty($duplicates) && $onDuplicate === 'skip') {
+        $report[] = ['row' => $index + 1, 'status' => 'duplicate', 'name' => $name, 'duplicates' => $duplicates];
+        $counts['duplicate']++;
+        continue;
+      }
+      
+      $conflicts = findAppointmentConflicts($known, $candidate, $services);
+      if (!empty($conflicts) && !$allowConflicts) {
+        $report[] = ['row' => $index + 1, 'status' => 'error', 'error' => 'Overlaps with existing bookings', 'conflicts' => $conflicts];
+        $counts['error']++;
+        continue;
+      }
+      
+      if (!empty($duplicates)) {
+        $report[] = ['row' => $index + 1, 'status' => 'duplicate', 'name' => $name, 'duplicates' => $duplicates];
+        $counts['duplicate']++;
+      } else {
+        $report[] = ['row' => $index + 1, 'status' => 'ok', 'name' => $name];
+        $counts['ok']++;
+      }
+      $candidate = ['id' => ++$maxId] + $candidate;
+      $candidate['reminders'] = scheduleAppointmentReminders($candidate);
+      $added[] = $candidate;
+    }
+    
+    $commit = !$dryRun && $counts['error'] === 0 && !empty($added);
+    if ($commit) {
+      $appointments = array_merge($appointments, $added);
+      ftruncate($handle, 0);
+      rewind($handle);
+      fwrite($handle, json_encode($appointments, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+      syncClientHistory($added);
+    }
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
+    sendImportReport(buildImportReport($dryRun, $commit ? count($added) : 0, count($added), $counts, $report));
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to import appointments: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Validate one imported appointment row
+ * Returns the appointment without its ID (plus clientName for the report),
+ * or null with $error set
+ */
+function buildImportedAppointment($row, $clients, $staff, $services, &$error = null) {
+  $error = null;
+  foreach (['date', 'time', 'client', 'staff', 'service'] as $field) {
+    if (trim((string)($row[$field] ?? '')) === '') {
+      $error = ucfirst($field) . ' is required';
+      return null;
+    }
+  }
+  
+  $date = sanitizeInput($row['date']);
+  $time = sanitizeInput($row['time']);
+  $status = sanitizeInput(($row['status'] ?? '') !== '' ? $row['status'] : 'pending');
+  
+  // Spreadsheets often drop the leading zero of the hour ("9:30")
+  if (preg_match('/^\d:\d{2}$/', $time)) {
+    $time = '0' . $time;
+  }
+  if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $date)) {
+    $error = 'Invalid date format. Use YYYY-MM-DD';
+    return null;
+  }
+  if (!preg_match('/^\d{2}:\d{2}$/', $time)) {
+    $error = 'Invalid time format. Use HH:MM';
+    return null;
+  }
+  if (!in_array($status, APPOINTMENT_STATUSES, true)) {
+    $error = 'Invalid status';
+    return null;
+  }
+  
+  $client = findImportedRecord('client', $clients, $row['client'], $error);
+  $staffMember = $client ? findImportedRecord('staff', $staff, $row['staff'], $error) : null;
+  $service = $staffMember ? findImportedRecord('service', $services, $row['service'], $error) : null;
+  if (!$service) {
+    return null;
+  }
+  
+  $error = getStaffServiceError($staffMember, $service);
+  if ($error !== null) {
+    return null;
+  }
+  $endTime = calculateEndTime($time, getStaffServiceDuration($staffMember, $service));
+  $unavailableReason = getLateEndError($endTime) ?? getStaffUnavailableReason($staffMember, $date, $time, $endTime);
+  if ($unavailableReason !== null) {
+    $error = $unavailableReason;
+    return null;
+  }
+  
+  return [
+    'clientId' => $client['id'],
+    'staffId' => $staffMember['id'],
+    'serviceId' => $service['id'],
+    'date' => $date,
+    'time' => $time,
+    'endTime' => $endTime,
+    'status' => $status,
+    'source' => 'import',
+    'clientName' => $client['name']
+  ];
+}
+
+/**
+ * Find the client, staff member or service an imported cell refers to
+ * A number is an ID, text with @ an email, anything else a name (compared
+ * like duplicate names). Archived, inactive, missing and ambiguous matches
+ * set $error.
+ */
+function findImportedRecord($type, $records, $value, &$error = null) {
+  $label = RECORD_TYPES[$type]['label'];
+  $value = trim((string)$value);
+  $shown = sanitizeInput($value);
+  
+  $matches = [];
+  foreach ($records as $record) {
+    if (ctype_digit($value)) {
+      $match = $record['id'] === (int)$value;
+    } elseif (strpos($value, '@') !== false) {
+      $match = strcasecmp($record['email'] ?? '', $value) === 0;
+    } else {
+      $match = normalizeDuplicateName($record['name']) === normalizeDuplicateName($value);
+    }
+    if ($match) {
+      $matches[] = $record;
+    }
+  }
+  
+  if (empty($matches)) {
+    $error = "{$label} not found: {$shown}";
+    return null;
+  }
+  if (count($matches) > 1) {
+    $error = "{$label} \"{$shown}\" matches more than one record; use the ID instead";
+    return null;
+  }
+  if (!empty($matches[0]['archived'])) {
+    $error = "{$label} {$matches[0]['name']} is archived";
+    return null;
+  }
+  if (isServiceInactive($matches[0])) {
+    $error = "{$label} {$matches[0]['name']} is inactive";
+    return null;
+  }
+  return $matches[0];
+}
+
+/**
+ * Find next available slots for a service
+ * Query params: serviceId (required), staffId, dateFrom, dateTo, timeFrom, timeTo, limit, clientId, token
+ *
+ * Slots are generated every 15 minutes inside each staff member's working
+ * periods (see getStaffWorkingPeriods), skipping
+ * times already taken by the staff member (or the client, when given).
+ * The manage page passes its link token: the appointment being rescheduled
+ * does not block its own slots.
+ */
+function getAvailability() {
+  global $appointmentsFile, $staffFile, $servicesFile;
+  
+  $serviceId = isset($_GET['serviceId']) ? (int)$_GET['serviceId'] : 0;
+  $staffId = !empty($_GET['staffId']) ? (int)$_GET['staffId'] : null;
+  $clientId = !empty($_GET['clientId']) ? (int)$_GET['clientId'] : null;
+  $dateFrom = !empty($_GET['dateFrom']) ? $_GET['dateFrom'] : date('Y-m-d');
+  $dateTo = !empty($_GET['dateTo']) ? $_GET['dateTo'] : date('Y-m-d', strtotime($dateFrom . ' +14 days'));
+  $timeFrom = !empty($_GET['timeFrom']) ? $_GET['timeFrom'] : '00:00';
+  $timeTo = !empty($_GET['timeTo']) ? $_GET['timeTo'] : '23:59';
+  $limit = isset($_GET['limit']) ? max(1, min(50, (int)$_GET['limit'])) : 10;
+  $excludeId = null;
+  
+  if (!empty($_GET['token'])) {
+    $excludeId = verifyManageToken(is_string($_GET['token']) ? $_GET['token'] : '', $tokenError);
+    if ($excludeId === null) {
+      http_response_code(403);
+      echo json_encode(['success' => false, 'error' => $tokenError]);
+      return;
+    }
+  }
+  
+  if ($serviceId <= 0) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Service is required']);
+    return;
+  }
+  
+  if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $dateFrom) || !preg_match('/^\d{4}-\d{2}-\d{2}$/', $dateTo)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid date format. Use YYYY-MM-DD']);
+    return;
+  }
+  
+  if (!preg_match('/^\d{2}:\d{2}$/', $timeFrom) || !preg_match('/^\d{2}:\d{2}$/', $timeTo)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid time format. Use HH:MM']);
+    return;
+  }
+  
+  // Never offer slots in the past, and cap the search to 90 days
+  $today = date('Y-m-d');
+  if ($dateFrom < $today) {
+    $dateFrom = $today;
+  }
+  $maxDate = date('Y-m-d', strtotime($dateFrom . ' +90 days'));
+  if ($dateTo > $maxDate) {
+    $dateTo = $maxDate;
+  }
+  
+  try {
+    $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+    $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+    
+    $handle = fopen($appointmentsFile, 'r');
+    flock($handle, LOCK_SH);
+    $content = file_get_contents($appointmentsFile);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    $appointments = json_decode($content, true) ?? [];
+    
+    $service = findServiceById($services, $serviceId);
+    if (!$service || !empty($service['archived']) || isServiceInactive($service)) {
+      http_response_code(400);
+      echo json_encode(['success' => false, 'error' => 'Service not found']);
+      return;
+    }
+    
+    $candidateStaff = array_values(array_filter($staff, function($member) use ($staffId, $serviceId) {
+      return empty($member['archived']) && ($staffId === null || $member['id'] === $staffId) &&
+        staffPerformsService($member, $serviceId);
+    }));
+    
+    $slots = findAvailableSlots($appointments, $services, $candidateStaff, $service, [
+      'dateFrom' => $dateFrom,
+      'dateTo' => $dateTo,
+      'timeFrom' => $timeFrom,
+      'timeTo' => $timeTo,
+      'clientId' => $clientId,
+      'excludeId' => $excludeId,
+      'limit' => $limit
+    ]);
+    
+    echo json_encode([
+      'success' => true,
+      'data' => $slots,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to compute availability: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Staff utilization and performance for a period, with the previous period
+ * of the same length for the trend
+ * Query params: dateFrom, dateTo (at most ANALYTICS_MAX_DAYS days)
+ */
+function getStaffAnalytics() {
+  global $appointmentsFile, $staffFile, $servicesFile, $incomesFile;
+  
+  $period = readAnalyticsPeriod($_GET['dateFrom'] ?? '', $_GET['dateTo'] ?? '', $error);
+  if ($period === null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  
+  try {
+    $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+    $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+    $incomes = file_exists($incomesFile) ? (json_decode(file_get_contents($incomesFile), true) ?? []) : [];
+    
+    $handle = fopen($appointmentsFile, 'r');
+    flock($handle, LOCK_SH);
+    $content = file_get_contents($appointmentsFile);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    $appointments = json_decode($content, true) ?? [];
+    
+    $appointmentMinutes = function($appointment) use ($services) {
+      return max(0, timeToMinutes(getAppointmentEndTime($appointment, $services)) - timeToMinutes($appointment['time']));
+    };
+    
+    echo json_encode([
+      'success' => true,
+      'data' => buildStaffAnalytics($staff, $services, $appointments, $incomes, $period[0], $period[1],
+        $appointmentMinutes, 'getStaffWorkingMinutes'),
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to compute staff analytics: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Data for the public booking page
+ * Only public fields are returned (no staff emails or calendar tokens);
+ * archived staff and archived or inactive services are left out. Services
+ * come in display order with their category and description.
+ */
+function getBookingOptions() {
+  global $staffFile, $servicesFile;
+  
+  try {
+    $isActive = function($record) {
+      return empty($record['archived']);
+    };
+    $services = array_filter(json_decode(file_get_contents($servicesFile), true) ?? [], function($service) use ($isActive) {
+      return $isActive($service) && !isServiceInactive($service);
+    });
+    $staff = array_filter(json_decode(file_get_contents($staffFile), true) ?? [], $isActive);
+    $branding = loadSettings()['branding'];
+    
+    echo json_encode([
+      'success' => true,
+      'data' => [
+        'services' => array_map(function($service) {
+          return [
+            'id' => $service['id'],
+            'name' => $service['name'],
+            'category' => $service['category'] ?? '',
+            'description' => $service['description'] ?? '',
+            'duration' => (int)$service['duration'],
+            'price' => (float)$service['price']
+          ];
+        }, sortServicesForDisplay($services)),
+        'staff' => array_values(array_map(function($member) {
+          return [
+            'id' => $member['id'],
+            'name' => $member['name'],
+            'role' => $member['role'],
+            // null = performs every service
+            'serviceIds' => empty($member['services']) ? null : array_column($member['services'], 'serviceId')
+          ];
+        }, $staff)),
+        'salon' => [
+          'name' => $branding['salonName'],
+          'phone' => $branding['phone'],
+          'email' => $branding['email']
+        ]
+      ],
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to load booking options: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Public self-booking
+ * Expects data: serviceId, staffId, date, time, name, email, phone
+ * The client is matched by email (case-insensitive) or created; conflicts are
+ * reported without details since the caller is not staff
+ */
+function bookOnline($request) {
+  global $appointmentsFile, $clientsFile, $staffFile, $servicesFile;
+  
+  $data = $request['data'] ?? null;
+  if (!is_array($data)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid request format']);
+    return;
+  }
+  
+  $serviceId = (int)($data['serviceId'] ?? 0);
+  $staffId = (int)($data['staffId'] ?? 0);
+  $date = $data['date'] ?? '';
+  $time = $data['time'] ?? '';
+  $name = sanitizeInput($data['name'] ?? '');
+  $email = strtolower(trim($data['email'] ?? ''));
+  $phone = sanitizeInput($data['phone'] ?? '');
+  
+  if ($name === '' || $phone === '') {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Name and phone are required']);
+    return;
+  }
+  if (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid email format']);
+    return;
+  }
+  if ($serviceId <= 0 || $staffId <= 0) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Please choose a service and a time']);
+    return;
+  }
+  if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $date) || !preg_match('/^\d{2}:\d{2}$/', $time)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid date or time']);
+    return;
+  }
+  if (strtotime($date . ' ' . $time) <= time()) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'This time has already passed']);
+    return;
+  }
+  
+  $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+  $service = findServiceById($services, $serviceId);
+  $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+  $staffMember = findStaffById($staff, $staffId);
+  if (!$service || !$staffMember || !empty($service['archived']) || isServiceInactive($service) || !empty($staffMember['archived']) ||
+      !staffPerformsService($staffMember, $serviceId)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Service or staff member not found']);
+    return;
+  }
+  $endTime = calculateEndTime($time, getStaffServiceDuration($staffMember, $service));
+  
+  // Turn bad clients and clients owing a deposit away before anything is saved
+  $clients = json_decode(file_get_contents($clientsFile), true) ?? [];
+  $client = findClientByEmail($clients, $email);
+  if ($client && (!empty($client['isBadClient']) || !empty($client['depositRequired']))) {
+    $phoneNumber = loadSettings()['branding']['phone'];
+    http_response_code(403);
+    echo json_encode([
+      'success' => false,
+      'callUs' => true,
+      'error' => 'We could not complete your booking online. Please call us' .
+        ($phoneNumber !== '' ? ' at ' . html_entity_decode($phoneNumber, ENT_QUOTES, 'UTF-8') : '') . ' to book.'
+    ]);
+    return;
+  }
+  
+  try {
+    // Read appointments with exclusive lock (held while the client is created)
+    $handle = fopen($appointmentsFile, 'r+');
+    flock($handle, LOCK_EX);
+    $content = file_get_contents($appointmentsFile);
+    $appointments = json_decode($content, true) ?? [];
+    
+    $candidate = [
+      'clientId' => $client ? $client['id'] : null,
+      'staffId' => $staffId,
+      'date' => $date,
+      'time' => $time,
+      'endTime' => $endTime,
+      'status' => 'pending'
+    ];
+    // Only the free slots the booking page offers can be booked
+    if (!isOfferedSlot($appointments, $services, $staffMember, $service, $date, $time) ||
+        !empty(findAppointmentConflicts($appointments, $candidate, $services))) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(409);
+      echo json_encode(['success' => false, 'error' => 'This time is no longer available, please pick another one']);
+      return;
+    }
+    
+    $client = findOrCreateBookingClient($name, $email, $phone);
+    
+    // Generate new ID
+    $maxId = 0;
+    foreach ($appointments as $apt) {
+      if ($apt['id'] > $maxId) {
+        $maxId = $apt['id'];
+      }
+    }
+    
+    $newAppointment = [
+      'id' => $maxId + 1,
+      'clientId' => $client['id'],
+      'staffId' => $staffId,
+      'serviceId' => $serviceId,
+      'date' => $date,
+      'time' => $time,
+      'endTime' => $endTime,
+      'status' => 'pending',
+      'source' => 'online'
+    ];
+    $newAppointment['reminders'] = scheduleAppointmentReminders($newAppointment);
+    
+    $appointments[] = $newAppointment;
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($appointments, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+    syncClientHistory([$newAppointment]);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
+    // Send email notification to client
+    sendAppointmentEmail($client['id'], $newAppointment, 'created');
+    
+    echo json_encode([
+      'success' => true,
+      'data' => [
+        'id' => $newAppointment['id'],
+        'date' => $date,
+        'time' => $time,
+        'endTime' => $endTime,
+        'serviceName' => $service['name'],
+        'staffName' => $staffMember['name']
+      ],
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to book appointment: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Find a client by email (case-insensitive)
+ */
+function findClientByEmail($clients, $email) {
+  foreach ($clients as $client) {
+    if (strtolower(html_entity_decode($client['email'], ENT_QUOTES, 'UTF-8')) === $email) {
+      return $client;
+    }
+  }
+  return null;
+}
+
+/**
+ * Return the client with this email, creating it when missing
+ * Existing clients keep their details; only a missing phone is filled in.
+ * An archived client booking again is restored.
+ */
+function findOrCreateBookingClient($name, $email, $phone) {
+  global $clientsFile;
+  
+  $handle = fopen($clientsFile, 'r+');
+  flock($handle, LOCK_EX);
+  $content = file_get_contents($clientsFile);
+  $clients = json_decode($content, true) ?? [];
+  
+  $client = findClientByEmail($clients, $email);
+  if ($client && !empty($client['phone']) && empty($client['archived'])) {
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    return $client;
+  }
+  
+  if ($client) {
+    foreach ($clients as &$existing) {
+      if ($existing['id'] === $client['id']) {
+        if (empty($existing['phone'])) {
+          $existing['phone'] = $phone;
+        }
+        unset($existing['archived']);
+        $client = $existing;
+      }
+    }
+    unset($existing);
+  } else {
+    $maxId = 0;
+    foreach ($clients as $existing) {
+      if ($existing['id'] > $maxId) {
+        $maxId = $existing['id'];
+      }
+    }
+    $client = [
+      'id' => $maxId + 1,
+      'name' => $name,
+      'email' => sanitizeInput($email),
+      'phone' => $phone,
+      'notes' => 'Registered via online booking',
+      'isVIP' => false,
+      'isBadClient' => false,
+      'appointments' => []
+    ];
+    $clients[] = $client;
+  }
+  
+  ftruncate($handle, 0);
+  rewind($handle);
+  fwrite($handle, json_encode($clients, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  flock($handle, LOCK_UN);
+  fclose($handle);
+  
+  return $client;
+}
+
+/**
+ * Resolve a signed client link to its appointment
+ * Adds cutoffHours, canChange (pending and before the cutoff) and changeDeadline ("Y-m-d H:i");
+ * returns null with $error/$errorCode set when the link is not usable
+ */
+function findManagedAppointment($token, &$error, &$errorCode) {
+  global $appointmentsFile;
+  
+  $appointmentId = verifyManageToken($token, $error);
+  if ($appointmentId === null) {
+    $errorCode = 403;
+    return null;
+  }
+  
+  $handle = fopen($appointmentsFile, 'r');
+  flock($handle, LOCK_SH);
+  $content = file_get_contents($appointmentsFile);
+  flock($handle, LOCK_UN);
+  fclose($handle);
+  $appointments = json_decode($content, true) ?? [];
+  
+  foreach ($appointments as $apt) {
+    if ($apt['id'] === $appointmentId) {
+      $cutoffHours = (int)loadSettings()['selfService']['cutoffHours'];
+      $deadline = strtotime($apt['date'] . ' ' . $apt['time']) - $cutoffHours * 3600;
+      $apt['cutoffHours'] = $cutoffHours;
+      $apt['changeDeadline'] = date('Y-m-d H:i', $deadline);
+      $apt['canChange'] = $apt['status'] === 'pending' && time() < $deadline;
+      return $apt;
     }
-    if ($incomeDeleted) {
-      $response['incomeDeleted'] = true;
+  }
+  
+  $error = 'This appointment no longer exists';
+  $errorCode = 404;
+  return null;
+}
+
+/**
+ * Check that a managed appointment can still be changed online
+ * Sends the error response and returns false otherwise
+ */
+function requireChangeableAppointment($appointment) {
+  if ($appointment['status'] !== 'pending') {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'This appointment can no longer be changed']);
+    return false;
+  }
+  if (!$appointment['canChange']) {
+    $phone = html_entity_decode(loadSettings()['branding']['phone'], ENT_QUOTES, 'UTF-8');
+    http_response_code(400);
+    echo json_encode([
+      'success' => false,
+      'error' => 'Online changes close ' . $appointment['cutoffHours'] .
+        ' hours before the appointment. Please call us' . ($phone !== '' ? " at $phone" : '') . '.'
+    ]);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Appointment details for manage.html
+ */
+function getManagedAppointment() {
+  global $clientsFile, $staffFile, $servicesFile;
+  
+  $error = null;
+  $errorCode = 400;
+  $appointment = findManagedAppointment($_GET['token'] ?? '', $error, $errorCode);
+  if (!$appointment) {
+    http_response_code($errorCode);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  
+  $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+  $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+  $clients = json_decode(file_get_contents($clientsFile), true) ?? [];
+  $service = findServiceById($services, $appointment['serviceId']);
+  $staffMember = findStaffById($staff, $appointment['staffId']);
+  $clientName = '';
+  foreach ($clients as $client) {
+    if ($client['id'] === $appointment['clientId']) {
+      $clientName = $client['name'];
+      break;
     }
-    
-    echo json_encode($response);
-  } catch (Exception $e) {
-    http_response_code(500);
+  }
+  $settings = loadSettings();
+  
+  echo json_encode([
+    'success' => true,
+    'data' => [
+      'id' => $appointment['id'],
+      'date' => $appointment['date'],
+      'time' => $appointment['time'],
+      'endTime' => getAppointmentEndTime($appointment, $services),
+      'status' => $appointment['status'],
+      'serviceId' => $appointment['serviceId'],
+      'serviceName' => empty($appointment['lines']) ? ($service ? $service['name'] : '') : describeAppointmentServices($appointment, $services),
+      'staffId' => $appointment['staffId'],
+      'staffName' => empty($appointment['lines']) ? ($staffMember ? $staffMember['name'] : '') : describeAppointmentStaff($appointment, $staff),
+      'clientName' => $clientName,
+      'canChange' => $appointment['canChange'],
+      'canReschedule' => $appointment['canChange'] && empty($appointment['lines']),
+      'changeDeadline' => $appointment['changeDeadline'],
+      'cutoffHours' => $appointment['cutoffHours'],
+      'salon' => [
+        'name' => $settings['branding']['salonName'],
+        'phone' => $settings['branding']['phone']
+      ]
+    ],
+    'error' => null
+  ]);
+}
+
+/**
+ * Client cancels through a signed link (status deleted_by_user)
+ */
+function cancelManagedAppointment($request) {
+  $error = null;
+  $errorCode = 400;
+  $appointment = findManagedAppointment($request['token'] ?? '', $error, $errorCode);
+  if (!$appointment) {
+    http_response_code($errorCode);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  if (!requireChangeableAppointment($appointment)) {
+    return;
+  }
+  
+  updateAppointmentStatus(['id' => $appointment['id'], 'status' => 'deleted_by_user']);
+}
+
+/**
+ * Client moves the appointment to another free slot with the same staff member
+ * Appointments with several services can only be cancelled online; the
+ * salon moves them.
+ */
+function rescheduleManagedAppointment($request) {
+  global $appointmentsFile, $staffFile, $servicesFile;
+  
+  $error = null;
+  $errorCode = 400;
+  $appointment = findManagedAppointment($request['token'] ?? '', $error, $errorCode);
+  if (!$appointment) {
+    http_response_code($errorCode);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  if (!requireChangeableAppointment($appointment)) {
+    return;
+  }
+  
+  if (!empty($appointment['lines'])) {
+    $phone = html_entity_decode(loadSettings()['branding']['phone'], ENT_QUOTES, 'UTF-8');
+    http_response_code(400);
     echo json_encode([
       'success' => false,
-      'data' => null,
-      'error' => 'Failed to update appointment status: ' . $e->getMessage()
+      'error' => 'Appointments with several services cannot be moved online. Please call us' .
+        ($phone !== '' ? " at $phone" : '') . '.'
     ]);
+    return;
+  }
+  
+  $date = $request['date'] ?? '';
+  $time = $request['time'] ?? '';
+  if (!is_string($date) || !is_string($time) ||
+      !preg_match('/^\d{4}-\d{2}-\d{2}$/', $date) || !preg_match('/^\d{2}:\d{2}$/', $time)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid date or time format']);
+    return;
+  }
+  if (strtotime($date . ' ' . $time) <= time()) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Please pick a time in the future']);
+    return;
+  }
+  
+  // Only the free slots the manage page offers can be picked
+  $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+  $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+  $staffMember = findStaffById($staff, $appointment['staffId']);
+  $service = findServiceById($services, $appointment['serviceId']);
+  $handle = fopen($appointmentsFile, 'r');
+  flock($handle, LOCK_SH);
+  $appointments = json_decode(file_get_contents($appointmentsFile), true) ?? [];
+  flock($handle, LOCK_UN);
+  fclose($handle);
+  if (!$staffMember || !$service ||
+      !isOfferedSlot($appointments, $services, $staffMember, $service, $date, $time, $appointment['id'])) {
+    http_response_code(409);
+    echo json_encode(['success' => false, 'error' => 'This time is no longer available, please pick another one']);
+    return;
   }
+  
+  moveAppointment([
+    'data' => [
+      'id' => $appointment['id'],
+      'date' => $date,
+      'time' => $time,
+      'staffId' => $appointment['staffId']
+    ]
+  ], true);
 }
 
 /**
- * Create income record from appointment data
+ * Create income records from appointment data
  * Called when appointment status changes to 'complete'
+ * Each service of the appointment gets its own income, priced with its staff
+ * member (their own price for the service when they have one); a package
+ * price is split over the services in proportion to those prices.
+ * $redeemPoints (already checked against the client's balance) are taken off
+ * the total and split the same way; the client earns points on the rest
+ * (see includes/loyalty.php)
+ * Returns the new incomes, or null when the appointment already has them
  */
-function createIncomeFromAppointment($appointment) {
+function createIncomeFromAppointment($appointment, $redeemPoints = 0) {
   global $incomesFile, $clientsFile, $staffFile, $servicesFile;
   
   // Load related data
@@ -629,12 +2652,8 @@ function createIncomeFromAppointment($appointment) {
   $staff = json_decode(file_get_contents($staffFile), true) ?? [];
   $services = json_decode(file_get_contents($servicesFile), true) ?? [];
   
-  // Find client, staff, and service names
+  // Find client name
   $clientName = 'Unknown';
-  $staffName = 'Unknown';
-  $serviceName = 'Unknown';
-  $servicePrice = 0;
-  
   foreach ($clients as $c) {
     if ($c['id'] === $appointment['clientId']) {
       $clientName = $c['name'];
@@ -642,20 +2661,24 @@ function createIncomeFromAppointment($appointment) {
     }
   }
   
-  foreach ($staff as $s) {
-    if ($s['id'] === $appointment['staffId']) {
-      $staffName = $s['name'];
-      break;
-    }
+  // Find staff, service and price of each service line
+  $items = [];
+  foreach (getAppointmentLines($appointment) as $line) {
+    $staffMember = findStaffById($staff, $line['staffId']);
+    $service = findServiceById($services, $line['serviceId']);
+    $items[] = [
+      'line' => $line,
+      'staffName' => $staffMember ? $staffMember['name'] : 'Unknown',
+      'service' => $service,
+      'serviceName' => $service ? $service['name'] : 'Unknown',
+      'price' => $service ? getStaffServicePrice($staffMember, $service) : 0
+    ];
   }
-  
-  foreach ($services as $svc) {
-    if ($svc['id'] === $appointment['serviceId']) {
-      $serviceName = $svc['name'];
-      $servicePrice = (float)$svc['price'];
-      break;
-    }
+  $prices = array_column($items, 'price');
+  if (!empty($appointment['package'])) {
+    $prices = splitAmountByWeight($appointment['package']['price'], $prices);
   }
+  $totalPrice = round(array_sum($prices), 2);
   
   // Read existing incomes
   $handle = fopen($incomesFile, 'r+');
@@ -663,9 +2686,9 @@ function createIncomeFromAppointment($appointment) {
   $content = file_get_contents($incomesFile);
   $incomes = json_decode($content, true) ?? [];
   
-  // Check if income already exists for this appointment
+  // Check if income already exists for this appointment (policy fees aside)
   foreach ($incomes as $inc) {
-    if ($inc['appointmentId'] === $appointment['id']) {
+    if ($inc['appointmentId'] === $appointment['id'] && !isset($inc['type'])) {
       flock($handle, LOCK_UN);
       fclose($handle);
       return null; // Already exists
@@ -679,38 +2702,64 @@ function createIncomeFromAppointment($appointment) {
       $maxId = $inc['id'];
     }
   }
-  $newId = $maxId + 1;
-  
-  // Create new income record
-  $newIncome = [
-    'id' => $newId,
-    'appointmentId' => $appointment['id'],
-    'clientName' => $clientName,
-    'staffName' => $staffName,
-    'serviceName' => $serviceName,
-    'amount' => $servicePrice,
-    'date' => $appointment['date'],
-    'time' => $appointment['time'],
-    'status' => 'completed',
-    'paymentMethod' => 'cash',
-    'notes' => '',
-    'completedAt' => date('Y-m-d\TH:i:s')
-  ];
+  
+  // Loyalty: redeemed points are a discount (never more than the price, so
+  // unneeded points stay with the client); points are earned on what is paid
+  $loyalty = loadSettings()['loyalty'];
+  $redeemPoints = min($redeemPoints, (int)ceil($totalPrice / $loyalty['pointValue'] - 0.000001));
+  $discount = min($totalPrice, round($redeemPoints * $loyalty['pointValue'], 2));
+  $discounts = splitAmountByWeight($discount, $prices);
+  
+  // Create one income record per service
+  $newIncomes = [];
+  $pointsEarned = 0;
+  foreach ($items as $i => $item) {
+    $amount = max(0, round($prices[$i] - $discounts[$i], 2));
+    $linePoints = calculateLoyaltyPoints($amount, $item['service'], $loyalty);
+    $pointsEarned += $linePoints;
+    $newIncome = [
+      'id' => ++$maxId,
+      'appointmentId' => $appointment['id'],
+      'clientName' => $clientName,
+      'staffId' => $item['line']['staffId'],
+      'staffName' => $item['staffName'],
+      'serviceId' => $item['line']['serviceId'],
+      'serviceName' => $item['serviceName'],
+      'amount' => $amount,
+      'discount' => $discounts[$i],
+      'tip' => 0,
+      'pointsRedeemed' => $i === 0 ? $redeemPoints : 0,
+      'pointsEarned' => $linePoints,
+      'date' => $appointment['date'],
+      'time' => $item['line']['time'],
+      'status' => 'completed',
+      'paymentMethod' => 'cash',
+      'notes' => '',
+      'completedAt' => date('Y-m-d\TH:i:s')
+    ];
+    if (!empty($appointment['package'])) {
+      $newIncome['packageName'] = $appointment['package']['name'];
+    }
+    $newIncomes[] = $newIncome;
+  }
   
   // Add to array and write back
-  $incomes[] = $newIncome;
+  $incomes = array_merge($incomes, $newIncomes);
   ftruncate($handle, 0);
   rewind($handle);
   fwrite($handle, json_encode($incomes, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
   flock($handle, LOCK_UN);
   fclose($handle);
   
-  return $newIncome;
+  recordLoyaltyVisit($appointment, $pointsEarned, $redeemPoints);
+  
+  return $newIncomes;
 }
 
 /**
- * Delete income record by appointment ID
- * Called when appointment status reverts from 'complete'
+ * Delete the income records of an appointment
+ * Called when appointment status reverts from 'complete'; the loyalty points
+ * of the visit are reversed with it
  */
 function deleteIncomeByAppointmentId($appointmentId) {
   global $incomesFile;
@@ -720,10 +2769,10 @@ function deleteIncomeByAppointmentId($appointmentId) {
   $content = file_get_contents($incomesFile);
   $incomes = json_decode($content, true) ?? [];
   
-  // Find and remove income with matching appointmentId
+  // Find and remove income with matching appointmentId (policy fees stay)
   $found = false;
   $incomes = array_filter($incomes, function($inc) use ($appointmentId, &$found) {
-    if ($inc['appointmentId'] === $appointmentId) {
+    if ($inc['appointmentId'] === $appointmentId && !isset($inc['type'])) {
       $found = true;
       return false;
     }
@@ -744,185 +2793,469 @@ function deleteIncomeByAppointmentId($appointmentId) {
   flock($handle, LOCK_UN);
   fclose($handle);
   
+  reverseLoyaltyForAppointment($appointmentId);
+  
   return true;
 }
 
 /**
- * Send email notification to client
- * Called after every appointment mutation (create/edit/delete/status change)
- *
- * Includes appointment details in email body:
- * - Client name
- * - Date and time
- * - Staff member
- * - Service
- * - Appointment status
- * - Action performed
- */
-function sendAppointmentEmail($clientId, $appointment, $action) {
-  global $clientsFile, $staffFile, $servicesFile;
-
-  try {
-    // Validate appointment data
-    if (!$appointment || !isset($appointment['date']) || !isset($appointment['time'])) {
-      error_log("Invalid appointment data for email: " . json_encode($appointment));
-      return;
+ * Reason the chosen client, staff member or service cannot be booked
+ * (archived or missing), or null when all can be. Records the $existing
+ * appointment already uses are accepted even when archived. The staff and
+ * services of further $lines are checked as well.
+ */
+function getBookingUnusableReason($clientId, $staffId, $serviceId, $existing = null, $lines = []) {
+  $chosen = [['client', $clientId], ['staff', $staffId], ['service', $serviceId]];
+  foreach (array_slice($lines, 1) as $line) {
+    $chosen[] = ['staff', $line['staffId']];
+    $chosen[] = ['service', $line['serviceId']];
+  }
+  foreach ($chosen as [$type, $id]) {
+    if ($existing && appointmentUsesRecord($existing, RECORD_TYPES[$type]['appointmentField'], $id)) {
+      continue;
     }
-
-    // Load related files with error checking
-    $clientContent = @file_get_contents($clientsFile);
-    $clients = $clientContent ? json_decode($clientContent, true) ?? [] : [];
-
-    $staffContent = @file_get_contents($staffFile);
-    $staff = $staffContent ? json_decode($staffContent, true) ?? [] : [];
-
-    $serviceContent = @file_get_contents($servicesFile);
-    $services = $serviceContent ? json_decode($serviceContent, true) ?? [] : [];
-
-    // Find client
-    $client = null;
-    foreach ($clients as $c) {
-      if (isset($c['id']) && $c['id'] === $clientId) {
-        $client = $c;
-        break;
-      }
+    $reason = getRecordUnusableReason($type, $id);
+    if ($reason !== null) {
+      return $reason;
     }
+  }
+  return null;
+}
 
-    if (!$client || !isset($client['email'])) {
-      error_log("Client not found or no email for clientId: $clientId");
-      return; // Client not found, skip email
+/**
+ * Service lines requested for an appointment, chained back-to-back from $time
+ * data.lines ([{serviceId, staffId}], in order) books several services;
+ * without it (or with a single line) the appointment has the one line of
+ * data.serviceId and data.staffId. Each service takes as long as it does with
+ * the line's staff member and the last one must end by LATEST_END_TIME.
+ * Returns the lines, or null with $error set
+ */
+function buildAppointmentLines($data, $time, $services, $staff, &$error = null) {
+  $error = null;
+  $requested = is_array($data['lines'] ?? null) && count($data['lines']) > 1
+    ? array_values($data['lines'])
+    : [['serviceId' => $data['serviceId'] ?? 0, 'staffId' => $data['staffId'] ?? 0]];
+  if (count($requested) > MAX_APPOINTMENT_LINES) {
+    $error = 'An appointment can book at most ' . MAX_APPOINTMENT_LINES . ' services';
+    return null;
+  }
+  
+  $lines = [];
+  $start = $time;
+  foreach ($requested as $entry) {
+    $serviceId = (int)($entry['serviceId'] ?? 0);
+    $staffId = (int)($entry['staffId'] ?? 0);
+    if ($serviceId <= 0 || $staffId <= 0) {
+      $error = 'Every service needs a staff member';
+      return null;
+    }
+    $service = findServiceById($services, $serviceId);
+    if (!$service) {
+      $error = 'Service not found';
+      return null;
+    }
+    $end = calculateEndTime($start, getStaffServiceDuration(findStaffById($staff, $staffId), $service));
+    $error = getLateEndError($end);
+    if ($error !== null) {
+      return null;
     }
+    $lines[] = ['serviceId' => $serviceId, 'staffId' => $staffId, 'time' => $start, 'endTime' => $end];
+    $start = $end;
+  }
+  return $lines;
+}
 
-    // Find staff
-    $staffMember = null;
-    if (isset($appointment['staffId'])) {
-      foreach ($staff as $s) {
-        if (isset($s['id']) && $s['id'] === $appointment['staffId']) {
-          $staffMember = $s;
-          break;
-        }
+/**
+ * Reason the staff of some service lines cannot take them, or null when all can
+ * A staff member must perform their service and (with $checkHours) work
+ * for the whole line. Lines that keep the staff member and service of the
+ * same line of $existing skip the skill check, lines that also keep its
+ * date and times skip the hours check, so edits survive schedule changes.
+ */
+function getAppointmentLinesError($lines, $staff, $services, $date, $checkHours, $existing = null) {
+  $existingLines = $existing ? getAppointmentLines($existing) : [];
+  foreach ($lines as $i => $line) {
+    $before = $existingLines[$i] ?? null;
+    $staffMember = findStaffById($staff, $line['staffId']);
+    $pairChanged = !$before || $before['staffId'] !== $line['staffId'] || $before['serviceId'] !== $line['serviceId'];
+    if ($staffMember && $pairChanged) {
+      $skillError = getStaffServiceError($staffMember, findServiceById($services, $line['serviceId']));
+      if ($skillError !== null) {
+        return $skillError;
       }
     }
-
-    // Find service
-    $service = null;
-    if (isset($appointment['serviceId'])) {
-      foreach ($services as $svc) {
-        if (isset($svc['id']) && $svc['id'] === $appointment['serviceId']) {
-          $service = $svc;
-          break;
-        }
+    
+    $slotChanged = $pairChanged || $existing['date'] !== $date || $before['time'] !== $line['time'] ||
+      ($before['endTime'] ?? null) !== $line['endTime'];
+    if ($checkHours && $slotChanged) {
+      $unavailableReason = $staffMember
+        ? getStaffUnavailableReason($staffMember, $date, $line['time'], $line['endTime'])
+        : 'Staff member not found';
+      if ($unavailableReason !== null) {
+        return $unavailableReason;
       }
     }
+  }
+  return null;
+}
 
-    // Format appointment details with null checks
-    if (!isset($appointment['date']) || empty($appointment['date'])) {
-      error_log("Appointment has no date");
-      return;
-    }
+/**
+ * Package an appointment is booked as (data.packageId), or null without one
+ * The copy kept on the $existing appointment stays while the same package is
+ * chosen, so later price changes leave it alone. Sets $error when the
+ * package cannot be booked or the services are not the package's.
+ */
+function readAppointmentPackage($data, $lines, $existing, &$error = null) {
+  $error = null;
+  $packageId = (int)($data['packageId'] ?? 0);
+  if ($packageId <= 0) {
+    return null;
+  }
+  
+  $package = ($existing['package']['id'] ?? null) === $packageId
+    ? $existing['package']
+    : findBookablePackage($packageId, $error);
+  if ($package === null) {
+    return null;
+  }
+  if (!linesMatchPackage($lines, $package)) {
+    $error = "The services do not match package {$package['name']}";
+    return null;
+  }
+  return $package;
+}
 
-    // Parse date safely
-    $dateTimestamp = strtotime($appointment['date']);
-    if ($dateTimestamp === false) {
-      error_log("Invalid date format: " . $appointment['date']);
-      return;
+/**
+ * Find a service record by ID
+ * Returns null when the service does not exist
+ */
+function findServiceById($services, $serviceId) {
+  foreach ($services as $svc) {
+    if (isset($svc['id']) && $svc['id'] === $serviceId) {
+      return $svc;
     }
-    $formattedDate = date('F j, Y', $dateTimestamp);
-
-    // Get appointment time
-    $appointmentTime = isset($appointment['time']) ? $appointment['time'] : 'Not specified';
-
-    // Get names with fallbacks
-    $staffName = ($staffMember && isset($staffMember['name'])) ? $staffMember['name'] : 'Not assigned';
-    $serviceName = ($service && isset($service['name'])) ? $service['name'] : 'Not specified';
-    $clientName = isset($client['name']) ? $client['name'] : 'Client';
-    $appointmentStatus = isset($appointment['status']) ? $appointment['status'] : 'pending';
-
-    // Build email subject and body based on action
-    $subject = '';
-    $body = '';
-
-    switch($action) {
-      case 'created':
-        $subject = "✨ Appointment Confirmation - Beauty Salon";
-        $body = "Dear $clientName,\n\n";
-        $body .= "Your appointment has been successfully created!\n\n";
-        $body .= "APPOINTMENT DETAILS:\n";
-        $body .= "Date: $formattedDate\n";
-        $body .= "Time: $appointmentTime\n";
-        $body .= "Service: $serviceName\n";
-        $body .= "Staff: $staffName\n";
-        $body .= "Status: $appointmentStatus\n\n";
-        $body .= "We look forward to seeing you soon!\n\n";
-        break;
+  }
+  return null;
+}
 
-      case 'updated':
-        $subject = "✨ Appointment Updated - Beauty Salon";
-        $body = "Dear $clientName,\n\n";
-        $body .= "Your appointment has been updated.\n\n";
-        $body .= "UPDATED APPOINTMENT DETAILS:\n";
-        $body .= "Date: $formattedDate\n";
-        $body .= "Time: $appointmentTime\n";
-        $body .= "Service: $serviceName\n";
-        $body .= "Staff: $staffName\n";
-        $body .= "Status: $appointmentStatus\n\n";
-        $body .= "If you have any questions, please contact us.\n\n";
-        break;
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+function timeToMinutes($time) {
+  list($hours, $minutes) = array_map('intval', explode(':', $time));
+  return $hours * 60 + $minutes;
+}
 
-      case 'cancelled':
-        $subject = "✨ Appointment Cancelled - Beauty Salon";
-        $body = "Dear $clientName,\n\n";
-        $body .= "Your appointment has been cancelled.\n\n";
-        $body .= "CANCELLED APPOINTMENT DETAILS:\n";
-        $body .= "Date: $formattedDate\n";
-        $body .= "Time: $appointmentTime\n";
-        $body .= "Service: $serviceName\n";
-        $body .= "Staff: $staffName\n\n";
-        $body .= "If you would like to reschedule, please contact us.\n\n";
-        break;
+/**
+ * Convert minutes since midnight to "HH:MM"
+ */
+function minutesToTime($minutes) {
+  return sprintf('%02d:%02d', intdiv($minutes, 60), $minutes % 60);
+}
 
-      case 'status_changed':
-        $subject = "✨ Appointment Status Updated - Beauty Salon";
-        $body = "Dear $clientName,\n\n";
-        $body .= "Your appointment status has been updated to: $appointmentStatus\n\n";
-        $body .= "APPOINTMENT DETAILS:\n";
-        $body .= "Date: $formattedDate\n";
-        $body .= "Time: $appointmentTime\n";
-        $body .= "Service: $serviceName\n";
-        $body .= "Staff: $staffName\n\n";
-        break;
+/**
+ * Calculate end time ("HH:MM") from a start time and duration in minutes
+ */
+function calculateEndTime($time, $duration) {
+  return minutesToTime(timeToMinutes($time) + max(0, (int)$duration));
+}
 
-      default:
-        error_log("Unknown email action: $action");
-        return;
+/**
+ * Reason an appointment ending at $endTime cannot be booked (it would run
+ * past LATEST_END_TIME), or null when it ends in time
+ */
+function getLateEndError($endTime) {
+  if (timeToMinutes($endTime) > timeToMinutes(LATEST_END_TIME)) {
+    return 'Appointments must end by ' . LATEST_END_TIME . ' on the same day';
+  }
+  return null;
+}
+
+/**
+ * Get the end time of an appointment
+ * Uses the stored endTime, falling back to the service duration for
+ * appointments created before end times were recorded
+ */
+function getAppointmentEndTime($appointment, $services) {
+  if (!empty($appointment['endTime'])) {
+    return $appointment['endTime'];
+  }
+  $service = findServiceById($services, $appointment['serviceId'] ?? 0);
+  $duration = $service ? (int)$service['duration'] : 0;
+  return calculateEndTime($appointment['time'], $duration);
+}
+
+/**
+ * Staff time ranges of an appointment: [staffId, startMinutes, endMinutes]
+ * for each service line
+ */
+function getAppointmentStaffRanges($appointment, $services) {
+  if (empty($appointment['lines'])) {
+    return [[
+      $appointment['staffId'],
+      timeToMinutes($appointment['time']),
+      timeToMinutes(getAppointmentEndTime($appointment, $services))
+    ]];
+  }
+  $ranges = [];
+  foreach ($appointment['lines'] as $line) {
+    $ranges[] = [$line['staffId'], timeToMinutes($line['time']), timeToMinutes(getAppointmentEndTime($line, $services))];
+  }
+  return $ranges;
+}
+
+/**
+ * Find active appointments that overlap a candidate booking
+ * An overlap is any pending/complete appointment on the same date that keeps
+ * one of the candidate's staff members busy during their part of it, or
+ * books the same client at an intersecting time.
+ * Each returned appointment carries endTime and conflictsOn ('staff', 'client')
+ */
+function findAppointmentConflicts($appointments, $candidate, $services) {
+  $blockingStatuses = ['pending', 'complete'];
+  
+  // Cancelled or no-show bookings never block a slot
+  if (!in_array($candidate['status'], $blockingStatuses)) {
+    return [];
+  }
+  
+  $start = timeToMinutes($candidate['time']);
+  $end = timeToMinutes(getAppointmentEndTime($candidate, $services));
+  $candidateRanges = getAppointmentStaffRanges($candidate, $services);
+  $conflicts = [];
+  
+  foreach ($appointments as $apt) {
+    if (isset($candidate['id']) && $apt['id'] === $candidate['id']) {
+      continue;
+    }
+    if ($apt['date'] !== $candidate['date'] || !in_array($apt['status'], $blockingStatuses)) {
+      continue;
+    }
+    
+    $aptStart = timeToMinutes($apt['time']);
+    $aptEnd = timeToMinutes(getAppointmentEndTime($apt, $services));
+    $conflictsOn = [];
+    foreach (getAppointmentStaffRanges($apt, $services) as [$staffId, $from, $to]) {
+      foreach ($candidateRanges as [$candidateStaffId, $candidateFrom, $candidateTo]) {
+        if ($staffId === $candidateStaffId && $candidateFrom < $to && $from < $candidateTo) {
+          $conflictsOn[] = 'staff';
+          break 2;
+        }
+      }
+    }
+    if ($apt['clientId'] === $candidate['clientId'] && $start < $aptEnd && $aptStart < $end) {
+      $conflictsOn[] = 'client';
+    }
+    
+    if (!empty($conflictsOn)) {
+      $apt['endTime'] = minutesToTime($aptEnd);
+      $apt['conflictsOn'] = $conflictsOn;
+      $conflicts[] = $apt;
     }
+  }
+  
+  return $conflicts;
+}
 
-    if (empty($subject) || empty($body)) {
-      error_log("Email subject or body is empty");
-      return;
+/**
+ * Find a staff member by ID
+ * Returns null when the staff member does not exist
+ */
+function findStaffById($staff, $staffId) {
+  foreach ($staff as $member) {
+    if (isset($member['id']) && $member['id'] === $staffId) {
+      return $member;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the time-off entry covering a date, if any
+ */
+function findStaffTimeOff($staffMember, $date) {
+  foreach ($staffMember['timeOff'] ?? [] as $entry) {
+    if ($date >= $entry['dateFrom'] && $date <= $entry['dateTo']) {
+      return $entry;
     }
+  }
+  return null;
+}
 
-    $body .= "Thank you for choosing Beauty Salon!\n";
-    $body .= "Best regards,\nBeauty Salon Management System";
+/**
+ * Get the working periods of a staff member on a date
+ * Returns a list of [startMinutes, endMinutes] ranges with the break removed
+ * (empty on days off and time-off days). Staff without a schedule work
+ * DEFAULT_BUSINESS_HOURS every day.
+ */
+function getStaffWorkingPeriods($staffMember, $date) {
+  if (findStaffTimeOff($staffMember, $date)) {
+    return [];
+  }
+  
+  $schedule = $staffMember['schedule'] ?? null;
+  if ($schedule === null) {
+    return [array_map('timeToMinutes', DEFAULT_BUSINESS_HOURS)];
+  }
+  
+  $weekday = strtolower(date('D', strtotime($date)));
+  $hours = $schedule[$weekday] ?? null;
+  if (!$hours) {
+    return [];
+  }
+  
+  $start = timeToMinutes($hours['start']);
+  $end = timeToMinutes($hours['end']);
+  if (empty($hours['breakStart']) || empty($hours['breakEnd'])) {
+    return [[$start, $end]];
+  }
+  return [
+    [$start, timeToMinutes($hours['breakStart'])],
+    [timeToMinutes($hours['breakEnd']), $end]
+  ];
+}
 
-    // Email headers
-    $to = $client['email'];
-    $headers = "From: noreply@beautysalon.local\r\n";
-    $headers .= "Reply-To: contact@beautysalon.local\r\n";
-    $headers .= "Content-Type: text/plain; charset=UTF-8\r\n";
+/**
+ * Minutes a staff member works on a date
+ */
+function getStaffWorkingMinutes($staffMember, $date) {
+  $minutes = 0;
+  foreach (getStaffWorkingPeriods($staffMember, $date) as $period) {
+    $minutes += max(0, $period[1] - $period[0]);
+  }
+  return $minutes;
+}
 
-    // Send email (in production, configure mail server)
-    // Note: For development/testing, emails are logged but not sent if no mail server is configured
-    // Uncomment below to enable actual email sending when mail server is available:
-    // mail($to, $subject, $body, $headers);
+/**
+ * Check that a staff member is working for a whole time range on a date
+ * Returns a human-readable reason when unavailable, or null when available
+ */
+function getStaffUnavailableReason($staffMember, $date, $startTime, $endTime) {
+  $name = $staffMember['name'] ?? 'Staff member';
+  
+  $timeOff = findStaffTimeOff($staffMember, $date);
+  if ($timeOff) {
+    $reason = !empty($timeOff['reason']) ? " ({$timeOff['reason']})" : '';
+    return "{$name} is on time off{$reason} on {$date}";
+  }
+  
+  $periods = getStaffWorkingPeriods($staffMember, $date);
+  if (empty($periods)) {
+    return "{$name} does not work on " . date('l', strtotime($date)) . 's';
+  }
+  
+  $start = timeToMinutes($startTime);
+  $end = timeToMinutes($endTime);
+  foreach ($periods as $period) {
+    if ($start >= $period[0] && $end <= $period[1]) {
+      return null;
+    }
+  }
+  
+  $hours = $staffMember['schedule'][strtolower(date('D', strtotime($date)))] ??
+    ['start' => DEFAULT_BUSINESS_HOURS[0], 'end' => DEFAULT_BUSINESS_HOURS[1]];
+  $message = "{$name} works {$hours['start']}-{$hours['end']} on that day";
+  if (!empty($hours['breakStart'])) {
+    $message .= " (break {$hours['breakStart']}-{$hours['breakEnd']})";
+  }
+  return $message;
+}
 
-    // Log email for debugging (stores in system logs)
-    error_log("Email sent to: $to | Subject: $subject | Action: $action | Appointment: " . json_encode($appointment));
+/**
+ * Compute free slots for a service across staff members
+ * Options: dateFrom, dateTo, timeFrom, timeTo, clientId (optional),
+ * excludeId (optional, an appointment being moved: it blocks no slot), limit
+ * Returns slots ordered by date, time and staff: [{ date, time, endTime, staffId, staffName }]
+ */
+function findAvailableSlots($appointments, $services, $candidateStaff, $service, $options) {
+  if (!empty($options['excludeId'])) {
+    $appointments = array_filter($appointments, function($apt) use ($options) {
+      return $apt['id'] !== $options['excludeId'];
+    });
+  }
+  $slotStep = 15;
+  $windowStart = timeToMinutes($options['timeFrom']);
+  $windowEnd = timeToMinutes($options['timeTo']);
+  $nowMinutes = timeToMinutes(date('H:i'));
+  $today = date('Y-m-d');
+  $slots = [];
+  
+  for ($date = $options['dateFrom']; $date <= $options['dateTo']; $date = date('Y-m-d', strtotime($date . ' +1 day'))) {
+    $daySlots = [];
+    
+    foreach ($candidateStaff as $member) {
+      $duration = max(1, getStaffServiceDuration($member, $service));
+      foreach (getStaffWorkingPeriods($member, $date) as $period) {
+        $start = max($period[0], $windowStart);
+        $end = min($period[1], $windowEnd);
+        
+        // Align the first slot to the step grid
+        if ($start % $slotStep !== 0) {
+          $start += $slotStep - ($start % $slotStep);
+        }
+        
+        for ($t = $start; $t + $duration <= $end; $t += $slotStep) {
+          if ($date === $today && $t <= $nowMinutes) {
+            continue;
+          }
+          
+          $candidate = [
+            'clientId' => $options['clientId'] ?? null,
+            'staffId' => $member['id'],
+            'date' => $date,
+            'time' => minutesToTime($t),
+            'endTime' => minutesToTime($t + $duration),
+            'status' => 'pending'
+          ];
+          if (!empty(findAppointmentConflicts($appointments, $candidate, $services))) {
+            continue;
+          }
+          
+          $daySlots[] = [
+            'date' => $date,
+            'time' => $candidate['time'],
+            'endTime' => $candidate['endTime'],
+            'staffId' => $member['id'],
+            'staffName' => $member['name']
+          ];
+        }
+      }
+    }
+    
+    usort($daySlots, function($a, $b) {
+      return strcmp($a['time'], $b['time']) ?: $a['staffId'] <=> $b['staffId'];
+    });
+    
+    foreach ($daySlots as $slot) {
+      $slots[] = $slot;
+      if (count($slots) >= $options['limit']) {
+        return $slots;
+      }
+    }
+  }
+  
+  return $slots;
+}
 
-  } catch (Exception $e) {
-    // Log error but don't fail the appointment operation
-    error_log("Failed to send email: " . $e->getMessage() . " | Appointment: " . json_encode($appointment));
+/**
+ * Whether a time is one of the free slots findAvailableSlots offers a staff
+ * member for a service on a date
+ * The public booking and self-service paths accept only those. $excludeId
+ * is the appointment being rescheduled, if any (see findAvailableSlots).
+ */
+function isOfferedSlot($appointments, $services, $staffMember, $service, $date, $time, $excludeId = null) {
+  if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $date) || !preg_match('/^\d{2}:\d{2}$/', $time)) {
+    return false;
   }
+  $slots = findAvailableSlots($appointments, $services, [$staffMember], $service, [
+    'dateFrom' => $date,
+    'dateTo' => $date,
+    'timeFrom' => '00:00',
+    'timeTo' => '23:59',
+    'excludeId' => $excludeId,
+    'limit' => PHP_INT_MAX
+  ]);
+  return in_array($time, array_column($slots, 'time'), true);
 }
 
 /**
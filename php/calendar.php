@@ -0,0 +1,114 @@
+<?php
+/**
+ * Beauty Salon Management System - Staff Calendar Feed
+ *
+ * Read-only iCalendar feed of one staff member's appointments, meant to be
+ * subscribed to from Google Calendar, Apple Calendar or Outlook:
+ *   GET php/calendar.php?staff=<staffId>&token=<calendarToken>
+ *
+ * The token is created from the Staff tab (staff.php regenerateCalendarToken).
+ * The feed holds pending and completed appointments from the last
+ * FEED_PAST_DAYS days onwards; event times come from the stored endTime or
+ * the service duration. Of a multi-service appointment the feed shows the
+ * staff member's own services, from the first of them to the last.
+ */
+
+// Path to data files
+$appointmentsFile = __DIR__ . '/../data/appointments.json';
+$clientsFile = __DIR__ . '/../data/clients.json';
+$staffFile = __DIR__ . '/../data/staff.json';
+$servicesFile = __DIR__ . '/../data/services.json';
+$settingsFile = __DIR__ . '/../data/settings.json';
+
+require_once __DIR__ . '/includes/ics.php';
+require_once __DIR__ . '/includes/appointment-lines.php';
+
+// How far back the feed goes
+const FEED_PAST_DAYS = 90;
+
+$staffId = (int)($_GET['staff'] ?? 0);
+$token = (string)($_GET['token'] ?? '');
+
+$staff = file_exists($staffFile) ? json_decode(file_get_contents($staffFile), true) ?? [] : [];
+$staffMember = null;
+foreach ($staff as $member) {
+  if ($member['id'] === $staffId) {
+    $staffMember = $member;
+    break;
+  }
+}
+
+// Same answer for unknown staff and wrong token
+if (!$staffMember || empty($staffMember['calendarToken']) || !hash_equals($staffMember['calendarToken'], $token)) {
+  http_response_code(403);
+  header('Content-Type: text/plain; charset=utf-8');
+  echo 'Invalid calendar link';
+  exit;
+}
+
+try {
+  // Read appointments with shared lock
+  $appointments = [];
+  if (file_exists($appointmentsFile)) {
+    $handle = fopen($appointmentsFile, 'r');
+    flock($handle, LOCK_SH);
+    $content = file_get_contents($appointmentsFile);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    $appointments = json_decode($content, true) ?? [];
+  }
+
+  $clients = file_exists($clientsFile) ? json_decode(file_get_contents($clientsFile), true) ?? [] : [];
+  $services = file_exists($servicesFile) ? json_decode(file_get_contents($servicesFile), true) ?? [] : [];
+  $clientsById = array_column($clients, null, 'id');
+  $servicesById = array_column($services, null, 'id');
+  $settings = loadSettings();
+
+  $fromDate = date('Y-m-d', strtotime('-' . FEED_PAST_DAYS . ' days'));
+  $events = [];
+  foreach ($appointments as $apt) {
+    if (!appointmentUsesRecord($apt, 'staffId', $staffId) || $apt['date'] < $fromDate ||
+        !in_array($apt['status'], ['pending', 'complete'])) {
+      continue;
+    }
+
+    $client = $clientsById[$apt['clientId']] ?? null;
+    $service = $servicesById[$apt['serviceId']] ?? null;
+    $clientName = $client ? $client['name'] : 'Unknown client';
+    $serviceName = $service ? $service['name'] : 'Appointment';
+    if (!empty($apt['lines'])) {
+      $ownLines = array_values(array_filter($apt['lines'], function($line) use ($staffId) {
+        return $line['staffId'] === $staffId;
+      }));
+      $serviceName = describeAppointmentServices(['lines' => $ownLines], $services);
+      $apt['time'] = $ownLines[0]['time'];
+      $apt['endTime'] = $ownLines[count($ownLines) - 1]['endTime'];
+    }
+
+    $description = "Client: $clientName";
+    if ($client && !empty($client['phone'])) {
+      $description .= "\nPhone: {$client['phone']}";
+    }
+    if ($apt['status'] === 'complete') {
+      $description .= "\nStatus: complete";
+    }
+
+    $events[] = buildIcsEvent($apt, [
+      'summary' => "$serviceName - $clientName",
+      'description' => $description,
+      'endTime' => getIcsEndTime($apt, $service)
+    ], $settings);
+  }
+
+  $calendarName = $staffMember['name'] . ' - ' . $settings['branding']['salonName'];
+
+  header('Content-Type: text/calendar; charset=utf-8');
+  header('Content-Disposition: inline; filename="staff-' . $staffId . '.ics"');
+  header('Cache-Control: no-cache, must-revalidate');
+  echo buildIcsCalendar($events, 'PUBLISH', $calendarName);
+} catch (Exception $e) {
+  http_response_code(500);
+  header('Content-Type: text/plain; charset=utf-8');
+  echo 'Failed to build calendar: ' . $e->getMessage();
+}
+?>
@@ -0,0 +1,55 @@
+<?php
+/**
+ * Beauty Salon Management System - Reminder Dispatcher (CLI)
+ *
+ * Sends the 24h/2h appointment reminders that are due. Meant to be run from
+ * cron every few minutes (see README); safe to run as often as you like since
+ * sent reminders are recorded on the appointment and never sent again.
+ *
+ * Usage: php php/cli/send-reminders.php [--dry-run] [--now="Y-m-d H:i"]
+ *
+ * Options:
+ *   --dry-run          Show what would be sent without sending or saving
+ *   --now="Y-m-d H:i"  Pretend the current time is the given one (testing)
+ */
+
+if (PHP_SAPI !== 'cli') {
+  http_response_code(403);
+  exit('This script must be run from the command line');
+}
+
+$appointmentsFile = __DIR__ . '/../../data/appointments.json';
+$clientsFile = __DIR__ . '/../../data/clients.json';
+$staffFile = __DIR__ . '/../../data/staff.json';
+$servicesFile = __DIR__ . '/../../data/services.json';
+$settingsFile = __DIR__ . '/../../data/settings.json';
+
+require_once __DIR__ . '/../includes/mail.php';
+require_once __DIR__ . '/../includes/reminders.php';
+
+$options = getopt('', ['dry-run', 'now:']);
+$dryRun = isset($options['dry-run']);
+$now = time();
+if (isset($options['now'])) {
+  $now = strtotime($options['now']);
+  if ($now === false) {
+    fwrite(STDERR, "Invalid --now value: {$options['now']}\n");
+    exit(1);
+  }
+}
+
+if (!file_exists($appointmentsFile)) {
+  echo "No appointments file, nothing to do\n";
+  exit(0);
+}
+
+$summary = dispatchDueReminders($appointmentsFile, $now, $dryRun);
+
+foreach ($summary['log'] as $line) {
+  echo $line . "\n";
+}
+echo '[' . date('Y-m-d H:i', $now) . '] ' . ($dryRun ? 'Dry run: ' : '') .
+  "{$summary['sent']} sent, {$summary['skipped']} skipped, {$summary['failed']} failed\n";
+
+exit($summary['failed'] > 0 ? 1 : 0);
+?>
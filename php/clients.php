@@ -3,10 +3,33 @@
  * Beauty Salon Management System - Clients Endpoint
  * 
  * Handles CRUD operations for clients:
- * - list: GET all clients
+ * - list: GET clients (optional search, filters, sorting and pagination)
  * - add: POST new client
  * - edit: PUT existing client
- * - delete: DELETE client
+ * - delete: DELETE client; refused (409 + references) while appointments
+ *   point at it, archive: true archives it instead (see includes/records.php)
+ * - restore: POST bring back an archived client
+ * - repairHistory: POST rebuild every client's appointment history from
+ *   appointments.json (notes are kept; see includes/client-history.php)
+ * - duplicates: GET groups of likely duplicate clients
+ * - merge: POST merge duplicates into a surviving client (survivorId, duplicateIds)
+ * - export: GET all clients as a CSV file
+ * - import: POST rows mapped by the import wizard (rows, dryRun, onDuplicate;
+ *   see includes/csv.php)
+ * - tags: GET every tag in use with its client count
+ * - segment: POST clients matching segment criteria (criteria, or id of a
+ *   saved segment; see includes/segments.php)
+ * - exportSegment: GET a segment's contacts as a CSV file (id, or criteria as JSON)
+ * - segments: GET saved segments
+ * - saveSegment: POST add or update a saved segment (data: id, name, criteria)
+ * - deleteSegment: POST delete a saved segment (id)
+ *
+ * Clients flagged by the no-show policy carry badClientReason and/or
+ * depositRequired + depositReason (see includes/policies.php). Edit clears a
+ * reason together with its flag; data.depositRequired is only changed when sent.
+ *
+ * Add/edit answer 409 + duplicates when another client has the same email,
+ * phone or name, unless data.allowDuplicates is set (see includes/duplicates.php)
  * 
  * All operations use file locking with flock() to prevent race conditions
  * Returns JSON responses with success/error status
@@ -16,11 +39,31 @@ header('Content-Type: application/json; charset=utf-8');
 
 // Path to clients JSON file
 $clientsFile = __DIR__ . '/../data/clients.json';
+$appointmentsFile = __DIR__ . '/../data/appointments.json';
+$seriesFile = __DIR__ . '/../data/series.json';
+$incomesFile = __DIR__ . '/../data/incomes.json';
+$segmentsFile = __DIR__ . '/../data/segments.json';
 
-// Initialize file if it doesn't exist
+require_once __DIR__ . '/includes/client-history.php';
+require_once __DIR__ . '/includes/records.php';
+require_once __DIR__ . '/includes/duplicates.php';
+require_once __DIR__ . '/includes/csv.php';
+require_once __DIR__ . '/includes/segments.php';
+
+// Columns the client list can be sorted by, and the largest page it returns
+const CLIENT_SORT_FIELDS = ['id', 'name', 'email', 'phone', 'lastVisit', 'nextAppointment'];
+const MAX_CLIENT_PAGE_SIZE = 100;
+
+// Initialize files if they don't exist
 if (!file_exists($clientsFile)) {
   file_put_contents($clientsFile, json_encode([]));
 }
+if (!file_exists($appointmentsFile)) {
+  file_put_contents($appointmentsFile, json_encode([]));
+}
+if (!file_exists($segmentsFile)) {
+  file_put_contents($segmentsFile, json_encode([]));
+}
 
 // Get action from multiple sources (priority: JSON body > GET > POST form data)
 $request = null;
@@ -69,17 +112,88 @@ switch($action) {
   case 'delete':
     deleteClient($request);
     break;
+  case 'restore':
+    restoreClient($request);
+    break;
+  case 'repairHistory':
+    repairClientHistories();
+    break;
+  case 'duplicates':
+    listDuplicateClients();
+    break;
+  case 'merge':
+    mergeClients($request);
+    break;
+  case 'export':
+    exportClients();
+    break;
+  case 'import':
+    importClients($request);
+    break;
+  case 'tags':
+    listClientTags();
+    break;
+  case 'segment':
+    previewSegment($request);
+    break;
+  case 'exportSegment':
+    exportSegment();
+    break;
+  case 'segments':
+    listSegments();
+    break;
+  case 'saveSegment':
+    saveSegment($request);
+    break;
+  case 'deleteSegment':
+    deleteSegment($request);
+    break;
   default:
     http_response_code(400);
     echo json_encode(['success' => false, 'error' => 'Invalid action']);
 }
 
 /**
- * List all clients
- * Returns array of all clients from clients.json
+ * List clients with optional search, filters, sorting and pagination
+ * Query params:
+ *   search        - words matched against name, email, phone, notes and tags
+ *   tag           - only clients carrying this tag
+ *   vip, bad      - 1 for only VIP / bad clients, 0 to exclude them
+ *   archived      - 1 for only archived clients, 0 to exclude them
+ *   upcoming      - 1 for clients with an upcoming pending appointment
+ *   inactiveSince - YYYY-MM-DD: clients with no completed or pending
+ *                   appointment on or after that date
+ *   sort, dir     - id (default), name, email, phone, lastVisit or
+ *                   nextAppointment; asc (default) or desc
+ *   page, pageSize - 1-based page; without pageSize every match is returned
+ * Each client gets computed lastVisit (date of the last completed
+ * appointment) and nextAppointment ("date time" of the next pending one)
  */
 function listClients() {
-  global $clientsFile;
+  global $clientsFile, $appointmentsFile;
+  
+  $search = trim($_GET['search'] ?? '');
+  $vip = isset($_GET['vip']) && $_GET['vip'] !== '' ? (bool)(int)$_GET['vip'] : null;
+  $bad = isset($_GET['bad']) && $_GET['bad'] !== '' ? (bool)(int)$_GET['bad'] : null;
+  $archived = isset($_GET['archived']) && $_GET['archived'] !== '' ? (bool)(int)$_GET['archived'] : null;
+  $upcoming = !empty($_GET['upcoming']);
+  $tag = normalizeClientTags([$_GET['tag'] ?? ''])[0] ?? '';
+  $inactiveSince = $_GET['inactiveSince'] ?? '';
+  $sort = $_GET['sort'] ?? 'id';
+  $dir = ($_GET['dir'] ?? 'asc') === 'desc' ? 'desc' : 'asc';
+  $pageSize = isset($_GET['pageSize']) ? max(0, min(MAX_CLIENT_PAGE_SIZE, (int)$_GET['pageSize'])) : 0;
+  $page = isset($_GET['page']) ? max(1, (int)$_GET['page']) : 1;
+  
+  if ($inactiveSince !== '' && !preg_match('/^\d{4}-\d{2}-\d{2}$/', $inactiveSince)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid date format. Use YYYY-MM-DD']);
+    return;
+  }
+  if (!in_array($sort, CLIENT_SORT_FIELDS, true)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid sort field']);
+    return;
+  }
   
   try {
     // Read file with shared lock (allows concurrent reads)
@@ -94,9 +208,72 @@ function listClients() {
       $clients = [];
     }
     
+    $handle = fopen($appointmentsFile, 'r');
+    flock($handle, LOCK_SH);
+    $appointments = json_decode(file_get_contents($appointmentsFile), true) ?? [];
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
+    $activity = getClientActivity($appointments);
+    foreach ($clients as &$client) {
+      $client['lastVisit'] = $activity[$client['id']]['lastVisit'] ?? null;
+      $client['nextAppointment'] = $activity[$client['id']]['nextAppointment'] ?? null;
+      $client['lastActive'] = $activity[$client['id']]['lastActive'] ?? null;
+    }
+    unset($client);
+    
+    $clients = array_values(array_filter($clients, function($client) use ($search, $vip, $bad, $archived, $upcoming, $tag, $inactiveSince) {
+      if ($archived !== null && !empty($client['archived']) !== $archived) {
+        return false;
+      }
+      if ($vip !== null && (bool)$client['isVIP'] !== $vip) {
+        return false;
+      }
+      if ($bad !== null && (bool)$client['isBadClient'] !== $bad) {
+        return false;
+      }
+      if ($upcoming && $client['nextAppointment'] === null) {
+        return false;
+      }
+      if ($tag !== '' && !in_array($tag, $client['tags'] ?? [], true)) {
+        return false;
+      }
+      if ($inactiveSince !== '' && $client['lastActive'] !== null && $client['lastActive'] >= $inactiveSince) {
+        return false;
+      }
+      return $search === '' || clientMatchesSearch($client, $search);
+    }));
+    
+    usort($clients, function($a, $b) use ($sort, $dir) {
+      $result = $sort === 'id'
+        ? $a['id'] <=> $b['id']
+        : strcasecmp((string)$a[$sort], (string)$b[$sort]);
+      if ($result === 0) {
+        $result = $a['id'] <=> $b['id'];
+      }
+      return $dir === 'desc' ? -$result : $result;
+    });
+    
+    // lastActive is only needed for the inactive filter
+    foreach ($clients as &$client) {
+      unset($client['lastActive']);
+    }
+    unset($client);
+    
+    $total = count($clients);
+    if ($pageSize > 0) {
+      $clients = array_slice($clients, ($page - 1) * $pageSize, $pageSize);
+    }
+    
     echo json_encode([
       'success' => true,
       'data' => $clients,
+      'pagination' => [
+        'page' => $pageSize > 0 ? $page : 1,
+        'pageSize' => $pageSize,
+        'total' => $total,
+        'totalPages' => $pageSize > 0 ? max(1, (int)ceil($total / $pageSize)) : 1
+      ],
       'error' => null
     ]);
   } catch (Exception $e) {
@@ -109,6 +286,60 @@ function listClients() {
   }
 }
 
+/**
+ * Last visit, next appointment and last activity date per client ID
+ * Cancelled appointments and no-shows do not count as activity
+ */
+function getClientActivity($appointments) {
+  $now = date('Y-m-d H:i');
+  $activity = [];
+  foreach ($appointments as $apt) {
+    if (!in_array($apt['status'], ['pending', 'complete'], true)) {
+      continue;
+    }
+    $clientActivity = $activity[$apt['clientId']] ?? ['lastVisit' => null, 'nextAppointment' => null, 'lastActive' => null];
+    $start = $apt['date'] . ' ' . $apt['time'];
+    if ($apt['status'] === 'complete' && $apt['date'] > (string)$clientActivity['lastVisit']) {
+      $clientActivity['lastVisit'] = $apt['date'];
+    }
+    if ($apt['status'] === 'pending' && $start >= $now &&
+        ($clientActivity['nextAppointment'] === null || $start < $clientActivity['nextAppointment'])) {
+      $clientActivity['nextAppointment'] = $start;
+    }
+    if ($apt['date'] > (string)$clientActivity['lastActive']) {
+      $clientActivity['lastActive'] = $apt['date'];
+    }
+    $activity[$apt['clientId']] = $clientActivity;
+  }
+  return $activity;
+}
+
+/**
+ * Check a client against a search string
+ * Every word must appear in the name, email, phone or notes; phone numbers
+ * also match on digits only ("5550101" finds "+1-555-0101")
+ */
+function clientMatchesSearch($client, $search) {
+  // Stored values are HTML-escaped by sanitizeInput
+  $haystack = mb_strtolower(html_entity_decode(
+    implode(' ', array_merge([$client['name'], $client['email'], $client['phone'], $client['notes'] ?? ''], $client['tags'] ?? [])),
+    ENT_QUOTES, 'UTF-8'
+  ));
+  $phoneDigits = preg_replace('/\D/', '', $client['phone']);
+  
+  foreach (preg_split('/\s+/', mb_strtolower($search)) as $word) {
+    if (mb_strpos($haystack, $word) !== false) {
+      continue;
+    }
+    $wordDigits = preg_replace('/\D/', '', $word);
+    if ($wordDigits !== '' && $wordDigits === $word && strpos($phoneDigits, $wordDigits) !== false) {
+      continue;
+    }
+    return false;
+  }
+  return true;
+}
+
 /**
  * Add new client
  * Validates input and assigns new ID
@@ -116,27 +347,13 @@ function listClients() {
 function addClient($request) {
   global $clientsFile;
   
-  // Validate required fields
-  if (!isset($request['data']['name']) || !isset($request['data']['email'])) {
-    http_response_code(400);
-    echo json_encode(['success' => false, 'error' => 'Missing required fields: name, email']);
-    return;
-  }
-  
-  // Sanitize input
-  $name = sanitizeInput($request['data']['name']);
-  $email = sanitizeInput($request['data']['email']);
-  $phone = sanitizeInput($request['data']['phone'] ?? '');
-  $notes = sanitizeInput($request['data']['notes'] ?? '');
-  $isVIP = (bool)($request['data']['isVIP'] ?? false);
-  $isBadClient = (bool)($request['data']['isBadClient'] ?? false);
-  
-  // Validate email format
-  if (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
+  $newClient = buildNewClient($request['data'] ?? [], $error);
+  if ($newClient === null) {
     http_response_code(400);
-    echo json_encode(['success' => false, 'error' => 'Invalid email format']);
+    echo json_encode(['success' => false, 'error' => $error]);
     return;
   }
+  $allowDuplicates = !empty($request['data']['allowDuplicates']);
   
   try {
     // Read existing clients with exclusive lock
@@ -145,6 +362,20 @@ function addClient($request) {
     $content = file_get_contents($clientsFile);
     $clients = json_decode($content, true) ?? [];
     
+    // Warn about likely duplicates unless explicitly overridden
+    $duplicates = findDuplicateRecords($clients, $newClient, 'client');
+    if (!empty($duplicates) && !$allowDuplicates) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(409);
+      echo json_encode([
+        'success' => false,
+        'error' => 'This client looks like an existing one',
+        'duplicates' => $duplicates
+      ]);
+      return;
+    }
+    
     // Generate new ID (max existing ID + 1)
     $maxId = 0;
     foreach ($clients as $client) {
@@ -152,19 +383,7 @@ function addClient($request) {
         $maxId = $client['id'];
       }
     }
-    $newId = $maxId + 1;
-    
-    // Create new client record
-    $newClient = [
-      'id' => $newId,
-      'name' => $name,
-      'email' => $email,
-      'phone' => $phone,
-      'notes' => $notes,
-      'isVIP' => $isVIP,
-      'isBadClient' => $isBadClient,
-      'appointments' => []
-    ];
+    $newClient = ['id' => $maxId + 1] + $newClient;
     
     // Add to array and write back
     $clients[] = $newClient;
@@ -189,6 +408,43 @@ function addClient($request) {
   }
 }
 
+/**
+ * Validate and sanitize a new client (used by add and import)
+ * Returns the client record without its ID, or null with $error set
+ */
+function buildNewClient($data, &$error = null) {
+  // Validate required fields
+  if (trim($data['name'] ?? '') === '' || !isset($data['email'])) {
+    $error = 'Missing required fields: name, email';
+    return null;
+  }
+  
+  // Sanitize input
+  $email = sanitizeInput($data['email']);
+  
+  // Validate email format
+  if (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
+    $error = 'Invalid email format';
+    return null;
+  }
+  
+  $tags = normalizeClientTags($data['tags'] ?? [], $error);
+  if ($tags === null) {
+    return null;
+  }
+  
+  return [
+    'name' => sanitizeInput($data['name']),
+    'email' => $email,
+    'phone' => sanitizeInput($data['phone'] ?? ''),
+    'notes' => sanitizeInput($data['notes'] ?? ''),
+    'isVIP' => parseCsvBoolean($data['isVIP'] ?? false),
+    'isBadClient' => parseCsvBoolean($data['isBadClient'] ?? false),
+    'tags' => $tags,
+    'appointments' => []
+  ];
+}
+
 /**
  * Edit existing client
  * Validates ID and updates client record
@@ -212,6 +468,8 @@ function editClient($request) {
   $notes = sanitizeInput($request['data']['notes'] ?? '');
   $isVIP = (bool)($request['data']['isVIP'] ?? false);
   $isBadClient = (bool)($request['data']['isBadClient'] ?? false);
+  $depositRequired = isset($request['data']['depositRequired']) ? (bool)$request['data']['depositRequired'] : null;
+  $allowDuplicates = !empty($request['data']['allowDuplicates']);
   
   // Validate email format
   if (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
@@ -220,6 +478,17 @@ function editClient($request) {
     return;
   }
   
+  // Tags are only replaced when sent
+  $tags = null;
+  if (isset($request['data']['tags'])) {
+    $tags = normalizeClientTags($request['data']['tags'], $error);
+    if ($tags === null) {
+      http_response_code(400);
+      echo json_encode(['success' => false, 'error' => $error]);
+      return;
+    }
+  }
+  
   try {
     // Read clients with exclusive lock
     $handle = fopen($clientsFile, 'r+');
@@ -227,6 +496,21 @@ function editClient($request) {
     $content = file_get_contents($clientsFile);
     $clients = json_decode($content, true) ?? [];
     
+    // Warn about likely duplicates unless explicitly overridden
+    $candidate = ['id' => $clientId, 'name' => $name, 'email' => $email, 'phone' => $phone];
+    $duplicates = findDuplicateRecords($clients, $candidate, 'client');
+    if (!empty($duplicates) && !$allowDuplicates) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(409);
+      echo json_encode([
+        'success' => false,
+        'error' => 'This client looks like an existing one',
+        'duplicates' => $duplicates
+      ]);
+      return;
+    }
+    
     // Find and update client
     $found = false;
     foreach ($clients as &$client) {
@@ -237,6 +521,18 @@ function editClient($request) {
         $client['notes'] = $notes;
         $client['isVIP'] = $isVIP;
         $client['isBadClient'] = $isBadClient;
+        if (!$isBadClient) {
+          unset($client['badClientReason']);
+        }
+        if ($depositRequired !== null) {
+          $client['depositRequired'] = $depositRequired;
+        }
+        if (empty($client['depositRequired'])) {
+          unset($client['depositRequired'], $client['depositReason']);
+        }
+        if ($tags !== null) {
+          $client['tags'] = $tags;
+        }
         // Preserve existing appointments array
         if (!isset($client['appointments'])) {
           $client['appointments'] = [];
@@ -245,6 +541,7 @@ function editClient($request) {
         break;
       }
     }
+    unset($client);
     
     if (!$found) {
       flock($handle, LOCK_UN);
@@ -287,10 +584,11 @@ function editClient($request) {
 
 /**
  * Delete client by ID
+ * Refused with 409 + references (upcoming/past appointment counts) while
+ * appointments point at the client; archive: true keeps it as archived instead
+ * (see includes/records.php)
  */
 function deleteClient($request) {
-  global $clientsFile;
-  
   // Validate required field
   if (!isset($request['id'])) {
     http_response_code(400);
@@ -299,33 +597,529 @@ function deleteClient($request) {
   }
   
   $clientId = (int)$request['id'];
+  $archive = !empty($request['archive']);
   
   try {
-    // Read clients with exclusive lock
-    $handle = fopen($clientsFile, 'r+');
-    flock($handle, LOCK_EX);
+    $deleted = deleteRecord('client', $clientId, $archive, $error, $errorCode, $references);
+    
+    if ($deleted === null) {
+      http_response_code($errorCode);
+      $response = ['success' => false, 'error' => $error];
+      if ($errorCode === 409) {
+        $response['references'] = $references;
+      }
+      echo json_encode($response);
+      return;
+    }
+    
+    echo json_encode([
+      'success' => true,
+      'data' => $archive ? $deleted : null,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to delete client: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Restore an archived client
+ */
+function restoreClient($request) {
+  if (!isset($request['id'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required field: id']);
+    return;
+  }
+  
+  try {
+    $restored = restoreRecord('client', (int)$request['id'], $error, $errorCode);
+    
+    if ($restored === null) {
+      http_response_code($errorCode);
+      echo json_encode(['success' => false, 'error' => $error]);
+      return;
+    }
+    
+    echo json_encode([
+      'success' => true,
+      'data' => $restored,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to restore client: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Rebuild all client appointment histories from appointments.json
+ * Returns how many clients changed, the number of history entries and the
+ * number of appointments whose client no longer exists
+ */
+function repairClientHistories() {
+  global $appointmentsFile;
+  
+  try {
+    // Keep appointments locked while clients are rewritten (same order as appointments.php)
+    $handle = fopen($appointmentsFile, 'r');
+    flock($handle, LOCK_SH);
+    $content = file_get_contents($appointmentsFile);
+    $appointments = json_decode($content, true) ?? [];
+    $result = rebuildClientHistories($appointments);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
+    echo json_encode([
+      'success' => true,
+      'data' => $result,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to repair client histories: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * List groups of likely duplicate clients for the merge tool
+ */
+function listDuplicateClients() {
+  global $clientsFile;
+  
+  try {
+    $handle = fopen($clientsFile, 'r');
+    flock($handle, LOCK_SH);
     $content = file_get_contents($clientsFile);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
     $clients = json_decode($content, true) ?? [];
+    echo json_encode([
+      'success' => true,
+      'data' => findDuplicateGroups($clients, 'client'),
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to find duplicate clients: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Merge duplicate clients into a surviving client
+ * The survivor keeps its own details, fills empty email/phone from the
+ * duplicates, keeps any VIP or bad-client flag and every tag, appends their notes and
+ * takes over their appointment history, loyalty points and ledger
+ */
+function mergeClients($request) {
+  if (!isset($request['survivorId']) || !isset($request['duplicateIds']) || !is_array($request['duplicateIds'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required fields: survivorId, duplicateIds']);
+    return;
+  }
+  
+  try {
+    $result = mergeRecords('client', (int)$request['survivorId'], $request['duplicateIds'], $error, $errorCode,
+      function($survivor, $duplicate) {
+        foreach (['email', 'phone'] as $field) {
+          if (($survivor[$field] ?? '') === '') {
+            $survivor[$field] = $duplicate[$field] ?? '';
+          }
+        }
+        $survivor['isVIP'] = $survivor['isVIP'] || $duplicate['isVIP'];
+        $survivor['isBadClient'] = $survivor['isBadClient'] || $duplicate['isBadClient'];
+        foreach (['isBadClient' => 'badClientReason', 'depositRequired' => 'depositReason'] as $flag => $reason) {
+          if (!empty($duplicate[$flag]) && empty($survivor[$reason]) && !empty($duplicate[$reason])) {
+            $survivor[$reason] = $duplicate[$reason];
+          }
+        }
+        if (!empty($duplicate['depositRequired'])) {
+          $survivor['depositRequired'] = true;
+        }
+        $survivor['tags'] = array_values(array_unique(array_merge($survivor['tags'] ?? [], $duplicate['tags'] ?? [])));
+        $notes = trim($duplicate['notes'] ?? '');
+        if ($notes !== '' && strpos($survivor['notes'] ?? '', $notes) === false) {
+          $survivor['notes'] = trim(($survivor['notes'] ?? '') . "\n" . $notes);
+        }
+        $survivor['appointments'] = sortClientHistory(array_merge(
+          $survivor['appointments'] ?? [],
+          $duplicate['appointments'] ?? []
+        ));
+        if (!empty($duplicate['loyaltyLedger'])) {
+          $survivor['loyaltyPoints'] = (int)($survivor['loyaltyPoints'] ?? 0) + (int)($duplicate['loyaltyPoints'] ?? 0);
+          $survivor['loyaltyLedger'] = array_merge($survivor['loyaltyLedger'] ?? [], $duplicate['loyaltyLedger']);
+          usort($survivor['loyaltyLedger'], function($a, $b) {
+            return strcmp($a['date'], $b['date']);
+          });
+        }
+        return $survivor;
+      });
     
-    // Remove client by filtering out the matching ID
-    $originalCount = count($clients);
-    $clients = array_filter($clients, function($client) use ($clientId) {
-      return $client['id'] !== $clientId;
-    });
+    if ($result === null) {
+      http_response_code($errorCode);
+      echo json_encode(['success' => false, 'error' => $error]);
+      return;
+    }
+    
+    echo json_encode([
+      'success' => true,
+      'data' => $result,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to merge clients: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Download all clients as CSV
+ */
+function exportClients() {
+  global $clientsFile;
+  
+  try {
+    $handle = fopen($clientsFile, 'r');
+    flock($handle, LOCK_SH);
+    $content = file_get_contents($clientsFile);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
+    $rows = [];
+    foreach (json_decode($content, true) ?? [] as $client) {
+      $rows[] = [
+        $client['id'],
+        $client['name'],
+        $client['email'],
+        $client['phone'] ?? '',
+        $client['notes'] ?? '',
+        $client['isVIP'] ?? false,
+        $client['isBadClient'] ?? false,
+        implode(', ', $client['tags'] ?? []),
+        !empty($client['archived'])
+      ];
+    }
+    sendCsv('clients.csv', ['id', 'name', 'email', 'phone', 'notes', 'isVIP', 'isBadClient', 'tags', 'archived'], $rows);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to export clients: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Import clients (validated like add)
+ */
+function importClients($request) {
+  $options = readImportRequest($request, $error);
+  if ($options === null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  [$rows, $dryRun, $onDuplicate] = $options;
+  
+  try {
+    sendImportReport(importRecords('client', $rows, $dryRun, $onDuplicate, 'buildNewClient'));
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to import clients: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * List every tag in use, with the number of clients carrying it
+ */
+function listClientTags() {
+  global $clientsFile;
+  
+  try {
+    $handle = fopen($clientsFile, 'r');
+    flock($handle, LOCK_SH);
+    $content = file_get_contents($clientsFile);
+    flock($handle, LOCK_UN);
+    fclose($handle);
     
-    if (count($clients) === $originalCount) {
+    echo json_encode([
+      'success' => true,
+      'data' => collectClientTags(json_decode($content, true) ?? []),
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to read tags: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Segment criteria of a request: a saved segment (id) or criteria sent
+ * directly (as JSON text in a query string)
+ * Returns the criteria, or null with $error/$errorCode set
+ */
+function readSegmentCriteria($request, &$error = null, &$errorCode = null) {
+  $errorCode = 400;
+  $id = $request['id'] ?? $_GET['id'] ?? null;
+  if ($id !== null && $id !== '') {
+    foreach (loadSegments() as $segment) {
+      if ($segment['id'] === (int)$id) {
+        return $segment['criteria'];
+      }
+    }
+    $error = 'Segment not found';
+    $errorCode = 404;
+    return null;
+  }
+  
+  $criteria = $request['criteria'] ?? $_GET['criteria'] ?? [];
+  if (is_string($criteria)) {
+    $criteria = json_decode($criteria, true);
+  }
+  return normalizeSegmentCriteria($criteria, $error);
+}
+
+/**
+ * Clients, appointments and incomes needed to evaluate a segment
+ */
+function loadSegmentData() {
+  global $clientsFile, $appointmentsFile, $incomesFile;
+  
+  $handle = fopen($appointmentsFile, 'r');
+  flock($handle, LOCK_SH);
+  $appointments = json_decode(file_get_contents($appointmentsFile), true) ?? [];
+  $clients = json_decode(file_get_contents($clientsFile), true) ?? [];
+  flock($handle, LOCK_UN);
+  fclose($handle);
+  
+  $incomes = file_exists($incomesFile) ? (json_decode(file_get_contents($incomesFile), true) ?? []) : [];
+  return [$clients, $appointments, $incomes];
+}
+
+/**
+ * List the clients of a segment
+ */
+function previewSegment($request) {
+  $criteria = readSegmentCriteria($request ?? [], $error, $errorCode);
+  if ($criteria === null) {
+    http_response_code($errorCode);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  
+  try {
+    [$clients, $appointments, $incomes] = loadSegmentData();
+    echo json_encode([
+      'success' => true,
+      'data' => [
+        'criteria' => $criteria,
+        'clients' => findSegmentClients($clients, $appointments, $incomes, $criteria)
+      ],
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to build segment: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Download the contacts of a segment as CSV
+ */
+function exportSegment() {
+  $criteria = readSegmentCriteria([], $error, $errorCode);
+  if ($criteria === null) {
+    http_response_code($errorCode);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  
+  try {
+    [$clients, $appointments, $incomes] = loadSegmentData();
+    $rows = [];
+    foreach (findSegmentClients($clients, $appointments, $incomes, $criteria) as $client) {
+      $rows[] = [
+        $client['name'],
+        $client['email'],
+        $client['phone'],
+        implode(', ', $client['tags']),
+        $client['lastVisit'] ?? '',
+        $client['visits'],
+        $client['spent']
+      ];
+    }
+    sendCsv('segment.csv', ['name', 'email', 'phone', 'tags', 'lastVisit', 'visits', 'spent'], $rows);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to export segment: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * List saved segments
+ */
+function listSegments() {
+  try {
+    echo json_encode([
+      'success' => true,
+      'data' => loadSegments(),
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to read segments: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Add a saved segment, or update it when data.id is set
+ */
+function saveSegment($request) {
+  global $segmentsFile;
+  
+  $name = sanitizeInput($request['data']['name'] ?? '');
+  if ($name === '') {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required field: name']);
+    return;
+  }
+  $criteria = normalizeSegmentCriteria($request['data']['criteria'] ?? null, $error);
+  if ($criteria === null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  $segmentId = isset($request['data']['id']) ? (int)$request['data']['id'] : null;
+  
+  try {
+    $handle = fopen($segmentsFile, 'r+');
+    flock($handle, LOCK_EX);
+    $segments = json_decode(file_get_contents($segmentsFile), true) ?? [];
+    
+    $saved = null;
+    if ($segmentId !== null) {
+      foreach ($segments as &$segment) {
+        if ($segment['id'] === $segmentId) {
+          $segment['name'] = $name;
+          $segment['criteria'] = $criteria;
+          $saved = $segment;
+        }
+      }
+      unset($segment);
+      if ($saved === null) {
+        flock($handle, LOCK_UN);
+        fclose($handle);
+        http_response_code(404);
+        echo json_encode(['success' => false, 'error' => 'Segment not found']);
+        return;
+      }
+    } else {
+      $maxId = 0;
+      foreach ($segments as $segment) {
+        if ($segment['id'] > $maxId) {
+          $maxId = $segment['id'];
+        }
+      }
+      $saved = ['id' => $maxId + 1, 'name' => $name, 'criteria' => $criteria];
+      $segments[] = $saved;
+    }
+    
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($segments, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
+    echo json_encode([
+      'success' => true,
+      'data' => $saved,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to save segment: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Delete a saved segment
+ */
+function deleteSegment($request) {
+  global $segmentsFile;
+  
+  if (!isset($request['id'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required field: id']);
+    return;
+  }
+  $segmentId = (int)$request['id'];
+  
+  try {
+    $handle = fopen($segmentsFile, 'r+');
+    flock($handle, LOCK_EX);
+    $segments = json_decode(file_get_contents($segmentsFile), true) ?? [];
+    $remaining = array_values(array_filter($segments, function($segment) use ($segmentId) {
+      return $segment['id'] !== $segmentId;
+    }));
+    
+    if (count($remaining) === count($segments)) {
       flock($handle, LOCK_UN);
       fclose($handle);
       http_response_code(404);
-      echo json_encode(['success' => false, 'error' => 'Client not found']);
+      echo json_encode(['success' => false, 'error' => 'Segment not found']);
       return;
     }
     
-    // Reindex array and write back
-    $clients = array_values($clients);
     ftruncate($handle, 0);
     rewind($handle);
-    fwrite($handle, json_encode($clients, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+    fwrite($handle, json_encode($remaining, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
     flock($handle, LOCK_UN);
     fclose($handle);
     
@@ -339,7 +1133,7 @@ function deleteClient($request) {
     echo json_encode([
       'success' => false,
       'data' => null,
-      'error' => 'Failed to delete client: ' . $e->getMessage()
+      'error' => 'Failed to delete segment: ' . $e->getMessage()
     ]);
   }
 }
@@ -0,0 +1,278 @@
+<?php
+/**
+ * Beauty Salon Management System - Staff Utilization and Performance
+ *
+ * Used by php/appointments.php (action staffAnalytics).
+ *
+ * Figures per staff member for a period (dateFrom - dateTo, inclusive):
+ *   availableHours - working hours from the weekly schedule without breaks
+ *                    and time off (staff without a schedule: business hours
+ *                    every day)
+ *   bookedHours    - length of their pending, completed and no-show
+ *                    appointments
+ *   utilization    - booked / available hours in % (null without hours)
+ *   completed, noShow, cancelled (by the client or the salon), pending
+ *   revenue        - service incomes of the period (no fees, no tips)
+ *   averageTicket  - revenue per visit (the incomes of one appointment are
+ *                    one ticket, so multi-service visits count once)
+ *   rebookingRate  - % of completed visits whose client has a later pending
+ *                    or completed appointment with the same staff member
+ *   topServices    - the most completed services (up to ANALYTICS_TOP_SERVICES)
+ * The same figures for the previous period of the same length give the trend.
+ * Each staff member of a multi-service appointment counts the appointment
+ * once and only the time and services of their own lines.
+ *
+ * Appointment lengths and working hours are worked out by php/appointments.php
+ * and passed in as callables.
+ */
+
+require_once __DIR__ . '/commission.php';
+require_once __DIR__ . '/appointment-lines.php';
+
+// Longest period analysed at once (days)
+const ANALYTICS_MAX_DAYS = 366;
+
+// Services listed per staff member
+const ANALYTICS_TOP_SERVICES = 3;
+
+/**
+ * Check an analytics period
+ * Returns [dateFrom, dateTo], or null with $error set
+ */
+function readAnalyticsPeriod($dateFrom, $dateTo, &$error = null) {
+  if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', (string)$dateFrom) || !preg_match('/^\d{4}-\d{2}-\d{2}$/', (string)$dateTo)) {
+    $error = 'Choose the period (dateFrom and dateTo as YYYY-MM-DD)';
+    return null;
+  }
+  if ($dateFrom > $dateTo) {
+    $error = 'The period must end on or after its start';
+    return null;
+  }
+  if (getPeriodDays($dateFrom, $dateTo) > ANALYTICS_MAX_DAYS) {
+    $error = 'The period can be at most ' . ANALYTICS_MAX_DAYS . ' days long';
+    return null;
+  }
+  return [$dateFrom, $dateTo];
+}
+
+/**
+ * Number of days in a period, both ends included
+ */
+function getPeriodDays($dateFrom, $dateTo) {
+  return (int)round((strtotime($dateTo) - strtotime($dateFrom)) / 86400) + 1;
+}
+
+/**
+ * The period of the same length just before a period
+ */
+function getPreviousPeriod($dateFrom, $dateTo) {
+  $days = getPeriodDays($dateFrom, $dateTo);
+  return [
+    date('Y-m-d', strtotime("{$dateFrom} -{$days} days")),
+    date('Y-m-d', strtotime("{$dateFrom} -1 day"))
+  ];
+}
+
+/**
+ * Empty running totals for one staff member (or the whole salon)
+ */
+function createAnalyticsTotals() {
+  return [
+    'availableMinutes' => 0,
+    'bookedMinutes' => 0,
+    'completed' => 0,
+    'noShow' => 0,
+    'cancelled' => 0,
+    'pending' => 0,
+    'revenue' => 0.0,
+    'tickets' => [],
+    'rebooked' => 0,
+    'services' => []
+  ];
+}
+
+/**
+ * Running totals of every staff member for a period, by staff ID
+ * $appointmentMinutes($appointment) is the length of an appointment,
+ * $workingMinutes($member, $date) the minutes a staff member works that day.
+ * $incomeStaff lists [staffId, income] for each service income.
+ */
+function collectStaffAnalytics($staff, $appointments, $incomeStaff, $dateFrom, $dateTo, $appointmentMinutes, $workingMinutes) {
+  $totals = [];
+  foreach ($staff as $member) {
+    $totals[$member['id']] = createAnalyticsTotals();
+    for ($date = $dateFrom; $date <= $dateTo; $date = date('Y-m-d', strtotime($date . ' +1 day'))) {
+      $totals[$member['id']]['availableMinutes'] += $workingMinutes($member, $date);
+    }
+  }
+
+  // Later bookings per staff member and client, for the rebooking rate
+  $bookings = [];
+  foreach ($appointments as $apt) {
+    if (in_array($apt['status'], ['pending', 'complete'], true)) {
+      foreach (array_unique(array_column(getAppointmentLines($apt), 'staffId')) as $staffId) {
+        $bookings[$staffId . ':' . $apt['clientId']][] = $apt['date'] . ' ' . $apt['time'];
+      }
+    }
+  }
+
+  foreach ($appointments as $apt) {
+    if ($apt['date'] < $dateFrom || $apt['date'] > $dateTo) {
+      continue;
+    }
+    $linesByStaff = [];
+    foreach (getAppointmentLines($apt) as $line) {
+      if (isset($totals[$line['staffId']])) {
+        $linesByStaff[$line['staffId']][] = $line;
+      }
+    }
+
+    foreach ($linesByStaff as $staffId => $lines) {
+      $staffTotals = &$totals[$staffId];
+      if (in_array($apt['status'], ['pending', 'complete', 'no_show'], true)) {
+        foreach ($lines as $line) {
+          $staffTotals['bookedMinutes'] += $appointmentMinutes(array_merge($apt, $line));
+        }
+      }
+
+      if ($apt['status'] === 'complete') {
+        $staffTotals['completed']++;
+        foreach ($lines as $line) {
+          $staffTotals['services'][$line['serviceId']] = ($staffTotals['services'][$line['serviceId']] ?? 0) + 1;
+        }
+        $start = $apt['date'] . ' ' . $apt['time'];
+        foreach ($bookings[$staffId . ':' . $apt['clientId']] ?? [] as $booked) {
+          if ($booked > $start) {
+            $staffTotals['rebooked']++;
+            break;
+          }
+        }
+      } elseif ($apt['status'] === 'no_show') {
+        $staffTotals['noShow']++;
+      } elseif ($apt['status'] === 'pending') {
+        $staffTotals['pending']++;
+      } else {
+        $staffTotals['cancelled']++;
+      }
+      unset($staffTotals);
+    }
+  }
+
+  foreach ($incomeStaff as [$staffId, $income]) {
+    if ($income['date'] >= $dateFrom && $income['date'] <= $dateTo && isset($totals[$staffId])) {
+      $totals[$staffId]['revenue'] += (float)$income['amount'];
+      $ticket = isset($income['appointmentId']) ? 'appointment:' . $income['appointmentId'] : 'income:' . $income['id'];
+      $totals[$staffId]['tickets'][$ticket] = true;
+    }
+  }
+  return $totals;
+}
+
+/**
+ * Add one set of running totals to another
+ * Tickets are merged, so a visit shared by two staff members counts once.
+ */
+function addAnalyticsTotals($sum, $totals) {
+  foreach ($totals as $field => $value) {
+    if ($field === 'services') {
+      foreach ($value as $serviceId => $count) {
+        $sum['services'][$serviceId] = ($sum['services'][$serviceId] ?? 0) + $count;
+      }
+    } elseif ($field === 'tickets') {
+      $sum['tickets'] += $value;
+    } else {
+      $sum[$field] += $value;
+    }
+  }
+  return $sum;
+}
+
+/**
+ * Figures reported for a set of running totals
+ */
+function summarizeAnalyticsTotals($totals, $servicesById) {
+  arsort($totals['services']);
+  $topServices = [];
+  foreach (array_slice($totals['services'], 0, ANALYTICS_TOP_SERVICES, true) as $serviceId => $count) {
+    $topServices[] = [
+      'serviceId' => $serviceId,
+      'serviceName' => $servicesById[$serviceId]['name'] ?? 'Unknown',
+      'count' => $count
+    ];
+  }
+
+  return [
+    'availableHours' => round($totals['availableMinutes'] / 60, 1),
+    'bookedHours' => round($totals['bookedMinutes'] / 60, 1),
+    'utilization' => $totals['availableMinutes'] > 0
+      ? round($totals['bookedMinutes'] / $totals['availableMinutes'] * 100, 1) : null,
+    'completed' => $totals['completed'],
+    'noShow' => $totals['noShow'],
+    'cancelled' => $totals['cancelled'],
+    'pending' => $totals['pending'],
+    'revenue' => round($totals['revenue'], 2),
+    'averageTicket' => count($totals['tickets']) > 0 ? round($totals['revenue'] / count($totals['tickets']), 2) : null,
+    'rebookingRate' => $totals['completed'] > 0 ? round($totals['rebooked'] / $totals['completed'] * 100, 1) : null,
+    'topServices' => $topServices
+  ];
+}
+
+/**
+ * Utilization and performance of every staff member for a period and the
+ * period before it, plus salon totals
+ * Archived staff members are only listed when they had appointments in
+ * either period.
+ */
+function buildStaffAnalytics($staff, $services, $appointments, $incomes, $dateFrom, $dateTo, $appointmentMinutes, $workingMinutes) {
+  [$previousFrom, $previousTo] = getPreviousPeriod($dateFrom, $dateTo);
+  $servicesById = array_column($services, null, 'id');
+
+  $appointmentsById = array_column($appointments, null, 'id');
+  $incomeStaff = [];
+  foreach ($incomes as $income) {
+    if (!isset($income['type'])) {
+      [$staffId] = resolveIncomeStaffService($income, $appointmentsById, $staff, $services);
+      $incomeStaff[] = [$staffId, $income];
+    }
+  }
+
+  $current = collectStaffAnalytics($staff, $appointments, $incomeStaff, $dateFrom, $dateTo, $appointmentMinutes, $workingMinutes);
+  $previous = collectStaffAnalytics($staff, $appointments, $incomeStaff, $previousFrom, $previousTo, $appointmentMinutes, $workingMinutes);
+
+  $rows = [];
+  $salonCurrent = createAnalyticsTotals();
+  $salonPrevious = createAnalyticsTotals();
+  foreach ($staff as $member) {
+    $now = $current[$member['id']];
+    $before = $previous[$member['id']];
+    $hadAppointments = $now['bookedMinutes'] + $now['cancelled'] + $before['bookedMinutes'] + $before['cancelled'] > 0;
+    if (!empty($member['archived']) && !$hadAppointments) {
+      continue;
+    }
+    $salonCurrent = addAnalyticsTotals($salonCurrent, $now);
+    $salonPrevious = addAnalyticsTotals($salonPrevious, $before);
+    $rows[] = [
+      'staffId' => $member['id'],
+      'staffName' => $member['name'],
+      'current' => summarizeAnalyticsTotals($now, $servicesById),
+      'previous' => summarizeAnalyticsTotals($before, $servicesById)
+    ];
+  }
+
+  usort($rows, function($a, $b) {
+    return strcasecmp($a['staffName'], $b['staffName']) ?: $a['staffId'] <=> $b['staffId'];
+  });
+
+  return [
+    'dateFrom' => $dateFrom,
+    'dateTo' => $dateTo,
+    'previousFrom' => $previousFrom,
+    'previousTo' => $previousTo,
+    'staff' => $rows,
+    'totals' => [
+      'current' => summarizeAnalyticsTotals($salonCurrent, $servicesById),
+      'previous' => summarizeAnalyticsTotals($salonPrevious, $servicesById)
+    ]
+  ];
+}
+?>
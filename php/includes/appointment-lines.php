@@ -0,0 +1,239 @@
+<?php
+/**
+ * Beauty Salon Management System - Multi-Service Appointments and Packages
+ *
+ * Used by php/appointments.php, php/services.php (package references),
+ * php/calendar.php and the includes that look at what an appointment books
+ * (records, duplicates, analytics, segments, mail).
+ *
+ * An appointment with more than one service keeps them as ordered lines that
+ * follow each other back-to-back, each with its own staff member:
+ *   "lines": [
+ *     {"serviceId": 1, "staffId": 2, "time": "10:00", "endTime": "10:45"},
+ *     {"serviceId": 4, "staffId": 3, "time": "10:45", "endTime": "12:15"}
+ *   ]
+ * The appointment's serviceId and staffId are those of the first line; its
+ * time and endTime span all lines. Single-service appointments have no lines,
+ * so older records keep working.
+ *
+ * Packages (data/packages.json) bundle services at a package price:
+ *   {"id": 1, "name": "Cut & Color", "serviceIds": [1, 4, 6], "price": 120.0, "active": true}
+ * An appointment booked as a package carries a copy of it ("package": {"id",
+ * "name", "price", "serviceIds"}), so later package changes leave booked
+ * appointments alone. Its services must be the package's services, in any
+ * order. Inactive packages cannot be booked.
+ *
+ * Completing an appointment records one income per line (see
+ * createIncomeFromAppointment in php/appointments.php); a package price is
+ * split over the lines in proportion to their regular prices.
+ *
+ * Expects the $packagesFile global for package lookups.
+ */
+
+// Most services one appointment can book
+const MAX_APPOINTMENT_LINES = 6;
+
+/**
+ * Service lines of an appointment (one line for single-service appointments)
+ * endTime may be missing on appointments booked before end times were stored.
+ */
+function getAppointmentLines($appointment) {
+  if (!empty($appointment['lines'])) {
+    return $appointment['lines'];
+  }
+  $line = [
+    'serviceId' => $appointment['serviceId'],
+    'staffId' => $appointment['staffId'],
+    'time' => $appointment['time']
+  ];
+  if (!empty($appointment['endTime'])) {
+    $line['endTime'] = $appointment['endTime'];
+  }
+  return [$line];
+}
+
+/**
+ * Give an appointment new service lines
+ * The first line sets serviceId and staffId, the lines together time and
+ * endTime; a single line leaves no lines field.
+ */
+function setAppointmentLines($appointment, $lines) {
+  $appointment['serviceId'] = $lines[0]['serviceId'];
+  $appointment['staffId'] = $lines[0]['staffId'];
+  $appointment['time'] = $lines[0]['time'];
+  $appointment['endTime'] = $lines[count($lines) - 1]['endTime'];
+  if (count($lines) > 1) {
+    $appointment['lines'] = $lines;
+  } else {
+    unset($appointment['lines']);
+  }
+  return $appointment;
+}
+
+/**
+ * Whether an appointment points at a record in $field (staffId or serviceId
+ * on any line, or clientId)
+ */
+function appointmentUsesRecord($appointment, $field, $id) {
+  if ($appointment[$field] === $id) {
+    return true;
+  }
+  foreach ($appointment['lines'] ?? [] as $line) {
+    if (($line[$field] ?? null) === $id) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Point an appointment (and its lines) at another record in $field
+ */
+function replaceAppointmentRecord($appointment, $field, $fromIds, $toId) {
+  if (in_array($appointment[$field], $fromIds, true)) {
+    $appointment[$field] = $toId;
+  }
+  if (!empty($appointment['lines']) && $field !== 'clientId') {
+    foreach ($appointment['lines'] as &$line) {
+      if (in_array($line[$field], $fromIds, true)) {
+        $line[$field] = $toId;
+      }
+    }
+    unset($line);
+  }
+  return $appointment;
+}
+
+/**
+ * Names of an appointment's services, joined with " + "
+ */
+function describeAppointmentServices($appointment, $services) {
+  $servicesById = array_column($services, null, 'id');
+  $names = [];
+  foreach (getAppointmentLines($appointment) as $line) {
+    $names[] = $servicesById[$line['serviceId']]['name'] ?? 'Unknown';
+  }
+  return implode(' + ', $names);
+}
+
+/**
+ * Names of an appointment's staff members, each once, joined with ", "
+ */
+function describeAppointmentStaff($appointment, $staff) {
+  $staffById = array_column($staff, null, 'id');
+  $names = [];
+  foreach (getAppointmentLines($appointment) as $line) {
+    $names[] = $staffById[$line['staffId']]['name'] ?? 'Unknown';
+  }
+  return implode(', ', array_unique($names));
+}
+
+/**
+ * Split an amount over weights (e.g. regular prices), rounded to cents
+ * Rounding differences go to the last part; equal parts when all weights are 0.
+ */
+function splitAmountByWeight($amount, $weights) {
+  $total = array_sum($weights);
+  $count = count($weights);
+  $parts = [];
+  $remaining = round($amount, 2);
+  foreach (array_values($weights) as $i => $weight) {
+    if ($i === $count - 1) {
+      $parts[] = round($remaining, 2);
+      break;
+    }
+    $part = round($total > 0 ? $amount * $weight / $total : $amount / $count, 2);
+    $parts[] = $part;
+    $remaining -= $part;
+  }
+  return $parts;
+}
+
+/**
+ * A package to book, copied for the appointment ({id, name, price, serviceIds})
+ * Returns null with $error set when it is missing or inactive
+ */
+function findBookablePackage($packageId, &$error = null) {
+  global $packagesFile;
+
+  $packages = file_exists($packagesFile) ? (json_decode(file_get_contents($packagesFile), true) ?? []) : [];
+  foreach ($packages as $package) {
+    if ($package['id'] !== $packageId) {
+      continue;
+    }
+    if (($package['active'] ?? true) === false) {
+      $error = "Package {$package['name']} is inactive";
+      return null;
+    }
+    return [
+      'id' => $package['id'],
+      'name' => $package['name'],
+      'price' => (float)$package['price'],
+      'serviceIds' => $package['serviceIds']
+    ];
+  }
+  $error = 'Package not found';
+  return null;
+}
+
+/**
+ * Whether the service lines book exactly the services of a package
+ */
+function linesMatchPackage($lines, $package) {
+  $booked = array_column($lines, 'serviceId');
+  $included = $package['serviceIds'];
+  sort($booked);
+  sort($included);
+  return $booked === $included;
+}
+
+/**
+ * Names of the packages that include a service
+ */
+function findServicePackages($serviceId) {
+  global $packagesFile;
+
+  $packages = file_exists($packagesFile) ? (json_decode(file_get_contents($packagesFile), true) ?? []) : [];
+  $names = [];
+  foreach ($packages as $package) {
+    if (in_array($serviceId, $package['serviceIds'], true)) {
+      $names[] = $package['name'];
+    }
+  }
+  return $names;
+}
+
+/**
+ * Point packages at another service after a merge
+ */
+function replacePackageServices($fromIds, $toId) {
+  global $packagesFile;
+
+  if (!file_exists($packagesFile)) {
+    return;
+  }
+  $handle = fopen($packagesFile, 'r+');
+  flock($handle, LOCK_EX);
+  $packages = json_decode(file_get_contents($packagesFile), true) ?? [];
+
+  $changed = false;
+  foreach ($packages as &$package) {
+    foreach ($package['serviceIds'] as &$serviceId) {
+      if (in_array($serviceId, $fromIds, true)) {
+        $serviceId = $toId;
+        $changed = true;
+      }
+    }
+    unset($serviceId);
+  }
+  unset($package);
+
+  if ($changed) {
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($packages, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  }
+  flock($handle, LOCK_UN);
+  fclose($handle);
+}
+?>
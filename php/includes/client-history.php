@@ -0,0 +1,194 @@
+<?php
+/**
+ * Beauty Salon Management System - Client Appointment History
+ *
+ * Each client record embeds a short history of their appointments:
+ *   "appointments": [
+ *     {"appointmentId": 12, "status": "complete", "note": "On time"}
+ *   ]
+ * appointments.json stays the source of truth. php/appointments.php calls
+ * syncClientHistory() after every save, so entries follow status changes,
+ * disappear with deleted appointments and move when an appointment is given
+ * to another client. The note is written by staff from the day view and
+ * travels with its appointment.
+ *
+ * Callers hold the appointments.json lock while the clients file is updated
+ * (always appointments first, then clients) so concurrent saves cannot
+ * interleave. Expects the $clientsFile global.
+ */
+
+// Longest client note accepted for one appointment
+const MAX_APPOINTMENT_NOTE_LENGTH = 500;
+
+/**
+ * Update the history entries of the given appointments
+ * $removedIds lists deleted appointments whose entries are dropped
+ */
+function syncClientHistory($appointments, $removedIds = []) {
+  global $clientsFile;
+
+  $byId = [];
+  foreach ($appointments as $apt) {
+    $byId[$apt['id']] = $apt;
+  }
+
+  $handle = fopen($clientsFile, 'r+');
+  flock($handle, LOCK_EX);
+  $content = file_get_contents($clientsFile);
+  $clients = json_decode($content, true) ?? [];
+
+  // Take the affected entries out of every client, remembering their notes
+  $notes = [];
+  foreach ($clients as &$client) {
+    $kept = [];
+    foreach ($client['appointments'] ?? [] as $entry) {
+      $id = $entry['appointmentId'];
+      if (isset($byId[$id]) || in_array($id, $removedIds, true)) {
+        $notes[$id] = $entry['note'] ?? '';
+      } else {
+        $kept[] = $entry;
+      }
+    }
+    $client['appointments'] = $kept;
+  }
+  unset($client);
+
+  // Put them back under the client that owns the appointment now
+  foreach ($clients as &$client) {
+    foreach ($byId as $id => $apt) {
+      if ($apt['clientId'] === $client['id']) {
+        $client['appointments'][] = buildClientHistoryEntry($apt, $notes[$id] ?? '');
+      }
+    }
+    $client['appointments'] = sortClientHistory($client['appointments']);
+  }
+  unset($client);
+
+  ftruncate($handle, 0);
+  rewind($handle);
+  fwrite($handle, json_encode($clients, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  flock($handle, LOCK_UN);
+  fclose($handle);
+}
+
+/**
+ * Rebuild every client's history from the full appointments list
+ * Existing notes are kept; entries for appointments that no longer exist are
+ * dropped. Returns counts for the repair report.
+ */
+function rebuildClientHistories($appointments) {
+  global $clientsFile;
+
+  $handle = fopen($clientsFile, 'r+');
+  flock($handle, LOCK_EX);
+  $content = file_get_contents($clientsFile);
+  $clients = json_decode($content, true) ?? [];
+
+  $notes = [];
+  foreach ($clients as $client) {
+    foreach ($client['appointments'] ?? [] as $entry) {
+      if (($entry['note'] ?? '') !== '') {
+        $notes[$entry['appointmentId']] = $entry['note'];
+      }
+    }
+  }
+
+  $clientIds = array_column($clients, 'id');
+  $result = ['clientsUpdated' => 0, 'entries' => 0, 'orphaned' => 0];
+  foreach ($appointments as $apt) {
+    if (!in_array($apt['clientId'], $clientIds, true)) {
+      $result['orphaned']++;
+    }
+  }
+
+  foreach ($clients as &$client) {
+    $history = [];
+    foreach ($appointments as $apt) {
+      if ($apt['clientId'] === $client['id']) {
+        $history[] = buildClientHistoryEntry($apt, $notes[$apt['id']] ?? '');
+      }
+    }
+    $history = sortClientHistory($history);
+    if ($history !== ($client['appointments'] ?? null)) {
+      $result['clientsUpdated']++;
+    }
+    $client['appointments'] = $history;
+    $result['entries'] += count($history);
+  }
+  unset($client);
+
+  ftruncate($handle, 0);
+  rewind($handle);
+  fwrite($handle, json_encode($clients, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  return $result;
+}
+
+/**
+ * Set the client note of an appointment's history entry
+ * Creates the entry when the history was missing it
+ */
+function setClientHistoryNote($appointment, $note) {
+  global $clientsFile;
+
+  $handle = fopen($clientsFile, 'r+');
+  flock($handle, LOCK_EX);
+  $content = file_get_contents($clientsFile);
+  $clients = json_decode($content, true) ?? [];
+
+  $found = false;
+  foreach ($clients as &$client) {
+    if ($client['id'] !== $appointment['clientId']) {
+      continue;
+    }
+    $history = $client['appointments'] ?? [];
+    foreach ($history as &$entry) {
+      if ($entry['appointmentId'] === $appointment['id']) {
+        $entry['status'] = $appointment['status'];
+        $entry['note'] = $note;
+        $found = true;
+      }
+    }
+    unset($entry);
+    if (!$found) {
+      $history[] = buildClientHistoryEntry($appointment, $note);
+      $found = true;
+    }
+    $client['appointments'] = sortClientHistory($history);
+  }
+  unset($client);
+
+  if ($found) {
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($clients, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  }
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  return $found;
+}
+
+/**
+ * History entry for an appointment
+ */
+function buildClientHistoryEntry($appointment, $note) {
+  return [
+    'appointmentId' => $appointment['id'],
+    'status' => $appointment['status'],
+    'note' => $note
+  ];
+}
+
+/**
+ * Order history entries by appointment ID (booking order)
+ */
+function sortClientHistory($history) {
+  usort($history, function($a, $b) {
+    return $a['appointmentId'] <=> $b['appointmentId'];
+  });
+  return $history;
+}
+?>
@@ -0,0 +1,294 @@
+<?php
+/**
+ * Beauty Salon Management System - Staff Commission and Payroll
+ *
+ * Used by php/staff.php (commission rules) and php/incomes.php (payroll).
+ *
+ * Each staff member may carry commission rules:
+ *   "commission": {
+ *     "mode": "category",
+ *     "defaultRate": 30,
+ *     "categoryRates": [{"category": "Color", "rate": 40}],
+ *     "serviceFixed": [{"serviceId": 3, "amount": 12.5}],
+ *     "tiers": [{"from": 0, "rate": 30}, {"from": 5000, "rate": 40}]
+ *   }
+ * Modes:
+ *   none     - no commission (the default)
+ *   category - a percentage of each income by the service's category;
+ *              defaultRate for categories without a rate
+ *   service  - a fixed amount per service performed; defaultRate (percent)
+ *              for services without an amount
+ *   tiered   - a percentage set by the staff member's revenue over the whole
+ *              calendar month of the income: the rate of the highest tier
+ *              whose "from" that revenue reaches (0 below the first tier)
+ * Only the fields of the chosen mode are kept.
+ *
+ * Commission is paid on the amount the client paid (after loyalty discounts).
+ * Tips (income.tip) go to the staff member in full. Policy fees
+ * (type: fee) are salon income and stay out of payroll.
+ */
+
+// How a staff member's commission is calculated
+const COMMISSION_MODES = ['none', 'category', 'service', 'tiered'];
+
+/**
+ * Check a staff member's commission rules
+ * Returns the cleaned rules, or null with $error set
+ */
+function normalizeCommission($commission, $services, &$error = null) {
+  if ($commission === null || $commission === '') {
+    return ['mode' => 'none'];
+  }
+  if (!is_array($commission)) {
+    $error = 'Invalid commission rules';
+    return null;
+  }
+  $mode = $commission['mode'] ?? 'none';
+  if (!in_array($mode, COMMISSION_MODES, true)) {
+    $error = 'Invalid commission mode';
+    return null;
+  }
+  if ($mode === 'none') {
+    return ['mode' => 'none'];
+  }
+
+  $isRate = function($value) {
+    return is_numeric($value) && $value >= 0 && $value <= 100;
+  };
+
+  if ($mode === 'tiered') {
+    $tiers = [];
+    foreach ($commission['tiers'] ?? [] as $tier) {
+      $from = $tier['from'] ?? null;
+      if (!is_numeric($from) || $from < 0) {
+        $error = 'Tier revenue must be 0 or more';
+        return null;
+      }
+      if (!$isRate($tier['rate'] ?? null)) {
+        $error = 'Commission rates must be between 0 and 100';
+        return null;
+      }
+      $tiers[(string)round((float)$from, 2)] = ['from' => round((float)$from, 2), 'rate' => round((float)$tier['rate'], 2)];
+    }
+    if (empty($tiers)) {
+      $error = 'Add at least one commission tier';
+      return null;
+    }
+    $tiers = array_values($tiers);
+    usort($tiers, function($a, $b) {
+      return $a['from'] <=> $b['from'];
+    });
+    return ['mode' => 'tiered', 'tiers' => $tiers];
+  }
+
+  $defaultRate = $commission['defaultRate'] ?? 0;
+  if ($defaultRate === '' || $defaultRate === null) {
+    $defaultRate = 0;
+  }
+  if (!$isRate($defaultRate)) {
+    $error = 'Commission rates must be between 0 and 100';
+    return null;
+  }
+
+  if ($mode === 'category') {
+    $rates = [];
+    foreach ($commission['categoryRates'] ?? [] as $entry) {
+      $category = htmlspecialchars(trim((string)($entry['category'] ?? '')), ENT_QUOTES, 'UTF-8');
+      if ($category === '') {
+        $error = 'Each commission rate needs a category';
+        return null;
+      }
+      if (!$isRate($entry['rate'] ?? null)) {
+        $error = 'Commission rates must be between 0 and 100';
+        return null;
+      }
+      $rates[mb_strtolower($category)] = ['category' => $category, 'rate' => round((float)$entry['rate'], 2)];
+    }
+    return ['mode' => 'category', 'defaultRate' => round((float)$defaultRate, 2), 'categoryRates' => array_values($rates)];
+  }
+
+  $fixed = [];
+  foreach ($commission['serviceFixed'] ?? [] as $entry) {
+    $serviceId = (int)($entry['serviceId'] ?? 0);
+    if (!in_array($serviceId, array_column($services, 'id'), true)) {
+      $error = 'Service not found';
+      return null;
+    }
+    $amount = $entry['amount'] ?? null;
+    if (!is_numeric($amount) || $amount < 0) {
+      $error = 'Commission amounts cannot be negative';
+      return null;
+    }
+    $fixed[$serviceId] = ['serviceId' => $serviceId, 'amount' => round((float)$amount, 2)];
+  }
+  return ['mode' => 'service', 'defaultRate' => round((float)$defaultRate, 2), 'serviceFixed' => array_values($fixed)];
+}
+
+/**
+ * Percentage of the tier reached by a month's revenue
+ */
+function getTieredCommissionRate($tiers, $monthRevenue) {
+  $rate = 0;
+  foreach ($tiers as $tier) {
+    if ($monthRevenue + 0.000001 >= $tier['from']) {
+      $rate = $tier['rate'];
+    }
+  }
+  return $rate;
+}
+
+/**
+ * Commission earned on one income
+ * $service may be null (service deleted); $monthRevenue is only used by
+ * tiered rules
+ */
+function calculateCommission($commission, $service, $amount, $monthRevenue) {
+  $mode = $commission['mode'] ?? 'none';
+  $rate = 0;
+
+  if ($mode === 'category') {
+    $rate = $commission['defaultRate'];
+    $category = mb_strtolower($service['category'] ?? '');
+    foreach ($commission['categoryRates'] as $entry) {
+      if ($category !== '' && mb_strtolower($entry['category']) === $category) {
+        $rate = $entry['rate'];
+        break;
+      }
+    }
+  } elseif ($mode === 'service') {
+    foreach ($commission['serviceFixed'] as $entry) {
+      if ($service && $entry['serviceId'] === $service['id']) {
+        return $entry['amount'];
+      }
+    }
+    $rate = $commission['defaultRate'];
+  } elseif ($mode === 'tiered') {
+    $rate = getTieredCommissionRate($commission['tiers'], $monthRevenue);
+  }
+  return round($amount * $rate / 100, 2);
+}
+
+/**
+ * Staff and service IDs of an income
+ * Older incomes only have names: their appointment is looked up first, then
+ * the names. Either ID may be null.
+ */
+function resolveIncomeStaffService($income, $appointmentsById, $staff, $services) {
+  $appointment = $appointmentsById[$income['appointmentId'] ?? null] ?? null;
+
+  $staffId = $income['staffId'] ?? ($appointment['staffId'] ?? null);
+  if ($staffId === null) {
+    foreach ($staff as $member) {
+      if ($member['name'] === $income['staffName']) {
+        $staffId = $member['id'];
+        break;
+      }
+    }
+  }
+
+  $serviceId = $income['serviceId'] ?? ($appointment['serviceId'] ?? null);
+  if ($serviceId === null) {
+    foreach ($services as $service) {
+      if ($service['name'] === $income['serviceName']) {
+        $serviceId = $service['id'];
+        break;
+      }
+    }
+  }
+  return [$staffId, $serviceId];
+}
+
+/**
+ * Payroll for the pay period $dateFrom - $dateTo (inclusive)
+ * One row per staff member (archived ones only when they have incomes in the
+ * period), with their services, revenue, commission, tips and total to pay
+ * (commission + tips). Incomes of unknown staff get a row by name without
+ * commission.
+ */
+function buildPayroll($staff, $services, $appointments, $incomes, $dateFrom, $dateTo) {
+  $appointmentsById = array_column($appointments, null, 'id');
+  $servicesById = array_column($services, null, 'id');
+  $staffById = array_column($staff, null, 'id');
+
+  // Resolve every service income once; month revenue covers whole months
+  $lines = [];
+  $monthRevenue = [];
+  foreach ($incomes as $income) {
+    if (isset($income['type'])) {
+      continue;
+    }
+    [$staffId, $serviceId] = resolveIncomeStaffService($income, $appointmentsById, $staff, $services);
+    $month = substr($income['date'], 0, 7);
+    $key = $staffId ?? 'name:' . $income['staffName'];
+    $monthRevenue[$key][$month] = ($monthRevenue[$key][$month] ?? 0) + (float)$income['amount'];
+    if ($income['date'] >= $dateFrom && $income['date'] <= $dateTo) {
+      $lines[] = [$key, $staffId, $serviceId, $month, $income];
+    }
+  }
+
+  // Per staff key: name, tips and lines per service
+  $rows = [];
+  foreach ($staff as $member) {
+    if (empty($member['archived'])) {
+      $rows[$member['id']] = ['staffName' => $member['name'], 'tips' => 0, 'services' => []];
+    }
+  }
+  foreach ($lines as [$key, $staffId, $serviceId, $month, $income]) {
+    $member = $staffId !== null ? ($staffById[$staffId] ?? null) : null;
+    if (!isset($rows[$key])) {
+      $rows[$key] = ['staffName' => $member ? $member['name'] : $income['staffName'], 'tips' => 0, 'services' => []];
+    }
+    $service = $serviceId !== null ? ($servicesById[$serviceId] ?? null) : null;
+    $amount = (float)$income['amount'];
+    $commission = $member ? calculateCommission($member['commission'] ?? [], $service, $amount, $monthRevenue[$key][$month]) : 0;
+
+    $serviceKey = $serviceId ?? 'name:' . $income['serviceName'];
+    $line = $rows[$key]['services'][$serviceKey] ?? [
+      'serviceId' => $serviceId,
+      'serviceName' => $service ? $service['name'] : $income['serviceName'],
+      'count' => 0,
+      'revenue' => 0,
+      'commission' => 0
+    ];
+    $line['count']++;
+    $line['revenue'] += $amount;
+    $line['commission'] += $commission;
+    $rows[$key]['services'][$serviceKey] = $line;
+    $rows[$key]['tips'] += (float)($income['tip'] ?? 0);
+  }
+
+  $payroll = [];
+  foreach ($rows as $key => $row) {
+    $member = $staffById[$key] ?? null;
+    $serviceLines = array_values($row['services']);
+    usort($serviceLines, function($a, $b) {
+      return strcasecmp($a['serviceName'], $b['serviceName']);
+    });
+    foreach ($serviceLines as &$line) {
+      $line['revenue'] = round($line['revenue'], 2);
+      $line['commission'] = round($line['commission'], 2);
+    }
+    unset($line);
+
+    $revenue = round(array_sum(array_column($serviceLines, 'revenue')), 2);
+    $commission = round(array_sum(array_column($serviceLines, 'commission')), 2);
+    $tip = round($row['tips'], 2);
+    $payroll[] = [
+      'staffId' => $member ? $member['id'] : null,
+      'staffName' => $row['staffName'],
+      'commissionMode' => $member ? ($member['commission']['mode'] ?? 'none') : 'none',
+      'services' => $serviceLines,
+      'count' => array_sum(array_column($serviceLines, 'count')),
+      'revenue' => $revenue,
+      'commission' => $commission,
+      'tips' => $tip,
+      'total' => round($commission + $tip, 2)
+    ];
+  }
+
+  usort($payroll, function($a, $b) {
+    return strcasecmp($a['staffName'], $b['staffName']);
+  });
+  return $payroll;
+}
+?>
@@ -0,0 +1,197 @@
+<?php
+/**
+ * Beauty Salon Management System - CSV Import and Export
+ *
+ * Shared by php/clients.php, php/staff.php, php/services.php and
+ * php/appointments.php (actions export and import).
+ *
+ * Export streams a UTF-8 CSV file (with a BOM so spreadsheets detect the
+ * encoding). Stored values are HTML-escaped, so they are decoded first, and
+ * text starting with = + - @ gets a leading ' so spreadsheets never run it
+ * as a formula; import removes that guard again.
+ *
+ * Import receives rows already mapped to field names by the import wizard
+ * (js/app.js) and validates each one with the same code as add. Every row
+ * is reported as ok, duplicate or error; duplicates are skipped or imported
+ * (onDuplicate). dryRun only reports. A real import writes all rows at once
+ * under the file lock, and nothing at all when any row has an error.
+ */
+
+// Largest number of rows accepted in one import
+const MAX_IMPORT_ROWS = 2000;
+
+// What to do with rows that look like existing records
+const IMPORT_DUPLICATE_MODES = ['skip', 'import'];
+
+/**
+ * Send rows as a CSV download
+ */
+function sendCsv($filename, $columns, $rows) {
+  header('Content-Type: text/csv; charset=utf-8');
+  header('Content-Disposition: attachment; filename="' . $filename . '"');
+
+  $output = fopen('php://output', 'w');
+  fwrite($output, "\xEF\xBB\xBF");
+  fputcsv($output, $columns, ',', '"', '');
+  foreach ($rows as $row) {
+    fputcsv($output, array_map('formatCsvCell', $row), ',', '"', '');
+  }
+  fclose($output);
+}
+
+/**
+ * One exported cell: decoded text, yes/no for flags, formula guard
+ */
+function formatCsvCell($value) {
+  if (is_bool($value)) {
+    return $value ? 'yes' : 'no';
+  }
+  $value = html_entity_decode((string)$value, ENT_QUOTES, 'UTF-8');
+  if ($value !== '' && strpos('=+-@', $value[0]) !== false && !is_numeric($value)) {
+    $value = "'" . $value;
+  }
+  return $value;
+}
+
+/**
+ * Read a yes/no cell (yes, y, true, 1 and x count as yes)
+ */
+function parseCsvBoolean($value) {
+  if (is_bool($value)) {
+    return $value;
+  }
+  return in_array(strtolower(trim((string)$value)), ['yes', 'y', 'true', '1', 'x'], true);
+}
+
+/**
+ * Trim the cells of an imported row and remove the export formula guard
+ */
+function cleanImportRow($row) {
+  $clean = [];
+  foreach ($row as $field => $value) {
+    if (is_string($value)) {
+      $value = trim($value);
+      if (preg_match("/^'[=+\-@]/", $value)) {
+        $value = substr($value, 1);
+      }
+    }
+    $clean[$field] = $value;
+  }
+  return $clean;
+}
+
+/**
+ * Check the common import options
+ * Returns [rows, dryRun, onDuplicate], or null with $error set
+ */
+function readImportRequest($request, &$error = null) {
+  $rows = $request['rows'] ?? null;
+  $onDuplicate = $request['onDuplicate'] ?? 'skip';
+
+  if (!is_array($rows) || empty($rows)) {
+    $error = 'Nothing to import';
+    return null;
+  }
+  if (count($rows) > MAX_IMPORT_ROWS) {
+    $error = 'Too many rows: import at most ' . MAX_IMPORT_ROWS . ' at a time';
+    return null;
+  }
+  if (!in_array($onDuplicate, IMPORT_DUPLICATE_MODES, true)) {
+    $error = 'Invalid onDuplicate option';
+    return null;
+  }
+  return [array_values($rows), !empty($request['dryRun']), $onDuplicate];
+}
+
+/**
+ * Import client, staff or service rows
+ * $build($row, &$error) validates a row like add does and returns the new
+ * record without its id, or null. Returns the import report.
+ */
+function importRecords($type, $rows, $dryRun, $onDuplicate, $build) {
+  $recordsFile = $GLOBALS[RECORD_TYPES[$type]['file']];
+
+  $handle = fopen($recordsFile, 'r+');
+  flock($handle, LOCK_EX);
+  $records = json_decode(file_get_contents($recordsFile), true) ?? [];
+
+  $maxId = 0;
+  foreach ($records as $record) {
+    if ($record['id'] > $maxId) {
+      $maxId = $record['id'];
+    }
+  }
+
+  $added = [];
+  $report = [];
+  $counts = ['ok' => 0, 'duplicate' => 0, 'error' => 0];
+  foreach ($rows as $index => $row) {
+    $error = 'Invalid row';
+    $record = is_array($row) ? $build(cleanImportRow($row), $error) : null;
+    if ($record === null) {
+      $report[] = ['row' => $index + 1, 'status' => 'error', 'error' => $error];
+      $counts['error']++;
+      continue;
+    }
+
+    // Rows are compared with existing records and with the rows above them
+    $duplicates = findDuplicateRecords(array_merge($records, $added), $record, $type);
+    if (!empty($duplicates)) {
+      $report[] = ['row' => $index + 1, 'status' => 'duplicate', 'name' => $record['name'], 'duplicates' => $duplicates];
+      $counts['duplicate']++;
+      if ($onDuplicate === 'skip') {
+        continue;
+      }
+    } else {
+      $report[] = ['row' => $index + 1, 'status' => 'ok', 'name' => $record['name']];
+      $counts['ok']++;
+    }
+    $added[] = ['id' => ++$maxId] + $record;
+  }
+
+  $commit = !$dryRun && $counts['error'] === 0 && !empty($added);
+  if ($commit) {
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode(array_merge($records, $added), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  }
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  return buildImportReport($dryRun, $commit ? count($added) : 0, count($added), $counts, $report);
+}
+
+/**
+ * Import report returned to the wizard
+ */
+function buildImportReport($dryRun, $imported, $toImport, $counts, $rows) {
+  return [
+    'dryRun' => $dryRun,
+    'imported' => $imported,
+    'toImport' => $toImport,
+    'counts' => $counts,
+    'rows' => $rows
+  ];
+}
+
+/**
+ * Answer an import request
+ * A real import with row errors is refused as a whole (400 + the report)
+ */
+function sendImportReport($report) {
+  if (!$report['dryRun'] && $report['counts']['error'] > 0) {
+    http_response_code(400);
+    echo json_encode([
+      'success' => false,
+      'data' => $report,
+      'error' => "Nothing was imported: {$report['counts']['error']} row(s) have errors"
+    ]);
+    return;
+  }
+  echo json_encode([
+    'success' => true,
+    'data' => $report,
+    'error' => null
+  ]);
+}
+?>
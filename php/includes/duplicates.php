@@ -0,0 +1,297 @@
+<?php
+/**
+ * Beauty Salon Management System - Duplicate Detection and Merge
+ *
+ * Shared by php/clients.php, php/staff.php and php/services.php.
+ *
+ * Two records are likely duplicates when they share an email (case
+ * insensitive), a phone number (same digits, ignoring formatting and a
+ * missing country code) or a normalized name ("Maria  Rossi" = "maria rossi").
+ * Add/edit answer 409 + duplicates unless allowDuplicates is set.
+ *
+ * Merging keeps one surviving record and deletes the others after pointing
+ * their appointments, recurring series and income records at the survivor.
+ * Incomes store names rather than IDs, so they are renamed.
+ *
+ * Expects the $appointmentsFile, $seriesFile and $incomesFile globals plus
+ * the file of the merged record type ($clientsFile, $staffFile or $servicesFile).
+ * Client merges also need includes/client-history.php.
+ */
+
+require_once __DIR__ . '/records.php';
+
+// Phone numbers need at least this many digits to be compared
+const MIN_PHONE_DIGITS = 7;
+
+/**
+ * Name reduced for comparison: decoded, lowercase, without accents,
+ * punctuation or repeated spaces
+ */
+function normalizeDuplicateName($name) {
+  $name = html_entity_decode((string)$name, ENT_QUOTES, 'UTF-8');
+  $ascii = @iconv('UTF-8', 'ASCII//TRANSLIT', $name);
+  if ($ascii !== false) {
+    $name = $ascii;
+  }
+  $name = preg_replace('/[^a-z0-9]+/', ' ', strtolower($name));
+  return trim($name);
+}
+
+/**
+ * Whether two phone numbers are the same number
+ * Compares digits only; the shorter number may omit the country code
+ */
+function isSamePhone($a, $b) {
+  $a = preg_replace('/\D/', '', (string)$a);
+  $b = preg_replace('/\D/', '', (string)$b);
+  $length = min(strlen($a), strlen($b));
+  if ($length < MIN_PHONE_DIGITS) {
+    return false;
+  }
+  return substr($a, -$length) === substr($b, -$length);
+}
+
+/**
+ * Fields on which two records match ('email', 'phone', 'name')
+ */
+function getDuplicateMatches($a, $b, $fields) {
+  $matches = [];
+  if (in_array('email', $fields, true) && ($a['email'] ?? '') !== '' &&
+      strcasecmp(trim($a['email']), trim($b['email'] ?? '')) === 0) {
+    $matches[] = 'email';
+  }
+  if (in_array('phone', $fields, true) && isSamePhone($a['phone'] ?? '', $b['phone'] ?? '')) {
+    $matches[] = 'phone';
+  }
+  if (in_array('name', $fields, true) && normalizeDuplicateName($a['name']) !== '' &&
+      normalizeDuplicateName($a['name']) === normalizeDuplicateName($b['name'])) {
+    $matches[] = 'name';
+  }
+  return $matches;
+}
+
+/**
+ * Existing records that look like duplicates of $candidate
+ * The candidate's own record (same id) is skipped when editing
+ */
+function findDuplicateRecords($records, $candidate, $type) {
+  $fields = RECORD_TYPES[$type]['matchFields'];
+  $duplicates = [];
+  foreach ($records as $record) {
+    if (isset($candidate['id']) && $record['id'] === $candidate['id']) {
+      continue;
+    }
+    $matches = getDuplicateMatches($candidate, $record, $fields);
+    if (!empty($matches)) {
+      $duplicates[] = ['id' => $record['id'], 'name' => $record['name'], 'matchedOn' => $matches];
+    }
+  }
+  return $duplicates;
+}
+
+/**
+ * Group all records into sets of likely duplicates
+ * Records are grouped transitively (A matches B, B matches C => A, B, C)
+ */
+function findDuplicateGroups($records, $type) {
+  $fields = RECORD_TYPES[$type]['matchFields'];
+  $groupOf = [];
+  $groups = [];
+  $count = count($records);
+  for ($i = 0; $i < $count; $i++) {
+    for ($j = $i + 1; $j < $count; $j++) {
+      if (empty(getDuplicateMatches($records[$i], $records[$j], $fields))) {
+        continue;
+      }
+      $groupI = $groupOf[$i] ?? null;
+      $groupJ = $groupOf[$j] ?? null;
+      if ($groupI === null && $groupJ === null) {
+        $groups[] = [$i, $j];
+        $groupOf[$i] = $groupOf[$j] = count($groups) - 1;
+      } elseif ($groupJ === null) {
+        $groups[$groupI][] = $j;
+        $groupOf[$j] = $groupI;
+      } elseif ($groupI === null) {
+        $groups[$groupJ][] = $i;
+        $groupOf[$i] = $groupJ;
+      } elseif ($groupI !== $groupJ) {
+        foreach ($groups[$groupJ] as $index) {
+          $groups[$groupI][] = $index;
+          $groupOf[$index] = $groupI;
+        }
+        $groups[$groupJ] = [];
+      }
+    }
+  }
+
+  $result = [];
+  foreach ($groups as $group) {
+    if (empty($group)) {
+      continue;
+    }
+    sort($group);
+    $result[] = array_map(function($index) use ($records) {
+      return $records[$index];
+    }, $group);
+  }
+  return $result;
+}
+
+/**
+ * Merge duplicate records into a surviving record
+ * Appointments, series and incomes are re-pointed before the duplicates are
+ * deleted. Returns counts, or null with $error/$errorCode set.
+ * $combine($survivor, $duplicate) may return an updated survivor (e.g. to
+ * keep the VIP flag of a merged client).
+ */
+function mergeRecords($type, $survivorId, $duplicateIds, &$error = null, &$errorCode = null, $combine = null) {
+  global $appointmentsFile, $seriesFile, $incomesFile;
+
+  $config = RECORD_TYPES[$type];
+  $recordsFile = $GLOBALS[$config['file']];
+  $appointmentField = $config['appointmentField'];
+  $incomeField = $config['incomeField'];
+
+  $duplicateIds = array_values(array_unique(array_map('intval', $duplicateIds)));
+  if (empty($duplicateIds)) {
+    $error = 'Choose at least one duplicate to merge';
+    $errorCode = 400;
+    return null;
+  }
+  if (in_array($survivorId, $duplicateIds, true)) {
+    $error = 'The surviving record cannot also be merged away';
+    $errorCode = 400;
+    return null;
+  }
+
+  // Lock order: appointments, then the record file (same as appointments.php)
+  $appointmentsHandle = fopen($appointmentsFile, 'r+');
+  flock($appointmentsHandle, LOCK_EX);
+  $handle = fopen($recordsFile, 'r+');
+  flock($handle, LOCK_EX);
+  $records = json_decode(file_get_contents($recordsFile), true) ?? [];
+
+  $survivor = null;
+  $duplicates = [];
+  foreach ($records as $record) {
+    if ($record['id'] === $survivorId) {
+      $survivor = $record;
+    } elseif (in_array($record['id'], $duplicateIds, true)) {
+      $duplicates[] = $record;
+    }
+  }
+  if (!$survivor || count($duplicates) !== count($duplicateIds)) {
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    flock($appointmentsHandle, LOCK_UN);
+    fclose($appointmentsHandle);
+    $error = $config['label'] . ' not found';
+    $errorCode = 404;
+    return null;
+  }
+
+  // Appointments
+  $appointments = json_decode(file_get_contents($appointmentsFile), true) ?? [];
+  $moved = [];
+  foreach ($appointments as &$apt) {
+    $merged = replaceAppointmentRecord($apt, $appointmentField, $duplicateIds, $survivorId);
+    if ($merged !== $apt) {
+      $apt = $merged;
+      $moved[] = $apt;
+    }
+  }
+  unset($apt);
+  if (!empty($moved)) {
+    ftruncate($appointmentsHandle, 0);
+    rewind($appointmentsHandle);
+    fwrite($appointmentsHandle, json_encode($appointments, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  }
+
+  // Recurring series templates
+  $seriesList = file_exists($seriesFile) ? (json_decode(file_get_contents($seriesFile), true) ?? []) : [];
+  $seriesUpdated = 0;
+  foreach ($seriesList as &$series) {
+    if (in_array($series[$appointmentField], $duplicateIds, true)) {
+      $series[$appointmentField] = $survivorId;
+      $seriesUpdated++;
+    }
+  }
+  unset($series);
+  if ($seriesUpdated > 0) {
+    file_put_contents($seriesFile, json_encode($seriesList, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES), LOCK_EX);
+  }
+
+  // Drop the duplicates and let the caller fold their details into the survivor
+  foreach ($duplicates as $duplicate) {
+    if ($combine) {
+      $survivor = $combine($survivor, $duplicate);
+    }
+  }
+  $remaining = [];
+  foreach ($records as $record) {
+    if ($record['id'] === $survivorId) {
+      $remaining[] = $survivor;
+    } elseif (!in_array($record['id'], $duplicateIds, true)) {
+      $remaining[] = $record;
+    }
+  }
+  ftruncate($handle, 0);
+  rewind($handle);
+  fwrite($handle, json_encode($remaining, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  // Incomes: rename entries of moved appointments, and entries carrying a
+  // merged name that no remaining record uses
+  $remainingNames = array_column($remaining, 'name');
+  $mergedNames = array_values(array_filter(array_column($duplicates, 'name'), function($name) use ($remainingNames, $survivor) {
+    return $name === $survivor['name'] || !in_array($name, $remainingNames, true);
+  }));
+  $movedIds = array_column($moved, 'id');
+  $incomesUpdated = 0;
+  if (file_exists($incomesFile)) {
+    $incomesHandle = fopen($incomesFile, 'r+');
+    flock($incomesHandle, LOCK_EX);
+    $incomes = json_decode(file_get_contents($incomesFile), true) ?? [];
+    foreach ($incomes as &$income) {
+      // Newer incomes also carry the staff and service IDs (one income per
+      // service of a multi-service appointment, so the ID decides for them)
+      $mergedId = in_array($income[$appointmentField] ?? null, $duplicateIds, true);
+      $movedAppointment = !isset($income[$appointmentField]) && in_array($income['appointmentId'] ?? null, $movedIds, true);
+      $merged = $mergedId || $movedAppointment ||
+        in_array($income[$incomeField] ?? null, $mergedNames, true);
+      if ($merged && ($mergedId || $income[$incomeField] !== $survivor['name'])) {
+        $income[$incomeField] = $survivor['name'];
+        if ($mergedId) {
+          $income[$appointmentField] = $survivorId;
+        }
+        $incomesUpdated++;
+      }
+    }
+    unset($income);
+    if ($incomesUpdated > 0) {
+      ftruncate($incomesHandle, 0);
+      rewind($incomesHandle);
+      fwrite($incomesHandle, json_encode($incomes, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+    }
+    flock($incomesHandle, LOCK_UN);
+    fclose($incomesHandle);
+  }
+
+  // Client histories: fill in entries the duplicates' histories were missing
+  if ($type === 'client' && !empty($moved)) {
+    syncClientHistory($moved);
+  }
+
+  flock($appointmentsHandle, LOCK_UN);
+  fclose($appointmentsHandle);
+
+  return [
+    'survivor' => $survivor,
+    'merged' => count($duplicates),
+    'appointmentsUpdated' => count($moved),
+    'seriesUpdated' => $seriesUpdated,
+    'incomesUpdated' => $incomesUpdated
+  ];
+}
+?>
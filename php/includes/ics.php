@@ -0,0 +1,127 @@
+<?php
+/**
+ * Beauty Salon Management System - iCalendar (.ics)
+ *
+ * Builds the invite attached to appointment emails and the per-staff
+ * subscription feed served by php/calendar.php.
+ *
+ * An appointment always keeps the same UID; its icsSequence is bumped every
+ * time it changes so calendar apps apply updates and cancellations in order.
+ * Times are written in UTC, converted from the server's default timezone.
+ */
+
+require_once __DIR__ . '/settings.php';
+
+/**
+ * Stable UID for an appointment
+ */
+function getAppointmentUid($appointment, $settings) {
+  $domain = substr(strrchr($settings['mail']['fromEmail'], '@'), 1) ?: 'localhost';
+  return 'appointment-' . $appointment['id'] . '@' . $domain;
+}
+
+/**
+ * Format a local date + time ("Y-m-d", "H:i") as an iCalendar UTC timestamp
+ */
+function formatIcsDateTime($date, $time) {
+  return gmdate('Ymd\THis\Z', strtotime($date . ' ' . $time));
+}
+
+/**
+ * Escape a TEXT value (stored values may be HTML-encoded by sanitizeInput)
+ */
+function escapeIcsText($value) {
+  $value = html_entity_decode((string)$value, ENT_QUOTES, 'UTF-8');
+  $value = str_replace(['\\', ';', ',', "\r\n", "\n"], ['\\\\', '\\;', '\\,', '\\n', '\\n'], $value);
+  return $value;
+}
+
+/**
+ * Quote a parameter value such as CN (parameters cannot contain DQUOTE)
+ */
+function quoteIcsParam($value) {
+  return '"' . str_replace('"', "'", html_entity_decode((string)$value, ENT_QUOTES, 'UTF-8')) . '"';
+}
+
+/**
+ * Fold a content line at 75 octets without splitting UTF-8 characters
+ */
+function foldIcsLine($line) {
+  $folded = '';
+  while (strlen($line) > 75) {
+    $cut = 75;
+    // Step back to the start of a UTF-8 character
+    while ($cut > 0 && (ord($line[$cut]) & 0xC0) === 0x80) {
+      $cut--;
+    }
+    $folded .= substr($line, 0, $cut) . "\r\n ";
+    $line = substr($line, $cut);
+  }
+  return $folded . $line;
+}
+
+/**
+ * End time of an appointment ("H:i"), falling back to the service duration
+ * for appointments saved without endTime
+ */
+function getIcsEndTime($appointment, $service) {
+  if (!empty($appointment['endTime'])) {
+    return $appointment['endTime'];
+  }
+  $duration = $service ? (int)$service['duration'] : 60;
+  return date('H:i', strtotime($appointment['date'] . ' ' . $appointment['time']) + $duration * 60);
+}
+
+/**
+ * Build the VEVENT lines for an appointment
+ * $details: summary, description, endTime and optional attendeeName/attendeeEmail
+ * $status: CONFIRMED or CANCELLED
+ */
+function buildIcsEvent($appointment, $details, $settings, $status = 'CONFIRMED') {
+  $branding = $settings['branding'];
+  $lines = [
+    'BEGIN:VEVENT',
+    'UID:' . getAppointmentUid($appointment, $settings),
+    'DTSTAMP:' . gmdate('Ymd\THis\Z'),
+    'DTSTART:' . formatIcsDateTime($appointment['date'], $appointment['time']),
+    'DTEND:' . formatIcsDateTime($appointment['date'], $details['endTime']),
+    'SEQUENCE:' . (int)($appointment['icsSequence'] ?? 0),
+    'SUMMARY:' . escapeIcsText($details['summary']),
+    'DESCRIPTION:' . escapeIcsText($details['description']),
+    'STATUS:' . $status,
+    'ORGANIZER;CN=' . quoteIcsParam($branding['salonName']) . ':mailto:' . $settings['mail']['fromEmail']
+  ];
+  if (!empty($branding['address'])) {
+    $lines[] = 'LOCATION:' . escapeIcsText($branding['address']);
+  }
+  if (!empty($details['attendeeEmail'])) {
+    $lines[] = 'ATTENDEE;CN=' . quoteIcsParam($details['attendeeName'] ?? '') .
+      ';ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:' . $details['attendeeEmail'];
+  }
+  $lines[] = 'END:VEVENT';
+  return $lines;
+}
+
+/**
+ * Wrap events in a VCALENDAR
+ * $method: REQUEST / CANCEL for email invites, PUBLISH for feeds
+ */
+function buildIcsCalendar($events, $method, $calendarName = null) {
+  $lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Beauty Salon Management System//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:' . $method
+  ];
+  if ($calendarName !== null) {
+    $lines[] = 'X-WR-CALNAME:' . escapeIcsText($calendarName);
+  }
+  foreach ($events as $event) {
+    $lines = array_merge($lines, $event);
+  }
+  $lines[] = 'END:VCALENDAR';
+
+  return implode("\r\n", array_map('foldIcsLine', $lines)) . "\r\n";
+}
+?>
@@ -0,0 +1,102 @@
+<?php
+/**
+ * Beauty Salon Management System - Signed Client Links
+ *
+ * Links in appointment emails let the client cancel or reschedule on
+ * manage.html without logging in. The token is "<appointmentId>.<expires>.<signature>",
+ * signed with HMAC-SHA256 and the secret in settings (security.linkSecret).
+ * It expires when the appointment starts; the cancellation cutoff is
+ * enforced separately by php/appointments.php since it can change later.
+ */
+
+require_once __DIR__ . '/settings.php';
+
+/**
+ * Secret used to sign links, created and saved on first use
+ */
+function getLinkSecret() {
+  global $settingsFile;
+
+  $secret = loadSettings()['security']['linkSecret'];
+  if ($secret !== '') {
+    return $secret;
+  }
+
+  // Create it under lock so concurrent requests agree on one secret
+  $handle = fopen($settingsFile, 'c+');
+  flock($handle, LOCK_EX);
+  $stored = json_decode(stream_get_contents($handle), true) ?? [];
+  $secret = $stored['security']['linkSecret'] ?? '';
+  if ($secret === '') {
+    $secret = bin2hex(random_bytes(32));
+    $stored['security']['linkSecret'] = $secret;
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($stored, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE));
+  }
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  return $secret;
+}
+
+/**
+ * Sign a link for an appointment, valid until the appointment starts
+ */
+function createManageToken($appointment) {
+  $expires = strtotime($appointment['date'] . ' ' . $appointment['time']);
+  $payload = (int)$appointment['id'] . '.' . $expires;
+  return $payload . '.' . substr(hash_hmac('sha256', 'manage.' . $payload, getLinkSecret()), 0, 32);
+}
+
+/**
+ * Check a link token
+ * Returns the appointment ID, or null with $error set
+ */
+function verifyManageToken($token, &$error = null) {
+  if (!preg_match('/^(\d+)\.(\d+)\.([0-9a-f]{32})$/', (string)$token, $parts)) {
+    $error = 'Invalid link';
+    return null;
+  }
+  $expected = substr(hash_hmac('sha256', 'manage.' . $parts[1] . '.' . $parts[2], getLinkSecret()), 0, 32);
+  if (!hash_equals($expected, $parts[3])) {
+    $error = 'Invalid link';
+    return null;
+  }
+  if ((int)$parts[2] <= time()) {
+    $error = 'This link has expired';
+    return null;
+  }
+  return (int)$parts[1];
+}
+
+/**
+ * Base URL of the app ("https://host/path/"), or null when unknown
+ * Uses selfService.publicUrl, falling back to the current web request
+ */
+function getPublicBaseUrl($settings) {
+  $publicUrl = trim($settings['selfService']['publicUrl']);
+  if ($publicUrl !== '') {
+    return rtrim($publicUrl, '/') . '/';
+  }
+  if (PHP_SAPI === 'cli' || empty($_SERVER['HTTP_HOST'])) {
+    return null;
+  }
+
+  $scheme = (!empty($_SERVER['HTTPS']) && $_SERVER['HTTPS'] !== 'off') ? 'https' : 'http';
+  // Endpoints live in php/, the pages one level up
+  $path = rtrim(dirname(dirname($_SERVER['SCRIPT_NAME'])), '/\\');
+  return $scheme . '://' . $_SERVER['HTTP_HOST'] . $path . '/';
+}
+
+/**
+ * Link to manage.html for an appointment, or null when no base URL is known
+ */
+function getManageUrl($appointment, $settings) {
+  $baseUrl = getPublicBaseUrl($settings);
+  if ($baseUrl === null) {
+    return null;
+  }
+  return $baseUrl . 'manage.html?token=' . rawurlencode(createManageToken($appointment));
+}
+?>
@@ -0,0 +1,178 @@
+<?php
+/**
+ * Beauty Salon Management System - Loyalty Points
+ *
+ * Used by php/appointments.php, php/incomes.php, php/clients.php and
+ * php/services.php.
+ *
+ * Clients earn points when a completed visit is recorded as income
+ * (createIncomeFromAppointment): loyalty.pointsPerCurrency per currency unit
+ * paid, rounded down, or the service's own loyaltyPoints when it has them.
+ * Points can be redeemed when an appointment is completed, as a discount of
+ * loyalty.pointValue per point taken off the income amount; points are then
+ * earned on what was actually paid.
+ *
+ * Each client keeps a balance and a ledger:
+ *   "loyaltyPoints": 40,
+ *   "loyaltyLedger": [
+ *     {"date": "2025-01-10T14:05:00", "type": "earn", "points": 45, "appointmentId": 12}
+ *   ]
+ * Entry types are earn, redeem (negative points) and reversal. Removing an
+ * appointment's income (deleteIncomeByAppointmentId) adds a reversal that
+ * cancels whatever that appointment still nets, so running it twice is
+ * harmless. A reversal can leave a negative balance when the earned points
+ * were already spent; no points can be redeemed until it is positive again.
+ *
+ * Expects the $clientsFile and $settingsFile globals.
+ */
+
+require_once __DIR__ . '/settings.php';
+
+/**
+ * Whether a value is a whole number of points (0 or more)
+ */
+function isWholePointCount($value) {
+  return is_numeric($value) && $value >= 0 && floor($value) == $value;
+}
+
+/**
+ * Points earned for paying $amount for $service
+ */
+function calculateLoyaltyPoints($amount, $service, $loyalty) {
+  if (empty($loyalty['enabled'])) {
+    return 0;
+  }
+  if (isset($service['loyaltyPoints'])) {
+    return (int)$service['loyaltyPoints'];
+  }
+  return max(0, (int)floor($amount * $loyalty['pointsPerCurrency'] + 0.000001));
+}
+
+/**
+ * Check points a client wants to redeem when completing an appointment
+ * Returns the number of points (0 when none), or null with $error set
+ */
+function checkLoyaltyRedemption($points, $clientId, $completing, &$error = null) {
+  if ($points === null || $points === '' || $points == 0) {
+    return 0;
+  }
+  if (!isWholePointCount($points)) {
+    $error = 'Points to redeem must be a whole number';
+    return null;
+  }
+  if (!$completing) {
+    $error = 'Points can only be redeemed when completing an appointment';
+    return null;
+  }
+  if (empty(loadSettings()['loyalty']['enabled'])) {
+    $error = 'The loyalty program is turned off';
+    return null;
+  }
+
+  $balance = getClientLoyaltyBalance($clientId);
+  if ($points > $balance) {
+    $error = "The client only has {$balance} point(s)";
+    return null;
+  }
+  return (int)$points;
+}
+
+/**
+ * Current points balance of a client (0 when not found)
+ */
+function getClientLoyaltyBalance($clientId) {
+  global $clientsFile;
+
+  $clients = json_decode(file_get_contents($clientsFile), true) ?? [];
+  foreach ($clients as $client) {
+    if ($client['id'] === $clientId) {
+      return (int)($client['loyaltyPoints'] ?? 0);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Add the points redeemed and earned on a completed visit to the client
+ * Returns false when the client no longer exists
+ */
+function recordLoyaltyVisit($appointment, $earned, $redeemed) {
+  $entries = [];
+  if ($redeemed > 0) {
+    $entries[] = ['type' => 'redeem', 'points' => -$redeemed];
+  }
+  if ($earned > 0) {
+    $entries[] = ['type' => 'earn', 'points' => $earned];
+  }
+  if (empty($entries)) {
+    return true;
+  }
+
+  return updateClientLedger(function($client) use ($appointment, $entries) {
+    if ($client['id'] !== $appointment['clientId']) {
+      return [];
+    }
+    return $entries;
+  }, $appointment['id']);
+}
+
+/**
+ * Cancel the points an appointment earned and give back those it redeemed
+ * Returns the points taken off (negative when points were given back)
+ */
+function reverseLoyaltyForAppointment($appointmentId) {
+  $reversed = 0;
+  updateClientLedger(function($client) use ($appointmentId, &$reversed) {
+    $net = 0;
+    foreach ($client['loyaltyLedger'] ?? [] as $entry) {
+      if (($entry['appointmentId'] ?? null) === $appointmentId) {
+        $net += $entry['points'];
+      }
+    }
+    if ($net === 0) {
+      return [];
+    }
+    $reversed += $net;
+    return [['type' => 'reversal', 'points' => -$net]];
+  }, $appointmentId);
+  return $reversed;
+}
+
+/**
+ * Append ledger entries to clients under the clients.json lock
+ * $entriesFor($client) returns the entries ({type, points}) for that client.
+ * Returns whether any client was changed.
+ */
+function updateClientLedger($entriesFor, $appointmentId) {
+  global $clientsFile;
+
+  $handle = fopen($clientsFile, 'r+');
+  flock($handle, LOCK_EX);
+  $clients = json_decode(file_get_contents($clientsFile), true) ?? [];
+
+  $changed = false;
+  foreach ($clients as &$client) {
+    foreach ($entriesFor($client) as $entry) {
+      $client['loyaltyLedger'][] = [
+        'date' => date('Y-m-d\TH:i:s'),
+        'type' => $entry['type'],
+        'points' => $entry['points'],
+        'appointmentId' => $appointmentId
+      ];
+      $client['loyaltyPoints'] = (int)($client['loyaltyPoints'] ?? 0) + $entry['points'];
+      $changed = true;
+    }
+  }
+  unset($client);
+
+  if ($changed) {
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($clients, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  }
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  return $changed;
+}
+?>
@@ -0,0 +1,448 @@
+<?php
+/**
+ * Beauty Salon Management System - Appointment Emails
+ * 
+ * Shared by php/appointments.php, php/settings.php and the CLI scripts in
+ * php/cli/. Expects the $clientsFile, $staffFile, $servicesFile and
+ * $settingsFile globals to be set by the including script.
+ *
+ * Emails are rendered from the editable templates in settings (HTML with
+ * {{placeholder}} tags, wrapped in a branded layout) and delivered by the
+ * configured transport:
+ * - log: only written to error_log (default, for development)
+ * - mail: PHP mail() using the server's sendmail setup
+ * - smtp: built-in SMTP client (AUTH LOGIN, STARTTLS or implicit SSL)
+ *
+ * Appointment emails carry an appointment.ics invite (see includes/ics.php) so
+ * the client's calendar app can add, update or remove the event.
+ *
+ * Emails about a pending appointment also carry a signed link to manage.html
+ * where the client can cancel or reschedule (see includes/links.php).
+ */
+
+require_once __DIR__ . '/settings.php';
+require_once __DIR__ . '/ics.php';
+require_once __DIR__ . '/links.php';
+require_once __DIR__ . '/appointment-lines.php';
+
+/**
+ * Send email notification to client
+ * Called after every appointment mutation (create/edit/delete/status change)
+ * and by the reminder dispatcher (action 'reminder')
+ *
+ * $action selects the template: created, updated, cancelled, status_changed
+ * or reminder. Placeholders available in templates:
+ * - {{clientName}}, {{staffName}}, {{serviceName}} (all staff and services
+ *   of a multi-service appointment, see includes/appointment-lines.php)
+ * - {{date}}, {{time}}, {{endTime}}, {{status}}
+ * - {{salonName}}, {{salonEmail}}, {{salonPhone}}, {{salonAddress}}, {{salonWebsite}}
+ * - {{manageUrl}}: cancel/reschedule link (empty when the appointment is not
+ *   pending); added below the template when the template does not use it
+ *
+ * The attached invite uses METHOD:CANCEL for cancellations and deleted
+ * statuses, METHOD:REQUEST otherwise, with the appointment's icsSequence.
+ *
+ * Returns true once the email has been handed to the mail system
+ */
+function sendAppointmentEmail($clientId, $appointment, $action) {
+  global $clientsFile, $staffFile, $servicesFile;
+
+  try {
+    // Validate appointment data
+    if (!$appointment || !isset($appointment['date']) || !isset($appointment['time'])) {
+      error_log("Invalid appointment data for email: " . json_encode($appointment));
+      return false;
+    }
+
+    // Load related files with error checking
+    $clientContent = @file_get_contents($clientsFile);
+    $clients = $clientContent ? json_decode($clientContent, true) ?? [] : [];
+
+    $staffContent = @file_get_contents($staffFile);
+    $staff = $staffContent ? json_decode($staffContent, true) ?? [] : [];
+
+    $serviceContent = @file_get_contents($servicesFile);
+    $services = $serviceContent ? json_decode($serviceContent, true) ?? [] : [];
+
+    // Find client
+    $client = null;
+    foreach ($clients as $c) {
+      if (isset($c['id']) && $c['id'] === $clientId) {
+        $client = $c;
+        break;
+      }
+    }
+
+    if (!$client || !isset($client['email'])) {
+      error_log("Client not found or no email for clientId: $clientId");
+      return false; // Client not found, skip email
+    }
+
+    // Find staff
+    $staffMember = null;
+    if (isset($appointment['staffId'])) {
+      foreach ($staff as $s) {
+        if (isset($s['id']) && $s['id'] === $appointment['staffId']) {
+          $staffMember = $s;
+          break;
+        }
+      }
+    }
+
+    // Find service
+    $service = null;
+    if (isset($appointment['serviceId'])) {
+      foreach ($services as $svc) {
+        if (isset($svc['id']) && $svc['id'] === $appointment['serviceId']) {
+          $service = $svc;
+          break;
+        }
+      }
+    }
+
+    // Format appointment details with null checks
+    if (!isset($appointment['date']) || empty($appointment['date'])) {
+      error_log("Appointment has no date");
+      return false;
+    }
+
+    // Parse date safely
+    $dateTimestamp = strtotime($appointment['date']);
+    if ($dateTimestamp === false) {
+      error_log("Invalid date format: " . $appointment['date']);
+      return false;
+    }
+    $formattedDate = date('F j, Y', $dateTimestamp);
+
+    // Get appointment time
+    $appointmentTime = isset($appointment['time']) ? $appointment['time'] : 'Not specified';
+
+    // Get names with fallbacks
+    $staffName = ($staffMember && isset($staffMember['name'])) ? $staffMember['name'] : 'Not assigned';
+    $serviceName = ($service && isset($service['name'])) ? $service['name'] : 'Not specified';
+    if (!empty($appointment['lines'])) {
+      $staffName = describeAppointmentStaff($appointment, $staff);
+      $serviceName = describeAppointmentServices($appointment, $services);
+    }
+    $clientName = isset($client['name']) ? $client['name'] : 'Client';
+    $appointmentStatus = isset($appointment['status']) ? $appointment['status'] : 'pending';
+
+    // Render the template for this event
+    $settings = loadSettings();
+    $template = $settings['templates'][$action] ?? null;
+    if (!$template) {
+      error_log("Unknown email action: $action");
+      return false;
+    }
+
+    $placeholders = array_merge(getBrandingPlaceholders($settings), [
+      'clientName' => $clientName,
+      'staffName' => $staffName,
+      'serviceName' => $serviceName,
+      'date' => $formattedDate,
+      'time' => $appointmentTime,
+      'endTime' => $appointment['endTime'] ?? $appointmentTime,
+      'status' => $appointmentStatus,
+      'manageUrl' => ''
+    ]);
+
+    // Self-service link for appointments the client can still change
+    if ($appointmentStatus === 'pending' && $action !== 'cancelled' && isset($appointment['id'])) {
+      $placeholders['manageUrl'] = getManageUrl($appointment, $settings) ?? '';
+    }
+
+    $subject = renderEmailTemplate($template['subject'], $placeholders, false);
+    $content = renderEmailTemplate($template['body'], $placeholders, true);
+    if ($placeholders['manageUrl'] !== '' && !preg_match('/\{\{\s*manageUrl\s*\}\}/', $template['body'])) {
+      $content .= '<p><a href="' . htmlspecialchars($placeholders['manageUrl'], ENT_QUOTES, 'UTF-8') . '">' .
+        'Need to cancel or reschedule? Manage your appointment online.</a></p>';
+    }
+    $html = renderEmailLayout($content, $settings);
+
+    if (empty($subject) || empty($html)) {
+      error_log("Email subject or body is empty");
+      return false;
+    }
+
+    // Calendar invite for the client's calendar app
+    $cancelled = $action === 'cancelled' || in_array($appointmentStatus, ['deleted_by_user', 'deleted_by_staff']);
+    $method = $cancelled ? 'CANCEL' : 'REQUEST';
+    $event = buildIcsEvent($appointment, [
+      'summary' => $serviceName . ' - ' . $settings['branding']['salonName'],
+      'description' => "Service: $serviceName\nStaff: $staffName",
+      'endTime' => getIcsEndTime($appointment, $service),
+      'attendeeName' => $clientName,
+      'attendeeEmail' => $client['email']
+    ], $settings, $cancelled ? 'CANCELLED' : 'CONFIRMED');
+    $attachments = [[
+      'filename' => 'appointment.ics',
+      'contentType' => 'text/calendar; charset=UTF-8; method=' . $method,
+      'content' => buildIcsCalendar([$event], $method)
+    ]];
+
+    $to = $client['email'];
+    $error = null;
+    if (!sendMail($to, $subject, $html, $settings, $error, $attachments)) {
+      error_log("Failed to send email to: $to | Action: $action | Error: $error");
+      return false;
+    }
+
+    // Log email for debugging (stores in system logs)
+    error_log("Email sent to: $to | Subject: $subject | Action: $action | Transport: {$settings['mail']['transport']} | Appointment: " . json_encode($appointment));
+    return true;
+
+  } catch (Exception $e) {
+    // Log error but don't fail the appointment operation
+    error_log("Failed to send email: " . $e->getMessage() . " | Appointment: " . json_encode($appointment));
+    return false;
+  }
+}
+
+/**
+ * Placeholder values for the salon branding
+ */
+function getBrandingPlaceholders($settings) {
+  $branding = $settings['branding'];
+  return [
+    'salonName' => $branding['salonName'],
+    'salonEmail' => $branding['email'],
+    'salonPhone' => $branding['phone'],
+    'salonAddress' => $branding['address'],
+    'salonWebsite' => $branding['website']
+  ];
+}
+
+/**
+ * Replace {{placeholder}} tags in a template
+ * Stored values are HTML-encoded by sanitizeInput, so they are decoded first
+ * and re-escaped only for HTML output. Unknown tags are left untouched.
+ */
+function renderEmailTemplate($template, $placeholders, $html) {
+  return preg_replace_callback('/\{\{\s*(\w+)\s*\}\}/', function($match) use ($placeholders, $html) {
+    if (!array_key_exists($match[1], $placeholders)) {
+      return $match[0];
+    }
+    $value = html_entity_decode((string)$placeholders[$match[1]], ENT_QUOTES, 'UTF-8');
+    return $html ? htmlspecialchars($value, ENT_QUOTES, 'UTF-8') : $value;
+  }, $template);
+}
+
+/**
+ * Wrap rendered template content in the branded HTML layout
+ */
+function renderEmailLayout($content, $settings) {
+  $branding = $settings['branding'];
+  $escape = function($value) {
+    return htmlspecialchars(html_entity_decode((string)$value, ENT_QUOTES, 'UTF-8'), ENT_QUOTES, 'UTF-8');
+  };
+  $color = preg_match('/^#[0-9a-fA-F]{6}$/', $branding['color']) ? $branding['color'] : '#0d6efd';
+
+  $contact = array_filter([$branding['address'], $branding['phone'], $branding['email'], $branding['website']]);
+  $footer = implode(' &middot; ', array_map($escape, $contact));
+
+  return '<!DOCTYPE html><html><head><meta charset="UTF-8"></head>' .
+    '<body style="margin:0;padding:0;background:#f8f9fa;font-family:Segoe UI,Tahoma,Arial,sans-serif;color:#212529;">' .
+    '<div style="max-width:600px;margin:0 auto;background:#ffffff;">' .
+    '<div style="background:' . $color . ';color:#ffffff;padding:20px;font-size:22px;font-weight:bold;">' . $escape($branding['salonName']) . '</div>' .
+    '<div style="padding:20px;font-size:15px;line-height:1.5;">' . $content .
+    '<p>Thank you for choosing ' . $escape($branding['salonName']) . '!</p></div>' .
+    '<div style="padding:15px 20px;font-size:12px;color:#6c757d;border-top:1px solid #dee2e6;">' . $footer . '</div>' .
+    '</div></body></html>';
+}
+
+/**
+ * Plain-text alternative of an HTML email
+ */
+function htmlToText($html) {
+  $text = preg_replace('/<(head|style)\b.*?<\/\1>/is', '', $html);
+  // Keep link targets, e.g. the manage link
+  $text = preg_replace('/<a\s[^>]*href="([^"]+)"[^>]*>(.*?)<\/a>/is', '$2 ($1)', $text);
+  $text = preg_replace('/<\/(p|div|tr|h\d)>|<br\s*\/?>/i', "\n", $text);
+  $text = preg_replace('/<\/td>/i', ' ', $text);
+  $text = html_entity_decode(strip_tags($text), ENT_QUOTES, 'UTF-8');
+  $text = preg_replace('/[ \t]+/', ' ', $text);
+  $text = preg_replace('/ *\n */', "\n", $text);
+  return trim(preg_replace("/\n{3,}/", "\n\n", $text));
+}
+
+/**
+ * Deliver an HTML email with the configured transport
+ * $attachments: [['filename' => ..., 'contentType' => ..., 'content' => ...]]
+ * Returns false and sets $error when delivery fails
+ */
+function sendMail($to, $subject, $html, $settings, &$error = null, $attachments = []) {
+  $mail = $settings['mail'];
+  $message = buildMimeMessage($mail, $to, $subject, $html, $attachments);
+
+  try {
+    switch ($mail['transport']) {
+      case 'log':
+        $attached = $attachments ? ' | Attachments: ' . implode(', ', array_column($attachments, 'filename')) : '';
+        error_log("Email (log transport) to: $to | Subject: $subject$attached\n" . htmlToText($html));
+        return true;
+
+      case 'mail':
+        // mail() adds To and Subject itself
+        $headers = array_filter($message['headers'], function($header) {
+          return stripos($header, 'To:') !== 0 && stripos($header, 'Subject:') !== 0;
+        });
+        if (!mail($to, encodeMailHeader($subject), $message['body'], implode("\r\n", $headers))) {
+          throw new Exception('mail() returned false');
+        }
+        return true;
+
+      case 'smtp':
+        smtpSend($mail['smtp'], $mail['fromEmail'], $to, implode("\r\n", $message['headers']) . "\r\n\r\n" . $message['body']);
+        return true;
+
+      default:
+        throw new Exception('Unknown mail transport: ' . $mail['transport']);
+    }
+  } catch (Exception $e) {
+    $error = $e->getMessage();
+    return false;
+  }
+}
+
+/**
+ * Encode a header value (subject, names) as UTF-8 when it is not plain ASCII
+ */
+function encodeMailHeader($value) {
+  if (!preg_match('/[^\x20-\x7E]/', $value)) {
+    return $value;
+  }
+  return '=?UTF-8?B?' . base64_encode($value) . '?=';
+}
+
+/**
+ * Build a multipart/alternative (text + HTML) message, wrapped in
+ * multipart/mixed when there are attachments (base64 encoded)
+ * Returns ['headers' => list of header lines, 'body' => encoded body]
+ */
+function buildMimeMessage($mail, $to, $subject, $html, $attachments = []) {
+  $boundary = 'alt_' . bin2hex(random_bytes(12));
+  $domain = substr(strrchr($mail['fromEmail'], '@'), 1) ?: 'localhost';
+
+  $headers = [
+    'Date: ' . date('r'),
+    'From: ' . encodeMailHeader($mail['fromName']) . ' <' . $mail['fromEmail'] . '>',
+    'To: <' . $to . '>',
+    'Subject: ' . encodeMailHeader($subject),
+    'Message-ID: <' . bin2hex(random_bytes(16)) . '@' . $domain . '>',
+    'MIME-Version: 1.0'
+  ];
+  if (!empty($mail['replyTo'])) {
+    $headers[] = 'Reply-To: ' . $mail['replyTo'];
+  }
+
+  $body = "--$boundary\r\n" .
+    "Content-Type: text/plain; charset=UTF-8\r\n" .
+    "Content-Transfer-Encoding: quoted-printable\r\n\r\n" .
+    quoted_printable_encode(str_replace("\n", "\r\n", htmlToText($html))) . "\r\n" .
+    "--$boundary\r\n" .
+    "Content-Type: text/html; charset=UTF-8\r\n" .
+    "Content-Transfer-Encoding: quoted-printable\r\n\r\n" .
+    quoted_printable_encode($html) . "\r\n" .
+    "--$boundary--\r\n";
+
+  if (empty($attachments)) {
+    $headers[] = 'Content-Type: multipart/alternative; boundary="' . $boundary . '"';
+    return ['headers' => $headers, 'body' => $body];
+  }
+
+  $mixedBoundary = 'mixed_' . bin2hex(random_bytes(12));
+  $headers[] = 'Content-Type: multipart/mixed; boundary="' . $mixedBoundary . '"';
+  $mixed = "--$mixedBoundary\r\n" .
+    "Content-Type: multipart/alternative; boundary=\"$boundary\"\r\n\r\n" .
+    $body;
+  foreach ($attachments as $attachment) {
+    $mixed .= "--$mixedBoundary\r\n" .
+      "Content-Type: {$attachment['contentType']}; name=\"{$attachment['filename']}\"\r\n" .
+      "Content-Disposition: attachment; filename=\"{$attachment['filename']}\"\r\n" .
+      "Content-Transfer-Encoding: base64\r\n\r\n" .
+      chunk_split(base64_encode($attachment['content']), 76, "\r\n");
+  }
+  $mixed .= "--$mixedBoundary--\r\n";
+
+  return ['headers' => $headers, 'body' => $mixed];
+}
+
+/**
+ * Send a raw message over SMTP
+ * encryption: 'none', 'tls' (STARTTLS) or 'ssl' (implicit TLS, usually port 465)
+ * Throws Exception with the server reply when a command fails
+ */
+function smtpSend($smtp, $from, $to, $data) {
+  $encryption = $smtp['encryption'] ?? 'none';
+  $remote = ($encryption === 'ssl' ? 'ssl://' : 'tcp://') . $smtp['host'] . ':' . (int)$smtp['port'];
+  $timeout = (int)($smtp['timeout'] ?? 10);
+
+  $socket = @stream_socket_client($remote, $errno, $errstr, $timeout);
+  if (!$socket) {
+    throw new Exception("Could not connect to SMTP server {$smtp['host']}:{$smtp['port']}: $errstr");
+  }
+  stream_set_timeout($socket, $timeout);
+
+  try {
+    $hostname = gethostname() ?: 'localhost';
+    smtpCommand($socket, null, [220]);
+    smtpCommand($socket, "EHLO $hostname", [250]);
+
+    if ($encryption === 'tls') {
+      smtpCommand($socket, 'STARTTLS', [220]);
+      if (!stream_socket_enable_crypto($socket, true, STREAM_CRYPTO_METHOD_TLS_CLIENT)) {
+        throw new Exception('STARTTLS negotiation failed');
+      }
+      smtpCommand($socket, "EHLO $hostname", [250]);
+    }
+
+    if (!empty($smtp['username'])) {
+      smtpCommand($socket, 'AUTH LOGIN', [334]);
+      smtpCommand($socket, base64_encode($smtp['username']), [334], 'AUTH username');
+      smtpCommand($socket, base64_encode($smtp['password'] ?? ''), [235], 'AUTH password');
+    }
+
+    smtpCommand($socket, "MAIL FROM:<$from>", [250]);
+    smtpCommand($socket, "RCPT TO:<$to>", [250, 251]);
+    smtpCommand($socket, 'DATA', [354]);
+
+    // Normalize line endings and dot-stuff lines starting with "."
+    $data = preg_replace("/\r?\n/", "\r\n", $data);
+    $data = preg_replace('/^\./m', '..', $data);
+    smtpCommand($socket, $data . "\r\n.", [250], 'message data');
+    smtpCommand($socket, 'QUIT', [221]);
+  } finally {
+    fclose($socket);
+  }
+}
+
+/**
+ * Write an SMTP command (null = just read the greeting) and check the reply code
+ * $label replaces the command in error messages (keeps credentials out of logs)
+ * Returns the full (possibly multi-line) reply
+ */
+function smtpCommand($socket, $command, $expectedCodes, $label = null) {
+  if ($command !== null) {
+    fwrite($socket, $command . "\r\n");
+  }
+
+  $reply = '';
+  while (($line = fgets($socket, 515)) !== false) {
+    $reply .= $line;
+    // Multi-line replies use "250-" on every line but the last
+    if (strlen($line) < 4 || $line[3] !== '-') {
+      break;
+    }
+  }
+
+  $code = (int)substr($reply, 0, 3);
+  if (!in_array($code, $expectedCodes)) {
+    $sent = $label ?? ($command === null ? 'connect' : strtok($command, ' '));
+    if ($reply === '') {
+      $reply = 'no reply (connection closed or timed out)';
+    }
+    throw new Exception("SMTP error after $sent: " . trim($reply));
+  }
+  return $reply;
+}
+?>
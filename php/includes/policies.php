@@ -0,0 +1,259 @@
+<?php
+/**
+ * Beauty Salon Management System - No-Show and Late-Cancellation Policy
+ *
+ * Used by php/appointments.php whenever an appointment's status changes
+ * (updateStatus, edit and the client cancel link).
+ *
+ * An incident is a no-show, or a cancellation by the client (deleted_by_user)
+ * made less than policy.lateCancelHours before the start. Late cancellations
+ * are marked on the appointment (lateCancellation: true) when they happen.
+ * When policy.enabled is set, each new incident counts the client's incidents
+ * over the last policy.windowMonths months and, once a threshold is reached
+ * (0 = never):
+ *   flagBadAfter - the client is flagged as bad (badClientReason says why)
+ *   depositAfter - future bookings need a deposit of depositAmount
+ *                  (depositRequired + depositReason on the client; online
+ *                  booking asks them to call)
+ *   feeAfter     - a noShowFee / lateCancelFee income line is recorded
+ * Undoing an incident (e.g. no_show back to complete) removes its fee; flags
+ * stay until staff clear them in the client form.
+ *
+ * Expects the $appointmentsFile, $clientsFile, $incomesFile and $settingsFile
+ * globals.
+ */
+
+require_once __DIR__ . '/settings.php';
+
+// Income type of policy fees (service incomes have no type)
+const POLICY_FEE_INCOME_TYPE = 'fee';
+
+/**
+ * Whether a cancellation made now is late for the appointment
+ */
+function isLateCancellation($appointment, $policy) {
+  $start = strtotime($appointment['date'] . ' ' . $appointment['time']);
+  return $start - time() < $policy['lateCancelHours'] * 3600;
+}
+
+/**
+ * Whether an appointment counts as a no-show or late cancellation
+ */
+function isPolicyIncident($appointment) {
+  return $appointment['status'] === 'no_show' ||
+    ($appointment['status'] === 'deleted_by_user' && !empty($appointment['lateCancellation']));
+}
+
+/**
+ * Mark or clear the late cancellation flag of an appointment whose status
+ * just changed (called before it is saved)
+ */
+function markLateCancellation(&$appointment, $oldStatus) {
+  if ($appointment['status'] !== 'deleted_by_user') {
+    unset($appointment['lateCancellation']);
+  } elseif ($oldStatus !== 'deleted_by_user') {
+    $policy = loadSettings()['policy'];
+    if (isLateCancellation($appointment, $policy)) {
+      $appointment['lateCancellation'] = true;
+    } else {
+      unset($appointment['lateCancellation']);
+    }
+  }
+}
+
+/**
+ * A client's incidents dated within the last $windowMonths months
+ */
+function countClientIncidents($appointments, $clientId, $windowMonths) {
+  $since = date('Y-m-d', strtotime("-{$windowMonths} months"));
+  $count = 0;
+  foreach ($appointments as $apt) {
+    if ($apt['clientId'] === $clientId && $apt['date'] >= $since && isPolicyIncident($apt)) {
+      $count++;
+    }
+  }
+  return $count;
+}
+
+/**
+ * Apply the policy after an appointment's status changed
+ * $existing is the appointment before the change, $appointments the saved list.
+ * Returns what was done ({incidents, flaggedBad, depositRequired, fee}), or
+ * null when the change is no new incident or the policy is off.
+ */
+function applyAttendancePolicy($appointment, $existing, $appointments) {
+  $wasIncident = $existing && isPolicyIncident($existing);
+  $isIncident = isPolicyIncident($appointment);
+  if ($wasIncident && !$isIncident) {
+    deletePolicyFee($appointment['id']);
+  }
+  if (!$isIncident || $wasIncident) {
+    return null;
+  }
+
+  $policy = loadSettings()['policy'];
+  if (empty($policy['enabled'])) {
+    return null;
+  }
+
+  $incidents = countClientIncidents($appointments, $appointment['clientId'], $policy['windowMonths']);
+  $reason = "{$incidents} no-show(s) or late cancellation(s) in {$policy['windowMonths']} month(s), latest on {$appointment['date']}";
+  $reached = function($threshold) use ($incidents) {
+    return $threshold > 0 && $incidents >= $threshold;
+  };
+
+  $result = [
+    'incidents' => $incidents,
+    'flaggedBad' => false,
+    'depositRequired' => false,
+    'fee' => null
+  ];
+  if ($reached($policy['flagBadAfter']) || $reached($policy['depositAfter'])) {
+    $changes = flagPolicyClient($appointment['clientId'], $reached($policy['flagBadAfter']),
+      $reached($policy['depositAfter']), $reason);
+    $result['flaggedBad'] = $changes['flaggedBad'];
+    $result['depositRequired'] = $changes['depositRequired'];
+  }
+
+  $fee = $appointment['status'] === 'no_show' ? $policy['noShowFee'] : $policy['lateCancelFee'];
+  if ($reached($policy['feeAfter']) && $fee > 0) {
+    $result['fee'] = createPolicyFee($appointment, $fee);
+  }
+  return $result;
+}
+
+/**
+ * Flag a client as bad and/or as needing a deposit, with the reason
+ * Returns which flags were newly set
+ */
+function flagPolicyClient($clientId, $flagBad, $requireDeposit, $reason) {
+  global $clientsFile;
+
+  $handle = fopen($clientsFile, 'r+');
+  flock($handle, LOCK_EX);
+  $clients = json_decode(file_get_contents($clientsFile), true) ?? [];
+
+  $changes = ['flaggedBad' => false, 'depositRequired' => false];
+  foreach ($clients as &$client) {
+    if ($client['id'] !== $clientId) {
+      continue;
+    }
+    if ($flagBad && empty($client['isBadClient'])) {
+      $client['isBadClient'] = true;
+      $client['badClientReason'] = $reason;
+      $changes['flaggedBad'] = true;
+    }
+    if ($requireDeposit && empty($client['depositRequired'])) {
+      $client['depositRequired'] = true;
+      $client['depositReason'] = $reason;
+      $changes['depositRequired'] = true;
+    }
+  }
+  unset($client);
+
+  if ($changes['flaggedBad'] || $changes['depositRequired']) {
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($clients, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  }
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  return $changes;
+}
+
+/**
+ * Deposit new bookings of a client need, or null when none is required
+ */
+function getClientDepositAmount($clientId) {
+  global $clientsFile;
+
+  $clients = json_decode(file_get_contents($clientsFile), true) ?? [];
+  foreach ($clients as $client) {
+    if ($client['id'] === $clientId) {
+      return empty($client['depositRequired']) ? null : (float)loadSettings()['policy']['depositAmount'];
+    }
+  }
+  return null;
+}
+
+/**
+ * Record a no-show or late cancellation fee as an income line
+ * Returns the income, or null when the appointment already has a fee
+ */
+function createPolicyFee($appointment, $amount) {
+  global $incomesFile, $clientsFile, $staffFile;
+
+  $findName = function($file, $id) {
+    foreach (json_decode(file_get_contents($file), true) ?? [] as $record) {
+      if ($record['id'] === $id) {
+        return $record['name'];
+      }
+    }
+    return 'Unknown';
+  };
+
+  $handle = fopen($incomesFile, 'r+');
+  flock($handle, LOCK_EX);
+  $incomes = json_decode(file_get_contents($incomesFile), true) ?? [];
+
+  $maxId = 0;
+  foreach ($incomes as $inc) {
+    if ($inc['appointmentId'] === $appointment['id'] && ($inc['type'] ?? null) === POLICY_FEE_INCOME_TYPE) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      return null;
+    }
+    if ($inc['id'] > $maxId) {
+      $maxId = $inc['id'];
+    }
+  }
+
+  $fee = [
+    'id' => $maxId + 1,
+    'appointmentId' => $appointment['id'],
+    'type' => POLICY_FEE_INCOME_TYPE,
+    'clientName' => $findName($clientsFile, $appointment['clientId']),
+    'staffId' => $appointment['staffId'],
+    'staffName' => $findName($staffFile, $appointment['staffId']),
+    'serviceName' => $appointment['status'] === 'no_show' ? 'No-show fee' : 'Late cancellation fee',
+    'amount' => round((float)$amount, 2),
+    'date' => $appointment['date'],
+    'time' => $appointment['time'],
+    'status' => 'completed',
+    'paymentMethod' => 'cash',
+    'notes' => '',
+    'completedAt' => date('Y-m-d\TH:i:s')
+  ];
+  $incomes[] = $fee;
+  ftruncate($handle, 0);
+  rewind($handle);
+  fwrite($handle, json_encode($incomes, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  return $fee;
+}
+
+/**
+ * Remove the policy fee of an appointment (the incident was undone)
+ */
+function deletePolicyFee($appointmentId) {
+  global $incomesFile;
+
+  $handle = fopen($incomesFile, 'r+');
+  flock($handle, LOCK_EX);
+  $incomes = json_decode(file_get_contents($incomesFile), true) ?? [];
+  $remaining = array_values(array_filter($incomes, function($inc) use ($appointmentId) {
+    return !($inc['appointmentId'] === $appointmentId && ($inc['type'] ?? null) === POLICY_FEE_INCOME_TYPE);
+  }));
+
+  if (count($remaining) !== count($incomes)) {
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($remaining, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  }
+  flock($handle, LOCK_UN);
+  fclose($handle);
+}
+?>
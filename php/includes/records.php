@@ -0,0 +1,196 @@
+<?php
+/**
+ * Beauty Salon Management System - Record References and Archiving
+ *
+ * Shared by php/clients.php, php/staff.php, php/services.php and
+ * php/appointments.php.
+ *
+ * Appointments point at clients, staff and services by ID, so a referenced
+ * record is never removed outright:
+ * - delete refuses (409 + upcoming/past appointment counts) while any
+ *   appointment points at the record
+ * - upcoming appointments can be moved to another record first
+ *   (appointments.php?action=reassign)
+ * - archive keeps the record (archived: true) so past appointments still show
+ *   its name; archived records are left out of dropdowns and booking and can
+ *   be restored. Archiving is refused while upcoming appointments remain.
+ *
+ * Staff members and services count on every line of a multi-service
+ * appointment (see appointment-lines.php).
+ *
+ * Expects the $appointmentsFile global plus the file of the record type
+ * ($clientsFile, $staffFile or $servicesFile).
+ */
+
+require_once __DIR__ . '/appointment-lines.php';
+
+// How each record type is stored and referenced
+const RECORD_TYPES = [
+  'client' => [
+    'file' => 'clientsFile',
+    'label' => 'Client',
+    'matchFields' => ['email', 'phone', 'name'],
+    'appointmentField' => 'clientId',
+    'incomeField' => 'clientName'
+  ],
+  'staff' => [
+    'file' => 'staffFile',
+    'label' => 'Staff member',
+    'matchFields' => ['email', 'name'],
+    'appointmentField' => 'staffId',
+    'incomeField' => 'staffName'
+  ],
+  'service' => [
+    'file' => 'servicesFile',
+    'label' => 'Service',
+    'matchFields' => ['name'],
+    'appointmentField' => 'serviceId',
+    'incomeField' => 'serviceName'
+  ]
+];
+
+/**
+ * Whether an appointment is still to come (pending and not started yet)
+ */
+function isUpcomingAppointment($appointment) {
+  return $appointment['status'] === 'pending' &&
+    $appointment['date'] . ' ' . $appointment['time'] >= date('Y-m-d H:i');
+}
+
+/**
+ * Count the upcoming and past appointments pointing at a record
+ */
+function countRecordAppointments($appointments, $type, $id) {
+  $field = RECORD_TYPES[$type]['appointmentField'];
+  $counts = ['upcoming' => 0, 'past' => 0];
+  foreach ($appointments as $apt) {
+    if (appointmentUsesRecord($apt, $field, $id)) {
+      $counts[isUpcomingAppointment($apt) ? 'upcoming' : 'past']++;
+    }
+  }
+  return $counts;
+}
+
+/**
+ * Reason a record cannot be given new appointments, or null when it can
+ * Inactive services (active: false, see service-catalog.php) cannot either.
+ */
+function getRecordUnusableReason($type, $id) {
+  $config = RECORD_TYPES[$type];
+  $records = json_decode(file_get_contents($GLOBALS[$config['file']]), true) ?? [];
+  foreach ($records as $record) {
+    if ($record['id'] === $id) {
+      if (!empty($record['archived'])) {
+        return "{$config['label']} {$record['name']} is archived";
+      }
+      return ($record['active'] ?? true) === false ? "{$config['label']} {$record['name']} is inactive" : null;
+    }
+  }
+  return $config['label'] . ' not found';
+}
+
+/**
+ * Delete a record, or archive it when $archive is set
+ * Returns the removed or archived record, or null with $error/$errorCode set
+ * ($references holds the appointment counts when refused)
+ */
+function deleteRecord($type, $id, $archive, &$error = null, &$errorCode = null, &$references = null) {
+  global $appointmentsFile;
+
+  $config = RECORD_TYPES[$type];
+  $recordsFile = $GLOBALS[$config['file']];
+
+  // Lock order: appointments, then the record file (same as appointments.php)
+  $appointmentsHandle = fopen($appointmentsFile, 'r');
+  flock($appointmentsHandle, LOCK_SH);
+  $appointments = json_decode(file_get_contents($appointmentsFile), true) ?? [];
+  $handle = fopen($recordsFile, 'r+');
+  flock($handle, LOCK_EX);
+  $records = json_decode(file_get_contents($recordsFile), true) ?? [];
+
+  $index = null;
+  foreach ($records as $i => $record) {
+    if ($record['id'] === $id) {
+      $index = $i;
+      break;
+    }
+  }
+
+  $references = countRecordAppointments($appointments, $type, $id);
+  $noun = strtolower($config['label']);
+  $error = null;
+  if ($index === null) {
+    $error = $config['label'] . ' not found';
+    $errorCode = 404;
+  } elseif ($archive && $references['upcoming'] > 0) {
+    $error = "This {$noun} has {$references['upcoming']} upcoming appointment(s). Move or cancel them before archiving.";
+    $errorCode = 409;
+  } elseif (!$archive && $references['upcoming'] + $references['past'] > 0) {
+    $error = "This {$noun} has {$references['upcoming']} upcoming and {$references['past']} past appointment(s). " .
+      ($references['upcoming'] > 0 ? 'Move or cancel the upcoming ones, then archive it.' : 'Archive it instead.');
+    $errorCode = 409;
+  }
+  if ($error !== null) {
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    flock($appointmentsHandle, LOCK_UN);
+    fclose($appointmentsHandle);
+    return null;
+  }
+
+  $record = $records[$index];
+  if ($archive) {
+    $record['archived'] = true;
+    $records[$index] = $record;
+  } else {
+    array_splice($records, $index, 1);
+  }
+  ftruncate($handle, 0);
+  rewind($handle);
+  fwrite($handle, json_encode($records, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  flock($handle, LOCK_UN);
+  fclose($handle);
+  flock($appointmentsHandle, LOCK_UN);
+  fclose($appointmentsHandle);
+
+  return $record;
+}
+
+/**
+ * Bring an archived record back
+ * Returns the record, or null with $error/$errorCode set
+ */
+function restoreRecord($type, $id, &$error = null, &$errorCode = null) {
+  $config = RECORD_TYPES[$type];
+  $recordsFile = $GLOBALS[$config['file']];
+
+  $handle = fopen($recordsFile, 'r+');
+  flock($handle, LOCK_EX);
+  $records = json_decode(file_get_contents($recordsFile), true) ?? [];
+
+  $restored = null;
+  foreach ($records as &$record) {
+    if ($record['id'] === $id) {
+      unset($record['archived']);
+      $restored = $record;
+    }
+  }
+  unset($record);
+
+  if ($restored === null) {
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    $error = $config['label'] . ' not found';
+    $errorCode = 404;
+    return null;
+  }
+
+  ftruncate($handle, 0);
+  rewind($handle);
+  fwrite($handle, json_encode($records, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  return $restored;
+}
+?>
@@ -0,0 +1,190 @@
+<?php
+/**
+ * Beauty Salon Management System - Appointment Reminders
+ *
+ * Shared by php/appointments.php (schedules reminders whenever an appointment
+ * is saved) and php/cli/send-reminders.php (dispatches the due ones).
+ *
+ * Each appointment carries a "reminders" map keyed by reminder type:
+ *   "reminders": {
+ *     "24h": {"dueAt": "2024-12-22 10:00", "sentAt": "2024-12-22 10:05"},
+ *     "2h":  {"dueAt": "2024-12-23 08:00", "sentAt": null}
+ *   }
+ * A reminder is done once it has sentAt or skippedAt, so running the
+ * dispatcher again never sends the same reminder twice. While it is being
+ * sent it carries claimedAt (and lastError after a failed attempt).
+ */
+
+// Reminder types and how many minutes before the appointment they are due
+const REMINDER_OFFSETS = [
+  '24h' => 24 * 60,
+  '2h' => 2 * 60
+];
+
+// Minutes after which a reminder claimed by a run that never finished is sent again
+const REMINDER_CLAIM_MINUTES = 15;
+
+/**
+ * Build the reminders map for an appointment
+ * Keeps the previous reminders when date and time did not change; reminders
+ * whose due time has already passed when booking are not scheduled at all
+ */
+function scheduleAppointmentReminders($appointment, $previous = null, $now = null) {
+  if ($previous && isset($previous['reminders']) &&
+      $previous['date'] === $appointment['date'] && $previous['time'] === $appointment['time']) {
+    return $previous['reminders'];
+  }
+
+  $now = $now ?? time();
+  $start = strtotime($appointment['date'] . ' ' . $appointment['time']);
+  $reminders = [];
+  foreach (REMINDER_OFFSETS as $type => $minutes) {
+    $due = $start - $minutes * 60;
+    if ($due > $now) {
+      $reminders[$type] = ['dueAt' => date('Y-m-d H:i', $due), 'sentAt' => null];
+    }
+  }
+  return $reminders;
+}
+
+/**
+ * Send every due reminder and record the result on the appointment
+ * The appointments lock is only held to pick the due reminders and to save
+ * the results, never while emails go out, so the salon UI is not blocked by
+ * a slow mail server. Picked reminders are claimed (claimedAt) so an
+ * overlapping cron run leaves them alone; a claim older than
+ * REMINDER_CLAIM_MINUTES (a run that died) is picked up again.
+ * Only pending appointments get reminders; when several are due at once
+ * only the closest one is sent.
+ * Returns counts plus a log line per reminder handled.
+ */
+function dispatchDueReminders($appointmentsFile, $now, $dryRun = false) {
+  $summary = ['sent' => 0, 'skipped' => 0, 'failed' => 0, 'log' => []];
+  $nowText = date('Y-m-d H:i', $now);
+  $staleClaim = date('Y-m-d H:i', $now - REMINDER_CLAIM_MINUTES * 60);
+
+  $handle = fopen($appointmentsFile, 'r+');
+  flock($handle, LOCK_EX);
+  $content = file_get_contents($appointmentsFile);
+  $appointments = json_decode($content, true) ?? [];
+
+  $changed = false;
+  $toSend = [];
+  foreach ($appointments as &$apt) {
+    if ($apt['status'] !== 'pending') {
+      continue;
+    }
+
+    $start = strtotime($apt['date'] . ' ' . $apt['time']);
+
+    // Appointments saved before reminders existed: schedule every reminder
+    // (even overdue ones) for upcoming appointments so one still goes out
+    if (!isset($apt['reminders'])) {
+      $apt['reminders'] = $start > $now ? scheduleAppointmentReminders($apt, null, 0) : [];
+      $changed = true;
+    }
+
+    $due = [];
+    foreach ($apt['reminders'] as $type => $reminder) {
+      if (!empty($reminder['sentAt']) || !empty($reminder['skippedAt'])) {
+        continue;
+      }
+      if (!empty($reminder['claimedAt']) && $reminder['claimedAt'] > $staleClaim) {
+        // Being sent by another run
+        continue 2;
+      }
+      if ($start <= $now) {
+        // Appointment already started: the reminder is pointless now
+        $apt['reminders'][$type]['skippedAt'] = $nowText;
+        $summary['skipped']++;
+        $changed = true;
+      } else if ($reminder['dueAt'] <= $nowText) {
+        $due[$type] = REMINDER_OFFSETS[$type] ?? 0;
+      }
+    }
+    if (empty($due)) {
+      continue;
+    }
+
+    // Send only the closest reminder (e.g. the 2h one when cron missed the 24h one)
+    asort($due);
+    reset($due);
+    $sendType = key($due);
+    foreach (array_keys($due) as $type) {
+      if ($type !== $sendType) {
+        $apt['reminders'][$type]['skippedAt'] = $nowText;
+        $summary['skipped']++;
+      }
+    }
+
+    if ($dryRun) {
+      $summary['log'][] = "Would send {$sendType} reminder for appointment #{$apt['id']} ({$apt['date']} {$apt['time']})";
+      $summary['sent']++;
+      continue;
+    }
+
+    $apt['reminders'][$sendType]['claimedAt'] = $nowText;
+    $toSend[] = ['appointment' => $apt, 'type' => $sendType];
+    $changed = true;
+  }
+  unset($apt);
+
+  if ($changed && !$dryRun) {
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($appointments, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  }
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  if (empty($toSend)) {
+    return $summary;
+  }
+
+  // Send without holding the lock
+  $results = [];
+  foreach ($toSend as ['appointment' => $apt, 'type' => $sendType]) {
+    $sent = sendAppointmentEmail($apt['clientId'], $apt, 'reminder');
+    $results[$apt['id']] = ['type' => $sendType, 'dueAt' => $apt['reminders'][$sendType]['dueAt'], 'sent' => $sent];
+    if ($sent) {
+      $summary['sent']++;
+      $summary['log'][] = "Sent {$sendType} reminder for appointment #{$apt['id']} ({$apt['date']} {$apt['time']})";
+    } else {
+      $summary['failed']++;
+      $summary['log'][] = "Failed to send {$sendType} reminder for appointment #{$apt['id']}";
+    }
+  }
+
+  // Record the results; a reminder rescheduled meanwhile (other dueAt) is left as it is
+  $handle = fopen($appointmentsFile, 'r+');
+  flock($handle, LOCK_EX);
+  $content = file_get_contents($appointmentsFile);
+  $appointments = json_decode($content, true) ?? [];
+
+  foreach ($appointments as &$apt) {
+    $result = $results[$apt['id']] ?? null;
+    $reminder = $result ? ($apt['reminders'][$result['type']] ?? null) : null;
+    if (!$reminder || $reminder['dueAt'] !== $result['dueAt']) {
+      continue;
+    }
+    unset($reminder['claimedAt']);
+    if ($result['sent']) {
+      $reminder['sentAt'] = $nowText;
+      unset($reminder['lastError']);
+    } else {
+      // Left unsent so the next run retries it
+      $reminder['lastError'] = $nowText;
+    }
+    $apt['reminders'][$result['type']] = $reminder;
+  }
+  unset($apt);
+
+  ftruncate($handle, 0);
+  rewind($handle);
+  fwrite($handle, json_encode($appointments, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  return $summary;
+}
+?>
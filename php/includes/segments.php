@@ -0,0 +1,238 @@
+<?php
+/**
+ * Beauty Salon Management System - Client Tags and Segments
+ *
+ * Used by php/clients.php.
+ *
+ * Clients carry free-form tags ("bridal", "student"). Tags are stored
+ * lowercase and HTML-escaped like other client text, without repeats.
+ *
+ * A segment selects clients for a campaign by combining:
+ *   tags, tagMode  - clients with all (default) or any of the tags
+ *   inactiveDays   - last completed visit more than N days ago and nothing
+ *                    booked (clients who never visited are left out)
+ *   minSpent       - income recorded for their appointments of at least this
+ *   serviceId      - had this service at least once (completed, on any
+ *                    line of a multi-service appointment)
+ *   includeBad     - bad clients are left out unless set
+ * Archived clients are never part of a segment. Segments can be saved by
+ * name in data/segments.json (expects the $segmentsFile global).
+ */
+
+// Limits for a client's tags
+const MAX_CLIENT_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+// How a segment combines its tags
+const SEGMENT_TAG_MODES = ['all', 'any'];
+
+/**
+ * Clean a list of tags (array or comma separated text)
+ * Returns the tags, or null with $error set
+ */
+function normalizeClientTags($tags, &$error = null) {
+  if (is_string($tags)) {
+    $tags = explode(',', $tags);
+  }
+  if (!is_array($tags)) {
+    $error = 'Tags must be a list';
+    return null;
+  }
+
+  $clean = [];
+  foreach ($tags as $tag) {
+    $tag = mb_strtolower(trim(preg_replace('/\s+/', ' ', (string)$tag)));
+    if ($tag === '') {
+      continue;
+    }
+    if (mb_strlen($tag) > MAX_TAG_LENGTH) {
+      $error = 'Tags can be at most ' . MAX_TAG_LENGTH . ' characters long';
+      return null;
+    }
+    $tag = htmlspecialchars($tag, ENT_QUOTES, 'UTF-8');
+    if (!in_array($tag, $clean, true)) {
+      $clean[] = $tag;
+    }
+  }
+  if (count($clean) > MAX_CLIENT_TAGS) {
+    $error = 'A client can have at most ' . MAX_CLIENT_TAGS . ' tags';
+    return null;
+  }
+  return $clean;
+}
+
+/**
+ * Every tag in use with the number of clients carrying it, by name
+ */
+function collectClientTags($clients) {
+  $counts = [];
+  foreach ($clients as $client) {
+    foreach ($client['tags'] ?? [] as $tag) {
+      $counts[$tag] = ($counts[$tag] ?? 0) + 1;
+    }
+  }
+  ksort($counts);
+
+  $tags = [];
+  foreach ($counts as $tag => $count) {
+    $tags[] = ['tag' => (string)$tag, 'count' => $count];
+  }
+  return $tags;
+}
+
+/**
+ * Check segment criteria and fill in the defaults
+ * Returns the criteria, or null with $error set
+ */
+function normalizeSegmentCriteria($criteria, &$error = null) {
+  if (!is_array($criteria)) {
+    $error = 'Invalid segment criteria';
+    return null;
+  }
+
+  $tags = normalizeClientTags($criteria['tags'] ?? [], $error);
+  if ($tags === null) {
+    return null;
+  }
+  $tagMode = $criteria['tagMode'] ?? 'all';
+  if (!in_array($tagMode, SEGMENT_TAG_MODES, true)) {
+    $error = 'Invalid tag mode';
+    return null;
+  }
+
+  $numbers = [];
+  foreach (['inactiveDays', 'minSpent', 'serviceId'] as $field) {
+    $value = $criteria[$field] ?? null;
+    if ($value === null || $value === '') {
+      $numbers[$field] = null;
+    } elseif (!is_numeric($value) || $value < 0) {
+      $error = "Invalid {$field}";
+      return null;
+    } else {
+      $numbers[$field] = $field === 'minSpent' ? (float)$value : (int)$value;
+    }
+  }
+
+  return [
+    'tags' => $tags,
+    'tagMode' => $tagMode,
+    'inactiveDays' => $numbers['inactiveDays'],
+    'minSpent' => $numbers['minSpent'],
+    'serviceId' => $numbers['serviceId'],
+    'includeBad' => !empty($criteria['includeBad'])
+  ];
+}
+
+/**
+ * Visits, last visit, spending, services used and whether something is
+ * booked, per client ID
+ * Incomes are matched through their appointment, including appointments
+ * only left in the client's history
+ */
+function getClientSegmentStats($clients, $appointments, $incomes) {
+  $stats = [];
+  $clientOfAppointment = [];
+  foreach ($clients as $client) {
+    $stats[$client['id']] = ['visits' => 0, 'lastVisit' => null, 'spent' => 0.0, 'serviceIds' => [], 'upcoming' => false];
+    foreach ($client['appointments'] ?? [] as $entry) {
+      $clientOfAppointment[$entry['appointmentId']] = $client['id'];
+    }
+  }
+
+  foreach ($appointments as $apt) {
+    $clientOfAppointment[$apt['id']] = $apt['clientId'];
+    if (!isset($stats[$apt['clientId']])) {
+      continue;
+    }
+    $clientStats = &$stats[$apt['clientId']];
+    if ($apt['status'] === 'complete') {
+      $clientStats['visits']++;
+      if ($apt['date'] > (string)$clientStats['lastVisit']) {
+        $clientStats['lastVisit'] = $apt['date'];
+      }
+      foreach (getAppointmentLines($apt) as $line) {
+        $clientStats['serviceIds'][$line['serviceId']] = true;
+      }
+    } elseif (isUpcomingAppointment($apt)) {
+      $clientStats['upcoming'] = true;
+    }
+    unset($clientStats);
+  }
+
+  foreach ($incomes as $income) {
+    $clientId = $clientOfAppointment[$income['appointmentId'] ?? null] ?? null;
+    if ($clientId !== null && isset($stats[$clientId])) {
+      $stats[$clientId]['spent'] += (float)($income['amount'] ?? 0);
+    }
+  }
+  return $stats;
+}
+
+/**
+ * Clients matching segment criteria, with their visits, last visit and
+ * spending, sorted by name
+ */
+function findSegmentClients($clients, $appointments, $incomes, $criteria) {
+  $stats = getClientSegmentStats($clients, $appointments, $incomes);
+  $cutoff = $criteria['inactiveDays'] !== null ? date('Y-m-d', strtotime("-{$criteria['inactiveDays']} days")) : null;
+
+  $matches = [];
+  foreach ($clients as $client) {
+    $clientStats = $stats[$client['id']];
+    if (!empty($client['archived']) || (!$criteria['includeBad'] && !empty($client['isBadClient']))) {
+      continue;
+    }
+    if (!empty($criteria['tags'])) {
+      $shared = array_intersect($criteria['tags'], $client['tags'] ?? []);
+      if ($criteria['tagMode'] === 'all' ? count($shared) < count($criteria['tags']) : empty($shared)) {
+        continue;
+      }
+    }
+    if ($cutoff !== null &&
+        ($clientStats['lastVisit'] === null || $clientStats['lastVisit'] >= $cutoff || $clientStats['upcoming'])) {
+      continue;
+    }
+    if ($criteria['minSpent'] !== null && $clientStats['spent'] < $criteria['minSpent']) {
+      continue;
+    }
+    if ($criteria['serviceId'] !== null && !isset($clientStats['serviceIds'][$criteria['serviceId']])) {
+      continue;
+    }
+
+    $matches[] = [
+      'id' => $client['id'],
+      'name' => $client['name'],
+      'email' => $client['email'],
+      'phone' => $client['phone'] ?? '',
+      'tags' => $client['tags'] ?? [],
+      'isVIP' => (bool)($client['isVIP'] ?? false),
+      'visits' => $clientStats['visits'],
+      'lastVisit' => $clientStats['lastVisit'],
+      'spent' => round($clientStats['spent'], 2)
+    ];
+  }
+
+  usort($matches, function($a, $b) {
+    return strcasecmp($a['name'], $b['name']) ?: $a['id'] <=> $b['id'];
+  });
+  return $matches;
+}
+
+/**
+ * Saved segments, by name
+ */
+function loadSegments() {
+  global $segmentsFile;
+
+  $handle = fopen($segmentsFile, 'r');
+  flock($handle, LOCK_SH);
+  $segments = json_decode(file_get_contents($segmentsFile), true) ?? [];
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  usort($segments, function($a, $b) {
+    return strcasecmp($a['name'], $b['name']);
+  });
+  return $segments;
+}
+?>
@@ -0,0 +1,88 @@
+<?php
+/**
+ * Beauty Salon Management System - Service Catalog
+ *
+ * Used by php/services.php (fields, list order), php/appointments.php
+ * (booking options) and php/incomes.php (income by category).
+ *
+ * Besides name, duration and price a service carries:
+ *   category     - free text ("Hair", "Nails"); services without one are
+ *                  listed under SERVICE_UNCATEGORIZED
+ *   description  - shown on the public booking page (up to
+ *                  SERVICE_DESCRIPTION_MAX_LENGTH characters)
+ *   displayOrder - position in lists and dropdowns (lower first, then by
+ *                  name); categories appear in the order of their first service
+ *   active       - false takes the service off booking (new appointments,
+ *                  availability, the booking page) while past appointments and
+ *                  incomes keep showing it. Unlike archiving it needs no check
+ *                  of upcoming appointments and is switched back in the form.
+ * Older services without these fields are active, uncategorized and ordered
+ * by name.
+ */
+
+require_once __DIR__ . '/csv.php';
+
+// Longest service description (characters)
+const SERVICE_DESCRIPTION_MAX_LENGTH = 500;
+
+// Category shown for services without one
+const SERVICE_UNCATEGORIZED = 'Uncategorized';
+
+/**
+ * Check the catalog fields of a service (add, edit and import)
+ * Returns [category, description, displayOrder, active], or null with $error set
+ */
+function readServiceCatalogFields($data, &$error = null) {
+  $description = trim((string)($data['description'] ?? ''));
+  if (mb_strlen($description) > SERVICE_DESCRIPTION_MAX_LENGTH) {
+    $error = 'Description can be at most ' . SERVICE_DESCRIPTION_MAX_LENGTH . ' characters';
+    return null;
+  }
+
+  $displayOrder = $data['displayOrder'] ?? null;
+  if ($displayOrder === null || $displayOrder === '') {
+    $displayOrder = 0;
+  }
+  if (!is_numeric($displayOrder) || floor($displayOrder) != $displayOrder) {
+    $error = 'Display order must be a whole number';
+    return null;
+  }
+
+  // Missing or empty (e.g. an import without the column) keeps it bookable
+  $active = $data['active'] ?? null;
+  $active = $active === null || $active === '' ? true : parseCsvBoolean($active);
+
+  return [
+    htmlspecialchars(trim((string)($data['category'] ?? '')), ENT_QUOTES, 'UTF-8'),
+    htmlspecialchars($description, ENT_QUOTES, 'UTF-8'),
+    (int)$displayOrder,
+    $active
+  ];
+}
+
+/**
+ * Whether a service is switched off for booking
+ */
+function isServiceInactive($service) {
+  return ($service['active'] ?? true) === false;
+}
+
+/**
+ * Category a service is listed under
+ */
+function getServiceCategory($service) {
+  $category = trim($service['category'] ?? '');
+  return $category === '' ? SERVICE_UNCATEGORIZED : $category;
+}
+
+/**
+ * Services in display order (displayOrder, then name, then ID)
+ */
+function sortServicesForDisplay($services) {
+  usort($services, function($a, $b) {
+    return ($a['displayOrder'] ?? 0) <=> ($b['displayOrder'] ?? 0) ?:
+      strcasecmp($a['name'], $b['name']) ?: $a['id'] <=> $b['id'];
+  });
+  return $services;
+}
+?>
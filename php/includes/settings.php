@@ -0,0 +1,135 @@
+<?php
+/**
+ * Beauty Salon Management System - Settings
+ *
+ * Salon-wide settings stored in data/settings.json: branding, mail transport,
+ * the editable email templates, client self-service links, the loyalty
+ * program and the no-show policy. Keys missing
+ * from the file fall back to getDefaultSettings(), so the file only holds
+ * what was changed. The security section is never sent to the browser.
+ * Expects the $settingsFile global to be set by the including script.
+ */
+
+// Email events that have an editable template
+const EMAIL_TEMPLATE_EVENTS = ['created', 'updated', 'cancelled', 'status_changed', 'reminder'];
+
+/**
+ * Default settings (used for missing keys and "reset template")
+ */
+function getDefaultSettings() {
+  $details = '<table cellpadding="4">' .
+    '<tr><td><strong>Date</strong></td><td>{{date}}</td></tr>' .
+    '<tr><td><strong>Time</strong></td><td>{{time}} - {{endTime}}</td></tr>' .
+    '<tr><td><strong>Service</strong></td><td>{{serviceName}}</td></tr>' .
+    '<tr><td><strong>Staff</strong></td><td>{{staffName}}</td></tr>' .
+    '</table>';
+
+  return [
+    'branding' => [
+      'salonName' => 'Beauty Salon',
+      'email' => 'contact@beautysalon.local',
+      'phone' => '',
+      'address' => '',
+      'website' => '',
+      'color' => '#0d6efd'
+    ],
+    'mail' => [
+      // log = write to error_log only, mail = PHP mail(), smtp = built-in SMTP client
+      'transport' => 'log',
+      'fromEmail' => 'noreply@beautysalon.local',
+      'fromName' => 'Beauty Salon',
+      'replyTo' => 'contact@beautysalon.local',
+      'smtp' => [
+        'host' => 'localhost',
+        'port' => 25,
+        'encryption' => 'none',
+        'username' => '',
+        'password' => '',
+        'timeout' => 10
+      ]
+    ],
+    'selfService' => [
+      // Public address of the app used in email links, e.g. https://salon.example.com/
+      // (empty = the address of the current request; links are left out from the CLI)
+      'publicUrl' => '',
+      // Clients cannot cancel or reschedule online less than this many hours before
+      'cutoffHours' => 24
+    ],
+    'loyalty' => [
+      // Points earned per currency unit paid (a service's own loyaltyPoints replace this)
+      'enabled' => true,
+      'pointsPerCurrency' => 1,
+      // Discount given for each redeemed point
+      'pointValue' => 0.05
+    ],
+    'policy' => [
+      // No-show and late-cancellation rules (see includes/policies.php)
+      'enabled' => false,
+      'lateCancelHours' => 24,
+      'windowMonths' => 6,
+      // Number of incidents that triggers each action (0 = never)
+      'flagBadAfter' => 3,
+      'depositAfter' => 2,
+      'depositAmount' => 20,
+      'feeAfter' => 1,
+      'noShowFee' => 0,
+      'lateCancelFee' => 0
+    ],
+    'security' => [
+      // Key for signing client links, generated on first use (see includes/links.php)
+      'linkSecret' => ''
+    ],
+    'templates' => [
+      'created' => [
+        'subject' => '✨ Appointment Confirmation - {{salonName}}',
+        'body' => "<p>Dear {{clientName}},</p>\n<p>Your appointment has been successfully created!</p>\n" . $details .
+          "\n<p>We look forward to seeing you soon!</p>"
+      ],
+      'updated' => [
+        'subject' => '✨ Appointment Updated - {{salonName}}',
+        'body' => "<p>Dear {{clientName}},</p>\n<p>Your appointment has been updated. Here are the new details:</p>\n" . $details .
+          "\n<p>If you have any questions, please contact us.</p>"
+      ],
+      'cancelled' => [
+        'subject' => '✨ Appointment Cancelled - {{salonName}}',
+        'body' => "<p>Dear {{clientName}},</p>\n<p>Your appointment has been cancelled.</p>\n" . $details .
+          "\n<p>If you would like to reschedule, please contact us.</p>"
+      ],
+      'status_changed' => [
+        'subject' => '✨ Appointment Status Updated - {{salonName}}',
+        'body' => "<p>Dear {{clientName}},</p>\n<p>Your appointment status has been updated to: <strong>{{status}}</strong></p>\n" . $details
+      ],
+      'reminder' => [
+        'subject' => '⏰ Appointment Reminder - {{salonName}}',
+        'body' => "<p>Dear {{clientName}},</p>\n<p>This is a friendly reminder of your upcoming appointment.</p>\n" . $details .
+          "\n<p>If you can no longer make it, please let us know as soon as possible.</p>"
+      ]
+    ]
+  ];
+}
+
+/**
+ * Load settings merged over the defaults
+ */
+function loadSettings() {
+  global $settingsFile;
+
+  $settings = getDefaultSettings();
+  if (!file_exists($settingsFile)) {
+    return $settings;
+  }
+
+  $handle = fopen($settingsFile, 'r');
+  flock($handle, LOCK_SH);
+  $content = file_get_contents($settingsFile);
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  $stored = json_decode($content, true);
+  if (!is_array($stored)) {
+    error_log('Invalid settings file, using defaults: ' . $settingsFile);
+    return $settings;
+  }
+  return array_replace_recursive($settings, $stored);
+}
+?>
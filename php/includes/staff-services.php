@@ -0,0 +1,162 @@
+<?php
+/**
+ * Beauty Salon Management System - Staff Skills and Pricing
+ *
+ * Used by php/staff.php, php/services.php and php/appointments.php.
+ *
+ * Staff members list the services they perform, each optionally with their
+ * own price and duration (a senior stylist charging more, say):
+ *   "services": [
+ *     {"serviceId": 1, "price": 45.0, "duration": 40},
+ *     {"serviceId": 3, "price": null, "duration": null}
+ *   ]
+ * null uses the service's own price or duration. Staff without a list (or
+ * with an empty one) perform every service at the standard price and
+ * duration, so older records keep working.
+ *
+ * Booking a staff member for a service they do not perform is refused; the
+ * staff-specific duration sets the end time and the staff-specific price is
+ * what the income records.
+ *
+ * Expects the $staffFile global for service merges and deletes.
+ */
+
+/**
+ * Check a staff member's list of services
+ * Returns the cleaned list, or null with $error set
+ */
+function normalizeStaffServices($list, $services, &$error = null) {
+  if (!is_array($list)) {
+    $error = 'Services must be a list';
+    return null;
+  }
+
+  $clean = [];
+  foreach ($list as $entry) {
+    $serviceId = (int)($entry['serviceId'] ?? 0);
+    $service = null;
+    foreach ($services as $svc) {
+      if ($svc['id'] === $serviceId) {
+        $service = $svc;
+        break;
+      }
+    }
+    if (!$service) {
+      $error = 'Service not found';
+      return null;
+    }
+
+    $price = $entry['price'] ?? null;
+    if ($price !== null && $price !== '' && (!is_numeric($price) || $price < 0)) {
+      $error = "Price for {$service['name']} cannot be negative";
+      return null;
+    }
+    $duration = $entry['duration'] ?? null;
+    if ($duration !== null && $duration !== '' && (!is_numeric($duration) || $duration < 1)) {
+      $error = "Duration for {$service['name']} must be at least 1 minute";
+      return null;
+    }
+
+    $clean[$serviceId] = [
+      'serviceId' => $serviceId,
+      'price' => $price === null || $price === '' ? null : round((float)$price, 2),
+      'duration' => $duration === null || $duration === '' ? null : (int)$duration
+    ];
+  }
+  return array_values($clean);
+}
+
+/**
+ * A staff member's entry for a service, or null when they do not list it
+ */
+function findStaffServiceEntry($staffMember, $serviceId) {
+  foreach ($staffMember['services'] ?? [] as $entry) {
+    if ($entry['serviceId'] === $serviceId) {
+      return $entry;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a staff member performs a service
+ */
+function staffPerformsService($staffMember, $serviceId) {
+  return empty($staffMember['services']) || findStaffServiceEntry($staffMember, $serviceId) !== null;
+}
+
+/**
+ * Reason a staff member cannot be booked for a service, or null when they can
+ */
+function getStaffServiceError($staffMember, $service) {
+  if (staffPerformsService($staffMember, $service['id'])) {
+    return null;
+  }
+  return "{$staffMember['name']} does not perform {$service['name']}";
+}
+
+/**
+ * Minutes a service takes with a staff member
+ */
+function getStaffServiceDuration($staffMember, $service) {
+  $entry = $staffMember ? findStaffServiceEntry($staffMember, $service['id']) : null;
+  return (int)($entry['duration'] ?? $service['duration']);
+}
+
+/**
+ * Price of a service with a staff member
+ */
+function getStaffServicePrice($staffMember, $service) {
+  $entry = $staffMember ? findStaffServiceEntry($staffMember, $service['id']) : null;
+  return (float)($entry['price'] ?? $service['price']);
+}
+
+/**
+ * Point staff skills (and fixed commission amounts, see commission.php) at
+ * another service after a merge, or drop them when $toId is null (service
+ * deleted)
+ * A staff member who already lists the new service keeps that entry.
+ */
+function replaceStaffServices($fromIds, $toId) {
+  global $staffFile;
+
+  $handle = fopen($staffFile, 'r+');
+  flock($handle, LOCK_EX);
+  $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+
+  $changed = false;
+  $replace = function($entries) use ($fromIds, $toId, &$changed) {
+    $kept = [];
+    $hasTarget = in_array($toId, array_column($entries, 'serviceId'), true);
+    foreach ($entries as $entry) {
+      if (!in_array($entry['serviceId'], $fromIds, true)) {
+        $kept[] = $entry;
+        continue;
+      }
+      $changed = true;
+      if ($toId !== null && !$hasTarget) {
+        $kept[] = ['serviceId' => $toId] + $entry;
+        $hasTarget = true;
+      }
+    }
+    return $kept;
+  };
+  foreach ($staff as &$member) {
+    if (!empty($member['services'])) {
+      $member['services'] = $replace($member['services']);
+    }
+    if (!empty($member['commission']['serviceFixed'])) {
+      $member['commission']['serviceFixed'] = $replace($member['commission']['serviceFixed']);
+    }
+  }
+  unset($member);
+
+  if ($changed) {
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($staff, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+  }
+  flock($handle, LOCK_UN);
+  fclose($handle);
+}
+?>
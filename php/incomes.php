@@ -5,9 +5,20 @@
  * Handles CRUD operations for income/financial records:
  * - list: GET all income records with optional filters
  * - add: POST new income record
- * - edit: PUT existing income record (payment method, notes)
- * - delete: DELETE income record
- * - getSummary: GET financial summaries (totals by period, staff, service)
+ * - edit: PUT existing income record (payment method, notes, tip)
+ * - delete: DELETE income record; loyalty points of its appointment are
+ *   reversed (see includes/loyalty.php)
+ * - getSummary: GET financial summaries (totals by period, staff, service,
+ *   service category; see includes/service-catalog.php)
+ * - payroll: GET each staff member's services, revenue, commission and tips
+ *   for a pay period (dateFrom, dateTo; see includes/commission.php)
+ * - exportPayroll: GET the same payroll as a CSV file
+ *
+ * No-show and late cancellation fees are income records with type: fee
+ * (see includes/policies.php); service incomes have no type.
+ *
+ * Service incomes record the staffId and serviceId of their appointment
+ * (older ones only have the names) and a tip paid to the staff member.
  * 
  * All operations use file locking with flock() to prevent race conditions
  * Returns JSON responses with success/error status
@@ -21,6 +32,12 @@ $appointmentsFile = __DIR__ . '/../data/appointments.json';
 $clientsFile = __DIR__ . '/../data/clients.json';
 $staffFile = __DIR__ . '/../data/staff.json';
 $servicesFile = __DIR__ . '/../data/services.json';
+$settingsFile = __DIR__ . '/../data/settings.json';
+
+require_once __DIR__ . '/includes/loyalty.php';
+require_once __DIR__ . '/includes/commission.php';
+require_once __DIR__ . '/includes/csv.php';
+require_once __DIR__ . '/includes/service-catalog.php';
 
 // Initialize file if it doesn't exist
 if (!file_exists($incomesFile)) {
@@ -77,6 +94,12 @@ switch($action) {
   case 'getSummary':
     getIncomeSummary();
     break;
+  case 'payroll':
+    getPayroll();
+    break;
+  case 'exportPayroll':
+    exportPayroll();
+    break;
   default:
     http_response_code(400);
     echo json_encode(['success' => false, 'error' => 'Invalid action']);
@@ -279,7 +302,7 @@ function addIncome($request) {
 
 /**
  * Edit existing income record
- * Allows updating payment method and notes only
+ * Allows updating payment method, notes and tip only
  */
 function editIncome($request) {
   global $incomesFile;
@@ -294,6 +317,15 @@ function editIncome($request) {
   $incomeId = (int)$request['data']['id'];
   $paymentMethod = isset($request['data']['paymentMethod']) ? sanitizeInput($request['data']['paymentMethod']) : null;
   $notes = isset($request['data']['notes']) ? sanitizeInput($request['data']['notes']) : null;
+  $tip = $request['data']['tip'] ?? null;
+  if ($tip === '') {
+    $tip = 0;
+  }
+  if ($tip !== null && (!is_numeric($tip) || $tip < 0)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Tip cannot be negative']);
+    return;
+  }
   
   try {
     // Read incomes with exclusive lock
@@ -313,6 +345,9 @@ function editIncome($request) {
         if ($notes !== null) {
           $inc['notes'] = $notes;
         }
+        if ($tip !== null) {
+          $inc['tip'] = round((float)$tip, 2);
+        }
         $found = true;
         $updatedIncome = $inc;
         break;
@@ -374,9 +409,12 @@ function deleteIncome($request) {
     
     // Check if record exists
     $found = false;
+    $appointmentId = null;
     foreach ($incomes as $inc) {
       if ($inc['id'] === $incomeId) {
         $found = true;
+        // Policy fees (type: fee) earned no loyalty points
+        $appointmentId = isset($inc['type']) ? null : ($inc['appointmentId'] ?? null);
         break;
       }
     }
@@ -403,6 +441,10 @@ function deleteIncome($request) {
     flock($handle, LOCK_UN);
     fclose($handle);
     
+    if ($appointmentId !== null) {
+      reverseLoyaltyForAppointment($appointmentId);
+    }
+    
     echo json_encode([
       'success' => true,
       'data' => null,
@@ -432,10 +474,10 @@ function deleteIncomeByAppointmentId($appointmentId) {
     $content = file_get_contents($incomesFile);
     $incomes = json_decode($content, true) ?? [];
     
-    // Find and remove income with matching appointmentId
+    // Find and remove income with matching appointmentId (policy fees stay)
     $found = false;
     $incomes = array_filter($incomes, function($inc) use ($appointmentId, &$found) {
-      if ($inc['appointmentId'] === $appointmentId) {
+      if ($inc['appointmentId'] === $appointmentId && !isset($inc['type'])) {
         $found = true;
         return false;
       }
@@ -456,6 +498,8 @@ function deleteIncomeByAppointmentId($appointmentId) {
     flock($handle, LOCK_UN);
     fclose($handle);
     
+    reverseLoyaltyForAppointment($appointmentId);
+    
     return true;
   } catch (Exception $e) {
     return false;
@@ -467,7 +511,7 @@ function deleteIncomeByAppointmentId($appointmentId) {
  * Returns totals by period (today, week, month, all-time) and by staff/service
  */
 function getIncomeSummary() {
-  global $incomesFile;
+  global $incomesFile, $appointmentsFile, $staffFile, $servicesFile;
   
   try {
     // Read incomes with shared lock
@@ -482,6 +526,13 @@ function getIncomeSummary() {
       $incomes = [];
     }
     
+    // Services (and appointments for older incomes) give each income its category
+    $appointments = file_exists($appointmentsFile) ? (json_decode(file_get_contents($appointmentsFile), true) ?? []) : [];
+    $appointmentsById = array_column($appointments, null, 'id');
+    $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+    $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+    $servicesById = array_column($services, null, 'id');
+    
     // Calculate date ranges
     $today = date('Y-m-d');
     $weekStart = date('Y-m-d', strtotime('monday this week'));
@@ -496,6 +547,7 @@ function getIncomeSummary() {
     $totalToday = 0;
     $byStaff = [];
     $byService = [];
+    $byCategory = [];
     
     foreach ($incomes as $income) {
       $amount = (float)$income['amount'];
@@ -532,6 +584,19 @@ function getIncomeSummary() {
         $byService[$serviceName] = 0;
       }
       $byService[$serviceName] += $amount;
+      
+      // By category (fees count on their own; deleted services are uncategorized)
+      if (isset($income['type'])) {
+        $category = 'Fees';
+      } else {
+        [, $serviceId] = resolveIncomeStaffService($income, $appointmentsById, $staff, $services);
+        $category = getServiceCategory($servicesById[$serviceId] ?? []);
+      }
+      if (!isset($byCategory[$category])) {
+        $byCategory[$category] = ['category' => $category, 'total' => 0, 'count' => 0];
+      }
+      $byCategory[$category]['total'] += $amount;
+      $byCategory[$category]['count']++;
     }
     
     // Convert byStaff and byService to arrays
@@ -552,6 +617,14 @@ function getIncomeSummary() {
     usort($byServiceArray, function($a, $b) {
       return $b['total'] <=> $a['total'];
     });
+    $byCategoryArray = array_values($byCategory);
+    usort($byCategoryArray, function($a, $b) {
+      return $b['total'] <=> $a['total'];
+    });
+    foreach ($byCategoryArray as &$entry) {
+      $entry['total'] = round($entry['total'], 2);
+    }
+    unset($entry);
     
     $summary = [
       'totalAllTime' => round($totalAllTime, 2),
@@ -560,6 +633,7 @@ function getIncomeSummary() {
       'totalToday' => round($totalToday, 2),
       'byStaff' => $byStaffArray,
       'byService' => $byServiceArray,
+      'byCategory' => $byCategoryArray,
       'recordCount' => count($incomes)
     ];
     
@@ -578,6 +652,107 @@ function getIncomeSummary() {
   }
 }
 
+/**
+ * Check the pay period of a payroll request
+ * Returns [dateFrom, dateTo], or null with $error set
+ */
+function readPayrollPeriod(&$error = null) {
+  $dateFrom = $_GET['dateFrom'] ?? '';
+  $dateTo = $_GET['dateTo'] ?? '';
+  if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $dateFrom) || !preg_match('/^\d{4}-\d{2}-\d{2}$/', $dateTo)) {
+    $error = 'Choose the pay period (dateFrom and dateTo as YYYY-MM-DD)';
+    return null;
+  }
+  if ($dateFrom > $dateTo) {
+    $error = 'The pay period must end on or after its start';
+    return null;
+  }
+  return [$dateFrom, $dateTo];
+}
+
+/**
+ * Payroll rows for a pay period (see includes/commission.php)
+ */
+function loadPayroll($dateFrom, $dateTo) {
+  global $incomesFile, $appointmentsFile, $staffFile, $servicesFile;
+  
+  $handle = fopen($incomesFile, 'r');
+  flock($handle, LOCK_SH);
+  $incomes = json_decode(file_get_contents($incomesFile), true) ?? [];
+  flock($handle, LOCK_UN);
+  fclose($handle);
+  
+  $appointments = file_exists($appointmentsFile) ? (json_decode(file_get_contents($appointmentsFile), true) ?? []) : [];
+  $staff = json_decode(file_get_contents($staffFile), true) ?? [];
+  $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+  
+  return buildPayroll($staff, $services, $appointments, $incomes, $dateFrom, $dateTo);
+}
+
+/**
+ * Get the payroll report for a pay period
+ */
+function getPayroll() {
+  $period = readPayrollPeriod($error);
+  if ($period === null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  
+  try {
+    echo json_encode([
+      'success' => true,
+      'data' => [
+        'dateFrom' => $period[0],
+        'dateTo' => $period[1],
+        'staff' => loadPayroll($period[0], $period[1])
+      ],
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to build payroll: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Download the payroll report for a pay period as CSV
+ * One line per staff member and service, then the staff member's total
+ * line with tips and the amount to pay
+ */
+function exportPayroll() {
+  $period = readPayrollPeriod($error);
+  if ($period === null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  
+  try {
+    $rows = [];
+    foreach (loadPayroll($period[0], $period[1]) as $row) {
+      foreach ($row['services'] as $line) {
+        $rows[] = [$row['staffName'], $line['serviceName'], $line['count'], $line['revenue'], $line['commission'], '', ''];
+      }
+      $rows[] = [$row['staffName'], 'Total', $row['count'], $row['revenue'], $row['commission'], $row['tips'], $row['total']];
+    }
+    sendCsv("payroll-{$period[0]}-to-{$period[1]}.csv",
+      ['staff', 'service', 'count', 'revenue', 'commission', 'tips', 'total'], $rows);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to export payroll: ' . $e->getMessage()
+    ]);
+  }
+}
+
 /**
  * Sanitize input string
  */
@@ -0,0 +1,340 @@
+<?php
+/**
+ * Beauty Salon Management System - Packages Endpoint
+ *
+ * Handles CRUD operations for service packages (bundles of services booked
+ * together at a package price):
+ * - list: GET all packages
+ * - add: POST new package
+ * - edit: PUT existing package
+ * - delete: DELETE package; appointments booked with it keep their copy
+ *
+ * A package lists at least two services (serviceIds, in booking order) and
+ * may be switched off (active: false) to stop new bookings. See
+ * includes/appointment-lines.php for how appointments use packages.
+ *
+ * All operations use file locking with flock() to prevent race conditions
+ * Returns JSON responses with success/error status
+ */
+
+header('Content-Type: application/json; charset=utf-8');
+
+// Path to packages JSON file
+$packagesFile = __DIR__ . '/../data/packages.json';
+$servicesFile = __DIR__ . '/../data/services.json';
+
+require_once __DIR__ . '/includes/csv.php';
+
+// Initialize file if it doesn't exist
+if (!file_exists($packagesFile)) {
+  file_put_contents($packagesFile, json_encode([]));
+}
+
+// Get action from multiple sources (priority: JSON body > GET > POST form data)
+$request = null;
+$action = null;
+
+if ($_SERVER['REQUEST_METHOD'] === 'POST') {
+  // Try to get JSON body first
+  $input = file_get_contents('php://input');
+  $request = json_decode($input, true);
+
+  if ($request && isset($request['action'])) {
+    $action = $request['action'];
+  } else {
+    // Fallback to form data
+    $request = $_POST;
+    if (isset($_POST['action'])) {
+      $action = $_POST['action'];
+    }
+  }
+}
+
+// Also check GET parameter
+if (!$action && isset($_GET['action'])) {
+  $action = $_GET['action'];
+}
+
+// If still no action, log and return error
+if (!$action) {
+  http_response_code(400);
+  echo json_encode(['success' => false, 'error' => 'Action parameter is required']);
+  error_log('No action parameter provided. REQUEST_METHOD: ' . $_SERVER['REQUEST_METHOD'] . ' | POST: ' . json_encode($_POST) . ' | REQUEST: ' . json_encode($request));
+  exit;
+}
+
+// Route to appropriate action
+switch($action) {
+  case 'list':
+    listPackages();
+    break;
+  case 'add':
+    addPackage($request);
+    break;
+  case 'edit':
+    editPackage($request);
+    break;
+  case 'delete':
+    deletePackage($request);
+    break;
+  default:
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid action']);
+}
+
+/**
+ * List all packages
+ */
+function listPackages() {
+  global $packagesFile;
+
+  try {
+    // Read file with shared lock
+    $handle = fopen($packagesFile, 'r');
+    flock($handle, LOCK_SH);
+    $content = file_get_contents($packagesFile);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+
+    $packages = json_decode($content, true);
+    if (!is_array($packages)) {
+      $packages = [];
+    }
+    usort($packages, function($a, $b) {
+      return strcasecmp($a['name'], $b['name']) ?: $a['id'] <=> $b['id'];
+    });
+
+    echo json_encode([
+      'success' => true,
+      'data' => $packages,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to read packages: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Validate and sanitize a package (used by add and edit)
+ * Returns the package record without its ID, or null with $error set
+ */
+function buildPackage($data, &$error = null) {
+  global $servicesFile;
+
+  if (trim($data['name'] ?? '') === '' || !isset($data['price'])) {
+    $error = 'Missing required fields: name, price';
+    return null;
+  }
+  if (!is_numeric($data['price']) || $data['price'] < 0) {
+    $error = 'Price cannot be negative';
+    return null;
+  }
+
+  $serviceIds = $data['serviceIds'] ?? null;
+  if (!is_array($serviceIds) || count($serviceIds) < 2) {
+    $error = 'A package needs at least two services';
+    return null;
+  }
+  $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+  $existingIds = array_column($services, 'id');
+  $serviceIds = array_map('intval', array_values($serviceIds));
+  foreach ($serviceIds as $serviceId) {
+    if (!in_array($serviceId, $existingIds, true)) {
+      $error = 'Service not found';
+      return null;
+    }
+  }
+
+  return [
+    'name' => sanitizeInput($data['name']),
+    'serviceIds' => $serviceIds,
+    'price' => round((float)$data['price'], 2),
+    'active' => parseCsvBoolean($data['active'] ?? true)
+  ];
+}
+
+/**
+ * Add new package
+ */
+function addPackage($request) {
+  global $packagesFile;
+
+  $newPackage = buildPackage($request['data'] ?? [], $error);
+  if ($newPackage === null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+
+  try {
+    // Read existing packages with exclusive lock
+    $handle = fopen($packagesFile, 'r+');
+    flock($handle, LOCK_EX);
+    $content = file_get_contents($packagesFile);
+    $packages = json_decode($content, true) ?? [];
+
+    // Generate new ID
+    $maxId = 0;
+    foreach ($packages as $package) {
+      if ($package['id'] > $maxId) {
+        $maxId = $package['id'];
+      }
+    }
+    $newPackage = ['id' => $maxId + 1] + $newPackage;
+
+    // Add to array and write back
+    $packages[] = $newPackage;
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($packages, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+    flock($handle, LOCK_UN);
+    fclose($handle);
+
+    echo json_encode([
+      'success' => true,
+      'data' => $newPackage,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to add package: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Edit existing package
+ * Appointments already booked with it keep the name and price they were booked at
+ */
+function editPackage($request) {
+  global $packagesFile;
+
+  if (!isset($request['data']['id'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required field: id']);
+    return;
+  }
+  $packageId = (int)$request['data']['id'];
+
+  $changes = buildPackage($request['data'], $error);
+  if ($changes === null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+
+  try {
+    // Read packages with exclusive lock
+    $handle = fopen($packagesFile, 'r+');
+    flock($handle, LOCK_EX);
+    $content = file_get_contents($packagesFile);
+    $packages = json_decode($content, true) ?? [];
+
+    // Find and update package
+    $updatedPackage = null;
+    foreach ($packages as &$package) {
+      if ($package['id'] === $packageId) {
+        $package = ['id' => $packageId] + $changes;
+        $updatedPackage = $package;
+        break;
+      }
+    }
+    unset($package);
+
+    if (!$updatedPackage) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(404);
+      echo json_encode(['success' => false, 'error' => 'Package not found']);
+      return;
+    }
+
+    // Write back
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($packages, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+    flock($handle, LOCK_UN);
+    fclose($handle);
+
+    echo json_encode([
+      'success' => true,
+      'data' => $updatedPackage,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to edit package: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Delete package by ID
+ */
+function deletePackage($request) {
+  global $packagesFile;
+
+  if (!isset($request['id'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required field: id']);
+    return;
+  }
+  $packageId = (int)$request['id'];
+
+  try {
+    $handle = fopen($packagesFile, 'r+');
+    flock($handle, LOCK_EX);
+    $content = file_get_contents($packagesFile);
+    $packages = json_decode($content, true) ?? [];
+
+    $remaining = array_values(array_filter($packages, function($package) use ($packageId) {
+      return $package['id'] !== $packageId;
+    }));
+
+    if (count($remaining) === count($packages)) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(404);
+      echo json_encode(['success' => false, 'error' => 'Package not found']);
+      return;
+    }
+
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($remaining, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+    flock($handle, LOCK_UN);
+    fclose($handle);
+
+    echo json_encode([
+      'success' => true,
+      'data' => null,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to delete package: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Sanitize input string
+ */
+function sanitizeInput($input) {
+  return htmlspecialchars(trim($input), ENT_QUOTES, 'UTF-8');
+}
+?>
@@ -6,7 +6,33 @@
  * - list: GET all services
  * - add: POST new service
  * - edit: PUT existing service
- * - delete: DELETE service
+ * - delete: DELETE service; refused (409 + references) while appointments
+ *   point at it, archive: true archives it instead (see includes/records.php)
+ * - restore: POST bring back an archived service
+ * - duplicates: GET groups of likely duplicate services
+ * - merge: POST merge duplicates into a surviving service (survivorId, duplicateIds)
+ * - export: GET all services as a CSV file
+ * - import: POST rows mapped by the import wizard (rows, dryRun, onDuplicate;
+ *   see includes/csv.php)
+ *
+ * Services may have a category ("Hair", "Nails"), used by per-category staff
+ * commission rates (see includes/commission.php), a description, a display
+ * order and an active switch; list returns them in display order
+ * (see includes/service-catalog.php).
+ *
+ * Services may set loyaltyPoints: points earned per visit instead of the
+ * salon's points per currency unit (empty = use that rate; see includes/loyalty.php)
+ *
+ * Staff members may perform only some services, at their own price and
+ * duration (see includes/staff-services.php). Deleting a service removes it
+ * from their lists; merging points their entries at the surviving service.
+ *
+ * Packages bundle services (see php/packages.php): a service in a package
+ * cannot be deleted until it is taken out of it; merging points packages at
+ * the surviving service.
+ *
+ * Add/edit answer 409 + duplicates when another service has the same name,
+ * unless data.allowDuplicates is set (see includes/duplicates.php)
  * 
  * All operations use file locking with flock() to prevent race conditions
  * Returns JSON responses with success/error status
@@ -16,11 +42,27 @@ header('Content-Type: application/json; charset=utf-8');
 
 // Path to services JSON file
 $servicesFile = __DIR__ . '/../data/services.json';
+$appointmentsFile = __DIR__ . '/../data/appointments.json';
+$seriesFile = __DIR__ . '/../data/series.json';
+$incomesFile = __DIR__ . '/../data/incomes.json';
+$staffFile = __DIR__ . '/../data/staff.json';
+$packagesFile = __DIR__ . '/../data/packages.json';
 
-// Initialize file if it doesn't exist
+require_once __DIR__ . '/includes/records.php';
+require_once __DIR__ . '/includes/duplicates.php';
+require_once __DIR__ . '/includes/csv.php';
+require_once __DIR__ . '/includes/loyalty.php';
+require_once __DIR__ . '/includes/staff-services.php';
+require_once __DIR__ . '/includes/service-catalog.php';
+require_once __DIR__ . '/includes/appointment-lines.php';
+
+// Initialize files if they don't exist
 if (!file_exists($servicesFile)) {
   file_put_contents($servicesFile, json_encode([]));
 }
+if (!file_exists($appointmentsFile)) {
+  file_put_contents($appointmentsFile, json_encode([]));
+}
 
 // Get action from multiple sources (priority: JSON body > GET > POST form data)
 $request = null;
@@ -69,6 +111,21 @@ switch($action) {
   case 'delete':
     deleteService($request);
     break;
+  case 'restore':
+    restoreService($request);
+    break;
+  case 'duplicates':
+    listDuplicateServices();
+    break;
+  case 'merge':
+    mergeServices($request);
+    break;
+  case 'export':
+    exportServices();
+    break;
+  case 'import':
+    importServices($request);
+    break;
   default:
     http_response_code(400);
     echo json_encode(['success' => false, 'error' => 'Invalid action']);
@@ -95,7 +152,7 @@ function listServices() {
     
     echo json_encode([
       'success' => true,
-      'data' => $services,
+      'data' => sortServicesForDisplay($services),
       'error' => null
     ]);
   } catch (Exception $e) {
@@ -114,30 +171,13 @@ function listServices() {
 function addService($request) {
   global $servicesFile;
   
-  // Validate required fields
-  if (!isset($request['data']['name']) || !isset($request['data']['duration']) || !isset($request['data']['price'])) {
+  $newService = buildNewService($request['data'] ?? [], $error);
+  if ($newService === null) {
     http_response_code(400);
-    echo json_encode(['success' => false, 'error' => 'Missing required fields: name, duration, price']);
-    return;
-  }
-  
-  // Sanitize and validate input
-  $name = sanitizeInput($request['data']['name']);
-  $duration = (int)$request['data']['duration'];
-  $price = (float)$request['data']['price'];
-  
-  // Validate duration and price
-  if ($duration < 1) {
-    http_response_code(400);
-    echo json_encode(['success' => false, 'error' => 'Duration must be at least 1 minute']);
-    return;
-  }
-  
-  if ($price < 0) {
-    http_response_code(400);
-    echo json_encode(['success' => false, 'error' => 'Price cannot be negative']);
+    echo json_encode(['success' => false, 'error' => $error]);
     return;
   }
+  $allowDuplicates = !empty($request['data']['allowDuplicates']);
   
   try {
     // Read existing services with exclusive lock
@@ -146,6 +186,20 @@ function addService($request) {
     $content = file_get_contents($servicesFile);
     $services = json_decode($content, true) ?? [];
     
+    // Warn about likely duplicates unless explicitly overridden
+    $duplicates = findDuplicateRecords($services, $newService, 'service');
+    if (!empty($duplicates) && !$allowDuplicates) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(409);
+      echo json_encode([
+        'success' => false,
+        'error' => 'A service with this name already exists',
+        'duplicates' => $duplicates
+      ]);
+      return;
+    }
+    
     // Generate new ID
     $maxId = 0;
     foreach ($services as $service) {
@@ -153,15 +207,7 @@ function addService($request) {
         $maxId = $service['id'];
       }
     }
-    $newId = $maxId + 1;
-    
-    // Create new service record
-    $newService = [
-      'id' => $newId,
-      'name' => $name,
-      'duration' => $duration,
-      'price' => $price
-    ];
+    $newService = ['id' => $maxId + 1] + $newService;
     
     // Add to array and write back
     $services[] = $newService;
@@ -186,6 +232,59 @@ function addService($request) {
   }
 }
 
+/**
+ * Validate and sanitize a new service (used by add and import)
+ * Returns the service record without its ID, or null with $error set
+ */
+function buildNewService($data, &$error = null) {
+  // Validate required fields
+  if (trim($data['name'] ?? '') === '' || !isset($data['duration']) || !isset($data['price'])) {
+    $error = 'Missing required fields: name, duration, price';
+    return null;
+  }
+  if (!is_numeric($data['duration']) || !is_numeric($data['price'])) {
+    $error = 'Duration and price must be numbers';
+    return null;
+  }
+  
+  $duration = (int)$data['duration'];
+  $price = (float)$data['price'];
+  
+  // Validate duration and price
+  if ($duration < 1) {
+    $error = 'Duration must be at least 1 minute';
+    return null;
+  }
+  
+  if ($price < 0) {
+    $error = 'Price cannot be negative';
+    return null;
+  }
+  
+  $loyaltyPoints = $data['loyaltyPoints'] ?? null;
+  if ($loyaltyPoints !== null && $loyaltyPoints !== '' && !isWholePointCount($loyaltyPoints)) {
+    $error = 'Loyalty points must be a whole number';
+    return null;
+  }
+  
+  $catalog = readServiceCatalogFields($data, $error);
+  if ($catalog === null) {
+    return null;
+  }
+  [$category, $description, $displayOrder, $active] = $catalog;
+  
+  return [
+    'name' => sanitizeInput($data['name']),
+    'category' => $category,
+    'description' => $description,
+    'displayOrder' => $displayOrder,
+    'active' => $active,
+    'duration' => $duration,
+    'price' => $price,
+    'loyaltyPoints' => $loyaltyPoints === null || $loyaltyPoints === '' ? null : (int)$loyaltyPoints
+  ];
+}
+
 /**
  * Edit existing service
  */
@@ -205,6 +304,7 @@ function editService($request) {
   $name = sanitizeInput($request['data']['name']);
   $duration = (int)$request['data']['duration'];
   $price = (float)$request['data']['price'];
+  $allowDuplicates = !empty($request['data']['allowDuplicates']);
   
   // Validate duration and price
   if ($duration < 1) {
@@ -219,6 +319,22 @@ function editService($request) {
     return;
   }
   
+  $loyaltyPoints = $request['data']['loyaltyPoints'] ?? null;
+  if ($loyaltyPoints !== null && $loyaltyPoints !== '' && !isWholePointCount($loyaltyPoints)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Loyalty points must be a whole number']);
+    return;
+  }
+  $loyaltyPoints = $loyaltyPoints === null || $loyaltyPoints === '' ? null : (int)$loyaltyPoints;
+  
+  $catalog = readServiceCatalogFields($request['data'], $error);
+  if ($catalog === null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  [$category, $description, $displayOrder, $active] = $catalog;
+  
   try {
     // Read services with exclusive lock
     $handle = fopen($servicesFile, 'r+');
@@ -226,17 +342,37 @@ function editService($request) {
     $content = file_get_contents($servicesFile);
     $services = json_decode($content, true) ?? [];
     
+    // Warn about likely duplicates unless explicitly overridden
+    $duplicates = findDuplicateRecords($services, ['id' => $serviceId, 'name' => $name], 'service');
+    if (!empty($duplicates) && !$allowDuplicates) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(409);
+      echo json_encode([
+        'success' => false,
+        'error' => 'A service with this name already exists',
+        'duplicates' => $duplicates
+      ]);
+      return;
+    }
+    
     // Find and update service
     $found = false;
     foreach ($services as &$service) {
       if ($service['id'] === $serviceId) {
         $service['name'] = $name;
+        $service['category'] = $category;
+        $service['description'] = $description;
+        $service['displayOrder'] = $displayOrder;
+        $service['active'] = $active;
         $service['duration'] = $duration;
         $service['price'] = $price;
+        $service['loyaltyPoints'] = $loyaltyPoints;
         $found = true;
         break;
       }
     }
+    unset($service);
     
     if (!$found) {
       flock($handle, LOCK_UN);
@@ -279,10 +415,11 @@ function editService($request) {
 
 /**
  * Delete service by ID
+ * Refused with 409 + references (upcoming/past appointment counts) while
+ * appointments point at the service; archive: true keeps it as archived instead
+ * (see includes/records.php)
  */
 function deleteService($request) {
-  global $servicesFile;
-  
   // Validate required field
   if (!isset($request['id'])) {
     http_response_code(400);
@@ -291,39 +428,139 @@ function deleteService($request) {
   }
   
   $serviceId = (int)$request['id'];
+  $archive = !empty($request['archive']);
+  
+  // Packages would lose a service without anyone noticing
+  $packageNames = $archive ? [] : findServicePackages($serviceId);
+  if (!empty($packageNames)) {
+    http_response_code(409);
+    echo json_encode([
+      'success' => false,
+      'error' => 'This service is part of package(s) ' . implode(', ', $packageNames) . '. Take it out of them first, or archive it instead.'
+    ]);
+    return;
+  }
   
   try {
-    // Read services with exclusive lock
-    $handle = fopen($servicesFile, 'r+');
-    flock($handle, LOCK_EX);
-    $content = file_get_contents($servicesFile);
-    $services = json_decode($content, true) ?? [];
+    $deleted = deleteRecord('service', $serviceId, $archive, $error, $errorCode, $references);
     
-    // Remove service by filtering out the matching ID
-    $originalCount = count($services);
-    $services = array_filter($services, function($service) use ($serviceId) {
-      return $service['id'] !== $serviceId;
-    });
+    if ($deleted === null) {
+      http_response_code($errorCode);
+      $response = ['success' => false, 'error' => $error];
+      if ($errorCode === 409) {
+        $response['references'] = $references;
+      }
+      echo json_encode($response);
+      return;
+    }
+    if (!$archive) {
+      replaceStaffServices([$serviceId], null);
+    }
     
-    if (count($services) === $originalCount) {
-      flock($handle, LOCK_UN);
-      fclose($handle);
-      http_response_code(404);
-      echo json_encode(['success' => false, 'error' => 'Service not found']);
+    echo json_encode([
+      'success' => true,
+      'data' => $archive ? $deleted : null,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to delete service: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Restore an archived service
+ */
+function restoreService($request) {
+  if (!isset($request['id'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required field: id']);
+    return;
+  }
+  
+  try {
+    $restored = restoreRecord('service', (int)$request['id'], $error, $errorCode);
+    
+    if ($restored === null) {
+      http_response_code($errorCode);
+      echo json_encode(['success' => false, 'error' => $error]);
       return;
     }
     
-    // Reindex array and write back
-    $services = array_values($services);
-    ftruncate($handle, 0);
-    rewind($handle);
-    fwrite($handle, json_encode($services, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+    echo json_encode([
+      'success' => true,
+      'data' => $restored,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to restore service: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * List groups of likely duplicate services for the merge tool
+ */
+function listDuplicateServices() {
+  global $servicesFile;
+  
+  try {
+    $handle = fopen($servicesFile, 'r');
+    flock($handle, LOCK_SH);
+    $content = file_get_contents($servicesFile);
     flock($handle, LOCK_UN);
     fclose($handle);
     
+    $services = json_decode($content, true) ?? [];
     echo json_encode([
       'success' => true,
+      'data' => findDuplicateGroups($services, 'service'),
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
       'data' => null,
+      'error' => 'Failed to find duplicate services: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Merge duplicate services into a surviving service
+ * The survivor keeps its own duration and price; past incomes keep the
+ * amounts that were charged
+ */
+function mergeServices($request) {
+  if (!isset($request['survivorId']) || !isset($request['duplicateIds']) || !is_array($request['duplicateIds'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required fields: survivorId, duplicateIds']);
+    return;
+  }
+  
+  try {
+    $result = mergeRecords('service', (int)$request['survivorId'], $request['duplicateIds'], $error, $errorCode);
+    
+    if ($result === null) {
+      http_response_code($errorCode);
+      echo json_encode(['success' => false, 'error' => $error]);
+      return;
+    }
+    replaceStaffServices(array_map('intval', $request['duplicateIds']), (int)$request['survivorId']);
+    replacePackageServices(array_map('intval', $request['duplicateIds']), (int)$request['survivorId']);
+    
+    echo json_encode([
+      'success' => true,
+      'data' => $result,
       'error' => null
     ]);
   } catch (Exception $e) {
@@ -331,7 +568,70 @@ function deleteService($request) {
     echo json_encode([
       'success' => false,
       'data' => null,
-      'error' => 'Failed to delete service: ' . $e->getMessage()
+      'error' => 'Failed to merge services: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Download all services as CSV
+ */
+function exportServices() {
+  global $servicesFile;
+  
+  try {
+    $handle = fopen($servicesFile, 'r');
+    flock($handle, LOCK_SH);
+    $content = file_get_contents($servicesFile);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
+    $rows = [];
+    foreach (sortServicesForDisplay(json_decode($content, true) ?? []) as $service) {
+      $rows[] = [
+        $service['id'],
+        $service['name'],
+        $service['category'] ?? '',
+        $service['description'] ?? '',
+        $service['displayOrder'] ?? 0,
+        !isServiceInactive($service),
+        $service['duration'],
+        $service['price'],
+        $service['loyaltyPoints'] ?? '',
+        !empty($service['archived'])
+      ];
+    }
+    sendCsv('services.csv', ['id', 'name', 'category', 'description', 'displayOrder', 'active', 'duration', 'price', 'loyaltyPoints', 'archived'], $rows);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to export services: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Import services (validated like add)
+ */
+function importServices($request) {
+  $options = readImportRequest($request, $error);
+  if ($options === null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  [$rows, $dryRun, $onDuplicate] = $options;
+  
+  try {
+    sendImportReport(importRecords('service', $rows, $dryRun, $onDuplicate, 'buildNewService'));
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to import services: ' . $e->getMessage()
     ]);
   }
 }
@@ -0,0 +1,395 @@
+<?php
+/**
+ * Beauty Salon Management System - Settings Endpoint
+ *
+ * Handles salon-wide settings (see includes/settings.php):
+ * - get: GET settings (SMTP password and link secret are never returned) + default templates
+ * - save: POST branding, mail transport, self-service links, loyalty program,
+ *   no-show policy and email templates
+ * - testEmail: POST send a test email with the current mail settings
+ *
+ * Settings are stored in data/settings.json with file locking
+ * Returns JSON responses with success/error status
+ */
+
+header('Content-Type: application/json; charset=utf-8');
+
+// Path to settings JSON file (created on first save)
+$settingsFile = __DIR__ . '/../data/settings.json';
+
+require_once __DIR__ . '/includes/mail.php';
+
+// Get action from multiple sources (priority: JSON body > GET > POST form data)
+$request = null;
+$action = null;
+
+if ($_SERVER['REQUEST_METHOD'] === 'POST') {
+  // Try to get JSON body first
+  $input = file_get_contents('php://input');
+  $request = json_decode($input, true);
+
+  if ($request && isset($request['action'])) {
+    $action = $request['action'];
+  } else {
+    // Fallback to form data
+    $request = $_POST;
+    if (isset($_POST['action'])) {
+      $action = $_POST['action'];
+    }
+  }
+}
+
+// Also check GET parameter
+if (!$action && isset($_GET['action'])) {
+  $action = $_GET['action'];
+}
+
+// If still no action, log and return error
+if (!$action) {
+  http_response_code(400);
+  echo json_encode(['success' => false, 'error' => 'Action parameter is required']);
+  error_log('No action parameter provided. REQUEST_METHOD: ' . $_SERVER['REQUEST_METHOD'] . ' | POST: ' . json_encode($_POST) . ' | REQUEST: ' . json_encode($request));
+  exit;
+}
+
+// Route to appropriate action
+switch($action) {
+  case 'get':
+    getSettings();
+    break;
+  case 'save':
+    saveSettings($request);
+    break;
+  case 'testEmail':
+    sendTestEmail($request);
+    break;
+  default:
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid action']);
+}
+
+/**
+ * Get current settings (see getPublicSettings)
+ */
+function getSettings() {
+  try {
+    echo json_encode([
+      'success' => true,
+      'data' => getPublicSettings(loadSettings()),
+      'defaultTemplates' => getDefaultSettings()['templates'],
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to read settings: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Settings as sent to the browser: the SMTP password is replaced by a
+ * passwordSet flag and the security section is left out
+ */
+function getPublicSettings($settings) {
+  $settings['mail']['smtp']['passwordSet'] = $settings['mail']['smtp']['password'] !== '';
+  $settings['mail']['smtp']['password'] = '';
+  unset($settings['security']);
+  return $settings;
+}
+
+/**
+ * Save settings
+ * Accepts any of the branding, mail, selfService, loyalty, policy and templates sections; an
+ * empty SMTP password keeps the stored one
+ */
+function saveSettings($request) {
+  global $settingsFile;
+
+  $data = $request['data'] ?? null;
+  if (!is_array($data)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid request format']);
+    return;
+  }
+
+  try {
+    // Read settings with exclusive lock (file is created on first save)
+    $handle = fopen($settingsFile, 'c+');
+    flock($handle, LOCK_EX);
+    $content = stream_get_contents($handle);
+    $stored = json_decode($content, true) ?? [];
+    $settings = array_replace_recursive(getDefaultSettings(), $stored);
+
+    $error = null;
+    if (isset($data['branding'])) {
+      $error = applyBrandingSettings($settings, $data['branding']);
+    }
+    if ($error === null && isset($data['mail'])) {
+      $error = applyMailSettings($settings, $data['mail']);
+    }
+    if ($error === null && isset($data['selfService'])) {
+      $error = applySelfServiceSettings($settings, $data['selfService']);
+    }
+    if ($error === null && isset($data['loyalty'])) {
+      $error = applyLoyaltySettings($settings, $data['loyalty']);
+    }
+    if ($error === null && isset($data['policy'])) {
+      $error = applyPolicySettings($settings, $data['policy']);
+    }
+    if ($error === null && isset($data['templates'])) {
+      $error = applyTemplateSettings($settings, $data['templates']);
+    }
+
+    if ($error !== null) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(400);
+      echo json_encode(['success' => false, 'error' => $error]);
+      return;
+    }
+
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($settings, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE));
+    flock($handle, LOCK_UN);
+    fclose($handle);
+
+    echo json_encode([
+      'success' => true,
+      'data' => getPublicSettings($settings),
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to save settings: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Validate and apply the branding section
+ * Returns an error message or null
+ */
+function applyBrandingSettings(&$settings, $branding) {
+  $salonName = sanitizeInput($branding['salonName'] ?? '');
+  if ($salonName === '') {
+    return 'Salon name is required';
+  }
+  $email = sanitizeInput($branding['email'] ?? '');
+  if ($email !== '' && !filter_var($email, FILTER_VALIDATE_EMAIL)) {
+    return 'Invalid salon email format';
+  }
+  $color = $branding['color'] ?? '#0d6efd';
+  if (!preg_match('/^#[0-9a-fA-F]{6}$/', $color)) {
+    return 'Brand color must be a hex color like #0d6efd';
+  }
+
+  $settings['branding'] = [
+    'salonName' => $salonName,
+    'email' => $email,
+    'phone' => sanitizeInput($branding['phone'] ?? ''),
+    'address' => sanitizeInput($branding['address'] ?? ''),
+    'website' => sanitizeInput($branding['website'] ?? ''),
+    'color' => $color
+  ];
+  return null;
+}
+
+/**
+ * Validate and apply the mail transport section
+ * Returns an error message or null
+ */
+function applyMailSettings(&$settings, $mail) {
+  $transport = $mail['transport'] ?? 'log';
+  if (!in_array($transport, ['log', 'mail', 'smtp'])) {
+    return 'Invalid mail transport';
+  }
+  $fromEmail = trim($mail['fromEmail'] ?? '');
+  if (!filter_var($fromEmail, FILTER_VALIDATE_EMAIL)) {
+    return 'Invalid "from" email format';
+  }
+  $replyTo = trim($mail['replyTo'] ?? '');
+  if ($replyTo !== '' && !filter_var($replyTo, FILTER_VALIDATE_EMAIL)) {
+    return 'Invalid "reply-to" email format';
+  }
+
+  $smtp = $mail['smtp'] ?? [];
+  $host = trim($smtp['host'] ?? '');
+  $port = (int)($smtp['port'] ?? 25);
+  $encryption = $smtp['encryption'] ?? 'none';
+  if ($transport === 'smtp' && ($host === '' || preg_match('/[\s\/]/', $host))) {
+    return 'SMTP host is required';
+  }
+  if ($port < 1 || $port > 65535) {
+    return 'SMTP port must be between 1 and 65535';
+  }
+  if (!in_array($encryption, ['none', 'tls', 'ssl'])) {
+    return 'SMTP encryption must be none, tls or ssl';
+  }
+
+  // Keep the stored password unless a new one is given
+  $password = (string)($smtp['password'] ?? '');
+  if ($password === '' && empty($smtp['clearPassword'])) {
+    $password = $settings['mail']['smtp']['password'];
+  }
+
+  $settings['mail'] = [
+    'transport' => $transport,
+    'fromEmail' => $fromEmail,
+    'fromName' => trim(strip_tags($mail['fromName'] ?? '')),
+    'replyTo' => $replyTo,
+    'smtp' => [
+      'host' => $host,
+      'port' => $port,
+      'encryption' => $encryption,
+      'username' => trim($smtp['username'] ?? ''),
+      'password' => $password,
+      'timeout' => max(1, min(60, (int)($smtp['timeout'] ?? 10)))
+    ]
+  ];
+  return null;
+}
+
+/**
+ * Validate and apply the client self-service section
+ * Returns an error message or null
+ */
+function applySelfServiceSettings(&$settings, $selfService) {
+  $publicUrl = trim($selfService['publicUrl'] ?? '');
+  if ($publicUrl !== '' && (!filter_var($publicUrl, FILTER_VALIDATE_URL) || !preg_match('/^https?:\/\//i', $publicUrl))) {
+    return 'Public URL must start with http:// or https://';
+  }
+  $cutoffHours = $selfService['cutoffHours'] ?? 24;
+  if (!is_numeric($cutoffHours) || $cutoffHours < 0 || $cutoffHours > 720) {
+    return 'Cancellation cutoff must be between 0 and 720 hours';
+  }
+
+  $settings['selfService'] = [
+    'publicUrl' => $publicUrl,
+    'cutoffHours' => (int)$cutoffHours
+  ];
+  return null;
+}
+
+/**
+ * Validate and apply the loyalty program section
+ * Returns an error message or null
+ */
+function applyLoyaltySettings(&$settings, $loyalty) {
+  $pointsPerCurrency = $loyalty['pointsPerCurrency'] ?? 1;
+  if (!is_numeric($pointsPerCurrency) || $pointsPerCurrency < 0 || $pointsPerCurrency > 1000) {
+    return 'Points per currency unit must be between 0 and 1000';
+  }
+  $pointValue = $loyalty['pointValue'] ?? 0.05;
+  if (!is_numeric($pointValue) || $pointValue <= 0 || $pointValue > 1000) {
+    return 'Point value must be more than 0 and at most 1000';
+  }
+
+  $settings['loyalty'] = [
+    'enabled' => !empty($loyalty['enabled']),
+    'pointsPerCurrency' => (float)$pointsPerCurrency,
+    'pointValue' => (float)$pointValue
+  ];
+  return null;
+}
+
+/**
+ * Validate and apply the no-show and late-cancellation policy section
+ * Returns an error message or null
+ */
+function applyPolicySettings(&$settings, $policy) {
+  $limits = [
+    'lateCancelHours' => [0, 720, 'Late cancellation window must be between 0 and 720 hours'],
+    'windowMonths' => [1, 60, 'Counting period must be between 1 and 60 months'],
+    'flagBadAfter' => [0, 100, 'Incident counts must be between 0 and 100'],
+    'depositAfter' => [0, 100, 'Incident counts must be between 0 and 100'],
+    'feeAfter' => [0, 100, 'Incident counts must be between 0 and 100']
+  ];
+  $values = ['enabled' => !empty($policy['enabled'])];
+  foreach ($limits as $field => [$min, $max, $message]) {
+    $value = $policy[$field] ?? $settings['policy'][$field];
+    if (!is_numeric($value) || $value < $min || $value > $max) {
+      return $message;
+    }
+    $values[$field] = (int)$value;
+  }
+  foreach (['depositAmount', 'noShowFee', 'lateCancelFee'] as $field) {
+    $value = $policy[$field] ?? $settings['policy'][$field];
+    if (!is_numeric($value) || $value < 0) {
+      return 'Deposit and fee amounts cannot be negative';
+    }
+    $values[$field] = round((float)$value, 2);
+  }
+
+  $settings['policy'] = $values;
+  return null;
+}
+
+/**
+ * Validate and apply email templates (HTML bodies are stored as entered)
+ * Returns an error message or null
+ */
+function applyTemplateSettings(&$settings, $templates) {
+  foreach ($templates as $event => $template) {
+    if (!in_array($event, EMAIL_TEMPLATE_EVENTS)) {
+      return "Unknown email template: {$event}";
+    }
+    $subject = trim(str_replace(["\r", "\n"], ' ', $template['subject'] ?? ''));
+    $body = trim($template['body'] ?? '');
+    if ($subject === '' || $body === '') {
+      return "Subject and body are required for the {$event} template";
+    }
+    $settings['templates'][$event] = ['subject' => $subject, 'body' => $body];
+  }
+  return null;
+}
+
+/**
+ * Send a test email using the saved mail settings
+ * Returns the transport error so SMTP problems can be diagnosed
+ */
+function sendTestEmail($request) {
+  $to = trim($request['to'] ?? '');
+  if (!filter_var($to, FILTER_VALIDATE_EMAIL)) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Invalid email format']);
+    return;
+  }
+
+  $settings = loadSettings();
+  $placeholders = getBrandingPlaceholders($settings);
+  $subject = renderEmailTemplate('Test email - {{salonName}}', $placeholders, false);
+  $content = renderEmailTemplate(
+    '<p>This is a test email from {{salonName}}.</p><p>If you can read it, your mail settings work.</p>',
+    $placeholders,
+    true
+  );
+
+  $error = null;
+  if (!sendMail($to, $subject, renderEmailLayout($content, $settings), $settings, $error)) {
+    error_log("Test email to $to failed: $error");
+    http_response_code(500);
+    echo json_encode(['success' => false, 'error' => 'Test email failed: ' . $error]);
+    return;
+  }
+
+  echo json_encode([
+    'success' => true,
+    'data' => ['to' => $to, 'transport' => $settings['mail']['transport']],
+    'error' => null
+  ]);
+}
+
+/**
+ * Sanitize input string
+ */
+function sanitizeInput($input) {
+  return htmlspecialchars(trim($input), ENT_QUOTES, 'UTF-8');
+}
+?>
@@ -6,8 +6,34 @@
  * - list: GET all staff
  * - add: POST new staff member
  * - edit: PUT existing staff member
- * - delete: DELETE staff member
+ * - delete: DELETE staff member; refused (409 + references) while appointments
+ *   point at it, archive: true archives it instead (see includes/records.php)
+ * - restore: POST bring back an archived staff member
+ * - regenerateCalendarToken: POST create/replace the calendar feed token
+ * - duplicates: GET groups of likely duplicate staff members
+ * - merge: POST merge duplicates into a surviving staff member (survivorId, duplicateIds)
+ * - export: GET all staff as a CSV file
+ * - import: POST rows mapped by the import wizard (rows, dryRun, onDuplicate;
+ *   see includes/csv.php). Imported staff have no schedule or time off yet.
+ *
+ * Add/edit answer 409 + duplicates when another staff member has the same
+ * email or name, unless data.allowDuplicates is set (see includes/duplicates.php)
  * 
+ * Staff records may carry a weekly working schedule (shift + optional break
+ * per weekday) and dated time-off entries. Staff without a schedule work
+ * the default business hours (09:00-18:00) every day.
+ *
+ * Staff records may list the services they perform, with optional price and
+ * duration overrides (services; see includes/staff-services.php). Staff
+ * without a list perform every service.
+ *
+ * Staff records may carry commission rules (commission: none, per service
+ * category, fixed per service or tiered by monthly revenue; see
+ * includes/commission.php) used by the payroll report in php/incomes.php.
+ *
+ * calendarToken protects the staff member's subscribable calendar feed
+ * (php/calendar.php); regenerating it invalidates the old feed URL.
+ *
  * All operations use file locking with flock() to prevent race conditions
  * Returns JSON responses with success/error status
  */
@@ -16,11 +42,24 @@ header('Content-Type: application/json; charset=utf-8');
 
 // Path to staff JSON file
 $staffFile = __DIR__ . '/../data/staff.json';
+$appointmentsFile = __DIR__ . '/../data/appointments.json';
+$seriesFile = __DIR__ . '/../data/series.json';
+$incomesFile = __DIR__ . '/../data/incomes.json';
+$servicesFile = __DIR__ . '/../data/services.json';
 
-// Initialize file if it doesn't exist
+require_once __DIR__ . '/includes/records.php';
+require_once __DIR__ . '/includes/duplicates.php';
+require_once __DIR__ . '/includes/csv.php';
+require_once __DIR__ . '/includes/staff-services.php';
+require_once __DIR__ . '/includes/commission.php';
+
+// Initialize files if they don't exist
 if (!file_exists($staffFile)) {
   file_put_contents($staffFile, json_encode([]));
 }
+if (!file_exists($appointmentsFile)) {
+  file_put_contents($appointmentsFile, json_encode([]));
+}
 
 // Get action from multiple sources (priority: JSON body > GET > POST form data)
 $request = null;
@@ -69,6 +108,24 @@ switch($action) {
   case 'delete':
     deleteStaff($request);
     break;
+  case 'restore':
+    restoreStaff($request);
+    break;
+  case 'regenerateCalendarToken':
+    regenerateCalendarToken($request);
+    break;
+  case 'duplicates':
+    listDuplicateStaff();
+    break;
+  case 'merge':
+    mergeStaff($request);
+    break;
+  case 'export':
+    exportStaff();
+    break;
+  case 'import':
+    importStaff($request);
+    break;
   default:
     http_response_code(400);
     echo json_encode(['success' => false, 'error' => 'Invalid action']);
@@ -114,24 +171,13 @@ function listStaff() {
 function addStaff($request) {
   global $staffFile;
   
-  // Validate required fields
-  if (!isset($request['data']['name']) || !isset($request['data']['role']) || !isset($request['data']['email'])) {
+  $newStaff = buildNewStaff($request['data'] ?? [], $error);
+  if ($newStaff === null) {
     http_response_code(400);
-    echo json_encode(['success' => false, 'error' => 'Missing required fields: name, role, email']);
-    return;
-  }
-  
-  // Sanitize input
-  $name = sanitizeInput($request['data']['name']);
-  $role = sanitizeInput($request['data']['role']);
-  $email = sanitizeInput($request['data']['email']);
-  
-  // Validate email format
-  if (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
-    http_response_code(400);
-    echo json_encode(['success' => false, 'error' => 'Invalid email format']);
+    echo json_encode(['success' => false, 'error' => $error]);
     return;
   }
+  $allowDuplicates = !empty($request['data']['allowDuplicates']);
   
   try {
     // Read existing staff with exclusive lock
@@ -140,6 +186,20 @@ function addStaff($request) {
     $content = file_get_contents($staffFile);
     $staff = json_decode($content, true) ?? [];
     
+    // Warn about likely duplicates unless explicitly overridden
+    $duplicates = findDuplicateRecords($staff, $newStaff, 'staff');
+    if (!empty($duplicates) && !$allowDuplicates) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(409);
+      echo json_encode([
+        'success' => false,
+        'error' => 'This staff member looks like an existing one',
+        'duplicates' => $duplicates
+      ]);
+      return;
+    }
+    
     // Generate new ID
     $maxId = 0;
     foreach ($staff as $member) {
@@ -147,15 +207,7 @@ function addStaff($request) {
         $maxId = $member['id'];
       }
     }
-    $newId = $maxId + 1;
-    
-    // Create new staff record
-    $newStaff = [
-      'id' => $newId,
-      'name' => $name,
-      'role' => $role,
-      'email' => $email
-    ];
+    $newStaff = ['id' => $maxId + 1] + $newStaff;
     
     // Add to array and write back
     $staff[] = $newStaff;
@@ -180,11 +232,63 @@ function addStaff($request) {
   }
 }
 
+/**
+ * Validate and sanitize a new staff member (used by add and import)
+ * Returns the staff record without its ID, or null with $error set
+ */
+function buildNewStaff($data, &$error = null) {
+  global $servicesFile;
+  
+  // Validate required fields
+  if (trim($data['name'] ?? '') === '' || !isset($data['role']) || !isset($data['email'])) {
+    $error = 'Missing required fields: name, role, email';
+    return null;
+  }
+  
+  // Sanitize input
+  $email = sanitizeInput($data['email']);
+  
+  // Validate email format
+  if (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
+    $error = 'Invalid email format';
+    return null;
+  }
+  
+  // Validate working schedule and time off
+  $error = validateSchedule($data['schedule'] ?? null);
+  if ($error === null) {
+    $error = validateTimeOff($data['timeOff'] ?? []);
+  }
+  if ($error !== null) {
+    return null;
+  }
+  
+  $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+  $staffServices = normalizeStaffServices($data['services'] ?? [], $services, $error);
+  if ($staffServices === null) {
+    return null;
+  }
+  $commission = normalizeCommission($data['commission'] ?? null, $services, $error);
+  if ($commission === null) {
+    return null;
+  }
+  
+  return [
+    'name' => sanitizeInput($data['name']),
+    'role' => sanitizeInput($data['role']),
+    'email' => $email,
+    'schedule' => normalizeSchedule($data['schedule'] ?? null),
+    'timeOff' => normalizeTimeOff($data['timeOff'] ?? []),
+    'services' => $staffServices,
+    'commission' => $commission
+  ];
+}
+
 /**
  * Edit existing staff member
  */
 function editStaff($request) {
-  global $staffFile;
+  global $staffFile, $servicesFile;
   
   // Validate required fields
   if (!isset($request['data']['id']) || !isset($request['data']['name']) || !isset($request['data']['role']) || !isset($request['data']['email'])) {
@@ -199,6 +303,7 @@ function editStaff($request) {
   $name = sanitizeInput($request['data']['name']);
   $role = sanitizeInput($request['data']['role']);
   $email = sanitizeInput($request['data']['email']);
+  $allowDuplicates = !empty($request['data']['allowDuplicates']);
   
   // Validate email format
   if (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
@@ -207,6 +312,40 @@ function editStaff($request) {
     return;
   }
   
+  // Validate working schedule and time off (only when provided)
+  $hasSchedule = array_key_exists('schedule', $request['data']);
+  $hasTimeOff = array_key_exists('timeOff', $request['data']);
+  $scheduleError = $hasSchedule ? validateSchedule($request['data']['schedule']) : null;
+  if ($scheduleError === null && $hasTimeOff) {
+    $scheduleError = validateTimeOff($request['data']['timeOff']);
+  }
+  if ($scheduleError !== null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $scheduleError]);
+    return;
+  }
+  
+  // Services performed and commission rules are only replaced when sent
+  $services = json_decode(file_get_contents($servicesFile), true) ?? [];
+  $staffServices = null;
+  if (array_key_exists('services', $request['data'])) {
+    $staffServices = normalizeStaffServices($request['data']['services'] ?? [], $services, $error);
+    if ($staffServices === null) {
+      http_response_code(400);
+      echo json_encode(['success' => false, 'error' => $error]);
+      return;
+    }
+  }
+  $commission = null;
+  if (array_key_exists('commission', $request['data'])) {
+    $commission = normalizeCommission($request['data']['commission'], $services, $error);
+    if ($commission === null) {
+      http_response_code(400);
+      echo json_encode(['success' => false, 'error' => $error]);
+      return;
+    }
+  }
+  
   try {
     // Read staff with exclusive lock
     $handle = fopen($staffFile, 'r+');
@@ -214,6 +353,20 @@ function editStaff($request) {
     $content = file_get_contents($staffFile);
     $staff = json_decode($content, true) ?? [];
     
+    // Warn about likely duplicates unless explicitly overridden
+    $duplicates = findDuplicateRecords($staff, ['id' => $staffId, 'name' => $name, 'email' => $email], 'staff');
+    if (!empty($duplicates) && !$allowDuplicates) {
+      flock($handle, LOCK_UN);
+      fclose($handle);
+      http_response_code(409);
+      echo json_encode([
+        'success' => false,
+        'error' => 'This staff member looks like an existing one',
+        'duplicates' => $duplicates
+      ]);
+      return;
+    }
+    
     // Find and update staff
     $found = false;
     foreach ($staff as &$member) {
@@ -221,10 +374,23 @@ function editStaff($request) {
         $member['name'] = $name;
         $member['role'] = $role;
         $member['email'] = $email;
+        if ($hasSchedule) {
+          $member['schedule'] = normalizeSchedule($request['data']['schedule']);
+        }
+        if ($hasTimeOff) {
+          $member['timeOff'] = normalizeTimeOff($request['data']['timeOff']);
+        }
+        if ($staffServices !== null) {
+          $member['services'] = $staffServices;
+        }
+        if ($commission !== null) {
+          $member['commission'] = $commission;
+        }
         $found = true;
         break;
       }
     }
+    unset($member);
     
     if (!$found) {
       flock($handle, LOCK_UN);
@@ -267,8 +433,87 @@ function editStaff($request) {
 
 /**
  * Delete staff member by ID
+ * Refused with 409 + references (upcoming/past appointment counts) while
+ * appointments point at the staff member; archive: true keeps it as archived instead
+ * (see includes/records.php)
  */
 function deleteStaff($request) {
+  // Validate required field
+  if (!isset($request['id'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required field: id']);
+    return;
+  }
+  
+  $staffId = (int)$request['id'];
+  $archive = !empty($request['archive']);
+  
+  try {
+    $deleted = deleteRecord('staff', $staffId, $archive, $error, $errorCode, $references);
+    
+    if ($deleted === null) {
+      http_response_code($errorCode);
+      $response = ['success' => false, 'error' => $error];
+      if ($errorCode === 409) {
+        $response['references'] = $references;
+      }
+      echo json_encode($response);
+      return;
+    }
+    
+    echo json_encode([
+      'success' => true,
+      'data' => $archive ? $deleted : null,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to delete staff: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Restore an archived staff member
+ */
+function restoreStaff($request) {
+  if (!isset($request['id'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required field: id']);
+    return;
+  }
+  
+  try {
+    $restored = restoreRecord('staff', (int)$request['id'], $error, $errorCode);
+    
+    if ($restored === null) {
+      http_response_code($errorCode);
+      echo json_encode(['success' => false, 'error' => $error]);
+      return;
+    }
+    
+    echo json_encode([
+      'success' => true,
+      'data' => $restored,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to restore staff: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Create or replace a staff member's calendar feed token
+ */
+function regenerateCalendarToken($request) {
   global $staffFile;
   
   // Validate required field
@@ -287,13 +532,17 @@ function deleteStaff($request) {
     $content = file_get_contents($staffFile);
     $staff = json_decode($content, true) ?? [];
     
-    // Remove staff by filtering out the matching ID
-    $originalCount = count($staff);
-    $staff = array_filter($staff, function($member) use ($staffId) {
-      return $member['id'] !== $staffId;
-    });
+    $updatedStaff = null;
+    foreach ($staff as &$member) {
+      if ($member['id'] === $staffId) {
+        $member['calendarToken'] = bin2hex(random_bytes(16));
+        $updatedStaff = $member;
+        break;
+      }
+    }
+    unset($member);
     
-    if (count($staff) === $originalCount) {
+    if (!$updatedStaff) {
       flock($handle, LOCK_UN);
       fclose($handle);
       http_response_code(404);
@@ -301,8 +550,7 @@ function deleteStaff($request) {
       return;
     }
     
-    // Reindex array and write back
-    $staff = array_values($staff);
+    // Write back
     ftruncate($handle, 0);
     rewind($handle);
     fwrite($handle, json_encode($staff, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
@@ -311,7 +559,36 @@ function deleteStaff($request) {
     
     echo json_encode([
       'success' => true,
+      'data' => $updatedStaff,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
       'data' => null,
+      'error' => 'Failed to regenerate calendar token: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * List groups of likely duplicate staff members for the merge tool
+ */
+function listDuplicateStaff() {
+  global $staffFile;
+  
+  try {
+    $handle = fopen($staffFile, 'r');
+    flock($handle, LOCK_SH);
+    $content = file_get_contents($staffFile);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
+    $staff = json_decode($content, true) ?? [];
+    echo json_encode([
+      'success' => true,
+      'data' => findDuplicateGroups($staff, 'staff'),
       'error' => null
     ]);
   } catch (Exception $e) {
@@ -319,11 +596,246 @@ function deleteStaff($request) {
     echo json_encode([
       'success' => false,
       'data' => null,
-      'error' => 'Failed to delete staff: ' . $e->getMessage()
+      'error' => 'Failed to find duplicate staff: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Merge duplicate staff members into a surviving one
+ * The survivor keeps its details, schedule and calendar token (taking the
+ * duplicate's token when it has none) and gains the duplicates' time off
+ */
+function mergeStaff($request) {
+  if (!isset($request['survivorId']) || !isset($request['duplicateIds']) || !is_array($request['duplicateIds'])) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'Missing required fields: survivorId, duplicateIds']);
+    return;
+  }
+  
+  try {
+    $result = mergeRecords('staff', (int)$request['survivorId'], $request['duplicateIds'], $error, $errorCode,
+      function($survivor, $duplicate) {
+        if (empty($survivor['calendarToken']) && !empty($duplicate['calendarToken'])) {
+          $survivor['calendarToken'] = $duplicate['calendarToken'];
+        }
+        $timeOff = $survivor['timeOff'] ?? [];
+        foreach ($duplicate['timeOff'] ?? [] as $entry) {
+          if (!in_array($entry, $timeOff)) {
+            $timeOff[] = $entry;
+          }
+        }
+        usort($timeOff, function($a, $b) {
+          return strcmp($a['dateFrom'], $b['dateFrom']);
+        });
+        $survivor['timeOff'] = $timeOff;
+        // A merged member with every service keeps that; otherwise the lists add up
+        if (empty($survivor['services']) || empty($duplicate['services'])) {
+          $survivor['services'] = [];
+        } else {
+          foreach ($duplicate['services'] as $entry) {
+            if (findStaffServiceEntry($survivor, $entry['serviceId']) === null) {
+              $survivor['services'][] = $entry;
+            }
+          }
+        }
+        return $survivor;
+      });
+    
+    if ($result === null) {
+      http_response_code($errorCode);
+      echo json_encode(['success' => false, 'error' => $error]);
+      return;
+    }
+    
+    echo json_encode([
+      'success' => true,
+      'data' => $result,
+      'error' => null
+    ]);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to merge staff: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Download all staff as CSV
+ */
+function exportStaff() {
+  global $staffFile;
+  
+  try {
+    $handle = fopen($staffFile, 'r');
+    flock($handle, LOCK_SH);
+    $content = file_get_contents($staffFile);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    
+    $rows = [];
+    foreach (json_decode($content, true) ?? [] as $member) {
+      $rows[] = [
+        $member['id'],
+        $member['name'],
+        $member['role'],
+        $member['email'],
+        !empty($member['archived'])
+      ];
+    }
+    sendCsv('staff.csv', ['id', 'name', 'role', 'email', 'archived'], $rows);
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to export staff: ' . $e->getMessage()
     ]);
   }
 }
 
+/**
+ * Import staff members (validated like add)
+ */
+function importStaff($request) {
+  $options = readImportRequest($request, $error);
+  if ($options === null) {
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => $error]);
+    return;
+  }
+  [$rows, $dryRun, $onDuplicate] = $options;
+  
+  try {
+    sendImportReport(importRecords('staff', $rows, $dryRun, $onDuplicate, 'buildNewStaff'));
+  } catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+      'success' => false,
+      'data' => null,
+      'error' => 'Failed to import staff: ' . $e->getMessage()
+    ]);
+  }
+}
+
+/**
+ * Validate a weekly schedule
+ * Format: { "mon": { "start": "09:00", "end": "18:00", "breakStart": "13:00", "breakEnd": "14:00" }, "sun": null, ... }
+ * A null schedule means default business hours every day; a null/missing day means day off
+ * Returns an error message, or null when valid
+ */
+function validateSchedule($schedule) {
+  if ($schedule === null) {
+    return null;
+  }
+  if (!is_array($schedule)) {
+    return 'Invalid schedule format';
+  }
+  
+  $weekdays = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+  foreach ($schedule as $day => $hours) {
+    if (!in_array($day, $weekdays, true)) {
+      return "Invalid schedule day: {$day}";
+    }
+    if ($hours === null) {
+      continue;
+    }
+    if (!is_array($hours)) {
+      return "Invalid working hours for {$day}";
+    }
+    if (!isValidTime($hours['start'] ?? '') || !isValidTime($hours['end'] ?? '') || $hours['start'] >= $hours['end']) {
+      return "Invalid working hours for {$day}";
+    }
+    
+    $breakStart = $hours['breakStart'] ?? '';
+    $breakEnd = $hours['breakEnd'] ?? '';
+    if ($breakStart === '' && $breakEnd === '') {
+      continue;
+    }
+    if (!isValidTime($breakStart) || !isValidTime($breakEnd) || $breakStart >= $breakEnd ||
+        $breakStart < $hours['start'] || $breakEnd > $hours['end']) {
+      return "Invalid break for {$day}: it must fall within working hours";
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize a validated schedule so every weekday is present
+ */
+function normalizeSchedule($schedule) {
+  if ($schedule === null) {
+    return null;
+  }
+  
+  $normalized = [];
+  foreach (['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'] as $day) {
+    $hours = $schedule[$day] ?? null;
+    if ($hours === null) {
+      $normalized[$day] = null;
+      continue;
+    }
+    $normalized[$day] = [
+      'start' => $hours['start'],
+      'end' => $hours['end'],
+      'breakStart' => !empty($hours['breakStart']) ? $hours['breakStart'] : null,
+      'breakEnd' => !empty($hours['breakEnd']) ? $hours['breakEnd'] : null
+    ];
+  }
+  return $normalized;
+}
+
+/**
+ * Validate time-off entries
+ * Format: [{ "dateFrom": "2024-12-24", "dateTo": "2024-12-26", "reason": "Holiday" }]
+ * Returns an error message, or null when valid
+ */
+function validateTimeOff($timeOff) {
+  if (!is_array($timeOff)) {
+    return 'Invalid time off format';
+  }
+  
+  foreach ($timeOff as $entry) {
+    $dateFrom = $entry['dateFrom'] ?? '';
+    $dateTo = $entry['dateTo'] ?? $dateFrom;
+    if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $dateFrom) || !preg_match('/^\d{4}-\d{2}-\d{2}$/', $dateTo)) {
+      return 'Invalid time off date format. Use YYYY-MM-DD';
+    }
+    if ($dateFrom > $dateTo) {
+      return 'Time off end date must not be before its start date';
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize validated time-off entries, sorted by start date
+ */
+function normalizeTimeOff($timeOff) {
+  $normalized = [];
+  foreach ($timeOff as $entry) {
+    $normalized[] = [
+      'dateFrom' => $entry['dateFrom'],
+      'dateTo' => !empty($entry['dateTo']) ? $entry['dateTo'] : $entry['dateFrom'],
+      'reason' => sanitizeInput($entry['reason'] ?? '')
+    ];
+  }
+  usort($normalized, function($a, $b) {
+    return strcmp($a['dateFrom'], $b['dateFrom']);
+  });
+  return $normalized;
+}
+
+/**
+ * Check "HH:MM" time format
+ */
+function isValidTime($time) {
+  return is_string($time) && preg_match('/^([01]\d|2[0-3]):[0-5]\d$/', $time) === 1;
+}
+
 /**
  * Sanitize input string
  */